@@ -22,6 +22,12 @@ const publicRoutes = require('./routes/publicRoutes');
 const deviceTokenRoutes = require('./routes/deviceTokenRoutes');
 const firebaseNotificationRoutes = require('./routes/firebaseNotificationRoutes');
 const healthRoutes = require('./routes/healthRoutes');
+const kitchenRoutes = require('./routes/kitchenRoutes');
+const tableRoutes = require('./routes/tableRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const cashRoutes = require('./routes/cashRoutes');
+const earningsRoutes = require('./routes/earningsRoutes');
 const errorHandler = require('./middleware/errorHandler');
 const { performanceMonitor } = require('./middleware/performanceMonitor');
 
@@ -49,6 +55,8 @@ const limiter = rateLimit({
   message: 'Too many requests, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Gateway webhooks come in bursts from a few IPs
+  skip: (req) => req.originalUrl.startsWith('/api/transactions/razorpay/webhook'),
   handler: (req, res) => {
     res.status(429).json({
       error: 'Too many requests, please try again later.'
@@ -69,7 +77,15 @@ const authLimiter = rateLimit({
 });
 
 // Basic middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the body exactly as sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/transactions/razorpay/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Conditional logging
@@ -118,6 +134,12 @@ app.use('/api/offers', offerRoutes);
 app.use('/api/settings', businessRoutes);
 app.use('/api/device-tokens', deviceTokenRoutes);
 app.use('/api/notifications', firebaseNotificationRoutes);
+app.use('/api/kitchen', kitchenRoutes);
+app.use('/api/tables', tableRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/cash', cashRoutes);
+app.use('/api/earnings', earningsRoutes);
 
 // 404 handler - use proper wildcard for Express 4.x compatibility
 app.all('*', (req, res) => {
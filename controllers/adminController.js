@@ -2,6 +2,8 @@ const Order = require('../models/Order');
 const User = require('../models/User');
 const MenuItem = require('../models/MenuItem');
 const Offer = require('../models/Offer');
+const OfferRedemption = require('../models/OfferRedemption');
+const { validateOfferConfig, getReferencedMenuItems } = require('../services/offerRules');
 const { emitAllDeliveryAgentsStatus } = require('../utils/socket');
 // Import the getUserData function from userController
 const { getUserData } = require('./userController');
@@ -30,9 +32,28 @@ const getDashboardStats = async (req, res) => {
     // Get order status breakdown
     const deliveredOrdersCount = await Order.countDocuments({ status: 'Delivered' });
     const inProgressOrders = await Order.countDocuments({
-      status: { $in: ['Pending', 'Preparing', 'Out for delivery'] }
+      status: { $in: ['Pending', 'Accepted', 'Preparing', 'Ready', 'Ready for pickup', 'Out for delivery'] }
     });
     const cancelledOrders = await Order.countDocuments({ status: 'Cancelled' });
+    const rejectedOrders = await Order.countDocuments({ status: 'Rejected' });
+
+    // Orders and paid revenue per order type (older orders without a type were deliveries)
+    const orderTypeTotals = await Order.aggregate([
+      {
+        $group: {
+          _id: { $ifNull: ['$orderType', 'delivery'] },
+          orders: { $sum: 1 },
+          revenue: {
+            $sum: { $cond: [{ $eq: ['$paymentStatus', 'Completed'] }, '$amount', 0] }
+          }
+        }
+      }
+    ]);
+    const ordersByType = ['delivery', 'pickup', 'dine-in'].reduce((breakdown, type) => {
+      const totals = orderTypeTotals.find(item => item._id === type);
+      breakdown[type] = { orders: totals?.orders || 0, revenue: totals?.revenue || 0 };
+      return breakdown;
+    }, {});
 
     // Date calculations for revenue periods
     const today = new Date();
@@ -327,7 +348,9 @@ const getDashboardStats = async (req, res) => {
         delivered: deliveredOrdersCount,
         inProgress: inProgressOrders,
         cancelled: cancelledOrders,
+        rejected: rejectedOrders,
       },
+      ordersByType,
       revenueData: {
         today: todayRevenueValue,
         week: weekRevenueValue,
@@ -414,6 +437,24 @@ const getDailyDashboardStats = async (req, res) => {
       { $sort: { "_id": 1 } }
     ]);
 
+    // Get daily order type breakdown
+    const dailyOrderTypes = await Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: startDate, $lte: today }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+            orderType: { $ifNull: ['$orderType', 'delivery'] }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
     // Get daily order status breakdown
     const dailyOrderStatus = await Order.aggregate([
       {
@@ -465,6 +506,14 @@ const getDailyDashboardStats = async (req, res) => {
         else if (status === 'out for delivery') statusBreakdown['out for delivery'] = item.count;
       });
 
+      // Get order types for this day
+      const typeBreakdown = { delivery: 0, pickup: 0, 'dine-in': 0 };
+      dailyOrderTypes
+        .filter(item => item._id.date === dateStr)
+        .forEach(item => {
+          typeBreakdown[item._id.orderType] = item.count;
+        });
+
       return {
         date: dateStr,
         dayName: new Date(dateStr).toLocaleDateString('en-US', { weekday: 'short' }),
@@ -472,6 +521,7 @@ const getDailyDashboardStats = async (req, res) => {
         orders: revenueData?.orders || 0,
         newCustomers: customerData?.newCustomers || 0,
         orderStatus: statusBreakdown,
+        orderTypes: typeBreakdown,
         totalOrders: Object.values(statusBreakdown).reduce((sum, count) => sum + count, 0)
       };
     });
@@ -594,7 +644,7 @@ const updateUserRole = async (req, res) => {
 
   try {
     // Validate role
-    if (!['customer', 'delivery', 'admin'].includes(role)) {
+    if (!['customer', 'delivery', 'kitchen', 'admin'].includes(role)) {
       return res.status(400).json({ message: 'Invalid role specified' });
     }
 
@@ -647,13 +697,86 @@ const getOfferById = async (req, res) => {
       return res.status(404).json({ message: 'Offer not found' });
     }
 
-    res.json(offer);
+    const recentRedemptions = await OfferRedemption.find({ offer: offer._id })
+      .sort({ redeemedAt: -1 })
+      .limit(10);
+
+    res.json({
+      ...offer.toJSON(),
+      recentRedemptions
+    });
   } catch (error) {
     console.error('Error fetching offer:', error);
     res.status(500).json({ message: 'Failed to fetch offer' });
   }
 };
 
+// Get redemption history of an offer
+const getOfferRedemptions = async (req, res) => {
+  try {
+    const pageSize = Number(req.query.limit) || 20;
+    const page = Number(req.query.page) || 1;
+
+    const offer = await Offer.findById(req.params.id);
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    const query = { offer: offer._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [redemptions, total, redeemedCount, uniqueCustomers] = await Promise.all([
+      OfferRedemption.find(query)
+        .populate('customer', 'name email')
+        .sort({ redeemedAt: -1 })
+        .skip(pageSize * (page - 1))
+        .limit(pageSize),
+      OfferRedemption.countDocuments(query),
+      OfferRedemption.countDocuments({ offer: offer._id, status: 'redeemed' }),
+      OfferRedemption.distinct('customer', { offer: offer._id, status: 'redeemed' })
+    ]);
+
+    res.json({
+      offer: {
+        _id: offer._id,
+        code: offer.code,
+        title: offer.title,
+        usageLimit: offer.usageLimit,
+        usageCount: offer.usageCount,
+        perUserLimit: offer.perUserLimit
+      },
+      summary: {
+        redeemed: redeemedCount,
+        uniqueCustomers: uniqueCustomers.length
+      },
+      redemptions,
+      page,
+      pages: Math.ceil(total / pageSize),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching offer redemptions:', error);
+    res.status(500).json({ message: 'Failed to fetch offer redemptions' });
+  }
+};
+
+// Check type-specific offer settings and that referenced menu items exist
+const checkOfferConfig = async (offer) => {
+  const problems = validateOfferConfig(offer);
+
+  const menuItemIds = getReferencedMenuItems(offer);
+  if (menuItemIds.length > 0) {
+    const found = await MenuItem.countDocuments({ _id: { $in: menuItemIds } });
+    if (found !== menuItemIds.length) {
+      problems.push('One or more menu items in this offer do not exist');
+    }
+  }
+
+  return problems;
+};
+
 // Create new offer
 const createOffer = async (req, res) => {
   try {
@@ -669,10 +792,18 @@ const createOffer = async (req, res) => {
       code: req.body.code.toUpperCase(),
     });
 
+    const problems = await checkOfferConfig(offer);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: problems[0], errors: problems });
+    }
+
     const createdOffer = await offer.save();
     res.status(201).json(createdOffer);
   } catch (error) {
     console.error('Error creating offer:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({
       message: 'Failed to create offer',
       error: error.message
@@ -700,19 +831,26 @@ const updateOffer = async (req, res) => {
       req.body.code = req.body.code.toUpperCase();
     }
 
-    const updatedOffer = await Offer.findByIdAndUpdate(
-      id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const offer = await Offer.findById(id);
 
-    if (!updatedOffer) {
+    if (!offer) {
       return res.status(404).json({ message: 'Offer not found' });
     }
 
+    // Validate the offer as it will be after the update
+    offer.set(req.body);
+    const problems = await checkOfferConfig(offer);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: problems[0], errors: problems });
+    }
+
+    const updatedOffer = await offer.save();
     res.json(updatedOffer);
   } catch (error) {
     console.error('Error updating offer:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to update offer' });
   }
 };
@@ -801,6 +939,7 @@ module.exports = {
   updateUserRole,
   getOffers,
   getOfferById,
+  getOfferRedemptions,
   createOffer,
   updateOffer,
   deleteOffer,
@@ -20,7 +20,13 @@ const updateBusinessSettings = asyncHandler(async (req, res) => {
     bankDetails,
     deliveryCharges,
     taxSettings,
-    minimumOrderValue
+    minimumOrderValue,
+    orderNumberSettings,
+    orderAcceptance,
+    scheduling,
+    offerSettings,
+    cashHandling,
+    deliveryPay
   } = req.body;
   
   // Simple validation - add more detailed validation as needed
@@ -44,6 +50,12 @@ const updateBusinessSettings = asyncHandler(async (req, res) => {
       deliveryCharges,
       taxSettings,
       minimumOrderValue,
+      ...(orderNumberSettings !== undefined && { orderNumberSettings }),
+      ...(orderAcceptance !== undefined && { orderAcceptance }),
+      ...(scheduling !== undefined && { scheduling }),
+      ...(offerSettings !== undefined && { offerSettings }),
+      ...(cashHandling !== undefined && { cashHandling }),
+      ...(deliveryPay !== undefined && { deliveryPay })
     },
     req.user._id
   );
@@ -154,6 +166,7 @@ const updateBusinessInfoAndSettings = asyncHandler(async (req, res) => {
   if (businessInfo.manualOverride !== undefined) {
     currentSettings.businessInfo.manualOverride = businessInfo.manualOverride;
   }
+  if (businessInfo.location !== undefined) currentSettings.businessInfo.location = businessInfo.location;
   
   // Update settings
   if (settings.upiId !== undefined) currentSettings.upiId = settings.upiId;
@@ -161,6 +174,12 @@ const updateBusinessInfoAndSettings = asyncHandler(async (req, res) => {
   if (settings.deliveryCharges !== undefined) currentSettings.deliveryCharges = settings.deliveryCharges;
   if (settings.taxSettings !== undefined) currentSettings.taxSettings = settings.taxSettings;
   if (settings.minimumOrderValue !== undefined) currentSettings.minimumOrderValue = settings.minimumOrderValue;
+  if (settings.orderNumberSettings !== undefined) currentSettings.orderNumberSettings = settings.orderNumberSettings;
+  if (settings.orderAcceptance !== undefined) currentSettings.orderAcceptance = settings.orderAcceptance;
+  if (settings.scheduling !== undefined) currentSettings.scheduling = settings.scheduling;
+  if (settings.offerSettings !== undefined) currentSettings.offerSettings = settings.offerSettings;
+  if (settings.cashHandling !== undefined) currentSettings.cashHandling = settings.cashHandling;
+  if (settings.deliveryPay !== undefined) currentSettings.deliveryPay = settings.deliveryPay;
   
   // Save updated settings
   await currentSettings.save();
@@ -180,16 +199,149 @@ const updateBusinessInfoAndSettings = asyncHandler(async (req, res) => {
       bankDetails: currentSettings.bankDetails,
       deliveryCharges: currentSettings.deliveryCharges,
       taxSettings: currentSettings.taxSettings,
-      minimumOrderValue: currentSettings.minimumOrderValue
+      minimumOrderValue: currentSettings.minimumOrderValue,
+      orderNumberSettings: currentSettings.orderNumberSettings,
+      orderAcceptance: currentSettings.orderAcceptance,
+      scheduling: currentSettings.scheduling,
+      offerSettings: currentSettings.offerSettings,
+      cashHandling: currentSettings.cashHandling,
+      deliveryPay: currentSettings.deliveryPay
     }
   });
 });
 
+/**
+ * Validate delivery zone input from the admin app
+ * @param {Object} zone - Zone fields from the request body
+ * @param {Object} settings - BusinessSettings document
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateDeliveryZone = (zone, settings) => {
+  if (!zone.name || !zone.name.toString().trim()) {
+    return 'Zone name is required';
+  }
+
+  if (zone.fixedCharge === undefined || zone.fixedCharge === null || Number(zone.fixedCharge) < 0) {
+    return 'A delivery charge of zero or more is required';
+  }
+
+  const hasZipCodes = Array.isArray(zone.zipCodes) && zone.zipCodes.length > 0;
+  const hasRadius = Number(zone.radiusKm) > 0;
+
+  if (!hasZipCodes && !hasRadius) {
+    return 'A zone needs zip codes, a radius, or both';
+  }
+
+  const location = settings.businessInfo.location;
+  if (hasRadius && (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number')) {
+    return 'Set the shop location before adding radius based zones';
+  }
+
+  return null;
+};
+
+/**
+ * Pick the editable delivery zone fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Zone fields
+ */
+const pickDeliveryZoneFields = (body) => {
+  const zone = {};
+  ['name', 'radiusKm', 'fixedCharge', 'freeDeliveryThreshold', 'isActive'].forEach(field => {
+    if (body[field] !== undefined) zone[field] = body[field];
+  });
+  if (body.zipCodes !== undefined) {
+    zone.zipCodes = (Array.isArray(body.zipCodes) ? body.zipCodes : [body.zipCodes])
+      .map(zipCode => String(zipCode).trim())
+      .filter(Boolean);
+  }
+  return zone;
+};
+
+// @desc    Get delivery zones
+// @route   GET /api/settings/delivery-zones
+// @access  Private/Admin
+const getDeliveryZones = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.findOrCreate();
+  res.status(200).json({
+    location: settings.businessInfo.location,
+    zones: settings.deliveryZones
+  });
+});
+
+// @desc    Add a delivery zone
+// @route   POST /api/settings/delivery-zones
+// @access  Private/Admin
+const addDeliveryZone = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.findOrCreate();
+  const zone = pickDeliveryZoneFields(req.body);
+
+  const validationError = validateDeliveryZone(zone, settings);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  settings.deliveryZones.push(zone);
+  settings.lastUpdated = Date.now();
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  res.status(201).json(settings.deliveryZones[settings.deliveryZones.length - 1]);
+});
+
+// @desc    Update a delivery zone
+// @route   PUT /api/settings/delivery-zones/:zoneId
+// @access  Private/Admin
+const updateDeliveryZone = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.findOrCreate();
+  const zone = settings.deliveryZones.id(req.params.zoneId);
+
+  if (!zone) {
+    return res.status(404).json({ message: 'Delivery zone not found' });
+  }
+
+  const updates = pickDeliveryZoneFields(req.body);
+  const validationError = validateDeliveryZone({ ...zone.toObject(), ...updates }, settings);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  zone.set(updates);
+  settings.lastUpdated = Date.now();
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  res.status(200).json(zone);
+});
+
+// @desc    Delete a delivery zone
+// @route   DELETE /api/settings/delivery-zones/:zoneId
+// @access  Private/Admin
+const deleteDeliveryZone = asyncHandler(async (req, res) => {
+  const settings = await BusinessSettings.findOrCreate();
+  const zone = settings.deliveryZones.id(req.params.zoneId);
+
+  if (!zone) {
+    return res.status(404).json({ message: 'Delivery zone not found' });
+  }
+
+  zone.deleteOne();
+  settings.lastUpdated = Date.now();
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  res.status(200).json({ message: 'Delivery zone removed', success: true });
+});
+
 module.exports = {
   getBusinessSettings,
   updateBusinessSettings,
   getBusinessProfile,
   updateBusinessStatus,
   clearBusinessStatusOverride,
-  updateBusinessInfoAndSettings
+  updateBusinessInfoAndSettings,
+  getDeliveryZones,
+  addDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone
 };
\ No newline at end of file
@@ -0,0 +1,91 @@
+const Cart = require('../models/Cart');
+const asyncHandler = require('express-async-handler');
+const {
+  ownerQuery,
+  addLine,
+  updateLine,
+  removeLine,
+  clearCart,
+  formatCart
+} = require('../services/cartService');
+
+/**
+ * Send a service error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with statusCode and details
+ */
+const sendError = (res, error) => res.status(error.statusCode || 500).json({
+  message: error.message,
+  ...error.details
+});
+
+// @desc    Get the saved cart priced at today's menu
+// @route   GET /api/cart
+// @access  Private (registered users or guests)
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne(ownerQuery(req.user));
+  res.json(await formatCart(cart));
+});
+
+// @desc    Add an item to the cart
+// @route   POST /api/cart/items
+// @access  Private (registered users or guests)
+const addCartItem = asyncHandler(async (req, res) => {
+  if (!req.body.menuItemId) {
+    res.status(400);
+    throw new Error('menuItemId is required');
+  }
+
+  let cart;
+  try {
+    cart = await addLine(req.user, req.body);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.status(201).json(await formatCart(cart));
+});
+
+// @desc    Change the quantity, size or options of a cart item
+// @route   PUT /api/cart/items/:lineId
+// @access  Private (registered users or guests)
+const updateCartItem = asyncHandler(async (req, res) => {
+  let cart;
+  try {
+    cart = await updateLine(req.user, req.params.lineId, req.body);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json(await formatCart(cart));
+});
+
+// @desc    Remove an item from the cart
+// @route   DELETE /api/cart/items/:lineId
+// @access  Private (registered users or guests)
+const removeCartItem = asyncHandler(async (req, res) => {
+  let cart;
+  try {
+    cart = await removeLine(req.user, req.params.lineId);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json(await formatCart(cart));
+});
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Private (registered users or guests)
+const emptyCart = asyncHandler(async (req, res) => {
+  await clearCart(req.user);
+  res.json(await formatCart(null));
+});
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  emptyCart
+};
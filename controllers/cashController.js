@@ -0,0 +1,184 @@
+const User = require('../models/User');
+const CashSettlement = require('../models/CashSettlement');
+const asyncHandler = require('express-async-handler');
+const {
+  DENOMINATIONS,
+  getCashBalance,
+  checkCashLimit,
+  settleCash,
+  getAgentBalances,
+  buildShiftReport,
+  buildReconciliationReport
+} = require('../services/cashLedgerService');
+
+/**
+ * Send a service error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with statusCode and details
+ */
+const sendError = (res, error) => res.status(error.statusCode || 500).json({
+  message: error.message,
+  ...error.details
+});
+
+/**
+ * Read the report period from the query: from/to, or a whole day
+ * (today when no date is given)
+ * @param {Object} query - req.query
+ * @returns {Object|null} `{ from, to }`, or null for an invalid date
+ */
+const parseRange = ({ from, to, date }) => {
+  if (from || to) {
+    const start = new Date(from);
+    const end = to ? new Date(to) : new Date();
+    return isNaN(start) || isNaN(end) || start >= end ? null : { from: start, to: end };
+  }
+
+  const start = date ? new Date(date) : new Date();
+  if (isNaN(start)) {
+    return null;
+  }
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { from: start, to: end };
+};
+
+/**
+ * Load a delivery agent by ID, answering 404 when there is none
+ * @param {string} id - User ID
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Agent, or null after answering 404
+ */
+const loadAgent = async (id, res) => {
+  const agent = await User.findOne({ _id: id, role: 'delivery' }).select('name phone').catch(() => null);
+  if (!agent) {
+    res.status(404).json({ message: 'Delivery agent not found' });
+    return null;
+  }
+  return agent;
+};
+
+// @desc    Cash in hand for every delivery agent, flagging those over the limit
+// @route   GET /api/cash/agents
+// @access  Private/Admin
+const getCashBalances = asyncHandler(async (req, res) => {
+  res.json(await getAgentBalances());
+});
+
+// @desc    Cash in hand for the logged in delivery agent
+// @route   GET /api/cash/my-balance
+// @access  Private/Delivery
+const getMyCashBalance = asyncHandler(async (req, res) => {
+  const [ledger, limit] = await Promise.all([
+    getCashBalance(req.user._id),
+    checkCashLimit(req.user._id)
+  ]);
+
+  res.json({ ...ledger, limit: limit.limit, overLimit: limit.overLimit });
+});
+
+// @desc    Record cash received from a delivery agent
+// @route   POST /api/cash/agents/:id/settlements
+// @access  Private/Admin
+const createSettlement = asyncHandler(async (req, res) => {
+  const agent = await loadAgent(req.params.id, res);
+  if (!agent) return;
+
+  let settlement;
+  try {
+    settlement = await settleCash(agent, req.user, {
+      denominations: req.body.denominations,
+      amount: req.body.amount,
+      declaredAmount: req.body.declaredAmount,
+      note: req.body.note
+    });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  // Let the agent's app update their balance
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user:${agent._id}`).emit('cash_settled', {
+      settlementId: settlement._id,
+      amount: settlement.amount,
+      discrepancy: settlement.discrepancy,
+      balance: settlement.balanceAfter
+    });
+  }
+
+  res.status(201).json(settlement);
+});
+
+// @desc    List cash settlements, newest first
+// @route   GET /api/cash/settlements?agent=&page=
+// @access  Private/Admin
+const getSettlements = asyncHandler(async (req, res) => {
+  const pageSize = 20;
+  const page = Number(req.query.page) || 1;
+  const query = req.query.agent ? { agent: req.query.agent } : {};
+
+  const count = await CashSettlement.countDocuments(query);
+  const settlements = await CashSettlement.find(query)
+    .sort({ createdAt: -1 })
+    .skip(pageSize * (page - 1))
+    .limit(pageSize);
+
+  res.json({
+    settlements,
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count,
+    denominations: DENOMINATIONS
+  });
+});
+
+// @desc    End-of-shift cash reconciliation for one agent
+// @route   GET /api/cash/agents/:id/report?date= or ?from=&to=
+// @access  Private/Admin
+const getShiftReport = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  if (!range) {
+    return res.status(400).json({ message: 'Invalid report period' });
+  }
+
+  const agent = await loadAgent(req.params.id, res);
+  if (!agent) return;
+
+  res.json(await buildShiftReport(agent, range));
+});
+
+// @desc    End-of-shift cash reconciliation for the logged in delivery agent
+// @route   GET /api/cash/my-report?date= or ?from=&to=
+// @access  Private/Delivery
+const getMyShiftReport = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  if (!range) {
+    return res.status(400).json({ message: 'Invalid report period' });
+  }
+
+  res.json(await buildShiftReport(req.user, range));
+});
+
+// @desc    Cash reconciliation across all agents
+// @route   GET /api/cash/reconciliation?date= or ?from=&to=
+// @access  Private/Admin
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  if (!range) {
+    return res.status(400).json({ message: 'Invalid report period' });
+  }
+
+  res.json(await buildReconciliationReport(range));
+});
+
+module.exports = {
+  getCashBalances,
+  getMyCashBalance,
+  createSettlement,
+  getSettlements,
+  getShiftReport,
+  getMyShiftReport,
+  getReconciliationReport
+};
@@ -1,5 +1,14 @@
 const Order = require('../models/Order');
 const asyncHandler = require('express-async-handler');
+const { getActor, addStatusNote, transitionOrder } = require('../services/orderStatusService');
+const { recordCashCollection, alertIfOverCashLimit } = require('../services/cashLedgerService');
+const {
+    recordDeliveryEarning,
+    getOrderEarnings,
+    getDayStart,
+    sumEarnings,
+    buildPayoutStatement
+} = require('../services/deliveryEarningsService');
 
 // @desc    Get orders assigned to the delivery agent
 // @route   GET /api/delivery/orders/assigned
@@ -43,56 +52,6 @@ const asyncHandler = require('express-async-handler');
 //     res.json(formattedOrders);
 // });
 
-// @desc    Get completed orders for delivery agent
-// @route   GET /api/delivery/orders/completed
-// @access  Private/Delivery
-const getCompletedOrders = asyncHandler(async (req, res) => {
-    // Get query parameters for filtering
-    const { startDate, endDate } = req.query;
-    let dateFilter = {};
-
-    if (startDate && endDate) {
-        dateFilter = {
-            createdAt: {
-                $gte: new Date(startDate),
-                $lte: new Date(endDate)
-            }
-        };
-    }
-
-    const orders = await Order.find({
-        deliveryAgent: req.user._id,
-        status: 'Delivered',
-        ...dateFilter
-    }).sort({ createdAt: -1 });
-
-    const formattedOrders = orders.map(order => {
-        // Calculate commission (20% of order amount)
-        const commission = (order.amount * 0.2).toFixed(2);
-
-        return {
-            id: order.orderNumber || order._id,
-            _id: order._id, // Include MongoDB ID for reference
-            date: order.createdAt.toISOString().split('T')[0],
-            time: order.createdAt.toTimeString().split(' ')[0].slice(0, 5),
-            customerName: order.customerName,
-            items: order.items.map(item => ({
-                name: item.name,
-                quantity: item.quantity,
-                price: item.price
-            })),
-            total: order.amount,
-            commission: parseFloat(commission),
-            deliveryDuration: order.deliveryDuration || '25 min',
-            rating: order.rating || 5,
-            feedback: order.feedback || '',
-            customerImage: 'https://images.unsplash.com/photo-1568602471122-7832951cc4c5?w=100'
-        };
-    });
-
-    res.json(formattedOrders);
-});
-
 // @desc    Get order details
 // @route   GET /api/delivery/orders/:id
 // @access  Private/Delivery
@@ -198,26 +157,28 @@ const getOrderDetails = asyncHandler(async (req, res) => {
 // };
 
 // @desc    Get delivery agent statistics
-// @route   GET /api/delivery/stats
+// @route   GET /api/delivery/stats?period=&week=
 // @access  Private/Delivery
 const getDeliveryStats = asyncHandler(async (req, res) => {
     // Get query parameters for date range
     const { period } = req.query; // 'today', 'week', 'month'
 
     let dateFilter = {};
+    let since = null;
     const now = new Date();
 
     if (period === 'today') {
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        dateFilter = { createdAt: { $gte: today } };
+        since = await getDayStart(now);
     } else if (period === 'week') {
-        const lastWeek = new Date(now);
-        lastWeek.setDate(now.getDate() - 7);
-        dateFilter = { createdAt: { $gte: lastWeek } };
+        since = new Date(now);
+        since.setDate(now.getDate() - 7);
     } else if (period === 'month') {
-        const lastMonth = new Date(now);
-        lastMonth.setMonth(now.getMonth() - 1);
-        dateFilter = { createdAt: { $gte: lastMonth } };
+        since = new Date(now);
+        since.setMonth(now.getMonth() - 1);
+    }
+
+    if (since) {
+        dateFilter = { createdAt: { $gte: since } };
     }
 
     // Total completed deliveries
@@ -227,17 +188,23 @@ const getDeliveryStats = asyncHandler(async (req, res) => {
         ...dateFilter
     });
 
-    // Total earnings (commission)
     const earningsData = await Order.find({
         deliveryAgent: req.user._id,
         status: 'Delivered', // Changed from 'DELIVERED'
         ...dateFilter
     });
 
-    let totalEarnings = 0;
-    earningsData.forEach(order => {
-        totalEarnings += (order.amount * 0.2); // 20% commission
-    });
+    // Earnings from the ledger, and the payout statement for ?week= (this week by default)
+    let earnings;
+    let statement;
+    try {
+        [earnings, statement] = await Promise.all([
+            sumEarnings(req.user._id, since ? { from: since } : {}),
+            buildPayoutStatement(req.user, req.query.week)
+        ]);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+    }
 
     // Average delivery time
     const deliveriesWithTime = earningsData.filter(order => order.deliveryDuration);
@@ -263,15 +230,23 @@ const getDeliveryStats = asyncHandler(async (req, res) => {
     // Current active deliveries - update status values to match model
     const activeDeliveries = await Order.countDocuments({
         deliveryAgent: req.user._id,
-        status: { $in: ['Pending', 'Preparing', 'Out for delivery'] } // Changed from ['ASSIGNED', 'PICKED_UP', 'ON_THE_WAY']
+        status: { $in: ['Pending', 'Accepted', 'Preparing', 'Ready', 'Out for delivery'] } // Changed from ['ASSIGNED', 'PICKED_UP', 'ON_THE_WAY']
     });
 
     res.json({
         totalDeliveries,
-        totalEarnings: totalEarnings.toFixed(2),
+        totalEarnings: earnings.total.toFixed(2),
+        earnings,
         avgDeliveryTime: `${avgDeliveryTime} min`,
         avgRating,
-        activeDeliveries
+        activeDeliveries,
+        payoutStatement: {
+            weekStart: statement.weekStart,
+            weekEnd: statement.weekEnd,
+            status: statement.status,
+            totals: statement.totals,
+            days: statement.days
+        }
     });
 });
 
@@ -282,12 +257,11 @@ const getDeliveryDashboard = asyncHandler(async (req, res) => {
     // Active orders - update status values to match model
     const activeOrders = await Order.find({
         deliveryAgent: req.user._id,
-        status: { $in: ['Pending', 'Preparing', 'Out for delivery'] } // Changed from ['ASSIGNED', 'PICKED_UP', 'ON_THE_WAY']
+        status: { $in: ['Pending', 'Accepted', 'Preparing', 'Ready', 'Out for delivery'] } // Changed from ['ASSIGNED', 'PICKED_UP', 'ON_THE_WAY']
     }).sort({ createdAt: -1 });
 
-    // Today's stats
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Today's stats, from midnight in the shop
+    const today = await getDayStart();
 
     const todayDeliveries = await Order.countDocuments({
         deliveryAgent: req.user._id,
@@ -296,22 +270,14 @@ const getDeliveryDashboard = asyncHandler(async (req, res) => {
     });
 
     // Today's earnings
-    const todayOrders = await Order.find({
-        deliveryAgent: req.user._id,
-        status: 'Delivered', // Changed from 'DELIVERED'
-        createdAt: { $gte: today }
-    });
-
-    let todayEarnings = 0;
-    todayOrders.forEach(order => {
-        todayEarnings += (order.amount * 0.2); // 20% commission
-    });
+    const todayEarnings = await sumEarnings(req.user._id, { from: today });
 
     // Recent completed deliveries (last 5)
     const recentDeliveries = await Order.find({
         deliveryAgent: req.user._id,
         status: 'Delivered' // Changed from 'DELIVERED'
     }).sort({ createdAt: -1 }).limit(5);
+    const recentEarnings = await getOrderEarnings(recentDeliveries);
 
     const formattedActive = activeOrders.map(order => ({
         id: order.orderNumber || order._id,
@@ -327,14 +293,16 @@ const getDeliveryDashboard = asyncHandler(async (req, res) => {
         customer: order.customerName,
         date: order.createdAt.toISOString().split('T')[0],
         amount: order.amount,
-        commission: (order.amount * 0.2).toFixed(2),
-        rating: order.rating || 5
+        commission: recentEarnings.has(order._id.toString())
+            ? recentEarnings.get(order._id.toString()).amount.toFixed(2)
+            : null,
+        rating: order.rating || null
     }));
 
     res.json({
         activeCount: activeOrders.length,
         todayDeliveries,
-        todayEarnings: todayEarnings.toFixed(2),
+        todayEarnings: todayEarnings.total.toFixed(2),
         activeOrders: formattedActive,
         recentDeliveries: formattedRecent
     });
@@ -391,20 +359,28 @@ const updateOrderPayment = asyncHandler(async (req, res) => {
         // Update payment status
         order.paymentStatus = paymentStatus || 'Completed';
 
-        // If status is provided, update the order status too
-        if (status && ['Preparing', 'Out for delivery', 'Delivered'].includes(status)) {
-            order.status = status;
+        // Add status update for payment, moving the order on too if a new status is given
+        const statusNote = note || `Payment ${paymentStatus || 'Completed'}${status ? ' and status updated to ' + status : ''}`;
+        if (status && status !== order.status) {
+            transitionOrder(order, status, { actor: getActor(req.user), note: statusNote });
+        } else {
+            addStatusNote(order, statusNote, getActor(req.user));
         }
 
-        // Add status update for payment and delivery if applicable
-        order.statusUpdates.push({
-            status: order.status,
-            time: new Date(),
-            note: note || `Payment ${paymentStatus || 'Completed'}${status ? ' and status updated to ' + status : ''}`
-        });
-
         const updatedOrder = await order.save();
 
+        if (updatedOrder.status === 'Delivered') {
+            await recordDeliveryEarning(updatedOrder);
+        }
+
+        // Cash taken at the door goes on the agent's cash ledger
+        if (updatedOrder.paymentStatus === 'Completed' && updatedOrder.paymentMethod === 'Cash on Delivery') {
+            const transaction = await recordCashCollection(updatedOrder, req.user, statusNote);
+            if (transaction) {
+                await alertIfOverCashLimit(req.app.get('io'), req.user);
+            }
+        }
+
         res.json({
             success: true,
             message: 'Payment status updated successfully',
@@ -416,6 +392,9 @@ const updateOrderPayment = asyncHandler(async (req, res) => {
         });
     } catch (error) {
         console.error('Error updating payment status:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message, ...error.details });
+        }
         res.status(500).json({ message: 'Failed to update payment status' });
     }
 });
@@ -424,7 +403,6 @@ const updateOrderPayment = asyncHandler(async (req, res) => {
 // Don't forget to add this to the module.exports
 module.exports = {
     // getAssignedOrders,
-    getCompletedOrders,
     getOrderDetails,
     // updateOrderStatus,
     getDeliveryStats,
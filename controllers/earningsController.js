@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const asyncHandler = require('express-async-handler');
+const {
+  buildPayoutStatement,
+  statementToCsv,
+  getWeeklyPayouts,
+  markWeekPaid
+} = require('../services/deliveryEarningsService');
+
+/**
+ * Send a service error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with statusCode and details
+ */
+const sendError = (res, error) => res.status(error.statusCode || 500).json({
+  message: error.message,
+  ...error.details
+});
+
+/**
+ * Load a delivery agent by ID, answering 404 when there is none
+ * @param {string} id - User ID
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Agent, or null after answering 404
+ */
+const loadAgent = async (id, res) => {
+  const agent = await User.findOne({ _id: id, role: 'delivery' }).select('name phone').catch(() => null);
+  if (!agent) {
+    res.status(404).json({ message: 'Delivery agent not found' });
+    return null;
+  }
+  return agent;
+};
+
+/**
+ * Answer with a payout statement, as CSV when ?format=csv
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} agent - Delivery agent user
+ */
+const sendStatement = async (req, res, agent) => {
+  let statement;
+  try {
+    statement = await buildPayoutStatement(agent, req.query.week);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  if (req.query.format === 'csv') {
+    const week = statement.days[0].day;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payout-${agent._id}-${week}.csv"`);
+    return res.send(statementToCsv(statement));
+  }
+
+  res.json(statement);
+};
+
+// @desc    Weekly payout statement for the logged in delivery agent
+// @route   GET /api/earnings/my-statement?week=&format=csv
+// @access  Private/Delivery
+const getMyStatement = asyncHandler(async (req, res) => {
+  await sendStatement(req, res, req.user);
+});
+
+// @desc    Weekly payout statement for one delivery agent
+// @route   GET /api/earnings/agents/:id/statement?week=&format=csv
+// @access  Private/Admin
+const getAgentStatement = asyncHandler(async (req, res) => {
+  const agent = await loadAgent(req.params.id, res);
+  if (!agent) return;
+
+  await sendStatement(req, res, agent);
+});
+
+// @desc    Every delivery agent's earnings for a week
+// @route   GET /api/earnings/payouts?week=
+// @access  Private/Admin
+const getPayouts = asyncHandler(async (req, res) => {
+  try {
+    res.json(await getWeeklyPayouts(req.query.week));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @desc    Mark a delivery agent's earnings for a week as paid out
+// @route   POST /api/earnings/agents/:id/payouts
+// @access  Private/Admin
+const createPayout = asyncHandler(async (req, res) => {
+  const agent = await loadAgent(req.params.id, res);
+  if (!agent) return;
+
+  let statement;
+  try {
+    statement = await markWeekPaid(agent, req.user, {
+      week: req.body.week,
+      reference: req.body.reference
+    });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user:${agent._id}`).emit('earnings_paid', {
+      weekStart: statement.weekStart,
+      amount: statement.totals.paid,
+      reference: req.body.reference
+    });
+  }
+
+  res.json(statement);
+});
+
+module.exports = {
+  getMyStatement,
+  getAgentStatement,
+  getPayouts,
+  createPayout
+};
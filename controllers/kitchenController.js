@@ -0,0 +1,118 @@
+const Order = require('../models/Order');
+const asyncHandler = require('express-async-handler');
+const unifiedNotificationService = require('../services/unifiedNotificationService');
+const {
+  ACTIVE_KITCHEN_STATUSES,
+  fillMissingCategories,
+  formatTicket,
+  groupTicketsByStation,
+  bumpLine
+} = require('../services/kitchenService');
+const { emitOrderStatusUpdate } = require('../utils/socket');
+
+// @desc    Get active kitchen tickets grouped by station
+// @route   GET /api/kitchen/tickets
+// @access  Private/Kitchen
+const getKitchenTickets = asyncHandler(async (req, res) => {
+  const { station } = req.query;
+
+  const orders = await Order.find({ status: { $in: ACTIVE_KITCHEN_STATUSES } })
+    .sort({ 'acceptance.acceptedAt': 1, createdAt: 1 });
+  await fillMissingCategories(orders);
+
+  const now = new Date();
+  const tickets = orders.map(order => formatTicket(order, now));
+  let stations = groupTicketsByStation(tickets);
+  if (station) {
+    stations = stations.filter(group => group.station.toLowerCase() === station.toLowerCase());
+  }
+
+  res.json({
+    serverTime: now,
+    stations,
+    tickets
+  });
+});
+
+// @desc    Get one kitchen ticket
+// @route   GET /api/kitchen/tickets/:orderId
+// @access  Private/Kitchen
+const getKitchenTicket = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  await fillMissingCategories([order]);
+  res.json(formatTicket(order));
+});
+
+// Shared handler for the start and done bumps
+const bump = (action) => asyncHandler(async (req, res) => {
+  const { orderId, lineId } = req.params;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const previousStatus = order.status;
+  try {
+    bumpLine(order, lineId, action, req.user);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+
+  await fillMissingCategories([order]);
+  const updatedOrder = await order.save();
+
+  const io = req.app.get('io');
+  if (io) {
+    emitOrderStatusUpdate(io, updatedOrder, action === 'start' ? 'kitchen_line_started' : 'kitchen_line_done', {
+      previousStatus,
+      updatedBy: {
+        role: req.user.role,
+        id: req.user._id,
+        name: req.user.name
+      }
+    });
+  }
+
+  // Tell the customer when the kitchen starts and when the food is ready
+  if (updatedOrder.status !== previousStatus) {
+    try {
+      await unifiedNotificationService.sendOrderUpdateNotification(updatedOrder.customer, {
+        orderId: updatedOrder.orderNumber,
+        status: updatedOrder.status,
+        message: updatedOrder.status === 'Ready for pickup'
+          ? `Your order #${updatedOrder.orderNumber} is ready - show code ${updatedOrder.pickupCode} at the counter`
+          : undefined
+      });
+    } catch (error) {
+      console.error('Failed to send kitchen status notification:', error);
+    }
+  }
+
+  res.json(formatTicket(updatedOrder));
+});
+
+// @desc    Mark an order line as started
+// @route   PUT /api/kitchen/tickets/:orderId/lines/:lineId/start
+// @access  Private/Kitchen
+const startLine = bump('start');
+
+// @desc    Mark an order line as done
+// @route   PUT /api/kitchen/tickets/:orderId/lines/:lineId/done
+// @access  Private/Kitchen
+const completeLine = bump('done');
+
+module.exports = {
+  getKitchenTickets,
+  getKitchenTicket,
+  startLine,
+  completeLine
+};
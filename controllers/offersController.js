@@ -1,5 +1,8 @@
 const Offer = require('../models/Offer');
 const asyncHandler = require('express-async-handler');
+const { assertOfferAvailable, evaluateOffer, evaluateOfferCode, rankOffers } = require('../services/offerService');
+const { priceItems } = require('../services/pricingService');
+const { roundCurrency } = require('../utils/currency');
 
 // @desc    Get all public active offers
 // @route   GET /api/offers
@@ -52,76 +55,37 @@ exports.getOfferByCode = asyncHandler(async (req, res) => {
 // @route   POST /api/offers/apply
 // @access  Private
 exports.applyOffer = asyncHandler(async (req, res) => {
-  const { code, orderAmount, items } = req.body;
+  const { code, items } = req.body;
+  const hasItems = Array.isArray(items) && items.length > 0;
   
-  if (!code || !orderAmount) {
+  if (!code || (!req.body.orderAmount && !hasItems)) {
     return res.status(400).json({ message: 'Missing required fields' });
   }
   
-  // Find offer by code
-  const offer = await Offer.findOne({ 
-    code: code.toUpperCase(),
-    active: true
-  });
-  
-  if (!offer) {
-    return res.status(404).json({ message: 'Offer not found or inactive' });
+  // Price the cart from the menu so item and category offers see real lines
+  let pricedItems;
+  let orderAmount = Number(req.body.orderAmount);
+  if (hasItems) {
+    ({ items: pricedItems } = await priceItems(items));
+    orderAmount = roundCurrency(pricedItems.reduce(
+      (sum, item) => sum + item.totalItemPrice * item.quantity, 0));
   }
   
-  // Check if offer is valid
-  const now = new Date();
-  if (now < offer.validFrom || now > offer.validUntil) {
-    return res.status(400).json({ message: 'Offer has expired or not yet active' });
-  }
-  
-  // Check minimum order value
-  if (orderAmount < offer.minOrderValue) {
-    return res.status(400).json({ 
-      message: `Minimum order amount is ₹${offer.minOrderValue}` 
+  let evaluation;
+  try {
+    evaluation = await evaluateOfferCode(code, {
+      orderAmount,
+      user: req.user,
+      items: pricedItems
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      message: error.message,
+      excludedLines: error.excludedLines
     });
   }
   
-  // Check usage limit
-  if (offer.usageLimit !== null && offer.usageCount >= offer.usageLimit) {
-    return res.status(400).json({ message: 'Offer usage limit reached' });
-  }
-
-  // Check if offer is restricted to specific users
-  if (offer.restrictedToUsers && offer.restrictedToUsers.length > 0) {
-    if (!offer.restrictedToUsers.includes(req.user._id.toString())) {
-      return res.status(403).json({ message: 'This offer is not available for your account' });
-    }
-  }
-
-  // Check if offer is for new users only
-  if (offer.isNewUserOffer) {
-    // Implementation depends on your specific business logic
-    // For example, check if user has previous orders
-    const hasOrders = false; // Replace with actual check
-    if (hasOrders) {
-      return res.status(403).json({ message: 'This offer is only for new users' });
-    }
-  }
-  
-  // Calculate discount
-  let discount = 0;
-  
-  if (offer.discountType === 'percentage') {
-    discount = (orderAmount * offer.discountValue) / 100;
-    
-    // Apply maximum discount if specified
-    if (offer.maxDiscountAmount !== null && discount > offer.maxDiscountAmount) {
-      discount = offer.maxDiscountAmount;
-    }
-  } else {
-    // Fixed discount
-    discount = offer.discountValue;
-  }
-  
-  // Ensure discount isn't more than order amount
-  if (discount > orderAmount) {
-    discount = orderAmount;
-  }
+  const { offer, discount } = evaluation;
   
   // Return the calculated discount
   res.json({
@@ -132,7 +96,83 @@ exports.applyOffer = asyncHandler(async (req, res) => {
       discountValue: offer.discountValue
     },
     discount: discount.toFixed(2),
-    finalAmount: (orderAmount - discount).toFixed(2)
+    finalAmount: (orderAmount - discount).toFixed(2),
+    eligibleAmount: evaluation.eligibleAmount,
+    appliedLines: evaluation.appliedLines.map(line => ({
+      index: line.index,
+      menuItemId: line.menuItemId,
+      name: line.name,
+      quantity: line.quantity,
+      lineTotal: line.lineTotal,
+      discount: line.discount,
+      reason: line.reason
+    })),
+    excludedLines: evaluation.excludedLines.map(line => ({
+      index: line.index,
+      menuItemId: line.menuItemId,
+      name: line.name,
+      lineTotal: line.lineTotal,
+      reason: line.reason
+    }))
+  });
+});
+
+// Offer fields shown next to a ranked result
+const summarizeOffer = (offer) => ({
+  _id: offer._id,
+  code: offer.code,
+  title: offer.title,
+  description: offer.description,
+  discountType: offer.discountType,
+  discountValue: offer.discountValue,
+  formattedDiscount: offer.formattedDiscount,
+  minOrderValue: offer.minOrderValue,
+  validUntil: offer.validUntil
+});
+
+// @desc    Rank all current offers by how much they save on a cart
+// @route   POST /api/offers/best
+// @access  Private
+exports.getBestOffers = asyncHandler(async (req, res) => {
+  const { items } = req.body;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ message: 'Cart items are required' });
+  }
+  
+  // Offers are ranked on server prices, not the client's
+  const { items: pricedItems, errors } = await priceItems(items);
+  const subTotal = roundCurrency(pricedItems.reduce(
+    (sum, item) => sum + item.totalItemPrice * item.quantity, 0));
+  
+  const { best, eligible, ineligible } = await rankOffers({
+    orderAmount: subTotal,
+    user: req.user,
+    items: pricedItems
+  });
+  
+  const formatEvaluation = (evaluation) => ({
+    offer: summarizeOffer(evaluation.offer),
+    discount: evaluation.discount,
+    finalAmount: roundCurrency(subTotal - evaluation.discount),
+    appliedLines: evaluation.appliedLines.map(line => ({
+      index: line.index,
+      menuItemId: line.menuItemId,
+      name: line.name,
+      quantity: line.quantity,
+      discount: line.discount
+    }))
+  });
+  
+  res.json({
+    subTotal,
+    itemErrors: errors,
+    best: best ? formatEvaluation(best) : null,
+    offers: eligible.map(formatEvaluation),
+    ineligible: ineligible.map(({ offer, reason }) => ({
+      offer: summarizeOffer(offer),
+      reason
+    }))
   });
 });
 
@@ -140,7 +180,8 @@ exports.applyOffer = asyncHandler(async (req, res) => {
 // @route   POST /api/offers/validate
 // @access  Private
 exports.validateOffer = asyncHandler(async (req, res) => {
-  const { code, orderAmount } = req.body;
+  const { code, items } = req.body;
+  const hasItems = Array.isArray(items) && items.length > 0;
   
   if (!code) {
     return res.status(400).json({ message: 'Offer code is required' });
@@ -156,26 +197,32 @@ exports.validateOffer = asyncHandler(async (req, res) => {
     return res.status(404).json({ message: 'Invalid offer code' });
   }
   
-  // Check if offer is valid
-  const now = new Date();
-  if (now < offer.validFrom || now > offer.validUntil) {
-    return res.status(400).json({ message: 'This offer has expired' });
+  // Same checks as applying the offer: validity, usage and per-user limits,
+  // new-user offers, and the cart when one is given
+  let pricedItems;
+  let orderAmount = req.body.orderAmount ? Number(req.body.orderAmount) : null;
+  if (hasItems) {
+    ({ items: pricedItems } = await priceItems(items));
+    orderAmount = roundCurrency(pricedItems.reduce(
+      (sum, item) => sum + item.totalItemPrice * item.quantity, 0));
   }
   
-  // Check minimum order value if orderAmount is provided
-  if (orderAmount && orderAmount < offer.minOrderValue) {
-    return res.status(400).json({ 
+  let evaluation = null;
+  try {
+    if (orderAmount !== null) {
+      evaluation = await evaluateOffer(offer, { orderAmount, user: req.user, items: pricedItems });
+    } else {
+      await assertOfferAvailable(offer, req.user);
+    }
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
       valid: false,
-      message: `Minimum order amount is ₹${offer.minOrderValue}`,
-      minOrderValue: offer.minOrderValue
+      message: error.message,
+      minOrderValue: offer.minOrderValue,
+      excludedLines: error.excludedLines
     });
   }
   
-  // Check usage limit
-  if (offer.usageLimit !== null && offer.usageCount >= offer.usageLimit) {
-    return res.status(400).json({ message: 'This offer is no longer available' });
-  }
-  
   // Return offer details
   res.json({
     valid: true,
@@ -187,6 +234,10 @@ exports.validateOffer = asyncHandler(async (req, res) => {
       discountValue: offer.discountValue,
       minOrderValue: offer.minOrderValue,
       maxDiscountAmount: offer.maxDiscountAmount
-    }
+    },
+    ...(evaluation && {
+      discount: evaluation.discount,
+      finalAmount: roundCurrency(orderAmount - evaluation.discount)
+    })
   });
-});
\ No newline at end of file
+});
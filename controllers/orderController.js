@@ -1,10 +1,33 @@
 const Order = require('../models/Order');
 const User = require('../models/User');
-const Business = require('../models/Business');
 const asyncHandler = require('express-async-handler');
 const { processOrderPayment } = require('./transactionController');
 const firebaseNotificationService = require('../services/firebaseNotificationService');
 const unifiedNotificationService = require('../services/unifiedNotificationService');
+const { buildQuote, assertChargeable, loadCheckoutSettings } = require('../services/pricingService');
+const { roundCurrency } = require('../utils/currency');
+const { releaseOfferRedemption } = require('../services/offerService');
+const { getActor, addStatusNote, transitionOrder } = require('../services/orderStatusService');
+const {
+  loadAcceptanceSettings,
+  getAcceptDeadline,
+  acceptOrder: applyAcceptance,
+  rejectOrder: applyRejection,
+  announceDecision
+} = require('../services/orderAcceptanceService');
+const { releaseSlot, listAvailableSlots } = require('../services/schedulingService');
+const { createOrder } = require('../services/orderPlacementService');
+const { normalizePhone, saveGuestDetails, ownsOrder } = require('../services/guestService');
+const { buildReorder } = require('../services/reorderService');
+const { modifyOrder } = require('../services/orderModificationService');
+const {
+  requestRefund,
+  refundUnfulfilledOrder,
+  withdrawPendingRefunds,
+  formatRefund
+} = require('../services/refundService');
+const { recordDeliveryEarning, getOrderEarnings } = require('../services/deliveryEarningsService');
+const Refund = require('../models/Refund');
 // Add socket utility import
 const {
   emitOrderStatusUpdate,
@@ -55,6 +78,9 @@ const getOrdersByQuery = async (query, options = {}) => {
       count = await Order.countDocuments(query);
     }
 
+    // Completed deliveries show what the agent earned from the ledger
+    const earnings = formatType === 'deliveryCompleted' ? await getOrderEarnings(orders) : null;
+
     // Format orders based on requested format type
     const formattedOrders = orders.map(order => {
       try {
@@ -63,6 +89,8 @@ const getOrdersByQuery = async (query, options = {}) => {
           id: order.orderNumber,
           _id: order._id,
           status: order.status,
+          orderType: order.orderType || 'delivery',
+          tableNumber: order.tableNumber,
           date: order.getFormattedDate ? order.getFormattedDate() : (order.date || new Date(order.createdAt).toISOString().split('T')[0]),
           time: order.time || new Date(order.createdAt).toLocaleTimeString().slice(0, 5),
           createdAt: order.createdAt,
@@ -106,14 +134,19 @@ const getOrdersByQuery = async (query, options = {}) => {
             statusUpdates: Array.isArray(order.statusUpdates) ? order.statusUpdates.map(update => ({
               status: update.status,
               time: update.time,
-              note: update.note
+              note: update.note,
+              actorRole: update.actorRole
             })) : [],
             estimatedDeliveryTime: order.estimatedDeliveryTime,
             notes: order.notes || '',
             subTotal: order.subTotal || 0,
             tax: order.tax || 0,
             deliveryFee: order.deliveryFee || 0,
-            discounts: order.discounts || {}
+            discounts: order.discounts || {},
+            prepTimeMinutes: order.acceptance?.prepTimeMinutes,
+            rejectionReason: order.rejection?.reason,
+            refundStatus: order.refund?.status || 'None',
+            pickupCode: order.pickupCode
           };
         }
 
@@ -179,6 +212,13 @@ const getOrdersByQuery = async (query, options = {}) => {
             tax: order.tax || 0,
             deliveryFee: order.deliveryFee || 0,
             discounts: order.discounts || 0,
+            acceptBy: order.acceptBy,
+            scheduledFor: order.scheduledFor,
+            releaseAt: order.releaseAt,
+            releasedAt: order.releasedAt,
+            acceptance: order.acceptance,
+            rejection: order.rejection,
+            refund: order.refund,
             totalItemsCount: order.totalItemsCount || (Array.isArray(order.items) ?
               order.items.reduce((sum, item) => sum + (item.quantity || 1), 0) : 0),
             items: Array.isArray(order.items) ? order.items.map(item => ({
@@ -210,14 +250,17 @@ const getOrdersByQuery = async (query, options = {}) => {
             statusUpdates: Array.isArray(order.statusUpdates) ? order.statusUpdates.map(update => ({
               status: update.status,
               time: update.time,
-              note: update.note
+              note: update.note,
+              actorRole: update.actorRole
             })) : []
           };
         }
 
         // Delivery completed format (uses the model's getDeliveryCompletionSummary method)
         else if (formatType === 'deliveryCompleted') {
-          const completionSummary = order.getDeliveryCompletionSummary ? order.getDeliveryCompletionSummary() : {};
+          const completionSummary = order.getDeliveryCompletionSummary
+            ? order.getDeliveryCompletionSummary(earnings.get(order._id.toString()))
+            : {};
           return {
             ...baseFormat,
             ...completionSummary,
@@ -321,14 +364,14 @@ const getOrdersByQuery = async (query, options = {}) => {
 const getMyOrders = asyncHandler(async (req, res) => {
   try {
     // Check if user exists in request
-    if (!req.user || !req.user._id) {
+    if (!req.user || (!req.user._id && !req.user.guestId)) {
       return res.status(401).json({
         message: 'User not authenticated or session expired',
         orders: [] // Return empty array so frontend won't crash
       });
     }
 
-    const query = { customer: req.user._id };
+    const query = req.user.isGuest ? { guestId: req.user.guestId } : { customer: req.user._id };
     const options = {
       formatType: 'customer',
       sort: { createdAt: -1 }
@@ -375,6 +418,108 @@ const getAssignedDeliveryOrders = asyncHandler(async (req, res) => {
   }
 });
 
+const DINE_IN_AT_TABLE_ONLY = 'Dine-in orders are placed by scanning the QR code on your table';
+
+/**
+ * Shape a pricing quote for API responses
+ * @param {Object} quote - Result of pricingService.buildQuote
+ * @returns {Object} Quote as shown to the apps
+ */
+const formatQuote = (quote) => ({
+  orderType: quote.orderType,
+  items: quote.items.map(item => ({
+    menuItemId: item.menuItemId,
+    name: item.name,
+    size: item.size,
+    quantity: item.quantity,
+    basePrice: item.basePrice,
+    customizations: item.customizations,
+    addOns: item.addOns,
+    toppings: item.toppings,
+    addOnsTotal: roundCurrency(item.totalItemPrice - item.basePrice),
+    unitPrice: item.totalItemPrice,
+    totalPrice: roundCurrency(item.totalItemPrice * item.quantity)
+  })),
+  errors: quote.errors,
+  subTotal: quote.subTotal,
+  tax: quote.tax,
+  taxPercentage: quote.taxPercentage,
+  deliveryFee: quote.deliveryFee,
+  discounts: quote.discounts,
+  offerError: quote.offerError,
+  excludedLines: quote.excludedLines.map(line => ({
+    index: line.index,
+    menuItemId: line.menuItemId,
+    name: line.name,
+    reason: line.reason
+  })),
+  amount: quote.amount,
+  minimumOrderValue: quote.minimumOrderValue,
+  minimumOrderShortfall: quote.minimumOrderShortfall,
+  isOpen: quote.businessStatus.isOpen,
+  businessStatus: quote.businessStatus,
+  scheduledFor: quote.schedule ? quote.schedule.scheduledFor : null,
+  scheduleError: quote.scheduleError,
+  fullAddress: quote.fullAddress,
+  deliverable: quote.deliverable,
+  deliveryZone: quote.deliveryZone
+});
+
+// @desc    Price a cart exactly as placeOrder will charge it
+// @route   POST /api/orders/quote
+// @access  Private
+const getOrderQuote = asyncHandler(async (req, res) => {
+  const { items, orderType, address, offerCode, scheduledFor } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400);
+    throw new Error('No order items');
+  }
+
+  let quote;
+  try {
+    quote = await buildQuote({
+      items,
+      orderType,
+      address,
+      offerCode,
+      scheduledFor,
+      user: req.user.isGuest ? undefined : req.user
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+
+  res.json(formatQuote(quote));
+});
+
+// @desc    List the delivery slots that can be booked on a day
+// @route   GET /api/orders/slots?date=YYYY-MM-DD
+// @access  Private
+const getScheduleSlots = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    res.status(400);
+    throw new Error('date must be given as YYYY-MM-DD');
+  }
+
+  let settings;
+  try {
+    settings = await loadCheckoutSettings();
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+
+  const slots = await listAvailableSlots(settings, date);
+
+  res.json({
+    date,
+    enabled: settings.scheduling ? settings.scheduling.enabled : true,
+    slots
+  });
+});
+
 // @desc    Place a new order
 // @route   POST /api/orders
 // @access  Private
@@ -382,14 +527,17 @@ const placeOrder = asyncHandler(async (req, res) => {
   const {
     items,
     amount,
+    orderType = 'delivery',
     address,
     paymentMethod,
     paymentDetails,
     notes,
-    subTotal,
-    tax,
-    deliveryFee,
-    discounts
+    discounts,
+    offerCode,
+    scheduledFor,
+    customerName,
+    customerPhone,
+    customerEmail
   } = req.body;
 
   if (!items || items.length === 0) {
@@ -397,194 +545,73 @@ const placeOrder = asyncHandler(async (req, res) => {
     throw new Error('No order items');
   }
 
-  // Check if business is open before allowing order placement
-  const businessSettings = await Business.findOne().select(
-    'businessInfo taxSettings deliveryCharges minimumOrderValue'
-  );
-
-  if (!businessSettings) {
-    res.status(500);
-    throw new Error('Business settings not found');
+  // Dine-in orders need a table, so they only come in through the table QR flow
+  if (orderType === 'dine-in') {
+    res.status(400);
+    throw new Error(DINE_IN_AT_TABLE_ONLY);
   }
 
-  // Check business status using the model method
-  const businessStatus = businessSettings.getBusinessStatus();
-  if (!businessStatus.isOpen) {
+  if (orderType === 'delivery' && !address) {
     res.status(400);
-    throw new Error(`Sorry, we're currently closed. ${businessStatus.reason || 'Please check our operating hours.'}`);
+    throw new Error('Delivery address is required');
   }
 
-  // Get user details for customer info
-  const user = await User.findById(req.user._id);
-
-  // Calculate tax percentage - use from business settings or calculate from provided values
-  let taxPercentage = 0;
-  if (businessSettings && businessSettings.taxSettings && businessSettings.taxSettings.gstPercentage) {
-    taxPercentage = businessSettings.taxSettings.gstPercentage;
-  } else if (tax && subTotal && subTotal > 0) {
-    taxPercentage = (tax / subTotal) * 100;
+  // Guests give their contact details with every order
+  if (req.user.isGuest && (!customerName || !normalizePhone(customerPhone))) {
+    res.status(400);
+    throw new Error('Name and phone number are required for guest checkout');
   }
 
-  // Process items to ensure they have all required fields and calculate totals
-  const processedItems = items.map(item => {
-    // Extract the base price (before customizations)
-    const basePrice = item.basePrice || item.price;
-    let totalItemPrice = basePrice;
-
-    // Process customizations into a standardized format
-    let processedCustomizations = [];
-    if (item.customizations) {
-      // If customizations is already an array of objects
-      if (Array.isArray(item.customizations)) {
-        processedCustomizations = item.customizations.map(custom => ({
-          name: custom.name || 'Unknown',
-          option: custom.option || '',
-          price: Number(custom.price || 0)
-        }));
-
-        // Add prices from customizations
-        totalItemPrice += processedCustomizations.reduce((sum, custom) =>
-          sum + (custom.price || 0), 0);
-      }
-      // If customizations is an object (legacy format)
-      else if (typeof item.customizations === 'object') {
-        processedCustomizations = Object.entries(item.customizations).map(([name, option]) => {
-          // Handle string options and object options
-          if (typeof option === 'string') {
-            return { name, option, price: 0 };
-          } else {
-            const price = Number(option.price || 0);
-            totalItemPrice += price;
-            return {
-              name,
-              option: option.name || option.option || '',
-              price
-            };
-          }
-        });
-      }
-    }
-
-    // Process add-ons into a standardized format
-    let processedAddOns = [];
-    if (item.addOns) {
-      // If add-ons is already an array
-      if (Array.isArray(item.addOns)) {
-        processedAddOns = item.addOns.map(addon => ({
-          name: addon.name || 'Unknown',
-          option: addon.option || addon.name || '',
-          price: Number(addon.price || 0)
-        }));
-
-        // Add prices from add-ons
-        totalItemPrice += processedAddOns.reduce((sum, addon) =>
-          sum + (addon.price || 0), 0);
-      }
-      // If add-ons is an object (possible legacy format)
-      else if (typeof item.addOns === 'object') {
-        processedAddOns = Object.entries(item.addOns).map(([id, addon]) => {
-          const addonName = typeof addon === 'string' ? addon : addon.name;
-          const addonPrice = typeof addon === 'string' ? 0 : Number(addon.price || 0);
-          totalItemPrice += addonPrice;
-          return {
-            name: addonName,
-            option: addonName,
-            price: addonPrice
-          };
-        });
-      }
-    }
-
-    // Process toppings if they exist
-    let processedToppings = [];
-    if (item.toppings) {
-      if (Array.isArray(item.toppings)) {
-        processedToppings = item.toppings.map(topping => ({
-          name: topping.name || 'Unknown',
-          option: topping.option || topping.name || '',
-          price: Number(topping.price || 0)
-        }));
-
-        // Add prices from toppings
-        totalItemPrice += processedToppings.reduce((sum, topping) =>
-          sum + (topping.price || 0), 0);
-      }
-    }
-
-    // Log the processed customizations for debugging
-    console.log(`[${item.name}] Processed customizations:`, JSON.stringify(processedCustomizations));
-    console.log(`[${item.name}] Processed add-ons:`, JSON.stringify(processedAddOns));
-    console.log(`[${item.name}] Processed toppings:`, JSON.stringify(processedToppings));
-
-    // Return the processed item with correct customization data
-    return {
-      menuItemId: item.id || item.menuItemId,
-      name: item.name,
-      quantity: item.quantity,
-      price: item.price,
-      size: item.size || 'Medium',
-      foodType: item.foodType || 'Not Applicable',
-      image: item.image || '', // Store the image URL in the order
-      basePrice: basePrice,
-      totalItemPrice: totalItemPrice,
-      customizations: processedCustomizations,
-      addOns: processedAddOns,
-      toppings: processedToppings,
-      specialInstructions: item.specialInstructions || ''
-    };
-  });
-
-  // Log the processed items for debugging
-  console.log('Processed order items:', JSON.stringify(processedItems, null, 2));
-
-  const order = new Order({
-    customer: req.user._id,
-    customerName: user.name,
-    items: processedItems,
-    amount,
-    address,
-    fullAddress: `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`,
-    paymentMethod,
-    paymentDetails,
-    customerPhone: user.phone || req.body.customerPhone,
-    notes,
-    deliveryAgentName: 'Unassigned',
-    subTotal: subTotal || processedItems.reduce((sum, item) => sum + (item.totalItemPrice * item.quantity), 0),
-    tax,
-    taxPercentage,
-    deliveryFee,
-    discounts: typeof discounts === 'object' ? discounts : { amount: discounts || 0, description: 'Discount applied' },
-    appliedBusinessSettings: businessSettings ? {
-      taxSettings: businessSettings.taxSettings || { gstPercentage: 0, applyGST: false },
-      deliveryCharges: businessSettings.deliveryCharges || { fixedCharge: 0, freeDeliveryThreshold: 0, applyToAllOrders: false },
-      minimumOrderValue: businessSettings.minimumOrderValue || 0
-    } : null
-  });
-
-  const createdOrder = await order.save();
+  // Get user details for customer info
+  const user = req.user.isGuest ? null : await User.findById(req.user._id);
 
-  // Emit socket event for new order
-  const io = req.app.get('io');
-  if (io) {
-    emitOrderStatusUpdate(io, createdOrder, 'new_order');
+  // Re-price the cart from the menu - client prices are never trusted
+  let quote;
+  try {
+    quote = await buildQuote({
+      items,
+      orderType,
+      address,
+      offerCode: offerCode || (discounts && discounts.code),
+      scheduledFor,
+      user: user || undefined
+    });
+    assertChargeable(quote, amount);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      message: error.message,
+      ...error.details,
+      quote: quote ? formatQuote(quote) : undefined
+    });
   }
 
-  // Send push notification to admin users about the new order
+  const guest = req.user.isGuest
+    ? await saveGuestDetails(req.user.guestId, {
+      name: customerName,
+      phone: customerPhone,
+      email: customerEmail,
+      address: quote.orderType === 'delivery' ? address : undefined
+    })
+    : null;
+
+  let createdOrder;
   try {
-    // Use the unified notification service for new order notifications
-    const notificationResult = await unifiedNotificationService.sendNewOrderNotificationToAdmins({
-      orderId: createdOrder.orderNumber,
-      customerName: user.name,
-      totalAmount: createdOrder.amount,
-    });
-    
-    if (notificationResult.success) {
-      console.log('✅ New order notification sent successfully to admins');
-    } else {
-      console.log('⚠️ Failed to send new order notification:', notificationResult.error);
-    }
+    createdOrder = await createOrder(quote, {
+      customer: user ? user._id : undefined,
+      guest: guest ? guest._id : undefined,
+      guestId: guest ? guest.guestId : undefined,
+      customerName: user ? user.name : customerName,
+      customerPhone: (user && user.phone) || customerPhone,
+      address: quote.orderType === 'delivery' ? address : undefined,
+      paymentMethod,
+      paymentDetails,
+      notes
+    }, { io: req.app.get('io'), cartOwner: req.user });
   } catch (error) {
-    console.error('❌ Error sending new order notification:', error);
+    if (!error.statusCode) {
+      throw error;
+    }
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
   }
 
   res.status(201).json(createdOrder);
@@ -603,8 +630,8 @@ const getMyOrderById = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Make sure the order belongs to the logged in user
-  if (order.customer.toString() !== req.user._id.toString()) {
+  // Make sure the order belongs to the logged in user or guest
+  if (!ownsOrder(order, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -628,7 +655,8 @@ const getMyOrderById = asyncHandler(async (req, res) => {
         // Ensure image is included
         image: item.image || ''
       };
-    })
+    }),
+    refunds: (await Refund.find({ order: order._id }).sort({ createdAt: -1 })).map(formatRefund)
   };
 
   res.json(formattedOrder);
@@ -645,28 +673,30 @@ const cancelMyOrder = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Make sure the order belongs to the logged in user
-  if (order.customer.toString() !== req.user._id.toString()) {
+  // Make sure the order belongs to the logged in user or guest
+  if (!ownsOrder(order, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
 
-  // Check if order can be cancelled (only pending or preparing orders)
-  if (order.status !== 'Pending' && order.status !== 'Preparing') {
-    res.status(400);
-    throw new Error('Order cannot be cancelled at this stage');
+  // The state machine only lets customers cancel before the order leaves the shop
+  try {
+    transitionOrder(order, 'Cancelled', { actor: getActor(req.user), note: 'Cancelled by customer' });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
   }
 
-  // Update status and add to status history
-  order.status = 'Cancelled';
-  order.statusUpdates.push({
-    status: 'Cancelled',
-    time: Date.now(),
-    note: 'Cancelled by customer'
-  });
-
   const updatedOrder = await order.save();
 
+  // Give the offer use and any delivery slot back, and the money if it was paid
+  await releaseOfferRedemption(updatedOrder, 'Cancelled by customer');
+  await releaseSlot(updatedOrder);
+  const refund = await refundUnfulfilledOrder(updatedOrder, {
+    source: 'cancellation',
+    reason: 'Cancelled by customer',
+    user: req.user
+  });
+
   // Emit socket event for order cancellation
   const io = req.app.get('io');
   if (io) {
@@ -678,9 +708,232 @@ const cancelMyOrder = asyncHandler(async (req, res) => {
     order: {
       id: updatedOrder.orderNumber,
       _id: updatedOrder._id,
-      status: updatedOrder.status
+      status: updatedOrder.status,
+      refund: updatedOrder.refund
+    },
+    refund: refund ? formatRefund(refund) : null
+  });
+});
+
+// @desc    Ask for a refund on a delivered order, e.g. for missing or wrong items
+// @route   POST /api/orders/my-orders/:id/refund
+// @access  Private
+const requestMyOrderRefund = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  if (!reason || !reason.toString().trim()) {
+    res.status(400);
+    throw new Error('Please tell us what went wrong with the order');
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  // Make sure the order belongs to the logged in user or guest
+  if (!ownsOrder(order, req.user)) {
+    res.status(401);
+    throw new Error('Not authorized');
+  }
+
+  // Orders that were never fulfilled are refunded automatically when called off
+  if (order.status !== 'Delivered') {
+    return res.status(409).json({
+      message: 'Refunds can only be requested for delivered orders',
+      code: 'ORDER_NOT_DELIVERED',
+      status: order.status
+    });
+  }
+
+  const pending = await Refund.exists({ order: order._id, status: { $in: ['Pending Approval', 'Processing'] } });
+  if (pending) {
+    return res.status(409).json({
+      message: 'A refund for this order is already being looked at',
+      code: 'REFUND_IN_PROGRESS'
+    });
+  }
+
+  let refund;
+  try {
+    refund = await requestRefund(order, {
+      amount,
+      reason: reason.toString().trim(),
+      source: 'dispute',
+      user: req.user,
+      needsApproval: true
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+
+  addStatusNote(order, `Refund of ₹${refund.amount} requested: ${refund.reason}`, getActor(req.user));
+  const updatedOrder = await order.save();
+
+  // Disputes wait for an admin to look at them
+  const io = req.app.get('io');
+  if (io) {
+    io.to('role:admin').emit('refund_requested', {
+      refundId: refund._id,
+      orderId: updatedOrder._id,
+      orderNumber: updatedOrder.orderNumber,
+      amount: refund.amount,
+      reason: refund.reason
+    });
+  }
+
+  res.status(201).json({
+    refund: formatRefund(refund),
+    order: {
+      _id: updatedOrder._id,
+      orderNumber: updatedOrder.orderNumber,
+      refund: updatedOrder.refund
+    }
+  });
+});
+
+// @desc    Rebuild a past order as a cart priced at today's menu
+// @route   POST /api/orders/my-orders/:id/reorder
+// @access  Private
+const reorderOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  // Make sure the order belongs to the logged in user or guest
+  if (!ownsOrder(order, req.user)) {
+    res.status(401);
+    throw new Error('Not authorized');
+  }
+
+  // A past dine-in order can be reordered for delivery or pickup; the table flow takes new rounds
+  const orderType = req.body.orderType || order.orderType;
+  if (orderType === 'dine-in') {
+    res.status(400);
+    throw new Error(`${DINE_IN_AT_TABLE_ONLY}; choose delivery or pickup to reorder`);
+  }
+
+  const reorder = await buildReorder(order);
+
+  // Nothing is placed here - the app shows the changes and posts the items to checkout
+  let quote = null;
+  if (reorder.items.length > 0) {
+    try {
+      quote = await buildQuote({
+        items: reorder.items,
+        orderType,
+        address: req.body.address || (orderType === 'delivery' ? order.address : undefined),
+        offerCode: req.body.offerCode,
+        user: req.user.isGuest ? undefined : req.user
+      });
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ message: error.message });
     }
+  }
+
+  res.json({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    items: reorder.items,
+    diff: {
+      lines: reorder.lines,
+      previousSubTotal: reorder.previousSubTotal,
+      subTotal: reorder.subTotal,
+      difference: reorder.difference,
+      unavailableCount: reorder.unavailableCount,
+      changedCount: reorder.changedCount
+    },
+    quote: quote ? formatQuote(quote) : null
+  });
+});
+
+/**
+ * Apply an order change from the request, save it and tell everyone involved
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} order - Order document to change
+ * @returns {Promise<Object>} Express response
+ */
+const applyOrderChanges = async (req, res, order) => {
+  const { add, remove, update, address, notes, amount } = req.body;
+  const actor = getActor(req.user);
+
+  let modification;
+  try {
+    modification = await modifyOrder(order, { add, remove, update, address, notes }, { actor, amount });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+
+  const updatedOrder = await order.save();
+
+  // Without its offer the order no longer holds a use of it
+  if (modification.lostOffer) {
+    await releaseOfferRedemption(updatedOrder, 'Offer no longer applies after the order was changed');
+  }
+
+  // A cheaper prepaid order gets the difference back; an earlier refund still waiting is replaced
+  await withdrawPendingRefunds(updatedOrder, 'modification', 'Replaced by a later change to the order');
+  if (modification.refundDue > 0) {
+    try {
+      await requestRefund(updatedOrder, {
+        amount: modification.refundDue,
+        reason: 'Order changed after payment',
+        source: 'modification',
+        user: req.user
+      });
+      await updatedOrder.save();
+    } catch (error) {
+      console.error(`Failed to refund the difference on order ${updatedOrder.orderNumber}:`, error);
+    }
+  }
+
+  const io = req.app.get('io');
+  if (io) {
+    emitOrderStatusUpdate(io, updatedOrder, 'order_modified', {
+      balanceDue: modification.balanceDue,
+      refundDue: modification.refundDue
+    });
+  }
+
+  if (actor.role === 'admin') {
+    await unifiedNotificationService.sendOrderUpdateNotification(updatedOrder.customer, {
+      orderId: updatedOrder.orderNumber,
+      status: updatedOrder.status,
+      message: `Your order #${updatedOrder.orderNumber} was updated by the shop. New total ₹${updatedOrder.amount}`
+    });
+  }
+
+  return res.json({
+    success: true,
+    order: updatedOrder,
+    modification
   });
+};
+
+// @desc    Change the items, address or notes of an order that is still pending
+// @route   PUT /api/orders/my-orders/:id/modify
+// @access  Private (registered users or guests)
+const modifyMyOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  // Make sure the order belongs to the logged in user or guest
+  if (!ownsOrder(order, req.user)) {
+    res.status(401);
+    throw new Error('Not authorized');
+  }
+
+  return applyOrderChanges(req, res, order);
 });
 
 // @desc    Rate an order
@@ -702,7 +955,7 @@ const rateOrder = asyncHandler(async (req, res) => {
   }
 
   // Make sure the order belongs to the logged in user
-  if (order.customer.toString() !== req.user._id.toString()) {
+  if (!order.customer || order.customer.toString() !== req.user._id.toString()) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -718,11 +971,7 @@ const rateOrder = asyncHandler(async (req, res) => {
   order.reviewComment = comment || '';
 
   // Add note to status updates
-  order.statusUpdates.push({
-    status: order.status,
-    time: Date.now(),
-    note: `Order rated ${rating}/5 stars by customer`
-  });
+  addStatusNote(order, `Order rated ${rating}/5 stars by customer`, getActor(req.user));
 
   const updatedOrder = await order.save();
 
@@ -814,24 +1063,13 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
       throw new Error('Order not found');
     }
 
-    // Check permissions based on role
+    // Check ownership - which statuses each role may set is up to the state machine
     if (userRole === 'customer') {
-      // Customers can only cancel their own orders
-      if (status !== 'Cancelled') {
-        res.status(403);
-        throw new Error('Customers can only cancel orders');
-      }
-
-      if (order.customer.toString() !== userId.toString()) {
+      // Customers can only update their own orders
+      if (!order.customer || order.customer.toString() !== userId.toString()) {
         res.status(403);
         throw new Error('Not authorized to update this order');
       }
-
-      // Check if order is in a cancellable state
-      if (order.status !== 'Pending' && order.status !== 'Preparing') {
-        res.status(400);
-        throw new Error('Order cannot be cancelled at this stage');
-      }
     }
     else if (userRole === 'delivery') {
       // Delivery agents can only update orders assigned to them
@@ -840,36 +1078,43 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
         throw new Error('Not authorized - this order is not assigned to you');
       }
 
-      // Delivery agents can only update to specific statuses
-      const allowedStatuses = ['Out for delivery', 'Delivered'];
-      if (!allowedStatuses.includes(status)) {
-        res.status(400);
-        throw new Error('Delivery agents can only update to Out for delivery or Delivered status');
-      }
-
       // If setting to Delivered, check if payment is completed for COD orders
       if (status === 'Delivered' && order.paymentMethod === 'Cash on Delivery' && order.paymentStatus !== 'Completed') {
         res.status(400);
         throw new Error('Payment must be completed before marking the order as delivered');
       }
     }
-    // Admin and restaurant roles can update to any status
+
+    // Pickup orders are only handed over against the customer's pickup code
+    if (order.orderType === 'pickup' && status === 'Delivered' && req.body.pickupCode !== order.pickupCode) {
+      res.status(400);
+      throw new Error('Pickup code does not match');
+    }
 
     // Store previous status for socket event
     const previousStatus = order.status;
 
-    // Update the order status
-    order.status = status;
-
-    // Add status update to history with appropriate note
-    const statusNote = note || `Status updated to ${status} by ${userRole}`;
-    order.statusUpdates.push({
-      status,
-      time: Date.now(),
-      note: statusNote
-    });
+    // Update the order status and add it to the history
+    if (status === 'Accepted') {
+      applyAcceptance(order, {
+        user: req.user,
+        prepTimeMinutes: req.body.prepTimeMinutes,
+        note,
+        acceptanceSettings: await loadAcceptanceSettings()
+      });
+    } else if (status === 'Rejected') {
+      applyRejection(order, { user: req.user, reason: req.body.reason || note });
+    } else {
+      transitionOrder(order, status, { actor: getActor(req.user), note });
+    }
 
     // Special handling for specific statuses
+    if (previousStatus === 'Scheduled' && status === 'Pending') {
+      // Released early by an admin - the acceptance clock starts now
+      order.releasedAt = new Date();
+      order.acceptBy = getAcceptDeadline(await loadAcceptanceSettings());
+    }
+
     if (status === 'Out for delivery' && !order.estimatedDeliveryTime) {
       // Set estimated delivery time to 30 minutes from now when going out for delivery
       const estimatedTime = new Date();
@@ -880,6 +1125,20 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     // Save the updated order
     const updatedOrder = await order.save();
 
+    if (status === 'Delivered') {
+      await recordDeliveryEarning(updatedOrder);
+    }
+
+    if (status === 'Cancelled' || status === 'Rejected') {
+      await releaseOfferRedemption(updatedOrder, `${status} by ${userRole}`);
+      await releaseSlot(updatedOrder);
+      await refundUnfulfilledOrder(updatedOrder, {
+        source: status === 'Cancelled' ? 'cancellation' : 'rejection',
+        reason: `Order ${status.toLowerCase()}${note ? `: ${note}` : ''}`,
+        user: req.user
+      });
+    }
+
     // Get Socket.IO instance and emit status update
     const io = req.app.get('io');
     if (io) {
@@ -899,7 +1158,10 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
         updatedOrder.customer,
         {
           orderId: updatedOrder.orderNumber,
-          status: updatedOrder.status
+          status: updatedOrder.status,
+          message: updatedOrder.status === 'Ready for pickup'
+            ? `Your order #${updatedOrder.orderNumber} is ready - show code ${updatedOrder.pickupCode} at the counter`
+            : undefined
         }
       );
       console.log(`📱 Push notification sent for order ${updatedOrder.orderNumber} status update`);
@@ -926,11 +1188,14 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     console.error('Error updating order status:', error);
 
     // Return a specific error code and message
-    if (error.message.includes('Not authorized') || error.message.includes('can only')) {
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ message: error.message, ...error.details });
+    } else if (error.message.includes('Not authorized') || error.message.includes('can only')) {
       res.status(403).json({ message: error.message });
     } else if (error.message.includes('Order not found')) {
       res.status(404).json({ message: 'Order not found' });
-    } else if (error.message.includes('cannot be cancelled') || error.message.includes('must be completed')) {
+    } else if (error.message.includes('cannot be cancelled') || error.message.includes('must be completed') ||
+               error.message.includes('Pickup code')) {
       res.status(400).json({ message: error.message });
     } else {
       res.status(500).json({ message: 'Failed to update order status' });
@@ -938,6 +1203,100 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Accept a pending order with a prep time estimate
+// @route   PUT /api/orders/:id/accept
+// @access  Private/Admin
+const acceptOrder = asyncHandler(async (req, res) => {
+  const { prepTimeMinutes, note } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  try {
+    applyAcceptance(order, {
+      user: req.user,
+      prepTimeMinutes,
+      note,
+      acceptanceSettings: await loadAcceptanceSettings()
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+
+  const updatedOrder = await order.save();
+  await announceDecision(req.app.get('io'), updatedOrder, 'accepted');
+
+  res.json({
+    success: true,
+    order: {
+      id: updatedOrder.orderNumber,
+      _id: updatedOrder._id,
+      status: updatedOrder.status,
+      prepTimeMinutes: updatedOrder.acceptance.prepTimeMinutes,
+      estimatedDeliveryTime: updatedOrder.estimatedDeliveryTime
+    }
+  });
+});
+
+// @desc    Reject a pending order with a reason for the customer
+// @route   PUT /api/orders/:id/reject
+// @access  Private/Admin
+const rejectOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  try {
+    applyRejection(order, { user: req.user, reason });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+
+  const updatedOrder = await order.save();
+  await releaseOfferRedemption(updatedOrder, 'Order rejected');
+  await releaseSlot(updatedOrder);
+  await refundUnfulfilledOrder(updatedOrder, {
+    source: 'rejection',
+    reason: `Order rejected: ${updatedOrder.rejection.reason}`,
+    user: req.user
+  });
+  await announceDecision(req.app.get('io'), updatedOrder, 'rejected');
+
+  res.json({
+    success: true,
+    order: {
+      id: updatedOrder.orderNumber,
+      _id: updatedOrder._id,
+      status: updatedOrder.status,
+      rejectionReason: updatedOrder.rejection.reason,
+      refund: updatedOrder.refund
+    }
+  });
+});
+
+// @desc    Change the items, address or notes of an order before it leaves the shop
+// @route   PUT /api/orders/:id/modify
+// @access  Private/Admin
+const modifyOrderByAdmin = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  return applyOrderChanges(req, res, order);
+});
+
 // @desc    Assign delivery agent to order
 // @route   PUT /api/orders/:id/delivery-agent
 // @access  Private/Admin
@@ -951,6 +1310,11 @@ const assignDeliveryAgent = asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
+  if (order.orderType && order.orderType !== 'delivery') {
+    res.status(400);
+    throw new Error(`${order.orderType === 'pickup' ? 'Pickup' : 'Dine-in'} orders do not need a delivery agent`);
+  }
+
   // Store previous assignment for socket event
   const previousAssignment = {
     deliveryAgentId: order.deliveryAgent,
@@ -963,11 +1327,7 @@ const assignDeliveryAgent = asyncHandler(async (req, res) => {
     order.deliveryAgentName = 'Unassigned';
 
     // Add note to status updates
-    order.statusUpdates.push({
-      status: order.status,
-      time: Date.now(),
-      note: 'Delivery agent unassigned'
-    });
+    addStatusNote(order, 'Delivery agent unassigned', getActor(req.user));
   } else {
     // Verify the delivery agent exists
     const agent = await User.findById(deliveryAgentId);
@@ -994,11 +1354,7 @@ const assignDeliveryAgent = asyncHandler(async (req, res) => {
     order.deliveryAgentName = deliveryAgentName || agent.name;
 
     // Add note to status updates
-    order.statusUpdates.push({
-      status: order.status,
-      time: Date.now(),
-      note: `Assigned to ${order.deliveryAgentName}`
-    });
+    addStatusNote(order, `Assigned to ${order.deliveryAgentName}`, getActor(req.user));
   }
 
   const updatedOrder = await order.save();
@@ -1083,13 +1439,17 @@ const updateOrderPayment = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const filterOrders = asyncHandler(async (req, res) => {
   try {
-    const { status, date, deliveryAgent } = req.query;
+    const { status, date, deliveryAgent, orderType } = req.query;
     const filterOptions = {};
 
     if (status) {
       filterOptions.status = status;
     }
 
+    if (orderType) {
+      filterOptions.orderType = orderType;
+    }
+
     if (date) {
       // Convert date string to Date object range for the whole day
       const startDate = new Date(date);
@@ -1230,161 +1590,6 @@ const getCompletedDeliveryOrders = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Get delivery agent statistics
-// @route   GET /api/orders/delivery/stats
-// @access  Private/Delivery
-const getDeliveryStats = asyncHandler(async (req, res) => {
-  try {
-    // Get query parameters for date range
-    const { period } = req.query; // 'today', 'week', 'month'
-
-    let dateFilter = {};
-    const now = new Date();
-
-    if (period === 'today') {
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      dateFilter = { createdAt: { $gte: today } };
-    } else if (period === 'week') {
-      const lastWeek = new Date(now);
-      lastWeek.setDate(now.getDate() - 7);
-      dateFilter = { createdAt: { $gte: lastWeek } };
-    } else if (period === 'month') {
-      const lastMonth = new Date(now);
-      lastMonth.setMonth(now.getMonth() - 1);
-      dateFilter = { createdAt: { $gte: lastMonth } };
-    }
-
-    // Total completed deliveries
-    const totalDeliveries = await Order.countDocuments({
-      deliveryAgent: req.user._id,
-      status: 'Delivered',
-      ...dateFilter
-    });
-
-    // Total earnings (commission)
-    const earningsData = await Order.find({
-      deliveryAgent: req.user._id,
-      status: 'Delivered',
-      ...dateFilter
-    });
-
-    let totalEarnings = 0;
-    earningsData.forEach(order => {
-      totalEarnings += (order.amount * 0.2); // 20% commission
-    });
-
-    // Average delivery time
-    const deliveriesWithTime = earningsData.filter(order => order.deliveryDuration);
-    let avgDeliveryTime = 0;
-
-    if (deliveriesWithTime.length > 0) {
-      const totalMinutes = deliveriesWithTime.reduce((acc, order) => {
-        const minutes = parseInt(order.deliveryDuration);
-        return isNaN(minutes) ? acc : acc + minutes;
-      }, 0);
-      avgDeliveryTime = Math.round(totalMinutes / deliveriesWithTime.length);
-    }
-
-    // Customer satisfaction (average rating)
-    const ratingsData = earningsData.filter(order => order.rating);
-    let avgRating = 0;
-
-    if (ratingsData.length > 0) {
-      const totalRating = ratingsData.reduce((acc, order) => acc + order.rating, 0);
-      avgRating = (totalRating / ratingsData.length).toFixed(1);
-    }
-
-    // Current active deliveries
-    const activeDeliveries = await Order.countDocuments({
-      deliveryAgent: req.user._id,
-      status: { $in: ['Pending', 'Preparing', 'Out for delivery'] }
-    });
-
-    res.json({
-      totalDeliveries,
-      totalEarnings: totalEarnings.toFixed(2),
-      avgDeliveryTime: `${avgDeliveryTime} min`,
-      avgRating,
-      activeDeliveries
-    });
-  } catch (error) {
-    console.error('Error fetching delivery stats:', error);
-    res.status(500).json({ message: 'Failed to fetch delivery statistics' });
-  }
-});
-
-// @desc    Get delivery dashboard summary
-// @route   GET /api/orders/delivery/dashboard
-// @access  Private/Delivery
-const getDeliveryDashboard = asyncHandler(async (req, res) => {
-  try {
-    // Active orders
-    const activeOrders = await Order.find({
-      deliveryAgent: req.user._id,
-      status: { $in: ['Pending', 'Preparing', 'Out for delivery'] }
-    }).sort({ createdAt: -1 });
-
-    // Today's stats
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const todayDeliveries = await Order.countDocuments({
-      deliveryAgent: req.user._id,
-      status: 'Delivered',
-      createdAt: { $gte: today }
-    });
-
-    // Today's earnings
-    const todayOrders = await Order.find({
-      deliveryAgent: req.user._id,
-      status: 'Delivered',
-      createdAt: { $gte: today }
-    });
-
-    let todayEarnings = 0;
-    todayOrders.forEach(order => {
-      todayEarnings += (order.amount * 0.2); // 20% commission
-    });
-
-    // Recent completed deliveries (last 5)
-    const recentDeliveries = await Order.find({
-      deliveryAgent: req.user._id,
-      status: 'Delivered'
-    }).sort({ createdAt: -1 }).limit(5);
-
-    const formattedActive = activeOrders.map(order => ({
-      id: order.orderNumber || order._id,
-      _id: order._id,
-      customer: order.customerName,
-      address: order.fullAddress || `${order.address?.street || ''}, ${order.address?.city || ''}`,
-      amount: order.amount,
-      status: order.status,
-      time: order.createdAt.toTimeString().split(' ')[0].slice(0, 5)
-    }));
-
-    const formattedRecent = recentDeliveries.map(order => ({
-      id: order.orderNumber || order._id,
-      _id: order._id,
-      customer: order.customerName,
-      date: order.createdAt.toISOString().split('T')[0],
-      amount: order.amount,
-      commission: (order.amount * 0.2).toFixed(2),
-      rating: order.rating || 5
-    }));
-
-    res.json({
-      activeCount: activeOrders.length,
-      todayDeliveries,
-      todayEarnings: todayEarnings.toFixed(2),
-      activeOrders: formattedActive,
-      recentDeliveries: formattedRecent
-    });
-  } catch (error) {
-    console.error('Error fetching delivery dashboard:', error);
-    res.status(500).json({ message: 'Failed to fetch delivery dashboard' });
-  }
-});
-
 // @desc    Get order details for delivery agent
 // @route   GET /api/orders/delivery/details/:id
 // @access  Private/Delivery
@@ -1479,7 +1684,7 @@ const getAssignedOrders = asyncHandler(async (req, res) => {
 
     const query = {
       deliveryAgent: agentId,
-      status: { $in: ['Preparing', 'Out for delivery'] }
+      status: { $in: ['Accepted', 'Preparing', 'Ready', 'Out for delivery'] }
     };
 
     const options = {
@@ -1509,9 +1714,14 @@ module.exports = {
 
   // Customer-facing order functions
   placeOrder,
+  getOrderQuote,
+  getScheduleSlots,
   getMyOrders,
   getMyOrderById,
+  requestMyOrderRefund,
   cancelMyOrder,
+  reorderOrder,
+  modifyMyOrder,
   rateOrder,
 
   // Admin order management
@@ -1522,6 +1732,9 @@ module.exports = {
 
   // Unified status and payment functions
   updateOrderStatus,
+  acceptOrder,
+  rejectOrder,
+  modifyOrderByAdmin,
   updateOrderPayment,
   assignDeliveryAgent,
 
@@ -1532,7 +1745,5 @@ module.exports = {
   getAssignedDeliveryOrders,
   getCompletedDeliveryOrders,
   getDeliveryOrderDetails,
-  getDeliveryStats,
-  getDeliveryDashboard,
   getOrdersPendingPayment
 };
\ No newline at end of file
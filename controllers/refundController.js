@@ -0,0 +1,175 @@
+const Refund = require('../models/Refund');
+const Order = require('../models/Order');
+const asyncHandler = require('express-async-handler');
+const {
+  requestRefund,
+  approveRefund,
+  declineRefund,
+  refreshRefund
+} = require('../services/refundService');
+const { emitOrderStatusUpdate } = require('../utils/socket');
+
+/**
+ * Send a service error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with statusCode and details
+ */
+const sendError = (res, error) => res.status(error.statusCode || 500).json({
+  message: error.message,
+  ...error.details
+});
+
+/**
+ * Load a refund and its order, answering 404 when either is gone
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} `{ refund, order }`, or null after answering 404
+ */
+const loadRefund = async (req, res) => {
+  const refund = await Refund.findById(req.params.id);
+  const order = refund && await Order.findById(refund.order);
+
+  if (!refund || !order) {
+    res.status(404).json({ message: 'Refund not found' });
+    return null;
+  }
+
+  return { refund, order };
+};
+
+// @desc    List refunds, newest first
+// @route   GET /api/refunds?status=&page=
+// @access  Private/Admin
+const getRefunds = asyncHandler(async (req, res) => {
+  const pageSize = 20;
+  const page = Number(req.query.page) || 1;
+  const query = req.query.status ? { status: req.query.status } : {};
+
+  const count = await Refund.countDocuments(query);
+  const refunds = await Refund.find(query)
+    .sort({ createdAt: -1 })
+    .skip(pageSize * (page - 1))
+    .limit(pageSize);
+
+  res.json({
+    refunds,
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count
+  });
+});
+
+// @desc    Get a refund, checking the gateway for refunds still in progress
+// @route   GET /api/refunds/:id
+// @access  Private/Admin
+const getRefundById = asyncHandler(async (req, res) => {
+  const loaded = await loadRefund(req, res);
+  if (!loaded) return;
+
+  let { refund } = loaded;
+  try {
+    refund = await refreshRefund(refund, loaded.order);
+  } catch (error) {
+    console.error('Failed to refresh refund status:', error);
+  }
+
+  res.json(await refund.populate('transaction'));
+});
+
+// @desc    Refund all or part of a paid order
+// @route   POST /api/refunds
+// @access  Private/Admin
+const createRefund = asyncHandler(async (req, res) => {
+  const { orderId, amount, reason } = req.body;
+
+  if (!reason || !reason.toString().trim()) {
+    res.status(400);
+    throw new Error('A refund reason is required');
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  let refund;
+  try {
+    refund = await requestRefund(order, {
+      amount,
+      reason: reason.toString().trim(),
+      source: 'admin',
+      user: req.user
+    });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const updatedOrder = await order.save();
+
+  const io = req.app.get('io');
+  if (io) {
+    emitOrderStatusUpdate(io, updatedOrder, 'refund', { refund: updatedOrder.refund });
+  }
+
+  res.status(201).json(refund);
+});
+
+// @desc    Approve a disputed or manual refund and send it out
+// @route   PUT /api/refunds/:id/approve
+// @access  Private/Admin
+const approveRefundRequest = asyncHandler(async (req, res) => {
+  const loaded = await loadRefund(req, res);
+  if (!loaded) return;
+
+  let refund;
+  try {
+    refund = await approveRefund(loaded.refund, loaded.order, req.user, {
+      amount: req.body.amount,
+      note: req.body.note
+    });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const updatedOrder = await loaded.order.save();
+
+  const io = req.app.get('io');
+  if (io) {
+    emitOrderStatusUpdate(io, updatedOrder, 'refund', { refund: updatedOrder.refund });
+  }
+
+  res.json(refund);
+});
+
+// @desc    Decline a disputed refund
+// @route   PUT /api/refunds/:id/decline
+// @access  Private/Admin
+const declineRefundRequest = asyncHandler(async (req, res) => {
+  const loaded = await loadRefund(req, res);
+  if (!loaded) return;
+
+  let refund;
+  try {
+    refund = await declineRefund(loaded.refund, loaded.order, req.user, req.body.note);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const updatedOrder = await loaded.order.save();
+
+  const io = req.app.get('io');
+  if (io) {
+    emitOrderStatusUpdate(io, updatedOrder, 'refund', { refund: updatedOrder.refund });
+  }
+
+  res.json(refund);
+});
+
+module.exports = {
+  getRefunds,
+  getRefundById,
+  createRefund,
+  approveRefundRequest,
+  declineRefundRequest
+};
@@ -0,0 +1,319 @@
+const Table = require('../models/Table');
+const TableTab = require('../models/TableTab');
+const asyncHandler = require('express-async-handler');
+const { buildQuote, assertChargeable, loadCheckoutSettings } = require('../services/pricingService');
+const { createOrder } = require('../services/orderPlacementService');
+const { saveGuestDetails } = require('../services/guestService');
+const {
+  signTableToken,
+  verifyTableToken,
+  openTab,
+  buildBill,
+  settleTab
+} = require('../services/tableService');
+
+/**
+ * Shape a table for the admin app
+ * @param {Object} table - Table document
+ * @param {Object} [tab] - The table's open tab
+ * @returns {Object} Table with its QR token and open tab summary
+ */
+const formatTable = (table, tab) => ({
+  _id: table._id,
+  number: table.number,
+  name: table.name,
+  seats: table.seats,
+  area: table.area,
+  isActive: table.isActive,
+  qrToken: signTableToken(table),
+  openTab: tab ? {
+    _id: tab._id,
+    openedAt: tab.openedAt,
+    rounds: tab.orders.length
+  } : null
+});
+
+/**
+ * Send a service error as JSON
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with statusCode and details
+ */
+const sendError = (res, error) => res.status(error.statusCode || 500).json({
+  message: error.message,
+  ...error.details
+});
+
+// @desc    List tables with their open tabs
+// @route   GET /api/tables
+// @access  Private/Admin
+const getTables = asyncHandler(async (req, res) => {
+  const tables = await Table.find().sort({ number: 1 });
+  const tabs = await TableTab.find({ status: 'open' });
+  const tabByTable = new Map(tabs.map(tab => [tab.table.toString(), tab]));
+
+  res.json(tables.map(table => formatTable(table, tabByTable.get(table._id.toString()))));
+});
+
+// @desc    Create a table
+// @route   POST /api/tables
+// @access  Private/Admin
+const createTable = asyncHandler(async (req, res) => {
+  const { number, name, seats, area, isActive } = req.body;
+
+  if (!number) {
+    res.status(400);
+    throw new Error('Table number is required');
+  }
+
+  if (await Table.exists({ number: number.toString().trim() })) {
+    res.status(400);
+    throw new Error(`Table ${number} already exists`);
+  }
+
+  const table = await Table.create({ number, name, seats, area, isActive });
+  res.status(201).json(formatTable(table));
+});
+
+// @desc    Update a table
+// @route   PUT /api/tables/:id
+// @access  Private/Admin
+const updateTable = asyncHandler(async (req, res) => {
+  const table = await Table.findById(req.params.id);
+
+  if (!table) {
+    res.status(404);
+    throw new Error('Table not found');
+  }
+
+  ['number', 'name', 'seats', 'area', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      table[field] = req.body[field];
+    }
+  });
+
+  const updatedTable = await table.save();
+  const tab = await TableTab.findOne({ table: table._id, status: 'open' });
+  res.json(formatTable(updatedTable, tab));
+});
+
+// @desc    Delete a table
+// @route   DELETE /api/tables/:id
+// @access  Private/Admin
+const deleteTable = asyncHandler(async (req, res) => {
+  const table = await Table.findById(req.params.id);
+
+  if (!table) {
+    res.status(404);
+    throw new Error('Table not found');
+  }
+
+  if (await TableTab.exists({ table: table._id, status: 'open' })) {
+    res.status(409);
+    throw new Error(`Table ${table.number} has an open tab - settle it first`);
+  }
+
+  await table.deleteOne();
+  res.json({ message: 'Table removed' });
+});
+
+// @desc    Issue a new QR code for a table, invalidating the old one
+// @route   POST /api/tables/:id/qr
+// @access  Private/Admin
+const rotateTableQr = asyncHandler(async (req, res) => {
+  const table = await Table.findByIdAndUpdate(
+    req.params.id,
+    { $inc: { qrVersion: 1 } },
+    { new: true }
+  );
+
+  if (!table) {
+    res.status(404);
+    throw new Error('Table not found');
+  }
+
+  res.json({ _id: table._id, number: table.number, qrToken: signTableToken(table) });
+});
+
+// @desc    Get the bill for a table's open tab
+// @route   GET /api/tables/:id/tab
+// @access  Private/Admin
+const getTableTab = asyncHandler(async (req, res) => {
+  const tab = await TableTab.findOne({ table: req.params.id, status: 'open' });
+
+  if (!tab) {
+    res.status(404);
+    throw new Error('This table has no open tab');
+  }
+
+  res.json(await buildBill(tab));
+});
+
+// @desc    Settle a table's open tab with one payment
+// @route   POST /api/tables/:id/tab/settle
+// @access  Private/Admin
+const settleTableTab = asyncHandler(async (req, res) => {
+  const { paymentMethod, reference } = req.body;
+
+  const tab = await TableTab.findOne({ table: req.params.id, status: 'open' });
+
+  if (!tab) {
+    res.status(404);
+    throw new Error('This table has no open tab');
+  }
+
+  let bill;
+  try {
+    bill = await settleTab(tab, { user: req.user, paymentMethod, reference });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to('role:admin').emit('table_tab_settled', {
+      tabId: bill._id,
+      tableNumber: bill.tableNumber,
+      amount: bill.amount,
+      paymentMethod: bill.paymentMethod
+    });
+  }
+
+  res.json(bill);
+});
+
+// @desc    Look up the table behind a scanned QR code
+// @route   GET /api/tables/scan/:token
+// @access  Public
+const scanTable = asyncHandler(async (req, res) => {
+  let table;
+  try {
+    table = await verifyTableToken(req.params.token);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const tab = await TableTab.findOne({ table: table._id, status: 'open' });
+
+  res.json({
+    _id: table._id,
+    number: table.number,
+    name: table.name,
+    hasOpenTab: !!tab,
+    rounds: tab ? tab.orders.length : 0
+  });
+});
+
+// @desc    Order a round at a table, added to the table's open tab
+// @route   POST /api/tables/scan/:token/orders
+// @access  Private (registered users or guests)
+const placeTableOrder = asyncHandler(async (req, res) => {
+  const { items, amount, notes, offerCode, customerName } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400);
+    throw new Error('No order items');
+  }
+
+  let table;
+  try {
+    table = await verifyTableToken(req.params.token);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  // A guest token issued for one table cannot order at another
+  if (req.user.isGuest && req.user.table && req.user.table.id !== table._id.toString()) {
+    res.status(403);
+    throw new Error('Please scan the QR code on your table');
+  }
+
+  let quote;
+  try {
+    quote = await buildQuote({
+      items,
+      orderType: 'dine-in',
+      offerCode,
+      user: req.user.isGuest ? undefined : req.user,
+      settings: await loadCheckoutSettings()
+    });
+    assertChargeable(quote, amount);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  const tab = await openTab(table);
+  const guest = req.user.isGuest
+    ? await saveGuestDetails(req.user.guestId, { name: customerName })
+    : null;
+
+  const orderName = (guest ? guest.name : req.user.name) || `Table ${table.number}`;
+
+  let createdOrder;
+  try {
+    createdOrder = await createOrder(quote, {
+      customer: guest ? undefined : req.user._id,
+      guest: guest ? guest._id : undefined,
+      guestId: guest ? guest.guestId : undefined,
+      customerName: orderName,
+      customerPhone: req.user.isGuest ? undefined : req.user.phone,
+      table: table._id,
+      tableNumber: table.number,
+      tab: tab._id,
+      paymentMethod: 'Pay at table',
+      notes
+    }, {
+      io: req.app.get('io'),
+      cartOwner: req.user,
+      notificationName: `${orderName} (Table ${table.number})`
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    return sendError(res, error);
+  }
+
+  await TableTab.updateOne({ _id: tab._id }, { $addToSet: { orders: createdOrder._id } });
+
+  res.status(201).json({
+    order: createdOrder,
+    tab: await buildBill(await TableTab.findById(tab._id))
+  });
+});
+
+// @desc    Get the running bill for the scanned table
+// @route   GET /api/tables/scan/:token/tab
+// @access  Private (registered users or guests)
+const getScannedTableTab = asyncHandler(async (req, res) => {
+  let table;
+  try {
+    table = await verifyTableToken(req.params.token);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const tab = await TableTab.findOne({ table: table._id, status: 'open' });
+
+  if (!tab) {
+    res.status(404);
+    throw new Error('This table has no open tab');
+  }
+
+  res.json(await buildBill(tab));
+});
+
+module.exports = {
+  getTables,
+  createTable,
+  updateTable,
+  deleteTable,
+  rotateTableQr,
+  getTableTab,
+  settleTableTab,
+  scanTable,
+  placeTableOrder,
+  getScannedTableTab
+};
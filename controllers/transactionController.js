@@ -1,34 +1,53 @@
 const Transaction = require('../models/Transaction');
 const Order = require('../models/Order');
 const asyncHandler = require('express-async-handler');
-const Razorpay = require('razorpay');
+const { getActor, addStatusNote, transitionOrder } = require('../services/orderStatusService');
+const { createPaymentOrder, verifyPaymentSignature, verifyOrderPayment } = require('../services/paymentService');
+const { toPaise, getPaymentGateway } = require('../services/paymentGateway');
+const { ownsOrder } = require('../services/guestService');
+const { CASH_METHODS, alertIfOverCashLimit } = require('../services/cashLedgerService');
+const { recordDeliveryEarning } = require('../services/deliveryEarningsService');
+const { verifyWebhookSignature, handleWebhookEvent } = require('../services/razorpayWebhookService');
+const { emitPaymentUpdate } = require('../utils/socket');
+const httpError = require('../utils/httpError');
 
 /**
- * Central function for processing order payments and optionally creating transactions
- * @param {string} orderId - Order ID
- * @param {Object} paymentData - Payment data to update
- * @param {Object} user - User performing the action
- * @param {boolean} createTransactionRecord - Whether to create a transaction record
- * @returns {Promise<Object>} Updated order info and transaction if created
+ * Find an order by its ID or order number
+ * @param {string} orderId - Order ID or orderNumber
+ * @returns {Promise<Object|null>} Order document
  */
-const processOrderPayment = async (orderId, paymentData, user, createTransactionRecord = false) => {
-  console.log('processOrderPayment called with:', { orderId, paymentMethod: paymentData.paymentMethod, createTransactionRecord });
-  
-  // Find the order - check if orderId is a valid ObjectId format first
+const findOrder = async (orderId) => {
+  // Check if orderId is a valid ObjectId format first
   let order = null;
   const isValidObjectId = /^[0-9a-fA-F]{24}$/.test(orderId);
-  
+
   if (isValidObjectId) {
     console.log('Searching order by ObjectId:', orderId);
     order = await Order.findById(orderId).catch(() => null);
   }
-  
+
   if (!order) {
     console.log('Order not found by ID, trying orderNumber:', orderId);
     // Try to find by orderNumber
     order = await Order.findOne({ orderNumber: orderId });
   }
 
+  return order;
+};
+
+/**
+ * Central function for processing order payments and optionally creating transactions
+ * @param {string} orderId - Order ID
+ * @param {Object} paymentData - Payment data to update
+ * @param {Object} user - User performing the action
+ * @param {boolean} createTransactionRecord - Whether to create a transaction record
+ * @returns {Promise<Object>} Updated order info and transaction if created
+ */
+const processOrderPayment = async (orderId, paymentData, user, createTransactionRecord = false) => {
+  console.log('processOrderPayment called with:', { orderId, paymentMethod: paymentData.paymentMethod, createTransactionRecord });
+  
+  const order = await findOrder(orderId);
+
   if (!order) {
     console.error('Order not found with ID or orderNumber:', orderId);
     const error = new Error('Order not found');
@@ -52,6 +71,12 @@ const processOrderPayment = async (orderId, paymentData, user, createTransaction
       isAuthorized = true;
       updatedBy = 'delivery agent';
     }
+  } else if (user.isGuest) {
+    // Guests can only update orders they placed with their guest token
+    if (order.guestId && order.guestId === user.guestId) {
+      isAuthorized = true;
+      updatedBy = 'guest';
+    }
   } else if (user.role === 'customer') {
     // Customers can only update their own orders
     if (order.customer && order.customer.toString() === user._id.toString()) {
@@ -66,8 +91,19 @@ const processOrderPayment = async (orderId, paymentData, user, createTransaction
     throw error;
   }
 
+  // Customers and guests never set payment fields themselves - payments change
+  // only through verifyOrderPayment (verified) or the Razorpay webhook
+  const paymentChangeAllowed = (updatedBy !== 'customer' && updatedBy !== 'guest') || paymentData.verified;
+  if (!paymentChangeAllowed) {
+    createTransactionRecord = false;
+    if (!paymentData.status && !paymentData.note) {
+      throw httpError('Online payments are completed once Razorpay confirms them', 403);
+    }
+  }
+
   // Extract payment data
-  const { paymentStatus, paymentMethod, paymentDetails, status, note, upiReference } = paymentData;
+  const { status, note, upiReference } = paymentData;
+  const { paymentStatus, paymentMethod, paymentDetails } = paymentChangeAllowed ? paymentData : {};
 
   // Update payment status
   if (paymentStatus) {
@@ -88,23 +124,23 @@ const processOrderPayment = async (orderId, paymentData, user, createTransaction
     };
   }
 
-  // If status is provided and user is delivery agent or admin, update order status too
-  if (status && ['Preparing', 'Out for delivery', 'Delivered'].includes(status) &&
-    (user.role === 'delivery' || user.role === 'admin')) {
-    order.status = status;
+  // Add a note to status updates, moving the order on too if a new status is given
+  const statusNote = note || (paymentStatus
+    ? `Payment status updated to ${paymentStatus} by ${updatedBy}${status ? ' and status updated to ' + status : ''}`
+    : `Status updated to ${status} by ${updatedBy}`);
+  if (status && status !== order.status) {
+    transitionOrder(order, status, { actor: getActor(user), note: statusNote });
+  } else {
+    addStatusNote(order, statusNote, getActor(user));
   }
 
-  // Add a note to status updates
-  const statusNote = note || `Payment status updated to ${paymentStatus} by ${updatedBy}${status ? ' and status updated to ' + status : ''}`;
-  order.statusUpdates.push({
-    status: order.status,
-    time: Date.now(),
-    note: statusNote
-  });
-
   // Save the updated order
   const updatedOrder = await order.save();
 
+  if (updatedOrder.status === 'Delivered') {
+    await recordDeliveryEarning(updatedOrder);
+  }
+
   // Create transaction record if requested
   let transaction = null;
   if (createTransactionRecord) {
@@ -141,9 +177,18 @@ const processOrderPayment = async (orderId, paymentData, user, createTransaction
       };
     }
 
-    console.log('Creating transaction with data:', transactionData);
-    transaction = await Transaction.create(transactionData);
-    console.log('Transaction created successfully:', transaction._id);
+    // The Razorpay webhook may have recorded this payment already
+    transaction = transactionData.razorpayDetails && transactionData.razorpayDetails.paymentId
+      ? await Transaction.findOne({ 'razorpayDetails.paymentId': transactionData.razorpayDetails.paymentId, type: { $ne: 'refund' } })
+      : null;
+
+    if (transaction) {
+      console.log('Transaction already recorded for payment:', transaction._id);
+    } else {
+      console.log('Creating transaction with data:', transactionData);
+      transaction = await Transaction.create(transactionData);
+      console.log('Transaction created successfully:', transaction._id);
+    }
   }
 
   return {
@@ -187,6 +232,10 @@ const updateOrderPayment = asyncHandler(async (req, res) => {
 
     const result = await processOrderPayment(orderId, paymentData, req.user, createTransactionRecord);
 
+    if (req.user.role === 'delivery' && result.transaction && CASH_METHODS.includes(result.transaction.paymentMethod)) {
+      await alertIfOverCashLimit(req.app.get('io'), req.user);
+    }
+
     res.json(result);
   } catch (error) {
     console.error('Error updating payment status:', error);
@@ -201,40 +250,74 @@ const updateOrderPayment = asyncHandler(async (req, res) => {
 
 // Create these two new functions:
 
-// @desc    Create a Razorpay order
+// @desc    Start an online payment for an order, charged at the order's total
 // @route   POST /api/transactions/create-razorpay-order
 // @access  Private
 const createRazorpayOrder = asyncHandler(async (req, res) => {
-  try {
-    const { amount, currency, receipt } = req.body;
+  const { orderId } = req.body;
 
-    // Initialize Razorpay instance
-    const instance = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID,
-      key_secret: process.env.RAZORPAY_KEY_SECRET
-    });
+  if (!orderId) {
+    return res.status(400).json({ message: 'Order ID is required' });
+  }
 
-    const options = {
-      amount: amount, // amount in smallest currency unit (paise)
-      currency: currency || 'INR',
-      receipt: receipt || `receipt_${Date.now()}`,
-      notes: {
-        userId: req.user._id.toString(),
-        purpose: "Food Order"
-      }
-    };
+  const order = await findOrder(orderId);
+  if (!order) {
+    return res.status(404).json({ message: 'Order not found' });
+  }
 
-    const order = await instance.orders.create(options);
-    res.json(order);
+  if (!ownsOrder(order, req.user)) {
+    return res.status(403).json({ message: 'Not authorized to pay for this order' });
+  }
+
+  try {
+    const paymentOrder = await createPaymentOrder(order);
+    await order.save();
+
+    // Shaped like a Razorpay order, which is what checkout expects
+    res.json({
+      id: paymentOrder.id,
+      entity: 'order',
+      amount: toPaise(paymentOrder.amount),
+      currency: paymentOrder.currency,
+      receipt: paymentOrder.receipt,
+      status: paymentOrder.status,
+      gateway: getPaymentGateway().name,
+      orderId: order._id,
+      orderNumber: order.orderNumber
+    });
   } catch (error) {
     console.error("Error creating Razorpay order:", error);
-    res.status(500).json({
-      message: "Could not create payment order",
-      error: error.message
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : "Could not create payment order",
+      ...(error.statusCode ? error.details : { error: error.message })
     });
   }
 });
 
+// @desc    Pay for an order on the fake gateway, standing in for checkout
+// @route   POST /api/transactions/fake-gateway/pay
+// @access  Private (only when PAYMENT_GATEWAY=fake)
+const payWithFakeGateway = asyncHandler(async (req, res) => {
+  const gateway = getPaymentGateway();
+  if (gateway.name !== 'fake') {
+    return res.status(404).json({ message: 'Not found' });
+  }
+
+  const { razorpay_order_id, amount, outcome } = req.body;
+  if (outcome && !['captured', 'authorized', 'failed'].includes(outcome)) {
+    return res.status(400).json({ message: 'Outcome must be captured, authorized or failed' });
+  }
+
+  try {
+    res.json(gateway.simulatePayment(razorpay_order_id, {
+      amount: amount === undefined ? undefined : Number(amount),
+      outcome
+    }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
 // @desc    Verify Razorpay payment
 // @route   POST /api/transactions/verify-payment
 // @access  Private
@@ -242,16 +325,8 @@ const verifyRazorpayPayment = asyncHandler(async (req, res) => {
   try {
     const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
 
-    // Generate signature for verification
-    const crypto = require('crypto');
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-
     // Verify signature
-    const isAuthentic = expectedSignature === razorpay_signature;
+    const isAuthentic = verifyPaymentSignature({ razorpay_payment_id, razorpay_order_id, razorpay_signature });
 
     if (isAuthentic) {
       // Return verification success with payment details for later transaction creation
@@ -276,6 +351,40 @@ const verifyRazorpayPayment = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Receive Razorpay webhooks and reconcile the order they are about
+// @route   POST /api/transactions/razorpay/webhook
+// @access  Public (signed with the webhook secret)
+const handleRazorpayWebhook = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    if (!verifyWebhookSignature(req.rawBody, req.get('x-razorpay-signature'))) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    result = await handleWebhookEvent({
+      eventId: req.get('x-razorpay-event-id'),
+      body: req.body,
+      rawBody: req.rawBody
+    });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+  }
+
+  const io = req.app.get('io');
+  if (io && result.order && result.status === 'processed') {
+    emitPaymentUpdate(io, result.order);
+  }
+
+  res.json({
+    received: true,
+    eventId: result.eventId,
+    event: result.event,
+    status: result.status,
+    result: result.result,
+    duplicate: result.duplicate
+  });
+});
+
 // @desc    Create transaction after order is created (for online payments)
 // @route   POST /api/transactions/create-after-order
 // @access  Private
@@ -291,18 +400,38 @@ const createTransactionAfterOrder = asyncHandler(async (req, res) => {
       return res.status(400).json({ message: 'Order ID and Razorpay details are required' });
     }
 
+    const order = await findOrder(orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Only a verified payment of the full order total completes the order
+    try {
+      await verifyOrderPayment(order, razorpayDetails);
+    } catch (error) {
+      console.error('Payment verification failed:', error.message);
+      return res.status(error.statusCode || 500).json({ message: error.message, ...error.details });
+    }
+
     // Create transaction record using the processOrderPayment function
     const paymentData = {
       paymentStatus: 'Completed',
       paymentMethod: 'Online',
-      paymentDetails: razorpayDetails,
-      note: 'Online payment via Razorpay'
+      paymentDetails: {
+        ...razorpayDetails,
+        orderId: razorpayDetails.razorpay_order_id,
+        paymentId: razorpayDetails.razorpay_payment_id,
+        signature: razorpayDetails.razorpay_signature,
+        verificationStatus: 'Verified'
+      },
+      note: 'Online payment via Razorpay',
+      verified: true
     };
 
     console.log('Processing payment with data:', paymentData);
 
     const result = await processOrderPayment(
-      orderId,
+      order._id.toString(),
       paymentData,
       req.user,
       true // Create a transaction record
@@ -313,7 +442,7 @@ const createTransactionAfterOrder = asyncHandler(async (req, res) => {
     res.json({ success: true, transaction: result.transaction });
   } catch (error) {
     console.error("Error creating transaction after order:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       message: "Failed to create transaction record",
       error: error.message
     });
@@ -340,6 +469,10 @@ const createTransaction = asyncHandler(async (req, res) => {
     // Always create transaction record for this endpoint
     const result = await processOrderPayment(orderId, paymentData, req.user, true);
 
+    if (req.user.role === 'delivery' && CASH_METHODS.includes(result.transaction.paymentMethod)) {
+      await alertIfOverCashLimit(req.app.get('io'), req.user);
+    }
+
     res.status(201).json(result);
   } catch (error) {
     console.error('Error creating transaction:', error);
@@ -351,15 +484,16 @@ const createTransaction = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Get all transactions
+// @desc    Get all transactions, or only those flagged for review with ?needsReview=true
 // @route   GET /api/transactions
 // @access  Private/Admin
 const getTransactions = asyncHandler(async (req, res) => {
   const pageSize = 10;
   const page = Number(req.query.page) || 1;
+  const filter = req.query.needsReview === 'true' ? { needsReview: true } : {};
 
-  const count = await Transaction.countDocuments({});
-  const transactions = await Transaction.find({})
+  const count = await Transaction.countDocuments(filter);
+  const transactions = await Transaction.find(filter)
     .sort({ createdAt: -1 })
     .skip(pageSize * (page - 1))
     .limit(pageSize);
@@ -431,14 +565,18 @@ const getTransactionsByDateRange = asyncHandler(async (req, res) => {
     transactionDate: { $gte: start, $lte: end }
   }).sort({ transactionDate: 1 });
 
-  // Calculate total amount
+  // Calculate total amount, net of money refunded in the range
+  const refundAmount = transactions
+    .filter(transaction => transaction.type === 'refund' && transaction.status !== 'Failed')
+    .reduce((sum, transaction) => sum + transaction.amount, 0);
   const totalAmount = transactions.reduce((sum, transaction) => {
-    return sum + transaction.amount;
-  }, 0);
+    return transaction.type === 'refund' ? sum : sum + transaction.amount;
+  }, 0) - refundAmount;
 
   res.json({
     transactions,
     totalAmount,
+    refundAmount,
     count: transactions.length,
     dateRange: {
       from: start,
@@ -457,6 +595,8 @@ module.exports = {
   createRazorpayOrder,
   verifyRazorpayPayment,
   createTransactionAfterOrder,
+  handleRazorpayWebhook,
+  payWithFakeGateway,
 
   // Transaction retrieval functions
   getTransactions,
@@ -2,12 +2,34 @@ const User = require('../models/User');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { emitDeliveryStatusUpdate } = require('../utils/socket');
+const { verifyTableToken } = require('../services/tableService');
+const { verifyContacts, claimGuestOrders, getGuestIdFromToken } = require('../services/guestService');
+const { mergeGuestCart } = require('../services/cartService');
 
 // Generate JWT
 const generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '30d' });
 };
 
+/**
+ * Move the cart built with the app's guest token into the account. A failed
+ * merge never blocks signing in.
+ * @param {String} guestToken - Guest token the app was using before login
+ * @param {Object} user - The user signing in
+ * @returns {Promise<Number>} Number of cart lines moved
+ */
+const mergeGuestCartForLogin = async (guestToken, user) => {
+  const guestId = getGuestIdFromToken(guestToken);
+  if (!guestId) return 0;
+
+  try {
+    return await mergeGuestCart(guestId, user);
+  } catch (error) {
+    console.error('Guest cart merge error:', error);
+    return 0;
+  }
+};
+
 /**
  * Get user data with configurable detail levels based on permission
  * @param {Object} user - The user object from the database
@@ -78,6 +100,8 @@ const getUserData = (user, requestType = 'basic') => {
       case 'self':
         return {
           ...baseUserData,
+          phoneVerified: !!user.phoneVerified,
+          emailVerified: !!user.emailVerified,
           addresses: user.addresses || []
         };
       default:
@@ -94,8 +118,11 @@ const registerUser = async (req, res) => {
   const {
     name,
     email,
+    phone,
     password,
     role,
+    guestToken,
+    verificationToken,
     // Delivery partner specific fields
     vehicleType,
     aadharCard,
@@ -113,6 +140,7 @@ const registerUser = async (req, res) => {
     const userData = {
       name,
       email,
+      phone,
       password,
       role: role || 'customer'
     };
@@ -155,13 +183,36 @@ const registerUser = async (req, res) => {
           _id: user.id
         });
       } else {
+        // A phone or email verified at sign-up lets guest orders placed with it be claimed too.
+        // A failed check never blocks registering; the app can verify again later.
+        if (user.role === 'customer' && verificationToken) {
+          try {
+            await verifyContacts(user, verificationToken);
+          } catch (error) {
+            console.error('Contact verification at registration failed:', error.message);
+          }
+        }
+
+        // Orders placed with the guest token or a verified contact move to the new account
+        const claimed = user.role === 'customer'
+          ? await claimGuestOrders(user, getGuestIdFromToken(guestToken))
+          : { guests: 0, orders: 0 };
+        const mergedCartItems = user.role === 'customer'
+          ? await mergeGuestCartForLogin(guestToken, user)
+          : 0;
+
         // Regular customer registration response
         res.status(201).json({
           _id: user.id,
           name: user.name,
           email: user.email,
+          phone: user.phone,
           role: user.role,
+          phoneVerified: user.phoneVerified,
+          emailVerified: user.emailVerified,
           token: generateToken(user.id),
+          claimedOrders: claimed.orders,
+          mergedCartItems
         });
       }
     } else {
@@ -211,11 +262,15 @@ const loginUser = async (req, res) => {
 
     // Use getUserData function to format response consistently
     const userData = getUserData(user, 'self');
+    const mergedCartItems = user.role === 'customer'
+      ? await mergeGuestCartForLogin(req.body.guestToken, user)
+      : 0;
 
     // Login successful - add token to the response
     res.json({
       ...userData,
       token: generateToken(user.id),
+      mergedCartItems
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -516,6 +571,16 @@ const setDefaultAddress = async (req, res) => {
 
 const createGuestToken = async (req, res) => {
   try {
+    // Scanning a table QR code ties the guest to that table
+    let table = null;
+    if (req.body && req.body.tableToken) {
+      try {
+        table = await verifyTableToken(req.body.tableToken);
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({ message: error.message });
+      }
+    }
+
     // Generate a unique guest ID
     const guestId = `guest-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
 
@@ -524,7 +589,8 @@ const createGuestToken = async (req, res) => {
       {
         id: guestId,
         role: 'customer',
-        isGuest: true
+        isGuest: true,
+        table: table ? { id: table._id.toString(), number: table.number } : undefined
       },
       process.env.JWT_SECRET,
       { expiresIn: '48h' }
@@ -539,12 +605,39 @@ const createGuestToken = async (req, res) => {
       role: 'customer',
       name: 'Guest User',
       email: 'guest@example.com',
+      table: table ? { _id: table._id, number: table.number, name: table.name } : undefined
     });
   } catch (error) {
     console.error('Guest token error:', error);
     return res.status(500).json({ message: 'Failed to generate guest token' });
   }
 };
+// Verify the user's phone or email and claim the guest orders placed with it
+const verifyContact = async (req, res) => {
+  const { verificationToken, guestToken } = req.body;
+
+  if (!verificationToken) {
+    return res.status(400).json({ message: 'Verification token is required' });
+  }
+
+  try {
+    let verified;
+    try {
+      verified = await verifyContacts(req.user, verificationToken);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+
+    const claimed = req.user.role === 'customer'
+      ? await claimGuestOrders(req.user, getGuestIdFromToken(guestToken))
+      : { guests: 0, orders: 0 };
+
+    res.json({ ...verified, claimedOrders: claimed.orders });
+  } catch (error) {
+    console.error('Contact verification error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
 
 // Add these to the exports
 module.exports = {
@@ -558,6 +651,7 @@ module.exports = {
   deleteUserAddress,
   setDefaultAddress,
   createGuestToken,
+  verifyContact,
   getDeliveryPartnerStatus,
   toggleDeliveryStatus,
   getUserPublicProfile,
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One line of a delivery agent's earnings ledger: the pay for a delivered
+// order, or a daily incentive. Weekly payout statements are built from these.
+const agentEarningSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  agentName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['delivery', 'incentive'],
+    required: true
+  },
+  // Keeps each delivery and each daily incentive from being paid twice:
+  // delivery:<orderId> or incentive:<agentId>:<YYYY-MM-DD>:<deliveries>
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: {
+    type: String
+  },
+  earnedAt: {
+    type: Date,
+    required: true
+  },
+  // Local date the earning counts towards, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  // Pay breakdown for a delivery
+  distanceKm: {
+    type: Number
+  },
+  basePay: {
+    type: Number,
+    default: 0
+  },
+  distancePay: {
+    type: Number,
+    default: 0
+  },
+  surgePay: {
+    type: Number,
+    default: 0
+  },
+  surgeWindow: {
+    type: String
+  },
+  // Deliveries in the day that earned an incentive
+  incentiveDeliveries: {
+    type: Number
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  paidAt: {
+    type: Date
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  payoutReference: {
+    type: String
+  }
+}, { timestamps: true });
+
+agentEarningSchema.index({ agent: 1, earnedAt: 1 });
+agentEarningSchema.index({ agent: 1, day: 1, type: 1 });
+agentEarningSchema.index({ earnedAt: 1 });
+
+module.exports = mongoose.model('AgentEarning', agentEarningSchema);
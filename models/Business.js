@@ -1,4 +1,93 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, WEEKDAYS, isValidTimezone, getLocalParts } = require('../utils/localTime');
+
+// Delivery zone - matched by zipCode allow-list and/or a radius around the shop
+const DeliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  zipCodes: {
+    type: [String],
+    default: []
+  },
+  radiusKm: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  fixedCharge: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  freeDeliveryThreshold: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: true });
+
+// Surge window - deliveries completed inside it pay more
+const SurgeWindowSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    default: 'Surge'
+  },
+  // Days the window applies on - every day when empty
+  days: {
+    type: [String],
+    enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    default: []
+  },
+  // HH:MM, a window ending before it starts runs past midnight
+  start: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  end: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  // Multiplies the base and distance pay
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Flat amount added on top
+  bonus: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: true });
+
+// Daily incentive - paid once when an agent reaches this many deliveries in a day
+const DailyIncentiveSchema = new mongoose.Schema({
+  deliveries: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  bonus: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: true });
 
 const BusinessSettingsSchema = new mongoose.Schema({
   // Business Profile Information
@@ -44,6 +133,20 @@ const BusinessSettingsSchema = new mongoose.Schema({
       isActive: { type: Boolean, default: false },
       status: { type: Boolean, default: true }, // true = open, false = closed
       reason: { type: String, default: '' }
+    },
+    // Shop coordinates, used for radius based delivery zones
+    location: {
+      latitude: { type: Number, min: -90, max: 90 },
+      longitude: { type: Number, min: -180, max: 180 }
+    },
+    // Timezone of the shop; hours, scheduled slots and payout days are local to it
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid timezone`
+      }
     }
   },
   
@@ -109,12 +212,135 @@ const BusinessSettingsSchema = new mongoose.Schema({
       default: true
     }
   },
+  // Areas we deliver to; when none are active every address is served at the fixed charge
+  deliveryZones: {
+    type: [DeliveryZoneSchema],
+    default: []
+  },
   minimumOrderValue: {
     type: Number,
     required: true,
     default: 200,
     min: 0
   },
+  // Order number format: <prefix><YYYYMMDD in timezone><sequence padded to sequenceWidth>
+  orderNumberSettings: {
+    prefix: {
+      type: String,
+      default: 'PZ',
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9-]{0,10}$/, 'Order number prefix may only contain letters, digits and dashes']
+    },
+    sequenceWidth: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 10
+    },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    }
+  },
+  orderAcceptance: {
+    // Pending orders not accepted within this many minutes are rejected (0 = never)
+    autoRejectAfterMinutes: {
+      type: Number,
+      default: 10,
+      min: 0
+    },
+    // Prep time used when the kitchen accepts without giving one
+    defaultPrepTimeMinutes: {
+      type: Number,
+      default: 20,
+      min: 1
+    },
+    // Travel time added to the prep time for estimatedDeliveryTime
+    deliveryTimeMinutes: {
+      type: Number,
+      default: 30,
+      min: 0
+    }
+  },
+  // Scheduled (pre-)orders for a future delivery time
+  scheduling: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Orders allowed per 15 minute delivery slot (0 = no limit)
+    maxOrdersPerSlot: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+    // Earliest slot is at least this far away
+    minLeadMinutes: {
+      type: Number,
+      default: 60,
+      min: 0
+    },
+    maxDaysAhead: {
+      type: Number,
+      default: 3,
+      min: 0,
+      max: 30
+    },
+    // Held orders go to the kitchen this long before their slot
+    releaseLeadMinutes: {
+      type: Number,
+      default: 45,
+      min: 0
+    }
+  },
+  offerSettings: {
+    // Apply the offer that saves the customer most when no code is entered
+    autoApplyBestOffer: {
+      type: Boolean,
+      default: false
+    }
+  },
+  cashHandling: {
+    // Delivery agents holding more cash than this are flagged (0 = no limit)
+    cashInHandLimit: {
+      type: Number,
+      default: 5000,
+      min: 0
+    }
+  },
+  // What delivery agents earn per delivered order
+  deliveryPay: {
+    basePerDelivery: {
+      type: Number,
+      default: 30,
+      min: 0
+    },
+    perKm: {
+      type: Number,
+      default: 5,
+      min: 0
+    },
+    surgeWindows: {
+      type: [SurgeWindowSchema],
+      default: []
+    },
+    dailyIncentives: {
+      type: [DailyIncentiveSchema],
+      default: []
+    },
+    // Payout weeks start on this day (0 = Sunday, 1 = Monday)
+    weekStartsOn: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 6
+    }
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -178,7 +404,8 @@ BusinessSettingsSchema.statics.findOrCreate = async function(updateData = {}, us
         isActive: false,
         status: true,
         reason: ''
-      }
+      },
+      timezone: 'Asia/Kolkata'
     },
     upiId: 'pizzashop@okaxis',
     bankDetails: {
@@ -197,6 +424,26 @@ BusinessSettingsSchema.statics.findOrCreate = async function(updateData = {}, us
       applyGST: true
     },
     minimumOrderValue: 200,
+    orderNumberSettings: {
+      prefix: 'PZ',
+      sequenceWidth: 3,
+      timezone: 'Asia/Kolkata'
+    },
+    orderAcceptance: {
+      autoRejectAfterMinutes: 10,
+      defaultPrepTimeMinutes: 20,
+      deliveryTimeMinutes: 30
+    },
+    scheduling: {
+      enabled: true,
+      maxOrdersPerSlot: 5,
+      minLeadMinutes: 60,
+      maxDaysAhead: 3,
+      releaseLeadMinutes: 45
+    },
+    offerSettings: {
+      autoApplyBestOffer: false
+    },
     updatedBy: userId
   };
   
@@ -205,9 +452,18 @@ BusinessSettingsSchema.statics.findOrCreate = async function(updateData = {}, us
   return this.create(initialSettings);
 };
 
-// Method to calculate delivery charge based on order total
-BusinessSettingsSchema.methods.calculateDeliveryCharge = function(orderTotal) {
-  const { fixedCharge, freeDeliveryThreshold, applyToAllOrders } = this.deliveryCharges;
+// Method to calculate delivery charge based on order total (and delivery zone, if any)
+BusinessSettingsSchema.methods.calculateDeliveryCharge = function(orderTotal, zone = null) {
+  const { applyToAllOrders } = this.deliveryCharges;
+  let { fixedCharge, freeDeliveryThreshold } = this.deliveryCharges;
+
+  // Zone specific charges override the global ones
+  if (zone) {
+    fixedCharge = zone.fixedCharge;
+    if (zone.freeDeliveryThreshold !== null && zone.freeDeliveryThreshold !== undefined) {
+      freeDeliveryThreshold = zone.freeDeliveryThreshold;
+    }
+  }
   
   // If delivery charge applies to all orders, return the fixed charge
   if (applyToAllOrders) {
@@ -218,6 +474,53 @@ BusinessSettingsSchema.methods.calculateDeliveryCharge = function(orderTotal) {
   return orderTotal >= freeDeliveryThreshold ? 0 : fixedCharge;
 };
 
+// Great-circle distance between two coordinates in kilometres
+const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const hasCoordinates = (point) => !!point &&
+  typeof point.latitude === 'number' && typeof point.longitude === 'number';
+
+// Method to find the delivery zone serving an address
+// Returns { restricted, zone, distanceKm } - zone is null when the address is outside every zone
+BusinessSettingsSchema.methods.findDeliveryZone = function(address = {}) {
+  const zones = (this.deliveryZones || []).filter(zone => zone.isActive);
+
+  if (zones.length === 0) {
+    return { restricted: false, zone: null, distanceKm: null };
+  }
+
+  const zipCode = address.zipCode ? String(address.zipCode).trim() : null;
+  const shopLocation = this.businessInfo && this.businessInfo.location;
+  const coordinates = {
+    latitude: Number(address.latitude),
+    longitude: Number(address.longitude)
+  };
+  const distanceKm = hasCoordinates(shopLocation) && !isNaN(coordinates.latitude) && !isNaN(coordinates.longitude)
+    ? Math.round(getDistanceKm(shopLocation, coordinates) * 100) / 100
+    : null;
+
+  // An explicit zipCode match wins over radius zones
+  const zipZone = zipCode ? zones.find(zone => zone.zipCodes.includes(zipCode)) : null;
+  if (zipZone) {
+    return { restricted: true, zone: zipZone, distanceKm };
+  }
+
+  // Otherwise use the tightest radius that contains the address
+  const radiusZone = distanceKm === null ? null : zones
+    .filter(zone => zone.radiusKm > 0 && distanceKm <= zone.radiusKm)
+    .sort((a, b) => a.radiusKm - b.radiusKm)[0];
+
+  return { restricted: true, zone: radiusZone || null, distanceKm };
+};
+
 // Method to calculate tax amount
 BusinessSettingsSchema.methods.calculateTax = function(subtotal) {
   const { gstPercentage, applyGST } = this.taxSettings;
@@ -229,6 +532,11 @@ BusinessSettingsSchema.methods.calculateTax = function(subtotal) {
   return (subtotal * gstPercentage) / 100;
 };
 
+// Method to get the shop timezone the hours are in
+BusinessSettingsSchema.methods.getTimezone = function() {
+  return (this.businessInfo && this.businessInfo.timezone) || DEFAULT_TIMEZONE;
+};
+
 // Method to check if business is currently open
 BusinessSettingsSchema.methods.isBusinessOpen = function() {
   // Check manual override first
@@ -236,15 +544,15 @@ BusinessSettingsSchema.methods.isBusinessOpen = function() {
     return this.businessInfo.manualOverride.status;
   }
 
-  const now = new Date();
-  const currentDay = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][now.getDay()];
+  const now = getLocalParts(new Date(), this.getTimezone());
+  const currentDay = WEEKDAYS[now.weekday];
   const daySchedule = this.businessInfo.hours[currentDay];
 
   if (!daySchedule || !daySchedule.isOpen) {
     return false;
   }
 
-  const currentTime = now.getHours() * 60 + now.getMinutes(); // Convert to minutes
+  const currentTime = now.minutes;
   const openTime = this.parseTimeToMinutes(daySchedule.open);
   const closeTime = this.parseTimeToMinutes(daySchedule.close);
 
@@ -263,6 +571,33 @@ BusinessSettingsSchema.methods.parseTimeToMinutes = function(timeStr) {
   return hours * 60 + minutes;
 };
 
+// Method to check the opening hours at a given time (ignores the manual override).
+// The hours are the shop's local time, in businessInfo.timezone.
+// Times after midnight belong to the previous day's overnight hours.
+BusinessSettingsSchema.methods.isOpenAt = function(date) {
+  const { weekday: day, minutes } = getLocalParts(date, this.getTimezone());
+
+  const today = this.businessInfo.hours[WEEKDAYS[day]];
+  if (today && today.isOpen) {
+    const openTime = this.parseTimeToMinutes(today.open);
+    const closeTime = this.parseTimeToMinutes(today.close);
+    if (closeTime > openTime ? minutes >= openTime && minutes < closeTime : minutes >= openTime) {
+      return true;
+    }
+  }
+
+  const yesterday = this.businessInfo.hours[WEEKDAYS[(day + 6) % 7]];
+  if (yesterday && yesterday.isOpen) {
+    const openTime = this.parseTimeToMinutes(yesterday.open);
+    const closeTime = this.parseTimeToMinutes(yesterday.close);
+    if (closeTime < openTime && minutes < closeTime) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
 // Method to get business status with reason
 BusinessSettingsSchema.methods.getBusinessStatus = function() {
   const isOpen = this.isBusinessOpen();
@@ -272,8 +607,7 @@ BusinessSettingsSchema.methods.getBusinessStatus = function() {
     reason = this.businessInfo.manualOverride.reason || 
              (this.businessInfo.manualOverride.status ? 'Manually opened' : 'Manually closed');
   } else {
-    const now = new Date();
-    const currentDay = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][now.getDay()];
+    const currentDay = WEEKDAYS[getLocalParts(new Date(), this.getTimezone()).weekday];
     const daySchedule = this.businessInfo.hours[currentDay];
     
     if (!daySchedule || !daySchedule.isOpen) {
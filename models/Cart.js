@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A chosen option on a cart line, stored the way orders store them so the
+// line can be sent to checkout unchanged
+const selectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  option: {
+    type: String
+  }
+}, { _id: false });
+
+const cartLineSchema = new mongoose.Schema({
+  menuItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MenuItem',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  customizations: [selectionSchema],
+  addOns: [selectionSchema],
+  toppings: [selectionSchema],
+  specialInstructions: {
+    type: String,
+    default: ''
+  },
+  // Unit price when the line was last changed, for spotting price changes
+  unitPrice: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Server-side cart so it follows the customer between devices. Guests
+// have one per guest token until they log in and it is merged.
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestId: {
+    type: String
+  },
+  items: [cartLineSchema],
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Stale carts are removed by the TTL index below
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the abandoned cart reminder went out for the current contents
+  reminderSentAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $exists: true } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ lastActivityAt: 1, reminderSentAt: 1 });
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A note or coin count from the cash handed over
+const denominationSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Cash a delivery agent handed back to the shop. Together with the agent's
+// cash transactions it makes up their cash-in-hand ledger.
+const cashSettlementSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  agentName: {
+    type: String,
+    required: true
+  },
+  // Cash counted by the admin
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  denominations: [denominationSchema],
+  // Cash in hand by the ledger just before the handover
+  expectedAmount: {
+    type: Number,
+    required: true
+  },
+  // What the agent said they were handing over - the expected amount unless given
+  declaredAmount: {
+    type: Number,
+    required: true
+  },
+  // Counted minus declared: negative is a shortage, positive a surplus
+  discrepancy: {
+    type: Number,
+    default: 0
+  },
+  // Cash still in hand after the handover
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Collections covered: since the previous settlement up to this one
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedByName: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String
+  }
+}, { timestamps: true });
+
+cashSettlementSchema.index({ agent: 1, createdAt: -1 });
+cashSettlementSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CashSettlement', cashSettlementSchema);
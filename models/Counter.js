@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically (e.g. per-day order numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Static method to atomically increment a sequence and return the new value
+counterSchema.statics.nextSequence = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Static method to make sure a sequence is at least a given value
+counterSchema.statics.ensureAtLeast = function(key, value) {
+  return this.findOneAndUpdate(
+    { _id: key },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+};
+
+// Static method to increment a sequence only while it is below a limit.
+// Returns false when the limit has been reached.
+counterSchema.statics.incrementIfBelow = async function(key, limit) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { _id: key, seq: { $lt: limit } },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return !!counter;
+  } catch (error) {
+    // The upsert collides with the existing counter when it is already at the limit
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to decrement a sequence without going below zero
+counterSchema.statics.decrement = function(key) {
+  return this.findOneAndUpdate(
+    { _id: key, seq: { $gt: 0 } },
+    { $inc: { seq: -1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Lightweight record for someone ordering without an account. Orders
+// link here until the guest registers and claims them.
+const guestSchema = new mongoose.Schema({
+  // ID from the guest token issued by createGuestToken
+  guestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  lastAddress: {
+    street: { type: String },
+    city: { type: String },
+    state: { type: String },
+    zipCode: { type: String },
+    landmark: { type: String }
+  },
+  lastOrderAt: {
+    type: Date
+  },
+  // Set when a registered account takes over this guest's orders
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Guest', guestSchema);
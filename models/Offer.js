@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// Which cart lines an offer rule matches - an empty rule matches nothing
+const lineRuleSchema = mongoose.Schema(
+  {
+    items: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'MenuItem',
+      default: [],
+    },
+    categories: {
+      type: [String],
+      default: [],
+    },
+    // Restrict to these sizes (empty = any size)
+    sizes: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
 const offerSchema = mongoose.Schema(
   {
     title: {
@@ -18,12 +39,37 @@ const offerSchema = mongoose.Schema(
     },
     discountType: {
       type: String,
-      enum: ['percentage', 'fixed'],
+      enum: ['percentage', 'fixed', 'bogo', 'bundle', 'free_item'],
       required: true,
     },
+    // Percentage or amount off - only used by percentage and fixed offers
     discountValue: {
       type: Number,
-      required: true,
+      required: function () {
+        return ['percentage', 'fixed'].includes(this.discountType);
+      },
+      default: 0,
+    },
+    // Buy X get Y: every buyQuantity units matching buy earn getQuantity
+    // units matching get at getDiscountPercentage off (cheapest first)
+    bogo: {
+      buy: { type: lineRuleSchema, default: () => ({}) },
+      buyQuantity: { type: Number, default: 1, min: 1 },
+      get: { type: lineRuleSchema, default: () => ({}) },
+      getQuantity: { type: Number, default: 1, min: 1 },
+      getDiscountPercentage: { type: Number, default: 100, min: 1, max: 100 },
+    },
+    // Bundle: every quantity units matching the rule cost price together
+    bundle: {
+      rule: { type: lineRuleSchema, default: () => ({}) },
+      quantity: { type: Number, default: 2, min: 1 },
+      price: { type: Number, default: 0, min: 0 },
+    },
+    // Free item: once minOrderValue is reached, quantity units of menuItem are free
+    freeItem: {
+      menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+      size: { type: String },
+      quantity: { type: Number, default: 1, min: 1 },
     },
     minOrderValue: {
       type: Number,
@@ -53,6 +99,12 @@ const offerSchema = mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Maximum uses per customer (null = unlimited)
+    perUserLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
     applicableItems: {
       type: [mongoose.Schema.Types.ObjectId],
       ref: 'MenuItem',
@@ -88,10 +140,19 @@ offerSchema.virtual('isValid').get(function () {
 
 // Method to format the discount for display
 offerSchema.virtual('formattedDiscount').get(function () {
-  if (this.discountType === 'percentage') {
-    return `${this.discountValue}%`;
-  } else {
-    return `₹${this.discountValue}`;
+  switch (this.discountType) {
+    case 'percentage':
+      return `${this.discountValue}%`;
+    case 'bogo':
+      return this.bogo.getDiscountPercentage === 100
+        ? `Buy ${this.bogo.buyQuantity} get ${this.bogo.getQuantity} free`
+        : `Buy ${this.bogo.buyQuantity} get ${this.bogo.getQuantity} at ${this.bogo.getDiscountPercentage}% off`;
+    case 'bundle':
+      return `${this.bundle.quantity} for ₹${this.bundle.price}`;
+    case 'free_item':
+      return `Free item over ₹${this.minOrderValue}`;
+    default:
+      return `₹${this.discountValue}`;
   }
 });
 
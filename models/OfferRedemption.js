@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Ledger of offer uses - one entry per order that used an offer
+const offerRedemptionSchema = new mongoose.Schema({
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  customerName: {
+    type: String
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'released'],
+    default: 'redeemed'
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseReason: {
+    type: String
+  }
+}, { timestamps: true });
+
+// An order can redeem an offer only once
+offerRedemptionSchema.index({ offer: 1, order: 1 }, { unique: true });
+// Per-customer usage checks
+offerRedemptionSchema.index({ offer: 1, customer: 1, status: 1 });
+offerRedemptionSchema.index({ order: 1, status: 1 });
+
+module.exports = mongoose.model('OfferRedemption', offerRedemptionSchema);
@@ -1,4 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const BusinessSettings = require('./Business');
+const { generateOrderNumber } = require('../utils/orderNumber');
 
 // Schema for customization options (add-ons, toppings, etc.)
 const customizationSchema = new mongoose.Schema({
@@ -15,13 +18,21 @@ const customizationSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Address fields are only required when the order is delivered
+function isDeliveryOrder() {
+  return !this.orderType || this.orderType === 'delivery';
+}
+
 const orderSchema = mongoose.Schema(
   {
     customer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function() { return !this.guestId; },
     },
+    // Orders placed without an account - guestId is from the guest token
+    guest: { type: mongoose.Schema.Types.ObjectId, ref: 'Guest', index: true },
+    guestId: { type: String, index: true },
     orderNumber: {
       type: String,
       unique: true,
@@ -53,12 +64,25 @@ const orderSchema = mongoose.Schema(
         // Base item price before customizations
         basePrice: { type: Number },
         // Total price after all customizations (basePrice + all add-ons)
-        totalItemPrice: { type: Number }
+        totalItemPrice: { type: Number },
+        // Menu category at the time of ordering - decides the kitchen station
+        category: { type: String },
+        // Kitchen display progress for this line
+        kitchenStatus: {
+          type: String,
+          enum: ['Queued', 'Started', 'Done'],
+          default: 'Queued'
+        },
+        kitchenStartedAt: { type: Date },
+        kitchenDoneAt: { type: Date }
       },
     ],
     status: {
       type: String,
-      enum: ['Pending', 'Preparing', 'Out for delivery', 'Delivered', 'Cancelled'],
+      enum: [
+        'Scheduled', 'Pending', 'Accepted', 'Rejected', 'Preparing', 'Ready', 'Ready for pickup',
+        'Out for delivery', 'Delivered', 'Cancelled'
+      ],
       default: 'Pending',
       index: true, // Index for faster search and filtering by status
     },
@@ -66,9 +90,55 @@ const orderSchema = mongoose.Schema(
       {
         status: { type: String },
         time: { type: Date, default: Date.now },
-        note: { type: String }
+        note: { type: String },
+        // Who made the change - empty actor with role 'system' for background jobs
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        actorRole: { type: String },
+        actorName: { type: String }
       }
     ],
+    // Scheduled orders are held until releaseAt, then go to the kitchen as Pending
+    scheduledFor: {
+      type: Date,
+      index: true,
+    },
+    scheduledSlot: { type: Date }, // Start of the 15 minute slot scheduledFor falls in
+    releaseAt: { type: Date },
+    releasedAt: { type: Date },
+    // Pending orders not accepted by this time are rejected automatically
+    acceptBy: {
+      type: Date,
+      index: true,
+    },
+    acceptance: {
+      acceptedAt: { type: Date },
+      acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      prepTimeMinutes: { type: Number }
+    },
+    rejection: {
+      rejectedAt: { type: Date },
+      rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String }, // Shown to the customer
+      automatic: { type: Boolean, default: false }
+    },
+    // Money owed back to the customer for a prepaid order that will not be fulfilled
+    refund: {
+      status: {
+        type: String,
+        enum: ['None', 'Requested', 'Processing', 'Refunded', 'Failed'],
+        default: 'None'
+      },
+      amount: { type: Number },
+      reason: { type: String },
+      requestedAt: { type: Date },
+      refundedAmount: { type: Number, default: 0 }, // Total returned so far across all refunds
+      refundedAt: { type: Date }
+    },
+    // Held while a refund is checked against what is still refundable, so two at once cannot both pass
+    refundLockedUntil: { type: Date },
+    // Extra owed by the customer after a prepaid order was changed to cost more
+    balanceDue: { type: Number, default: 0 },
+    modifiedAt: { type: Date }, // Last time the items, address or notes were changed
     deliveryAgent: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -77,6 +147,9 @@ const orderSchema = mongoose.Schema(
       type: String,
       default: 'Unassigned'
     },
+    // Customer's rating once the order is delivered
+    rating: { type: Number, min: 1, max: 5 },
+    reviewComment: { type: String },
     date: { type: Date, default: Date.now },
     time: { 
       type: String,
@@ -86,20 +159,35 @@ const orderSchema = mongoose.Schema(
       }
     },
     amount: { type: Number, required: true },
+    // Pickup and dine-in orders have no address, delivery fee or delivery agent
+    orderType: {
+      type: String,
+      enum: ['delivery', 'pickup', 'dine-in'],
+      default: 'delivery',
+      index: true
+    },
+    pickupCode: { type: String }, // Shown by the customer at the counter to collect a pickup order
+    // Dine-in orders are rounds on the table's open tab
+    table: { type: mongoose.Schema.Types.ObjectId, ref: 'Table' },
+    tableNumber: { type: String },
+    tab: { type: mongoose.Schema.Types.ObjectId, ref: 'TableTab', index: true },
     address: { 
-      street: { type: String, required: true },
-      city: { type: String, required: true },
-      state: { type: String, required: true },
-      zipCode: { type: String, required: true },
-      landmark: { type: String }
+      street: { type: String, required: isDeliveryOrder },
+      city: { type: String, required: isDeliveryOrder },
+      state: { type: String, required: isDeliveryOrder },
+      zipCode: { type: String, required: isDeliveryOrder },
+      landmark: { type: String },
+      // Optional coordinates, used to match radius based delivery zones
+      latitude: { type: Number },
+      longitude: { type: Number }
     },
     fullAddress: {
       type: String,
-      required: true
+      required: isDeliveryOrder
     },
     paymentMethod: {
       type: String,
-      enum: ['Online', 'Cash on Delivery'],
+      enum: ['Online', 'Cash on Delivery', 'Pay at table'],
       required: true
     },
     paymentStatus: {
@@ -108,11 +196,15 @@ const orderSchema = mongoose.Schema(
       default: 'Pending',
     },
     paymentDetails: {
-      orderId: { type: String }, // Payment gateway order ID
+      orderId: { type: String, index: true }, // Payment gateway order ID, used to match webhooks
       paymentId: { type: String }, // Payment gateway payment ID
       signature: { type: String } // Payment gateway signature
     },
-    customerPhone: { type: String, required: true, index: true }, // Index for faster search by phone number
+    customerPhone: { // Index for faster search by phone number
+      type: String,
+      required: function() { return this.orderType !== 'dine-in'; },
+      index: true
+    },
     notes: { type: String },
     estimatedDeliveryTime: { type: Date },
     totalItemsCount: { 
@@ -122,10 +214,20 @@ const orderSchema = mongoose.Schema(
       }
     },
     discounts: {
+      offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer' },
       code: { type: String },
+      discountType: { type: String }, // percentage, fixed, bogo, bundle or free_item
       amount: { type: Number, default: 0 },
       percentage: { type: Number },
-      description: { type: String } // Added description for discount details
+      description: { type: String }, // Added description for discount details
+      eligibleAmount: { type: Number }, // Subtotal of the lines the offer applied to
+      autoApplied: { type: Boolean, default: false }, // Picked as the best offer, not entered by the customer
+      lines: [{
+        menuItemId: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' },
+        name: { type: String },
+        quantity: { type: Number }, // Units the discount applied to
+        amount: { type: Number } // Share of the discount given on this line
+      }]
     },
     subTotal: { type: Number }, // Amount before tax, delivery fee, discounts
     tax: { type: Number, default: 0 },
@@ -142,7 +244,13 @@ const orderSchema = mongoose.Schema(
         freeDeliveryThreshold: { type: Number },
         applyToAllOrders: { type: Boolean }
       },
-      minimumOrderValue: { type: Number }
+      minimumOrderValue: { type: Number },
+      deliveryZone: {
+        name: { type: String },
+        fixedCharge: { type: Number },
+        freeDeliveryThreshold: { type: Number },
+        distanceKm: { type: Number }
+      }
     }
   },
   { timestamps: true }
@@ -152,35 +260,34 @@ const orderSchema = mongoose.Schema(
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
     const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Count orders for today to generate sequential number
-    const todayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const todayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
     
-    const todayOrdersCount = await mongoose.models.Order.countDocuments({
-      createdAt: { $gte: todayStart, $lt: todayEnd }
-    });
-    
-    const dailySequence = (todayOrdersCount + 1).toString().padStart(3, '0');
-    
-    // Generate a unique order number: PZ + YYYYMMDD + DailySequence
-    // Example: PZ202407040001, PZ202407040002, etc.
-    this.orderNumber = `PZ${year}${month}${day}${dailySequence}`;
+    // Generate a unique order number: prefix + shop-local YYYYMMDD + atomic daily sequence
+    // Example: PZ20240704001, PZ20240704002, etc.
+    const businessSettings = await BusinessSettings.findOne().select('orderNumberSettings');
+    this.orderNumber = await generateOrderNumber(
+      businessSettings && businessSettings.orderNumberSettings,
+      date
+    );
     
     // Add initial status update
     if (!this.statusUpdates || this.statusUpdates.length === 0) {
       this.statusUpdates = [{
         status: this.status,
         time: date,
-        note: 'Order created'
+        note: 'Order created',
+        actor: this.customer,
+        actorRole: 'customer',
+        actorName: this.customerName
       }];
     }
     
+    // Four digit code the customer shows when collecting
+    if (this.orderType === 'pickup' && !this.pickupCode) {
+      this.pickupCode = crypto.randomInt(0, 10000).toString().padStart(4, '0');
+    }
+
     // Format the full address for easier display
-    if (this.address && !this.fullAddress) {
+    if (this.orderType === 'delivery' && this.address && this.address.street && !this.fullAddress) {
       this.fullAddress = `${this.address.street}, ${this.address.city}, ${this.address.state} ${this.address.zipCode}`;
     }
 
@@ -216,7 +323,8 @@ orderSchema.pre('save', async function(next) {
     }
     
     // Calculate tax based on business settings if available
-    if (!this.tax && this.subTotal) {
+    // (skipped when the pricing engine already set it, even to zero)
+    if (this.$isDefault('tax') && this.subTotal) {
       // Use applied business settings if available, otherwise default to 5%
       let taxRate = 0.05; // Default 5%
       
@@ -330,28 +438,16 @@ orderSchema.methods.getSummary = function() {
 };
 
 // Add a method to get delivery completion summary for completed orders
-orderSchema.methods.getDeliveryCompletionSummary = function() {
-  // Calculate delivery duration (mock data for now, you can implement actual tracking)
-  const deliveryDuration = "25-30 min"; // This should be calculated from actual delivery time
-  
-  // Mock rating (you can implement actual rating system)
-  const rating = Math.floor(Math.random() * 2) + 4; // Random rating between 4-5
-  
-  // Mock feedback (you can implement actual feedback system)
-  const feedbacks = [
-    "Great delivery service!",
-    "Food was hot and fresh",
-    "Quick delivery, thank you!",
-    "Excellent service",
-    "",
-    "",
-    "" // More empty strings to make feedback less frequent
-  ];
-  const feedback = feedbacks[Math.floor(Math.random() * feedbacks.length)];
-  
-  // Calculate commission (example: 10% of order total)
-  const commission = Math.round(this.amount * 0.10 * 100) / 100;
-  
+// earning is the agent's AgentEarning for the order, when one was recorded
+orderSchema.methods.getDeliveryCompletionSummary = function(earning) {
+  // Time from leaving the shop to the door, from the status history
+  const updates = this.statusUpdates || [];
+  const pickedUp = updates.find(update => update.status === 'Out for delivery');
+  const delivered = [...updates].reverse().find(update => update.status === 'Delivered');
+  const deliveryMinutes = pickedUp && delivered
+    ? Math.round((new Date(delivered.time) - new Date(pickedUp.time)) / 60000)
+    : null;
+
   return {
     id: this.orderNumber,
     _id: this._id,
@@ -375,10 +471,20 @@ orderSchema.methods.getDeliveryCompletionSummary = function() {
     discount: (this.discounts && this.discounts.amount) || 0,
     total: this.amount,
     // Delivery specific information
-    commission: commission,
-    deliveryDuration: deliveryDuration,
-    rating: rating,
-    feedback: feedback,
+    commission: earning ? earning.amount : null,
+    earnings: earning ? {
+      distanceKm: earning.distanceKm,
+      basePay: earning.basePay,
+      distancePay: earning.distancePay,
+      surgePay: earning.surgePay,
+      surgeWindow: earning.surgeWindow,
+      amount: earning.amount,
+      status: earning.status
+    } : null,
+    deliveredAt: delivered ? delivered.time : null,
+    deliveryDuration: deliveryMinutes === null ? null : `${deliveryMinutes} min`,
+    rating: this.rating || null,
+    feedback: this.reviewComment || '',
     customerImage: 'https://images.unsplash.com/photo-1494790108377-be9c29b29330?q=80&w=100' // Default image
   };
 };
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Money returned to a customer for an order - full or partial. Refunds
+// through the payment gateway track the gateway's refund; manual ones are
+// paid back at the counter and confirmed by an admin.
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  customerName: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  // What caused the refund
+  source: {
+    type: String,
+    enum: ['cancellation', 'rejection', 'modification', 'dispute', 'admin'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  // Disputes wait in 'Pending Approval' until an admin approves or declines them
+  status: {
+    type: String,
+    enum: ['Pending Approval', 'Processing', 'Refunded', 'Failed', 'Declined'],
+    default: 'Processing',
+    index: true
+  },
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'fake', 'manual'],
+    default: 'manual'
+  },
+  paymentId: { type: String }, // Gateway payment being refunded
+  gatewayRefundId: { type: String, index: true },
+  // The payment transaction refunded, and the refund transaction recording it
+  paymentTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedByRole: { type: String },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String },
+  processedAt: { type: Date },
+  failureReason: { type: String }
+}, { timestamps: true });
+
+refundSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Dine-in table - customers scan its QR code to order from their seat
+const tableSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  seats: {
+    type: Number,
+    default: 4,
+    min: 1
+  },
+  area: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Bumped to invalidate printed QR codes
+  qrVersion: {
+    type: Number,
+    default: 1
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Table', tableSchema);
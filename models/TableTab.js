@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Running bill for a table - every round ordered at the table is added
+// to the open tab, and the tab is paid once when the party leaves
+const tableTabSchema = new mongoose.Schema({
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Table',
+    required: true
+  },
+  tableNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'settled', 'cancelled'],
+    default: 'open'
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Bill totals, filled in when the tab is settled
+  subTotal: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  discount: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 },
+  paymentMethod: {
+    type: String,
+    enum: ['Cash', 'Card', 'UPI', 'Online']
+  },
+  settledAt: {
+    type: Date
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Only one open tab per table
+tableTabSchema.index(
+  { table: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+tableTabSchema.index({ status: 1, settledAt: -1 });
+
+module.exports = mongoose.model('TableTab', tableTabSchema);
@@ -16,7 +16,7 @@ const transactionSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['Cash on Delivery', 'UPI', 'Card', 'Online'],
+    enum: ['Cash on Delivery', 'Cash', 'UPI', 'Card', 'Online'],
     required: true
   },
   status: {
@@ -24,6 +24,34 @@ const transactionSchema = new mongoose.Schema({
     enum: ['Pending', 'Completed', 'Failed', 'Refunded'],
     default: 'Completed'
   },
+  // Refunds are recorded as their own transactions, linked to the payment they return
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    default: 'payment'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  relatedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // webhook when the payment gateway told us before the app did
+  source: {
+    type: String,
+    enum: ['app', 'webhook'],
+    default: 'app'
+  },
+  // Set when money arrived that does not match the order, for an admin to sort out
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: {
+    type: String
+  },
   upiDetails: {
     upiId: {
       type: String,
@@ -56,16 +84,23 @@ const transactionSchema = new mongoose.Schema({
       type: String,
       default: null
     },
+    refundId: {
+      type: String,
+      default: null
+    },
     verificationStatus: {
       type: String,
       enum: ['Pending', 'Verified', 'Failed'],
       default: 'Pending'
     }
   },
+  // Empty for refunds issued automatically, e.g. when a customer cancels,
+  // and for online payments, which Razorpay confirms - e.g. from a webhook
+  // or a guest checkout
   confirmedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.type !== 'refund' && this.paymentMethod !== 'Online'; }
   },
   confirmedByName: {
     type: String,
@@ -94,6 +129,8 @@ transactionSchema.index({ confirmedBy: 1 });
 transactionSchema.index({ customer: 1 });
 transactionSchema.index({ transactionDate: 1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ type: 1 });
+transactionSchema.index({ needsReview: 1 });
 transactionSchema.index({ orderNumber: 1 });
 // Add index for Razorpay payment ID for fast lookups
 transactionSchema.index({ 'razorpayDetails.paymentId': 1 });
@@ -85,13 +85,28 @@ const userSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  phone: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  // Set once the user proves they own the phone (OTP) or email; guest orders
+  // placed with a verified contact can then be claimed
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   password: {
     type: String,
     required: true,
   },
   role: {
     type: String,
-    enum: ['customer', 'delivery', 'admin'], // Define roles
+    enum: ['customer', 'delivery', 'kitchen', 'admin'], // Define roles
     default: 'customer',
   },
   addresses: [addressSchema], // Add addresses array
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Payment gateway webhook deliveries, one per event id, so a retried or
+// replayed delivery is only acted on once
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // processing while a delivery is being handled; failed ones are retried
+  // on the gateway's next delivery
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // What the event changed, or why nothing was done
+  result: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  processedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ order: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -12,6 +12,7 @@ const {
   getOffers,
   createOffer,
   getOfferById,
+  getOfferRedemptions,
   updateOffer,
   deleteOffer,
   getUserById,
@@ -53,6 +54,7 @@ router.put('/users/:id/verification', protect, admin, updateDeliveryVerification
 router.get('/offers', protect, admin, getOffers);
 router.post('/offers', protect, admin, createOffer);
 router.get('/offers/:id', protect, admin, getOfferById);
+router.get('/offers/:id/redemptions', protect, admin, getOfferRedemptions);
 router.put('/offers/:id', protect, admin, updateOffer);
 router.delete('/offers/:id', protect, admin, deleteOffer);
 
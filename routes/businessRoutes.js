@@ -6,7 +6,11 @@ const {
   updateBusinessSettings,
   getBusinessProfile,
   updateBusinessStatus,
-  clearBusinessStatusOverride
+  clearBusinessStatusOverride,
+  getDeliveryZones,
+  addDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone
 } = require('../controllers/businessController');
 
 // Base route is /api/admin/settings
@@ -21,4 +25,13 @@ router.route('/business-status')
 router.route('/business-status/override')
   .delete(protect, admin, clearBusinessStatusOverride);
 
+// Delivery zone management
+router.route('/delivery-zones')
+  .get(protect, admin, getDeliveryZones)
+  .post(protect, admin, addDeliveryZone);
+
+router.route('/delivery-zones/:zoneId')
+  .put(protect, admin, updateDeliveryZone)
+  .delete(protect, admin, deleteDeliveryZone);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const { protectOrGuest } = require('../middleware/authMiddleware');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  emptyCart
+} = require('../controllers/cartController');
+
+const router = express.Router();
+
+// Guests get a cart per guest token, merged into their account on login
+router.get('/', protectOrGuest, getCart);
+router.delete('/', protectOrGuest, emptyCart);
+router.post('/items', protectOrGuest, addCartItem);
+router.put('/items/:lineId', protectOrGuest, updateCartItem);
+router.delete('/items/:lineId', protectOrGuest, removeCartItem);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { protect, admin, delivery } = require('../middleware/authMiddleware');
+const {
+  getCashBalances,
+  getMyCashBalance,
+  createSettlement,
+  getSettlements,
+  getShiftReport,
+  getMyShiftReport,
+  getReconciliationReport
+} = require('../controllers/cashController');
+
+const router = express.Router();
+
+// Delivery agent's own cash in hand
+router.get('/my-balance', protect, delivery, getMyCashBalance);
+router.get('/my-report', protect, delivery, getMyShiftReport);
+
+// Admin cash handling
+router.get('/agents', protect, admin, getCashBalances);
+router.post('/agents/:id/settlements', protect, admin, createSettlement);
+router.get('/agents/:id/report', protect, admin, getShiftReport);
+router.get('/settlements', protect, admin, getSettlements);
+router.get('/reconciliation', protect, admin, getReconciliationReport);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect, admin, delivery } = require('../middleware/authMiddleware');
+const {
+  getMyStatement,
+  getAgentStatement,
+  getPayouts,
+  createPayout
+} = require('../controllers/earningsController');
+
+const router = express.Router();
+
+// Delivery agent's own payout statement
+router.get('/my-statement', protect, delivery, getMyStatement);
+
+// Admin payouts
+router.get('/payouts', protect, admin, getPayouts);
+router.get('/agents/:id/statement', protect, admin, getAgentStatement);
+router.post('/agents/:id/payouts', protect, admin, createPayout);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect, kitchen } = require('../middleware/authMiddleware');
+const {
+  getKitchenTickets,
+  getKitchenTicket,
+  startLine,
+  completeLine
+} = require('../controllers/kitchenController');
+
+const router = express.Router();
+
+// Active tickets grouped by station (?station=Pizza Oven for one station)
+router.get('/tickets', protect, kitchen, getKitchenTickets);
+router.get('/tickets/:orderId', protect, kitchen, getKitchenTicket);
+
+// Bump a line on the kitchen display
+router.put('/tickets/:orderId/lines/:lineId/start', protect, kitchen, startLine);
+router.put('/tickets/:orderId/lines/:lineId/done', protect, kitchen, completeLine);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const {
   getPublicOffers, 
   getOfferByCode, 
   applyOffer,
+  getBestOffers,
   validateOffer
 } = require('../controllers/offersController');
 
@@ -14,6 +15,7 @@ router.get('/code/:code', getOfferByCode); // Get offer details by code
 
 // Protected routes (require login)
 router.post('/apply', protect, applyOffer); // Apply offer to cart/order
+router.post('/best', protect, getBestOffers); // Rank current offers by savings on a cart
 router.post('/validate', protect, validateOffer); // Validate if offer can be applied
 
 module.exports = router;
\ No newline at end of file
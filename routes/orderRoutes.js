@@ -1,15 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-const { protect, admin, delivery } = require('../middleware/authMiddleware');
+const { protect, protectOrGuest, admin, delivery } = require('../middleware/authMiddleware');
 
-// Customer routes
-router.post('/', protect, orderController.placeOrder);
-router.get('/my-orders', protect, orderController.getMyOrders);
-router.get('/my-orders/:id', protect, orderController.getMyOrderById);
-router.put('/my-orders/:id/cancel', protect, orderController.cancelMyOrder);
+// Customer routes - guests can check out, track, cancel and pay too
+router.post('/', protectOrGuest, orderController.placeOrder);
+router.post('/quote', protectOrGuest, orderController.getOrderQuote);
+router.get('/slots', protectOrGuest, orderController.getScheduleSlots);
+router.get('/my-orders', protectOrGuest, orderController.getMyOrders);
+router.get('/my-orders/:id', protectOrGuest, orderController.getMyOrderById);
+router.put('/my-orders/:id/cancel', protectOrGuest, orderController.cancelMyOrder);
+router.put('/my-orders/:id/modify', protectOrGuest, orderController.modifyMyOrder);
+router.post('/my-orders/:id/refund', protectOrGuest, orderController.requestMyOrderRefund);
+router.post('/my-orders/:id/reorder', protectOrGuest, orderController.reorderOrder);
 router.post('/my-orders/:id/rate', protect, orderController.rateOrder);
-router.put('/my-orders/:id/payment', protect, orderController.updateOrderPayment);
+router.put('/my-orders/:id/payment', protectOrGuest, orderController.updateOrderPayment);
 
 // Admin routes
 router.get('/', protect, admin, orderController.getOrders);
@@ -22,6 +27,9 @@ router.get('/:id', protect, admin, orderController.getOrderById);
 router.put('/:id/status', protect, orderController.updateOrderStatus);
 
 // Admin-only routes
+router.put('/:id/accept', protect, admin, orderController.acceptOrder);
+router.put('/:id/reject', protect, admin, orderController.rejectOrder);
+router.put('/:id/modify', protect, admin, orderController.modifyOrderByAdmin);
 router.put('/:id/delivery-agent', protect, admin, orderController.assignDeliveryAgent);
 router.put('/:id/payment', protect, admin, orderController.updateOrderPayment);
 
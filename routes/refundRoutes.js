@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect, admin } = require('../middleware/authMiddleware');
+const {
+  getRefunds,
+  getRefundById,
+  createRefund,
+  approveRefundRequest,
+  declineRefundRequest
+} = require('../controllers/refundController');
+
+const router = express.Router();
+
+// Customers ask for refunds on their orders at POST /api/orders/my-orders/:id/refund
+router.get('/', protect, admin, getRefunds);
+router.post('/', protect, admin, createRefund);
+router.get('/:id', protect, admin, getRefundById);
+router.put('/:id/approve', protect, admin, approveRefundRequest);
+router.put('/:id/decline', protect, admin, declineRefundRequest);
+
+module.exports = router;
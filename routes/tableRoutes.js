@@ -0,0 +1,34 @@
+const express = require('express');
+const { protect, protectOrGuest, admin } = require('../middleware/authMiddleware');
+const {
+  getTables,
+  createTable,
+  updateTable,
+  deleteTable,
+  rotateTableQr,
+  getTableTab,
+  settleTableTab,
+  scanTable,
+  placeTableOrder,
+  getScannedTableTab
+} = require('../controllers/tableController');
+
+const router = express.Router();
+
+// Customer routes - :token is the signed token from the table's QR code
+router.get('/scan/:token', scanTable);
+router.post('/scan/:token/orders', protectOrGuest, placeTableOrder);
+router.get('/scan/:token/tab', protectOrGuest, getScannedTableTab);
+
+// Admin table management
+router.get('/', protect, admin, getTables);
+router.post('/', protect, admin, createTable);
+router.put('/:id', protect, admin, updateTable);
+router.delete('/:id', protect, admin, deleteTable);
+router.post('/:id/qr', protect, admin, rotateTableQr);
+
+// Open tab and settlement
+router.get('/:id/tab', protect, admin, getTableTab);
+router.post('/:id/tab/settle', protect, admin, settleTableTab);
+
+module.exports = router;
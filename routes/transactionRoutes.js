@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, admin, delivery } = require('../middleware/authMiddleware');
+const { protect, protectOrGuest, admin, delivery } = require('../middleware/authMiddleware');
 const {
   createTransaction,
   getTransactions,
@@ -9,7 +9,9 @@ const {
   getTransactionsByDateRange,
   createRazorpayOrder,
   verifyRazorpayPayment,
-  createTransactionAfterOrder
+  createTransactionAfterOrder,
+  handleRazorpayWebhook,
+  payWithFakeGateway
 } = require('../controllers/transactionController');
 
 // Create transaction - delivery agent only
@@ -23,14 +25,20 @@ router.get('/date-range', protect, admin, getTransactionsByDateRange);
 
 // Add these routes:
 
-// Create a Razorpay order
-router.post('/create-razorpay-order', protect, createRazorpayOrder);
+// Create a Razorpay order for one of our orders - guests pay online too
+router.post('/create-razorpay-order', protectOrGuest, createRazorpayOrder);
 
 // Verify Razorpay payment
-router.post('/verify-payment', protect, verifyRazorpayPayment);
+router.post('/verify-payment', protectOrGuest, verifyRazorpayPayment);
 
 // Create transaction after order is created (for online payments)
-router.post('/create-after-order', protect, createTransactionAfterOrder);
+router.post('/create-after-order', protectOrGuest, createTransactionAfterOrder);
+
+// Checkout stand-in for the fake payment gateway - 404 unless PAYMENT_GATEWAY=fake
+router.post('/fake-gateway/pay', protectOrGuest, payWithFakeGateway);
+
+// Razorpay webhooks - signed by Razorpay instead of a login
+router.post('/razorpay/webhook', handleRazorpayWebhook);
 
 // Get transactions by delivery agent - delivery agent access
 router.get('/delivery', protect, delivery, getDeliveryTransactions);
@@ -10,6 +10,7 @@ const {
   deleteUserAddress,
   setDefaultAddress,
   createGuestToken,
+  verifyContact,
   getDeliveryPartnerStatus,
   toggleDeliveryStatus,
   getUserPublicProfile // Add this new function
@@ -23,6 +24,7 @@ router.post('/login', loginUser);
 router.get('/profile', protect, getUserProfile);
 router.post('/logout', protect, logoutUser);
 router.post('/guest-token', createGuestToken);
+router.post('/verify-contact', protect, verifyContact);
 
 // Add new route for getting public profile by ID
 router.get('/profile/:userId', protect, getUserPublicProfile);
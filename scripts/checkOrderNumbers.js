@@ -0,0 +1,92 @@
+/**
+ * Order number migration check
+ *
+ * Reports orders that share an orderNumber (left behind by the old
+ * count-based generator) and seeds the per-day counters from the highest
+ * existing sequence so new numbers never collide with old ones.
+ *
+ * Usage:
+ *   node scripts/checkOrderNumbers.js          # report only
+ *   node scripts/checkOrderNumbers.js --seed   # also seed the counters
+ *
+ * Run with --seed once before deploying the counter-based generator.
+ * Exits with code 1 when duplicates are found.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const BusinessSettings = require('../models/Business');
+const logger = require('../utils/logger');
+const { getCounterKey, resolveSettings } = require('../utils/orderNumber');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findDuplicates = () => Order.aggregate([
+  { $match: { orderNumber: { $type: 'string' } } },
+  {
+    $group: {
+      _id: '$orderNumber',
+      count: { $sum: 1 },
+      orders: { $push: { _id: '$_id', createdAt: '$createdAt', customerName: '$customerName' } }
+    }
+  },
+  { $match: { count: { $gt: 1 } } },
+  { $sort: { _id: 1 } }
+]);
+
+const findHighestSequences = async (prefix) => {
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}(\\d{8})(\\d+)$`);
+  const orders = await Order.find({ orderNumber: pattern }).select('orderNumber').lean();
+
+  const highest = new Map();
+  orders.forEach(({ orderNumber }) => {
+    const [, dateKey, sequence] = orderNumber.match(pattern);
+    highest.set(dateKey, Math.max(highest.get(dateKey) || 0, Number(sequence)));
+  });
+
+  return highest;
+};
+
+const run = async () => {
+  const shouldSeed = process.argv.includes('--seed');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const settingsDoc = await BusinessSettings.findOne().select('orderNumberSettings');
+  const settings = resolveSettings(settingsDoc && settingsDoc.orderNumberSettings);
+  logger.info(`Order number format: ${settings.prefix}YYYYMMDD + ${settings.sequenceWidth}+ digits (${settings.timezone})`);
+
+  const duplicates = await findDuplicates();
+  if (duplicates.length === 0) {
+    logger.success('No duplicate order numbers found');
+  } else {
+    logger.warn(`Found ${duplicates.length} duplicated order numbers`);
+    duplicates.forEach(duplicate => {
+      logger.warn(`${duplicate._id} is used by ${duplicate.count} orders`, duplicate.orders);
+    });
+  }
+
+  const highest = await findHighestSequences(settings.prefix);
+  logger.info(`Found existing sequences for ${highest.size} days`);
+
+  if (shouldSeed) {
+    for (const [dateKey, sequence] of highest) {
+      await Counter.ensureAtLeast(getCounterKey(dateKey), sequence);
+    }
+    logger.success(`Seeded ${highest.size} order number counters`);
+  } else if (highest.size > 0) {
+    logger.info('Run again with --seed to seed the counters');
+  }
+
+  await mongoose.disconnect();
+  process.exit(duplicates.length > 0 ? 1 : 0);
+};
+
+run().catch(async (error) => {
+  logger.error('Order number check failed', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+/**
+ * Razorpay webhook replay
+ *
+ * Signs the recorded webhook payloads in scripts/fixtures/razorpay with
+ * RAZORPAY_WEBHOOK_SECRET and posts them to a running server, checking that
+ * each one is accepted, that a second delivery is reported as a duplicate
+ * and that a payload with a bad signature is refused.
+ *
+ * Fixtures hold placeholders like {{RAZORPAY_ORDER_ID}} so they can be
+ * pointed at a real local order: place an online order, then pass its
+ * Razorpay order id and amount in paise.
+ *
+ * Usage:
+ *   node scripts/replayWebhooks.js                              # every fixture
+ *   node scripts/replayWebhooks.js payment.captured order.paid  # some fixtures
+ *   node scripts/replayWebhooks.js --var RAZORPAY_ORDER_ID=order_Abc --var AMOUNT=49900
+ *   node scripts/replayWebhooks.js --url http://localhost:5000/api/transactions/razorpay/webhook
+ *   node scripts/replayWebhooks.js --recorded-ids               # send the fixture event ids as they are
+ *
+ * Event ids get a per-run suffix unless --recorded-ids is given, so the
+ * replay can be repeated against the same database.
+ * Exits with code 1 when any check fails.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'razorpay');
+
+const DEFAULT_VARS = {
+  RAZORPAY_ORDER_ID: 'order_FixtureOrder0001',
+  PAYMENT_ID: 'pay_FixturePayment001',
+  FAILED_PAYMENT_ID: 'pay_FixtureFailed0001',
+  REFUND_ID: 'rfnd_FixtureRefund001',
+  AMOUNT: '49900'
+};
+
+const parseArgs = (argv) => {
+  const options = {
+    url: `http://localhost:${process.env.PORT || 5000}/api/transactions/razorpay/webhook`,
+    vars: { ...DEFAULT_VARS },
+    recordedIds: false,
+    names: []
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--url') {
+      options.url = argv[i += 1];
+    } else if (arg === '--var') {
+      const [name, ...value] = argv[i += 1].split('=');
+      options.vars[name] = value.join('=');
+    } else if (arg === '--recorded-ids') {
+      options.recordedIds = true;
+    } else {
+      options.names.push(arg.replace(/\.json$/, ''));
+    }
+  }
+
+  return options;
+};
+
+// Replace "{{NAME}}" strings in the fixture, keeping numbers numeric
+const fillPlaceholders = (value, vars) => {
+  if (Array.isArray(value)) {
+    return value.map(entry => fillPlaceholders(entry, vars));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fillPlaceholders(entry, vars)]));
+  }
+  if (typeof value === 'string') {
+    const match = value.match(/^\{\{(\w+)\}\}$/);
+    if (match && vars[match[1]] !== undefined) {
+      const replacement = vars[match[1]];
+      return /^\d+$/.test(replacement) ? Number(replacement) : replacement;
+    }
+  }
+  return value;
+};
+
+const loadFixtures = (names) => {
+  const files = fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.json')).sort();
+  // Named fixtures are sent in the order given, e.g. a failed attempt before the capture
+  const selected = names.length > 0 ? names.map(name => `${name}.json`).filter(file => files.includes(file)) : files;
+
+  const missing = names.filter(name => !files.includes(`${name}.json`));
+  if (missing.length > 0) {
+    throw new Error(`Unknown fixtures: ${missing.join(', ')}`);
+  }
+
+  return selected.map(file => ({
+    name: file.replace(/\.json$/, ''),
+    ...JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'))
+  }));
+};
+
+const send = async (url, eventId, rawBody, signature) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Event-Id': eventId,
+      'X-Razorpay-Signature': signature
+    },
+    body: rawBody
+  });
+  const body = await response.json().catch(() => ({}));
+  return { status: response.status, body };
+};
+
+const run = async () => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET is not set');
+  }
+
+  const options = parseArgs(process.argv.slice(2));
+  const fixtures = loadFixtures(options.names);
+  const runId = Date.now().toString(36);
+  const sign = (rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+  logger.info(`Replaying ${fixtures.length} webhook fixtures to ${options.url}`);
+
+  let failures = 0;
+  const check = (passed, message, detail) => {
+    if (passed) {
+      logger.success(message);
+    } else {
+      failures += 1;
+      logger.error(message, detail);
+    }
+  };
+
+  for (const fixture of fixtures) {
+    const eventId = options.recordedIds ? fixture.eventId : `${fixture.eventId}_${runId}`;
+    const rawBody = JSON.stringify(fillPlaceholders(fixture.body, options.vars));
+
+    const first = await send(options.url, eventId, rawBody, sign(rawBody));
+    check(
+      first.status === 200,
+      `${fixture.name}: accepted (${first.body.status || first.status}${first.body.result ? `: ${first.body.result}` : ''})`,
+      first.body
+    );
+
+    const second = await send(options.url, eventId, rawBody, sign(rawBody));
+    check(second.status === 200 && second.body.duplicate === true, `${fixture.name}: repeat delivery ignored`, second.body);
+  }
+
+  if (fixtures.length > 0) {
+    const rawBody = JSON.stringify(fillPlaceholders(fixtures[0].body, options.vars));
+    const forged = await send(options.url, `evt_forged_${runId}`, rawBody, sign(`${rawBody} `));
+    check(forged.status === 400, 'Payload with a bad signature refused', forged.body);
+  }
+
+  if (failures > 0) {
+    logger.error(`${failures} webhook checks failed`);
+  } else {
+    logger.success('All webhook checks passed');
+  }
+  process.exit(failures > 0 ? 1 : 0);
+};
+
+run().catch((error) => {
+  logger.error('Webhook replay failed', error);
+  process.exit(1);
+});
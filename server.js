@@ -4,6 +4,9 @@ const socketIo = require('socket.io');
 const connectDB = require('./config/db');
 const logger = require('./utils/logger');
 const BusinessSettings = require('./models/Business');
+const { autoRejectExpiredOrders } = require('./services/orderAcceptanceService');
+const { releaseDueScheduledOrders } = require('./services/schedulingService');
+const { sendAbandonedCartReminders } = require('./services/cartService');
 require('dotenv').config();
 
 // Connect to database
@@ -76,6 +79,48 @@ const statusInterval = setInterval(updateBusinessStatus, 60000);
 // Initial status check (delayed to allow DB connection)
 setTimeout(updateBusinessStatus, 5000);
 
+// Reject orders the kitchen did not accept in time
+const rejectUnacceptedOrders = async () => {
+  const startTime = Date.now();
+
+  try {
+    await autoRejectExpiredOrders(io);
+    logger.performance('Order acceptance check', Date.now() - startTime);
+  } catch (error) {
+    logger.error('Error auto-rejecting orders', error);
+  }
+};
+
+const acceptanceInterval = setInterval(rejectUnacceptedOrders, 60000);
+
+// Send scheduled orders to the kitchen ahead of their slot
+const releaseScheduledOrders = async () => {
+  const startTime = Date.now();
+
+  try {
+    await releaseDueScheduledOrders(io);
+    logger.performance('Scheduled order release', Date.now() - startTime);
+  } catch (error) {
+    logger.error('Error releasing scheduled orders', error);
+  }
+};
+
+const schedulingInterval = setInterval(releaseScheduledOrders, 60000);
+
+// Nudge customers who left items in their cart
+const remindAbandonedCarts = async () => {
+  const startTime = Date.now();
+
+  try {
+    await sendAbandonedCartReminders();
+    logger.performance('Abandoned cart reminders', Date.now() - startTime);
+  } catch (error) {
+    logger.error('Error sending abandoned cart reminders', error);
+  }
+};
+
+const cartReminderInterval = setInterval(remindAbandonedCarts, 5 * 60000);
+
 // Socket connection handling with optimization
 io.on('connection', (socket) => {
   logger.socket('connection', `New client connected: ${socket.id}`);
@@ -151,6 +196,9 @@ const gracefulShutdown = () => {
   
   // Clear intervals
   clearInterval(statusInterval);
+  clearInterval(acceptanceInterval);
+  clearInterval(schedulingInterval);
+  clearInterval(cartReminderInterval);
   
   // Close server
   server.close(() => {
@@ -0,0 +1,370 @@
+const Cart = require('../models/Cart');
+const unifiedNotificationService = require('./unifiedNotificationService');
+const { priceItems } = require('./pricingService');
+const { roundCurrency } = require('../utils/currency');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+/**
+ * Saved carts: one per account or guest token, validated against the menu
+ * on every change, merged into the account on login and removed when stale.
+ */
+
+// Carts untouched for this long are removed by the TTL index
+const CART_TTL_DAYS = 30;
+
+// Quiet time before a customer is reminded about their cart
+const ABANDONED_AFTER_MINUTES = 120;
+
+const SELECTION_FIELDS = ['customizations', 'addOns', 'toppings'];
+
+/**
+ * Query matching the cart of a user or guest
+ * @param {Object} owner - req.user, a User document or a guest from protectOrGuest
+ * @returns {Object} Cart query
+ */
+const ownerQuery = (owner) => (owner.isGuest ? { guestId: owner.guestId } : { user: owner._id });
+
+/**
+ * Mark a cart as just used, pushing back its expiry and re-arming the reminder
+ * @param {Object} cart - Cart document
+ * @param {Date} [now] - Current time
+ */
+const touch = (cart, now = new Date()) => {
+  cart.lastActivityAt = now;
+  cart.expiresAt = new Date(now.getTime() + CART_TTL_DAYS * 24 * 60 * 60000);
+  cart.reminderSentAt = undefined;
+};
+
+/**
+ * Find the owner's cart, creating an empty one if needed
+ * @param {Object} owner - req.user
+ * @returns {Promise<Object>} Cart document
+ */
+const getOrCreateCart = async (owner) => {
+  const query = ownerQuery(owner);
+  const now = new Date();
+  try {
+    return await Cart.findOneAndUpdate(
+      query,
+      { $setOnInsert: { lastActivityAt: now, expiresAt: new Date(now.getTime() + CART_TTL_DAYS * 24 * 60 * 60000) } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two devices created the cart at once - use the one that won
+    if (error.code === 11000) {
+      return Cart.findOne(query);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Price one cart line against the menu
+ * @param {Object} line - Cart line
+ * @returns {Promise<Object>} Priced order item
+ * @throws {Error} 422 with the line's errors when it cannot be ordered
+ */
+const priceLine = async (line) => {
+  const { items, errors } = await priceItems([line]);
+  if (errors.length > 0) {
+    throw httpError('This item cannot be added to the cart', 422, {
+      code: 'INVALID_CART_LINE',
+      errors: errors[0].errors
+    });
+  }
+  return items[0];
+};
+
+/**
+ * Shape a priced item for storage on the cart
+ * @param {Object} priced - Priced order item from priceItems
+ * @returns {Object} Cart line fields
+ */
+const toStoredLine = (priced) => {
+  const line = {
+    menuItemId: priced.menuItemId,
+    name: priced.name,
+    size: priced.size,
+    quantity: priced.quantity,
+    specialInstructions: priced.specialInstructions,
+    unitPrice: priced.totalItemPrice
+  };
+  SELECTION_FIELDS.forEach(field => {
+    line[field] = priced[field].map(({ name, option }) => ({ name, option }));
+  });
+  return line;
+};
+
+/**
+ * Key identifying lines that are the same dish made the same way
+ * @param {Object} line - Cart line
+ * @returns {string} Line key
+ */
+const lineKey = (line) => JSON.stringify([
+  String(line.menuItemId),
+  line.size || null,
+  ...SELECTION_FIELDS.map(field => (line[field] || [])
+    .map(({ name, option }) => `${name}:${option || ''}`)
+    .sort()),
+  (line.specialInstructions || '').trim()
+]);
+
+/**
+ * Add a line to the owner's cart, or add to the quantity of the same line
+ * @param {Object} owner - req.user
+ * @param {Object} input - Cart line from the request
+ * @returns {Promise<Object>} Cart document
+ * @throws {Error} 422 when the line fails menu validation
+ */
+const addLine = async (owner, input) => {
+  const priced = await priceLine({ ...input, quantity: input.quantity === undefined ? 1 : input.quantity });
+  const cart = await getOrCreateCart(owner);
+  const line = toStoredLine(priced);
+
+  const existing = cart.items.find(item => lineKey(item) === lineKey(line));
+  if (existing) {
+    existing.set({ ...line, quantity: existing.quantity + line.quantity });
+  } else {
+    cart.items.push(line);
+  }
+
+  touch(cart);
+  return cart.save();
+};
+
+/**
+ * Change the quantity, size or options of a cart line
+ * @param {Object} owner - req.user
+ * @param {string} lineId - Cart line ID
+ * @param {Object} changes - quantity, size, customizations, addOns, toppings or specialInstructions
+ * @returns {Promise<Object>} Cart document
+ * @throws {Error} 404 for an unknown line, 422 when the changed line fails menu validation
+ */
+const updateLine = async (owner, lineId, changes) => {
+  const cart = await Cart.findOne(ownerQuery(owner));
+  const line = cart && cart.items.id(lineId);
+  if (!line) {
+    throw httpError('Cart item not found', 404);
+  }
+
+  // Setting the quantity to zero removes the line
+  if (Number(changes.quantity) === 0) {
+    line.deleteOne();
+  } else {
+    const next = line.toObject();
+    ['quantity', 'size', ...SELECTION_FIELDS, 'specialInstructions'].forEach(field => {
+      if (changes[field] !== undefined) {
+        next[field] = changes[field];
+      }
+    });
+    line.set(toStoredLine(await priceLine(next)));
+  }
+
+  touch(cart);
+  return cart.save();
+};
+
+/**
+ * Remove a line from the owner's cart
+ * @param {Object} owner - req.user
+ * @param {string} lineId - Cart line ID
+ * @returns {Promise<Object>} Cart document
+ * @throws {Error} 404 for an unknown line
+ */
+const removeLine = async (owner, lineId) => {
+  const cart = await Cart.findOne(ownerQuery(owner));
+  const line = cart && cart.items.id(lineId);
+  if (!line) {
+    throw httpError('Cart item not found', 404);
+  }
+
+  line.deleteOne();
+  touch(cart);
+  return cart.save();
+};
+
+/**
+ * Empty the owner's cart
+ * @param {Object} owner - req.user
+ * @returns {Promise<void>}
+ */
+const clearCart = async (owner) => {
+  await Cart.deleteOne(ownerQuery(owner));
+};
+
+/**
+ * Take the lines of a placed order out of the owner's cart
+ *
+ * Only what was ordered comes out, so lines added on another device since
+ * stay in the cart. A cart left empty is removed.
+ * @param {Object} owner - req.user
+ * @param {Array<Object>} orderedItems - Items of the placed order
+ * @returns {Promise<number>} Number of cart lines reduced or removed
+ */
+const removeOrderedLines = async (owner, orderedItems) => {
+  const cart = await Cart.findOne(ownerQuery(owner));
+  if (!cart) {
+    return 0;
+  }
+
+  const ordered = new Map();
+  orderedItems.forEach(item => {
+    const key = lineKey(item);
+    ordered.set(key, (ordered.get(key) || 0) + item.quantity);
+  });
+
+  let changed = 0;
+  [...cart.items].forEach(line => {
+    const key = lineKey(line);
+    const remaining = ordered.get(key) || 0;
+    if (remaining === 0) return;
+
+    const taken = Math.min(remaining, line.quantity);
+    ordered.set(key, remaining - taken);
+    if (taken === line.quantity) {
+      line.deleteOne();
+    } else {
+      line.quantity -= taken;
+    }
+    changed += 1;
+  });
+
+  if (changed === 0) {
+    return 0;
+  }
+
+  if (cart.items.length === 0) {
+    await cart.deleteOne();
+  } else {
+    touch(cart);
+    await cart.save();
+  }
+  return changed;
+};
+
+/**
+ * Move the lines of a guest's cart into a user's cart and drop the guest cart
+ * @param {string} guestId - ID from the guest token
+ * @param {Object} user - User document
+ * @returns {Promise<number>} Number of lines moved
+ */
+const mergeGuestCart = async (guestId, user) => {
+  const guestCart = await Cart.findOne({ guestId });
+  if (!guestCart) {
+    return 0;
+  }
+
+  if (guestCart.items.length > 0) {
+    const cart = await getOrCreateCart(user);
+    guestCart.items.forEach(guestLine => {
+      const existing = cart.items.find(item => lineKey(item) === lineKey(guestLine));
+      if (existing) {
+        existing.quantity += guestLine.quantity;
+      } else {
+        const { _id, ...line } = guestLine.toObject();
+        cart.items.push(line);
+      }
+    });
+    touch(cart);
+    await cart.save();
+  }
+
+  await guestCart.deleteOne();
+  return guestCart.items.length;
+};
+
+/**
+ * Re-price a cart for display. Lines that can no longer be ordered stay in
+ * the cart with their errors so the customer can fix or remove them.
+ * @param {Object} [cart] - Cart document
+ * @returns {Promise<Object>} Cart with current prices and per-line errors
+ */
+const formatCart = async (cart) => {
+  if (!cart || cart.items.length === 0) {
+    return { _id: cart ? cart._id : null, items: [], itemCount: 0, subTotal: 0, hasUnavailableItems: false };
+  }
+
+  const lines = cart.items.map(item => item.toObject());
+  const { items: pricedItems, errors } = await priceItems(lines);
+  const errorsByIndex = new Map(errors.map(error => [error.index, error.errors]));
+
+  let pricedIndex = 0;
+  const items = lines.map((line, index) => {
+    if (errorsByIndex.has(index)) {
+      return { ...line, available: false, unitPrice: null, totalPrice: 0, errors: errorsByIndex.get(index) };
+    }
+
+    // priceItems keeps the order of the lines it could price
+    const priced = pricedItems[pricedIndex];
+    pricedIndex += 1;
+    return {
+      ...line,
+      available: true,
+      unitPrice: priced.totalItemPrice,
+      totalPrice: roundCurrency(priced.totalItemPrice * priced.quantity),
+      priceChanged: priced.totalItemPrice !== line.unitPrice,
+      image: priced.image,
+      foodType: priced.foodType
+    };
+  });
+
+  return {
+    _id: cart._id,
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subTotal: roundCurrency(items.reduce((sum, item) => sum + item.totalPrice, 0)),
+    hasUnavailableItems: errors.length > 0,
+    expiresAt: cart.expiresAt,
+    updatedAt: cart.updatedAt
+  };
+};
+
+/**
+ * Remind customers about carts they have left untouched
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendAbandonedCartReminders = async (now = new Date()) => {
+  const carts = await Cart.find({
+    user: { $exists: true },
+    'items.0': { $exists: true },
+    lastActivityAt: { $lte: new Date(now.getTime() - ABANDONED_AFTER_MINUTES * 60000) },
+    reminderSentAt: null,
+    expiresAt: { $gt: now }
+  }).limit(100);
+
+  let sent = 0;
+  for (const cart of carts) {
+    try {
+      await unifiedNotificationService.sendAbandonedCartNotification(cart.user, {
+        cartId: cart._id,
+        itemCount: cart.items.reduce((count, item) => count + item.quantity, 0),
+        firstItemName: cart.items[0].name
+      });
+      // Stamp without touching lastActivityAt so the cart still expires on time
+      await Cart.updateOne({ _id: cart._id }, { $set: { reminderSentAt: now } });
+      sent += 1;
+    } catch (error) {
+      logger.error(`Failed to send abandoned cart reminder for cart ${cart._id}`, error);
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`Sent ${sent} abandoned cart reminders`);
+  }
+  return sent;
+};
+
+module.exports = {
+  CART_TTL_DAYS,
+  ownerQuery,
+  addLine,
+  updateLine,
+  removeLine,
+  clearCart,
+  removeOrderedLines,
+  mergeGuestCart,
+  formatCart,
+  sendAbandonedCartReminders
+};
@@ -0,0 +1,418 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const CashSettlement = require('../models/CashSettlement');
+const User = require('../models/User');
+const BusinessSettings = require('../models/Business');
+const { roundCurrency } = require('../utils/currency');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+/**
+ * Cash ledger for delivery agents: cash collected on delivery (the agent's
+ * cash transactions) less cash handed back to the shop (settlements) is
+ * what each agent has in hand.
+ */
+
+// Payment methods that leave cash with the agent
+const CASH_METHODS = ['Cash on Delivery', 'Cash'];
+
+// Notes and coins an admin can count a handover in
+const DENOMINATIONS = [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+const DEFAULT_CASH_SETTINGS = {
+  cashInHandLimit: 5000
+};
+
+/**
+ * Load the cash handling settings
+ * @returns {Promise<Object>} cashInHandLimit
+ */
+const loadCashSettings = async () => {
+  const settings = await BusinessSettings.findOne().select('cashHandling');
+  const configured = settings && settings.cashHandling ? settings.cashHandling.toObject() : {};
+  return { ...DEFAULT_CASH_SETTINGS, ...configured };
+};
+
+/**
+ * Query for cash an agent collected, optionally within a time range
+ * @param {Object} [range] - `{ from, to }`, either may be omitted
+ * @returns {Object} Transaction query, without the agent
+ */
+const collectionQuery = ({ from, to } = {}) => {
+  const query = {
+    type: { $ne: 'refund' },
+    paymentMethod: { $in: CASH_METHODS },
+    // The cash was still collected even if the order was refunded later
+    status: { $in: ['Completed', 'Refunded'] }
+  };
+  if (from || to) {
+    query.transactionDate = {
+      ...(from && { $gte: from }),
+      ...(to && { $lt: to })
+    };
+  }
+  return query;
+};
+
+/**
+ * Query for settlements, optionally within a time range
+ * @param {Object} [range] - `{ from, to }`, either may be omitted
+ * @returns {Object} CashSettlement query, without the agent
+ */
+const settlementQuery = ({ from, to } = {}) => (from || to
+  ? { createdAt: { ...(from && { $gte: from }), ...(to && { $lt: to }) } }
+  : {});
+
+/**
+ * Sum cash collected and handed over per agent
+ * @param {Object} [range] - `{ from, to }`
+ * @param {Array<Object>} [agentIds] - Only these agents
+ * @returns {Promise<Map<string, Object>>} Agent ID to `{ collected, collections, settled, settlements }`
+ */
+const sumLedger = async (range, agentIds) => {
+  // Aggregations do not cast, so string IDs have to become ObjectIds here
+  const agentFilter = agentIds
+    ? { $in: agentIds.map(id => new mongoose.Types.ObjectId(id.toString())) }
+    : { $exists: true };
+
+  const [collections, settlements] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { ...collectionQuery(range), confirmedBy: agentFilter } },
+      { $group: { _id: '$confirmedBy', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]),
+    CashSettlement.aggregate([
+      { $match: { ...settlementQuery(range), agent: agentFilter } },
+      { $group: { _id: '$agent', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const totals = new Map();
+  const entry = (id) => {
+    const key = id.toString();
+    if (!totals.has(key)) {
+      totals.set(key, { collected: 0, collections: 0, settled: 0, settlements: 0 });
+    }
+    return totals.get(key);
+  };
+
+  collections.forEach(row => {
+    entry(row._id).collected = roundCurrency(row.total);
+    entry(row._id).collections = row.count;
+  });
+  settlements.forEach(row => {
+    entry(row._id).settled = roundCurrency(row.total);
+    entry(row._id).settlements = row.count;
+  });
+
+  return totals;
+};
+
+/**
+ * Work out an agent's cash in hand
+ * @param {Object|string} agentId - Delivery agent's user ID
+ * @param {Date} [asOf] - Balance just before this time, now when omitted
+ * @returns {Promise<Object>} `{ collected, settled, balance }`
+ */
+const getCashBalance = async (agentId, asOf) => {
+  const totals = await sumLedger(asOf ? { to: asOf } : {}, [agentId]);
+  const { collected = 0, settled = 0 } = totals.get(agentId.toString()) || {};
+  return { collected, settled, balance: roundCurrency(collected - settled) };
+};
+
+/**
+ * Check whether an agent holds more cash than the configured limit
+ * @param {Object|string} agentId - Delivery agent's user ID
+ * @param {Object} [cashSettings] - Settings from loadCashSettings
+ * @returns {Promise<Object>} `{ balance, limit, overLimit }`
+ */
+const checkCashLimit = async (agentId, cashSettings) => {
+  const { cashInHandLimit } = cashSettings || await loadCashSettings();
+  const { balance } = await getCashBalance(agentId);
+  return {
+    balance,
+    limit: cashInHandLimit,
+    overLimit: cashInHandLimit > 0 && balance > cashInHandLimit
+  };
+};
+
+/**
+ * Tell admins when an agent has just gone over the cash-in-hand limit.
+ * Never throws - the collection has already been recorded.
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} agent - Delivery agent user
+ * @returns {Promise<Object|null>} Limit check, or null when it failed
+ */
+const alertIfOverCashLimit = async (io, agent) => {
+  try {
+    const check = await checkCashLimit(agent._id);
+    if (check.overLimit && io) {
+      io.to('role:admin').emit('cash_limit_exceeded', {
+        agentId: agent._id,
+        agentName: agent.name,
+        balance: check.balance,
+        limit: check.limit
+      });
+    }
+    return check;
+  } catch (error) {
+    logger.error(`Failed to check cash limit for agent ${agent._id}`, error);
+    return null;
+  }
+};
+
+/**
+ * Record cash an agent took on delivery, unless the order already has a
+ * payment recorded
+ * @param {Object} order - COD order
+ * @param {Object} agent - Delivery agent user
+ * @param {string} [note] - Transaction note
+ * @returns {Promise<Object|null>} New transaction, or null when one existed
+ */
+const recordCashCollection = async (order, agent, note) => {
+  const existing = await Transaction.exists({ order: order._id, type: { $ne: 'refund' } });
+  if (existing) {
+    return null;
+  }
+
+  return Transaction.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    amount: order.amount,
+    paymentMethod: 'Cash on Delivery',
+    confirmedBy: agent._id,
+    confirmedByName: agent.name,
+    customer: order.customer,
+    customerName: order.customerName,
+    notes: note || 'Cash collected on delivery'
+  });
+};
+
+/**
+ * Work out the cash handed over from a denomination count and/or amount
+ * @param {Array<Object>} [denominations] - `{ value, count }` entries
+ * @param {number} [amount] - Amount counted
+ * @returns {Object} `{ amount, denominations }`
+ * @throws {Error} 400 for unknown notes, bad counts or a total that does not match the amount
+ */
+const countCash = (denominations, amount) => {
+  const counted = (Array.isArray(denominations) ? denominations : [])
+    .map(entry => ({ value: Number(entry.value), count: Number(entry.count) }))
+    .filter(entry => entry.count !== 0);
+
+  const invalid = counted.filter(entry => !DENOMINATIONS.includes(entry.value) ||
+    !Number.isInteger(entry.count) || entry.count < 0);
+  if (invalid.length > 0) {
+    throw httpError('Invalid denominations', 400, { code: 'INVALID_DENOMINATIONS', invalid, allowed: DENOMINATIONS });
+  }
+
+  if (counted.length === 0) {
+    if (amount === undefined || amount === null || !(Number(amount) >= 0)) {
+      throw httpError('Give the amount received or a denomination count', 400);
+    }
+    return { amount: roundCurrency(Number(amount)), denominations: [] };
+  }
+
+  const total = roundCurrency(counted.reduce((sum, entry) => sum + entry.value * entry.count, 0));
+  if (amount !== undefined && amount !== null && roundCurrency(Number(amount)) !== total) {
+    throw httpError(`Denominations add up to ₹${total}, not ₹${amount}`, 400, {
+      code: 'DENOMINATION_MISMATCH',
+      counted: total
+    });
+  }
+
+  return { amount: total, denominations: counted.sort((a, b) => b.value - a.value) };
+};
+
+/**
+ * Record cash an admin received from a delivery agent
+ * @param {Object} agent - Delivery agent user
+ * @param {Object} admin - Admin receiving the cash
+ * @param {Object} handover - Handover details
+ * @param {Array<Object>} [handover.denominations] - `{ value, count }` entries
+ * @param {number} [handover.amount] - Amount counted, worked out from the denominations when omitted
+ * @param {number} [handover.declaredAmount] - What the agent said they handed over, the expected amount by default
+ * @param {string} [handover.note] - Note, e.g. the reason for a shortage
+ * @returns {Promise<Object>} CashSettlement document
+ * @throws {Error} 400 for an invalid count
+ */
+const settleCash = async (agent, admin, { denominations, amount, declaredAmount, note }) => {
+  const cash = countCash(denominations, amount);
+  const { balance } = await getCashBalance(agent._id);
+  const declared = declaredAmount === undefined || declaredAmount === null
+    ? balance
+    : roundCurrency(Number(declaredAmount));
+
+  if (!(declared >= 0)) {
+    throw httpError('Declared amount must be zero or more', 400);
+  }
+
+  const previous = await CashSettlement.findOne({ agent: agent._id }).sort({ createdAt: -1 });
+
+  return CashSettlement.create({
+    agent: agent._id,
+    agentName: agent.name,
+    amount: cash.amount,
+    denominations: cash.denominations,
+    expectedAmount: balance,
+    declaredAmount: declared,
+    discrepancy: roundCurrency(cash.amount - declared),
+    balanceAfter: roundCurrency(balance - cash.amount),
+    periodStart: previous ? previous.createdAt : undefined,
+    periodEnd: new Date(),
+    receivedBy: admin._id,
+    receivedByName: admin.name,
+    note
+  });
+};
+
+/**
+ * List every delivery agent's cash in hand, highest first
+ * @returns {Promise<Object>} `{ limit, agents, totalInHand, overLimitCount }`
+ */
+const getAgentBalances = async () => {
+  const [agents, totals, { cashInHandLimit }] = await Promise.all([
+    User.find({ role: 'delivery' }).select('name phone'),
+    sumLedger(),
+    loadCashSettings()
+  ]);
+
+  const lastSettlements = await CashSettlement.aggregate([
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$agent', lastSettledAt: { $first: '$createdAt' } } }
+  ]);
+  const lastSettledAt = new Map(lastSettlements.map(row => [row._id.toString(), row.lastSettledAt]));
+
+  const rows = agents.map(agent => {
+    const { collected = 0, settled = 0 } = totals.get(agent._id.toString()) || {};
+    const balance = roundCurrency(collected - settled);
+    return {
+      agentId: agent._id,
+      name: agent.name,
+      phone: agent.phone,
+      collected,
+      settled,
+      balance,
+      overLimit: cashInHandLimit > 0 && balance > cashInHandLimit,
+      lastSettledAt: lastSettledAt.get(agent._id.toString()) || null
+    };
+  }).sort((a, b) => b.balance - a.balance);
+
+  return {
+    limit: cashInHandLimit,
+    agents: rows,
+    totalInHand: roundCurrency(rows.reduce((sum, row) => sum + row.balance, 0)),
+    overLimitCount: rows.filter(row => row.overLimit).length
+  };
+};
+
+/**
+ * End-of-shift reconciliation for one agent: cash in hand at the start,
+ * what they collected and handed over during the shift, and what is left
+ * @param {Object} agent - Delivery agent user
+ * @param {Object} range - `{ from, to }`
+ * @returns {Promise<Object>} Shift report
+ */
+const buildShiftReport = async (agent, { from, to }) => {
+  const [opening, transactions, settlements, { cashInHandLimit }] = await Promise.all([
+    getCashBalance(agent._id, from),
+    Transaction.find({ ...collectionQuery({ from, to }), confirmedBy: agent._id })
+      .select('order orderNumber amount paymentMethod customerName transactionDate')
+      .sort({ transactionDate: 1 }),
+    CashSettlement.find({ ...settlementQuery({ from, to }), agent: agent._id }).sort({ createdAt: 1 }),
+    loadCashSettings()
+  ]);
+
+  const collected = roundCurrency(transactions.reduce((sum, transaction) => sum + transaction.amount, 0));
+  const received = roundCurrency(settlements.reduce((sum, settlement) => sum + settlement.amount, 0));
+  const discrepancy = roundCurrency(settlements.reduce((sum, settlement) => sum + settlement.discrepancy, 0));
+  const closingBalance = roundCurrency(opening.balance + collected - received);
+
+  return {
+    agent: { _id: agent._id, name: agent.name, phone: agent.phone },
+    from,
+    to,
+    openingBalance: opening.balance,
+    collected,
+    collectionCount: transactions.length,
+    received,
+    discrepancy,
+    closingBalance,
+    limit: cashInHandLimit,
+    overLimit: cashInHandLimit > 0 && closingBalance > cashInHandLimit,
+    transactions,
+    settlements
+  };
+};
+
+/**
+ * Reconciliation summary for every agent with cash activity or cash in hand
+ * @param {Object} range - `{ from, to }`
+ * @returns {Promise<Object>} `{ from, to, limit, agents, totals }`
+ */
+const buildReconciliationReport = async ({ from, to }) => {
+  const [agents, opening, during, { cashInHandLimit }] = await Promise.all([
+    User.find({ role: 'delivery' }).select('name phone'),
+    sumLedger({ to: from }),
+    sumLedger({ from, to }),
+    loadCashSettings()
+  ]);
+
+  const discrepancies = await CashSettlement.aggregate([
+    { $match: settlementQuery({ from, to }) },
+    { $group: { _id: '$agent', total: { $sum: '$discrepancy' } } }
+  ]);
+  const discrepancyByAgent = new Map(discrepancies.map(row => [row._id.toString(), roundCurrency(row.total)]));
+
+  const rows = agents.map(agent => {
+    const key = agent._id.toString();
+    const before = opening.get(key) || { collected: 0, settled: 0 };
+    const shift = during.get(key) || { collected: 0, collections: 0, settled: 0, settlements: 0 };
+    const openingBalance = roundCurrency(before.collected - before.settled);
+    const closingBalance = roundCurrency(openingBalance + shift.collected - shift.settled);
+
+    return {
+      agentId: agent._id,
+      name: agent.name,
+      openingBalance,
+      collected: shift.collected,
+      collectionCount: shift.collections,
+      received: shift.settled,
+      settlementCount: shift.settlements,
+      discrepancy: discrepancyByAgent.get(key) || 0,
+      closingBalance,
+      overLimit: cashInHandLimit > 0 && closingBalance > cashInHandLimit
+    };
+  }).filter(row => row.openingBalance !== 0 || row.collectionCount > 0 || row.settlementCount > 0);
+
+  const total = (field) => roundCurrency(rows.reduce((sum, row) => sum + row[field], 0));
+
+  return {
+    from,
+    to,
+    limit: cashInHandLimit,
+    agents: rows,
+    totals: {
+      openingBalance: total('openingBalance'),
+      collected: total('collected'),
+      received: total('received'),
+      discrepancy: total('discrepancy'),
+      closingBalance: total('closingBalance'),
+      overLimitCount: rows.filter(row => row.overLimit).length
+    }
+  };
+};
+
+module.exports = {
+  CASH_METHODS,
+  DENOMINATIONS,
+  loadCashSettings,
+  getCashBalance,
+  checkCashLimit,
+  alertIfOverCashLimit,
+  recordCashCollection,
+  countCash,
+  settleCash,
+  getAgentBalances,
+  buildShiftReport,
+  buildReconciliationReport
+};
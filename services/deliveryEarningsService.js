@@ -0,0 +1,520 @@
+const mongoose = require('mongoose');
+const AgentEarning = require('../models/AgentEarning');
+const User = require('../models/User');
+const BusinessSettings = require('../models/Business');
+const { roundCurrency } = require('../utils/currency');
+const { DEFAULT_TIMEZONE, WEEKDAYS, getLocalParts, getLocalDayKey, fromLocalTime } = require('../utils/localTime');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+/**
+ * Delivery agent earnings: every delivered order is paid by the configured
+ * pay rules (a base per delivery, a rate per km and any surge window it was
+ * delivered in), plus incentives for reaching a number of deliveries in a
+ * day. Each payment is a line in the AgentEarning ledger, which weekly
+ * payout statements are built from.
+ *
+ * Days, payout weeks and surge windows are in the shop's timezone.
+ */
+
+const DEFAULT_PAY_SETTINGS = {
+  basePerDelivery: 30,
+  perKm: 5,
+  surgeWindows: [],
+  dailyIncentives: [],
+  weekStartsOn: 1
+};
+
+/**
+ * Load the delivery pay rules
+ * @returns {Promise<Object>} basePerDelivery, perKm, surgeWindows, dailyIncentives, weekStartsOn
+ *   and the shop timeZone
+ */
+const loadPaySettings = async () => {
+  const settings = await BusinessSettings.findOne().select('deliveryPay businessInfo.timezone');
+  const configured = settings && settings.deliveryPay ? settings.deliveryPay.toObject() : {};
+  return {
+    ...DEFAULT_PAY_SETTINGS,
+    ...configured,
+    timeZone: settings ? settings.getTimezone() : DEFAULT_TIMEZONE
+  };
+};
+
+/**
+ * Shop calendar date of a time, YYYY-MM-DD
+ * @param {Date} date - Time
+ * @param {string} timeZone - Shop timezone
+ * @returns {string} Date
+ */
+const formatDay = (date, timeZone) => getLocalDayKey(date, timeZone);
+
+/**
+ * Shop midnight a number of days after the day a time falls on
+ * @param {Date} date - Time
+ * @param {number} days - Days to move, 0 for the start of the same day
+ * @param {string} timeZone - Shop timezone
+ * @returns {Date} Midnight in the shop
+ */
+const addDays = (date, days, timeZone) => {
+  const { year, month, day } = getLocalParts(date, timeZone);
+  return fromLocalTime({ year, month, day: day + days }, timeZone);
+};
+
+/**
+ * Start of the payout week a time falls in
+ * @param {Date} date - Time
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @param {string} timeZone - Shop timezone
+ * @returns {Date} Shop midnight on the first day of the week
+ */
+const getWeekStart = (date, weekStartsOn, timeZone) => {
+  const { weekday } = getLocalParts(date, timeZone);
+  return addDays(date, -((weekday - weekStartsOn + 7) % 7), timeZone);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Find the surge window a delivery time falls in. A window that runs past
+ * midnight belongs to the day it started on. When windows overlap the one
+ * paying the most wins.
+ * @param {Array<Object>} windows - Surge windows from the pay settings
+ * @param {Date} date - Delivery time
+ * @param {string} [timeZone] - Shop timezone the windows are in
+ * @returns {Object|null} Surge window
+ */
+const findSurgeWindow = (windows, date, timeZone = DEFAULT_TIMEZONE) => {
+  const { weekday, minutes } = getLocalParts(date, timeZone);
+  const today = WEEKDAYS[weekday];
+  const yesterday = WEEKDAYS[(weekday + 6) % 7];
+  const appliesOn = (window, day) => !window.days || window.days.length === 0 || window.days.includes(day);
+
+  const matches = (windows || []).filter(window => {
+    if (window.isActive === false) {
+      return false;
+    }
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) {
+      return appliesOn(window, today) && minutes >= start && minutes < end;
+    }
+    return (appliesOn(window, today) && minutes >= start) || (appliesOn(window, yesterday) && minutes < end);
+  });
+
+  return matches.sort((a, b) => (b.multiplier - a.multiplier) || ((b.bonus || 0) - (a.bonus || 0)))[0] || null;
+};
+
+/**
+ * How far the order was delivered from the shop. Uses the distance worked
+ * out when the order was priced, then the delivery address coordinates.
+ * @param {Object} order - Order document
+ * @returns {Promise<number|null>} Distance in km, or null when it is not known
+ */
+const getDeliveryDistance = async (order) => {
+  const zone = order.appliedBusinessSettings && order.appliedBusinessSettings.deliveryZone;
+  if (zone && typeof zone.distanceKm === 'number') {
+    return zone.distanceKm;
+  }
+
+  const settings = await BusinessSettings.findOne().select('businessInfo.location deliveryZones');
+  if (!settings || !order.address) {
+    return null;
+  }
+  return settings.findDeliveryZone(order.address).distanceKm;
+};
+
+/**
+ * Work out what a delivery pays
+ * @param {number|null} distanceKm - Distance delivered, null when unknown (no distance pay)
+ * @param {Date} deliveredAt - Delivery time, for surge windows
+ * @param {Object} paySettings - Settings from loadPaySettings
+ * @returns {Object} `{ distanceKm, basePay, distancePay, surgePay, surgeWindow, amount }`
+ */
+const calculateDeliveryPay = (distanceKm, deliveredAt, paySettings) => {
+  const basePay = roundCurrency(paySettings.basePerDelivery);
+  const distancePay = distanceKm === null ? 0 : roundCurrency(distanceKm * paySettings.perKm);
+  const surge = findSurgeWindow(paySettings.surgeWindows, deliveredAt, paySettings.timeZone);
+  const surgePay = surge
+    ? roundCurrency((basePay + distancePay) * (surge.multiplier - 1) + (surge.bonus || 0))
+    : 0;
+
+  return {
+    distanceKm,
+    basePay,
+    distancePay,
+    surgePay,
+    surgeWindow: surge ? surge.name : undefined,
+    amount: roundCurrency(basePay + distancePay + surgePay)
+  };
+};
+
+/**
+ * Create a ledger line unless one with the same key exists
+ * @param {Object} entry - AgentEarning fields
+ * @returns {Promise<Object|null>} New earning, or null when it was already recorded
+ */
+const createOnce = async (entry) => {
+  try {
+    return await AgentEarning.create(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Pay any daily incentives an agent has reached on a day
+ * @param {Object} agent - `{ _id, name }`
+ * @param {string} day - YYYY-MM-DD
+ * @param {Date} earnedAt - Time of the delivery that reached them
+ * @param {Object} paySettings - Settings from loadPaySettings
+ * @returns {Promise<Array<Object>>} Incentives newly earned
+ */
+const awardDailyIncentives = async (agent, day, earnedAt, paySettings) => {
+  if (!paySettings.dailyIncentives || paySettings.dailyIncentives.length === 0) {
+    return [];
+  }
+
+  const deliveries = await AgentEarning.countDocuments({ agent: agent._id, day, type: 'delivery' });
+  const reached = paySettings.dailyIncentives.filter(tier => deliveries >= tier.deliveries);
+
+  const awarded = await Promise.all(reached.map(tier => createOnce({
+    agent: agent._id,
+    agentName: agent.name,
+    type: 'incentive',
+    key: `incentive:${agent._id}:${day}:${tier.deliveries}`,
+    earnedAt,
+    day,
+    incentiveDeliveries: tier.deliveries,
+    amount: roundCurrency(tier.bonus)
+  })));
+
+  return awarded.filter(Boolean);
+};
+
+/**
+ * Record what the agent earned for a delivered order, and any daily
+ * incentive it takes them to. Safe to call more than once per order.
+ * Never throws - the order has already been delivered.
+ * @param {Object} order - Delivered order
+ * @returns {Promise<Object|null>} `{ earning, incentives }`, or null when
+ *   there is nothing to pay, it was already paid or recording failed
+ */
+const recordDeliveryEarning = async (order) => {
+  if (order.status !== 'Delivered' || !order.deliveryAgent || (order.orderType && order.orderType !== 'delivery')) {
+    return null;
+  }
+
+  try {
+    if (await AgentEarning.exists({ key: `delivery:${order._id}` })) {
+      return null;
+    }
+
+    const [paySettings, distanceKm, agent] = await Promise.all([
+      loadPaySettings(),
+      getDeliveryDistance(order),
+      User.findById(order.deliveryAgent).select('name')
+    ]);
+
+    const delivered = [...(order.statusUpdates || [])].reverse().find(update => update.status === 'Delivered');
+    const earnedAt = delivered ? new Date(delivered.time) : new Date();
+    const day = formatDay(earnedAt, paySettings.timeZone);
+    const agentInfo = { _id: order.deliveryAgent, name: agent ? agent.name : order.deliveryAgentName };
+
+    const earning = await createOnce({
+      agent: agentInfo._id,
+      agentName: agentInfo.name,
+      type: 'delivery',
+      key: `delivery:${order._id}`,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      earnedAt,
+      day,
+      ...calculateDeliveryPay(distanceKm, earnedAt, paySettings)
+    });
+    if (!earning) {
+      return null;
+    }
+
+    const incentives = await awardDailyIncentives(agentInfo, day, earnedAt, paySettings);
+    return { earning, incentives };
+  } catch (error) {
+    logger.error(`Failed to record delivery earnings for order ${order.orderNumber}`, error);
+    return null;
+  }
+};
+
+/**
+ * Load the delivery earnings for a set of orders
+ * @param {Array<Object>} orders - Orders
+ * @returns {Promise<Map<string, Object>>} Order ID to its delivery earning
+ */
+const getOrderEarnings = async (orders) => {
+  const earnings = await AgentEarning.find({
+    order: { $in: orders.map(order => order._id) },
+    type: 'delivery'
+  });
+  return new Map(earnings.map(earning => [earning.order.toString(), earning]));
+};
+
+/**
+ * Shop midnight at the start of the day a time falls on, e.g. for today's earnings
+ * @param {Date} [date] - Time, now when omitted
+ * @returns {Promise<Date>} Midnight in the shop
+ */
+const getDayStart = async (date = new Date()) => {
+  const { timeZone } = await loadPaySettings();
+  return addDays(date, 0, timeZone);
+};
+
+/**
+ * Sum an agent's earnings within a time range
+ * @param {Object|string} agentId - Delivery agent's user ID
+ * @param {Object} [range] - `{ from, to }`, either may be omitted
+ * @returns {Promise<Object>} `{ deliveries, deliveryPay, incentives, total }`
+ */
+const sumEarnings = async (agentId, { from, to } = {}) => {
+  const match = { agent: new mongoose.Types.ObjectId(agentId.toString()) };
+  if (from || to) {
+    match.earnedAt = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+  }
+
+  const rows = await AgentEarning.aggregate([
+    { $match: match },
+    { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+  const byType = Object.fromEntries(rows.map(row => [row._id, row]));
+  const deliveryPay = roundCurrency(byType.delivery ? byType.delivery.total : 0);
+  const incentives = roundCurrency(byType.incentive ? byType.incentive.total : 0);
+
+  return {
+    deliveries: byType.delivery ? byType.delivery.count : 0,
+    deliveryPay,
+    incentives,
+    total: roundCurrency(deliveryPay + incentives)
+  };
+};
+
+/**
+ * Work out which payout week a request is for
+ * @param {string|Date} [week] - Any date in the week, the current week when omitted. A plain
+ *   YYYY-MM-DD is a day in the shop's timezone.
+ * @returns {Promise<Object>} `{ weekStart, weekEnd, timeZone }`
+ * @throws {Error} 400 for an invalid date
+ */
+const resolveWeek = async (week) => {
+  const { weekStartsOn, timeZone } = await loadPaySettings();
+  const day = typeof week === 'string' && week.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = day
+    ? fromLocalTime({ year: Number(day[1]), month: Number(day[2]), day: Number(day[3]) }, timeZone)
+    : (week ? new Date(week) : new Date());
+  if (isNaN(date)) {
+    throw httpError('Invalid week - give any date in the week, e.g. 2024-05-06', 400);
+  }
+  const weekStart = getWeekStart(date, weekStartsOn, timeZone);
+  return { weekStart, weekEnd: addDays(weekStart, 7, timeZone), timeZone };
+};
+
+/**
+ * Weekly payout statement for one agent: every delivery and incentive in
+ * the week, a day by day summary and the totals
+ * @param {Object} agent - Delivery agent user
+ * @param {string} [week] - Any date in the week, the current week when omitted
+ * @returns {Promise<Object>} Payout statement
+ * @throws {Error} 400 for an invalid week
+ */
+const buildPayoutStatement = async (agent, week) => {
+  const { weekStart, weekEnd, timeZone } = await resolveWeek(week);
+  const entries = await AgentEarning.find({ agent: agent._id, earnedAt: { $gte: weekStart, $lt: weekEnd } })
+    .sort({ earnedAt: 1, type: 1 });
+
+  const days = new Map();
+  for (let offset = 0; offset < 7; offset += 1) {
+    const day = formatDay(addDays(weekStart, offset, timeZone), timeZone);
+    days.set(day, { day, deliveries: 0, distanceKm: 0, deliveryPay: 0, incentives: 0, total: 0 });
+  }
+
+  entries.forEach(entry => {
+    const row = days.get(entry.day);
+    if (!row) {
+      return;
+    }
+    if (entry.type === 'delivery') {
+      row.deliveries += 1;
+      row.distanceKm = roundCurrency(row.distanceKm + (entry.distanceKm || 0));
+      row.deliveryPay = roundCurrency(row.deliveryPay + entry.amount);
+    } else {
+      row.incentives = roundCurrency(row.incentives + entry.amount);
+    }
+    row.total = roundCurrency(row.deliveryPay + row.incentives);
+  });
+
+  const sum = (field) => roundCurrency(entries.reduce((total, entry) => total + (entry[field] || 0), 0));
+  const incentives = roundCurrency(entries
+    .filter(entry => entry.type === 'incentive')
+    .reduce((total, entry) => total + entry.amount, 0));
+  const paid = entries.filter(entry => entry.status === 'paid');
+
+  let status = 'pending';
+  if (entries.length > 0 && paid.length === entries.length) {
+    status = 'paid';
+  } else if (paid.length > 0) {
+    status = 'partially paid';
+  }
+
+  return {
+    agent: { _id: agent._id, name: agent.name, phone: agent.phone },
+    weekStart,
+    weekEnd,
+    timeZone,
+    status,
+    totals: {
+      deliveries: entries.filter(entry => entry.type === 'delivery').length,
+      distanceKm: sum('distanceKm'),
+      basePay: sum('basePay'),
+      distancePay: sum('distancePay'),
+      surgePay: sum('surgePay'),
+      incentives,
+      total: sum('amount'),
+      paid: roundCurrency(paid.reduce((total, entry) => total + entry.amount, 0))
+    },
+    days: [...days.values()],
+    entries
+  };
+};
+
+// Shop clock time as HH:MM
+const formatTime = (date, timeZone) => {
+  const { hour, minute } = getLocalParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// Quote a CSV field when it needs it
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a payout statement as CSV: one row per ledger line and a total row
+ * @param {Object} statement - Statement from buildPayoutStatement
+ * @returns {string} CSV text
+ */
+const statementToCsv = (statement) => {
+  const header = [
+    'Date', 'Time', 'Type', 'Order', 'Distance (km)', 'Base pay', 'Distance pay',
+    'Surge pay', 'Surge window', 'Incentive', 'Amount', 'Status'
+  ];
+
+  const { timeZone } = statement;
+  const rows = statement.entries.map(entry => [
+    entry.day,
+    formatTime(entry.earnedAt, timeZone),
+    entry.type,
+    entry.orderNumber,
+    entry.distanceKm,
+    entry.type === 'delivery' ? entry.basePay : '',
+    entry.type === 'delivery' ? entry.distancePay : '',
+    entry.type === 'delivery' ? entry.surgePay : '',
+    entry.surgeWindow,
+    entry.type === 'incentive' ? `${entry.incentiveDeliveries} deliveries` : '',
+    entry.amount,
+    entry.status
+  ]);
+
+  const { totals } = statement;
+  rows.push([
+    'Total', '', '', `${totals.deliveries} deliveries`, totals.distanceKm, totals.basePay, totals.distancePay,
+    totals.surgePay, '', totals.incentives, totals.total, statement.status
+  ]);
+
+  return [
+    `Payout statement,${csvField(statement.agent.name)},${formatDay(statement.weekStart, timeZone)} to ${formatDay(new Date(statement.weekEnd - 1), timeZone)}`,
+    header.join(','),
+    ...rows.map(row => row.map(csvField).join(','))
+  ].join('\n') + '\n';
+};
+
+/**
+ * Every agent's earnings for a payout week
+ * @param {string} [week] - Any date in the week, the current week when omitted
+ * @returns {Promise<Object>} `{ weekStart, weekEnd, agents, total, unpaid }`
+ * @throws {Error} 400 for an invalid week
+ */
+const getWeeklyPayouts = async (week) => {
+  const { weekStart, weekEnd } = await resolveWeek(week);
+  const rows = await AgentEarning.aggregate([
+    { $match: { earnedAt: { $gte: weekStart, $lt: weekEnd } } },
+    {
+      $group: {
+        _id: '$agent',
+        name: { $last: '$agentName' },
+        deliveries: { $sum: { $cond: [{ $eq: ['$type', 'delivery'] }, 1, 0] } },
+        incentives: { $sum: { $cond: [{ $eq: ['$type', 'incentive'] }, '$amount', 0] } },
+        total: { $sum: '$amount' },
+        unpaid: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } }
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  const agents = rows.map(row => ({
+    agentId: row._id,
+    name: row.name,
+    deliveries: row.deliveries,
+    incentives: roundCurrency(row.incentives),
+    total: roundCurrency(row.total),
+    unpaid: roundCurrency(row.unpaid)
+  }));
+
+  return {
+    weekStart,
+    weekEnd,
+    agents,
+    total: roundCurrency(agents.reduce((sum, row) => sum + row.total, 0)),
+    unpaid: roundCurrency(agents.reduce((sum, row) => sum + row.unpaid, 0))
+  };
+};
+
+/**
+ * Mark an agent's earnings for a week as paid out
+ * @param {Object} agent - Delivery agent user
+ * @param {Object} admin - Admin making the payout
+ * @param {Object} payout - Payout details
+ * @param {string} [payout.week] - Any date in the week, the current week when omitted
+ * @param {string} [payout.reference] - Bank or UPI reference
+ * @returns {Promise<Object>} Updated payout statement
+ * @throws {Error} 400 for an invalid week, 409 when there is nothing left to pay
+ */
+const markWeekPaid = async (agent, admin, { week, reference }) => {
+  const { weekStart, weekEnd } = await resolveWeek(week);
+  const result = await AgentEarning.updateMany(
+    { agent: agent._id, earnedAt: { $gte: weekStart, $lt: weekEnd }, status: 'pending' },
+    { $set: { status: 'paid', paidAt: new Date(), paidBy: admin._id, payoutReference: reference } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw httpError('Nothing left to pay for this week', 409, { weekStart });
+  }
+
+  return buildPayoutStatement(agent, weekStart);
+};
+
+module.exports = {
+  loadPaySettings,
+  findSurgeWindow,
+  calculateDeliveryPay,
+  recordDeliveryEarning,
+  getOrderEarnings,
+  getDayStart,
+  sumEarnings,
+  buildPayoutStatement,
+  statementToCsv,
+  getWeeklyPayouts,
+  markWeekPaid
+};
@@ -192,7 +192,7 @@ class FirebaseNotificationService {
   async sendOrderUpdateNotification(userId, orderData) {
     const notification = {
       title: '🍕 Order Update',
-      body: `Your order #${orderData.orderId} is ${orderData.status}`,
+      body: orderData.message || `Your order #${orderData.orderId} is ${orderData.status}`,
     };
 
     const data = {
@@ -241,6 +241,24 @@ class FirebaseNotificationService {
     return await this.sendToUser(userId, notification, data);
   }
 
+  // Remind a customer about a cart they left
+  async sendAbandonedCartNotification(userId, cartData) {
+    const notification = {
+      title: '🛒 Still hungry?',
+      body: cartData.itemCount === 1
+        ? `${cartData.firstItemName} is waiting in your cart`
+        : `${cartData.firstItemName} and ${cartData.itemCount - 1} more are waiting in your cart`,
+    };
+
+    const data = {
+      type: 'abandoned_cart',
+      cartId: cartData.cartId.toString(),
+      itemCount: cartData.itemCount.toString(),
+    };
+
+    return await this.sendToUser(userId, notification, data);
+  }
+
   // Send general notification to all users
   async sendBroadcastNotification(notification, data = {}) {
     try {
@@ -0,0 +1,183 @@
+const jwt = require('jsonwebtoken');
+const Guest = require('../models/Guest');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const OfferRedemption = require('../models/OfferRedemption');
+const Transaction = require('../models/Transaction');
+const firebaseAdmin = require('../utils/firebaseAdmin');
+const httpError = require('../utils/httpError');
+
+/**
+ * Guest checkout: contact details for people ordering without an
+ * account, and handing their orders over when they register.
+ */
+
+/**
+ * Reduce a phone number to its last ten digits so +91 98765 43210 and
+ * 9876543210 match
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Normalized number, or null when there are no digits
+ */
+const normalizePhone = (phone) => {
+  const digits = (phone || '').toString().replace(/\D/g, '');
+  return digits ? digits.slice(-10) : null;
+};
+
+/**
+ * Save the contact details a guest gave at checkout
+ * @param {string} guestId - ID from the guest token
+ * @param {Object} details - Checkout details
+ * @param {string} details.name - Guest name
+ * @param {string} [details.phone] - Guest phone
+ * @param {string} [details.email] - Guest email
+ * @param {Object} [details.address] - Delivery address
+ * @returns {Promise<Object>} Guest document
+ */
+const saveGuestDetails = async (guestId, { name, phone, email, address }) => {
+  const update = { lastOrderAt: new Date() };
+  if (name) update.name = name;
+  if (phone) update.phone = normalizePhone(phone);
+  if (email) update.email = email;
+  if (address) {
+    update.lastAddress = {
+      street: address.street,
+      city: address.city,
+      state: address.state,
+      zipCode: address.zipCode,
+      landmark: address.landmark
+    };
+  }
+
+  return Guest.findOneAndUpdate(
+    { guestId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Mark the user's phone and email verified from a Firebase ID token
+ *
+ * The app gets the token by signing in to Firebase with a phone OTP or an
+ * email link; only contacts that match the account are marked.
+ * @param {Object} user - User document
+ * @param {string} idToken - Firebase ID token
+ * @returns {Promise<Object>} phoneVerified and emailVerified after the check
+ * @throws {Error} 401 for an invalid token, 400 when it matches neither contact
+ */
+const verifyContacts = async (user, idToken) => {
+  let decoded;
+  try {
+    decoded = await firebaseAdmin.getAuth().verifyIdToken(idToken);
+  } catch (error) {
+    throw httpError('Verification token is invalid or has expired', 401);
+  }
+
+  const phone = normalizePhone(user.phone);
+  const phoneMatches = !!phone && normalizePhone(decoded.phone_number) === phone;
+  const emailMatches = decoded.email_verified === true && !!decoded.email && !!user.email &&
+    decoded.email.toLowerCase() === user.email.toLowerCase();
+
+  if (!phoneMatches && !emailMatches) {
+    throw httpError('The verified phone number or email does not match your account', 400);
+  }
+
+  const verified = {};
+  if (phoneMatches) verified.phoneVerified = true;
+  if (emailMatches) verified.emailVerified = true;
+  await User.updateOne({ _id: user._id }, { $set: verified });
+  Object.assign(user, verified);
+
+  return { phoneVerified: !!user.phoneVerified, emailVerified: !!user.emailVerified };
+};
+
+/**
+ * Move guest orders over to the user's account
+ *
+ * A guest is claimed with the guest token the app was checking out with, or
+ * by the user's phone or email once it is verified. An unverified contact is
+ * never enough, since anyone can type in someone else's number.
+ * @param {Object} user - User document
+ * @param {string|null} [guestId] - ID from the guest token sent with the request
+ * @returns {Promise<Object>} Number of guests and orders claimed
+ */
+const claimGuestOrders = async (user, guestId) => {
+  const matches = [];
+  if (guestId) {
+    matches.push({ guestId });
+  }
+  if (user.phoneVerified && normalizePhone(user.phone)) {
+    matches.push({ phone: normalizePhone(user.phone) });
+  }
+  if (user.emailVerified && user.email) {
+    matches.push({ email: user.email.toLowerCase() });
+  }
+
+  if (matches.length === 0) {
+    return { guests: 0, orders: 0 };
+  }
+
+  const guests = await Guest.find({ claimedBy: null, $or: matches }).select('_id');
+  let claimedGuests = 0;
+  let claimedOrders = 0;
+
+  for (const { _id } of guests) {
+    // Taken atomically so a guest is only ever handed to one account
+    const guest = await Guest.findOneAndUpdate(
+      { _id, claimedBy: null },
+      { $set: { claimedBy: user._id, claimedAt: new Date() } },
+      { new: true }
+    );
+    if (!guest) continue;
+
+    const orders = await Order.find({ guest: guest._id, customer: null }).select('_id');
+    const orderIds = orders.map(order => order._id);
+
+    await Order.updateMany({ _id: { $in: orderIds } }, { $set: { customer: user._id } });
+    // Offer uses and payments count against the account from now on
+    await OfferRedemption.updateMany({ order: { $in: orderIds } }, { $set: { customer: user._id } });
+    await Transaction.updateMany({ order: { $in: orderIds } }, { $set: { customer: user._id } });
+
+    claimedGuests += 1;
+    claimedOrders += orderIds.length;
+  }
+
+  return { guests: claimedGuests, orders: claimedOrders };
+};
+
+/**
+ * Read the guest ID from a token issued by createGuestToken
+ * @param {string} token - Guest token the app was using before login
+ * @returns {string|null} Guest ID, or null when the token is missing, invalid or not a guest token
+ */
+const getGuestIdFromToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.isGuest ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check whether an order belongs to the requesting user or guest
+ * @param {Object} order - Order document
+ * @param {Object} user - req.user, a User document or a guest from protectOrGuest
+ * @returns {boolean} True when the order is theirs
+ */
+const ownsOrder = (order, user) => {
+  if (user.isGuest) {
+    return !!order.guestId && order.guestId === user.guestId;
+  }
+  return !!order.customer && order.customer.toString() === user._id.toString();
+};
+
+module.exports = {
+  normalizePhone,
+  saveGuestDetails,
+  verifyContacts,
+  claimGuestOrders,
+  getGuestIdFromToken,
+  ownsOrder
+};
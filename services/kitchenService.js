@@ -0,0 +1,209 @@
+const MenuItem = require('../models/MenuItem');
+const { getActor, getReadyStatus, transitionOrder } = require('./orderStatusService');
+const httpError = require('../utils/httpError');
+
+/**
+ * Kitchen display system (KDS): tickets per station and line bumping.
+ *
+ * Bumping the first line of an accepted order moves it to Preparing, and
+ * bumping the last line done moves it to Ready (Ready for pickup for
+ * pickup orders).
+ */
+
+// Which station cooks each menu category
+const KITCHEN_STATIONS = {
+  Pizza: 'Pizza Oven',
+  'Special Combo': 'Pizza Oven',
+  Burger: 'Fryer',
+  Snacks: 'Fryer',
+  Sides: 'Fryer',
+  'Grilled Sandwich': 'Grill',
+  Pasta: 'Stove',
+  Noodles: 'Stove',
+  'Rice Item': 'Stove',
+  Milkshake: 'Beverages',
+  'Cold Drink': 'Beverages',
+  Sweets: 'Desserts'
+};
+
+const DEFAULT_STATION = 'Kitchen';
+
+// Orders the kitchen is working on
+const ACTIVE_KITCHEN_STATUSES = ['Accepted', 'Preparing'];
+
+/**
+ * Find the station that cooks a menu category
+ * @param {string} category - MenuItem category
+ * @returns {string} Station name
+ */
+const getStation = (category) => KITCHEN_STATIONS[category] || DEFAULT_STATION;
+
+/**
+ * Minutes between two times, rounded down
+ * @param {Date} from - Start time
+ * @param {Date} to - End time
+ * @returns {number} Whole minutes
+ */
+const minutesBetween = (from, to) => Math.max(0, Math.floor((to - new Date(from)) / 60000));
+
+/**
+ * Fill in categories for order lines saved before categories were stored
+ * @param {Array<Object>} orders - Order documents
+ * @returns {Promise<void>}
+ */
+const fillMissingCategories = async (orders) => {
+  const missing = new Set();
+  orders.forEach(order => order.items.forEach(item => {
+    if (!item.category && item.menuItemId) {
+      missing.add(item.menuItemId.toString());
+    }
+  }));
+
+  if (missing.size === 0) {
+    return;
+  }
+
+  const menuItems = await MenuItem.find({ _id: { $in: [...missing] } }).select('category');
+  const categories = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem.category]));
+  orders.forEach(order => order.items.forEach(item => {
+    if (!item.category && item.menuItemId) {
+      item.category = categories.get(item.menuItemId.toString());
+    }
+  }));
+};
+
+/**
+ * Build the kitchen ticket for an order
+ * @param {Object} order - Order document
+ * @param {Date} [now] - Current time, for the age timers
+ * @returns {Object} Ticket with timers and lines
+ */
+const formatTicket = (order, now = new Date()) => {
+  const startedAt = (order.acceptance && order.acceptance.acceptedAt) || order.createdAt || now;
+  const prepTimeMinutes = order.acceptance && order.acceptance.prepTimeMinutes;
+  const dueAt = prepTimeMinutes ? new Date(new Date(startedAt).getTime() + prepTimeMinutes * 60000) : null;
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    orderType: order.orderType || 'delivery',
+    tableNumber: order.tableNumber,
+    customerName: order.customerName,
+    notes: order.notes || '',
+    placedAt: order.createdAt,
+    acceptedAt: order.acceptance && order.acceptance.acceptedAt,
+    ageMinutes: minutesBetween(startedAt, now),
+    prepTimeMinutes,
+    dueAt,
+    overdue: !!dueAt && now > dueAt,
+    lines: order.items.map(item => ({
+      lineId: item._id,
+      name: item.name,
+      size: item.size,
+      quantity: item.quantity,
+      category: item.category,
+      station: getStation(item.category),
+      customizations: item.customizations || [],
+      addOns: item.addOns || [],
+      toppings: item.toppings || [],
+      specialInstructions: item.specialInstructions || '',
+      kitchenStatus: item.kitchenStatus || 'Queued',
+      startedAt: item.kitchenStartedAt,
+      doneAt: item.kitchenDoneAt,
+      elapsedMinutes: item.kitchenStartedAt
+        ? minutesBetween(item.kitchenStartedAt, item.kitchenDoneAt || now)
+        : null
+    }))
+  };
+};
+
+/**
+ * Group tickets by station - each station sees only its own lines
+ * @param {Array<Object>} tickets - Tickets from formatTicket
+ * @returns {Array<Object>} Stations with their tickets, oldest ticket first
+ */
+const groupTicketsByStation = (tickets) => {
+  const stations = new Map();
+
+  tickets.forEach(ticket => {
+    ticket.lines.forEach(line => {
+      if (!stations.has(line.station)) {
+        stations.set(line.station, new Map());
+      }
+      const stationTickets = stations.get(line.station);
+      if (!stationTickets.has(ticket.orderId.toString())) {
+        stationTickets.set(ticket.orderId.toString(), { ...ticket, lines: [] });
+      }
+      stationTickets.get(ticket.orderId.toString()).lines.push(line);
+    });
+  });
+
+  return [...stations.entries()].map(([station, stationTickets]) => {
+    const stationList = [...stationTickets.values()].sort((a, b) => b.ageMinutes - a.ageMinutes);
+    return {
+      station,
+      tickets: stationList,
+      pendingLines: stationList.reduce(
+        (sum, ticket) => sum + ticket.lines.filter(line => line.kitchenStatus !== 'Done').length, 0)
+    };
+  });
+};
+
+/**
+ * Bump one line of an order on the kitchen display. Does not save.
+ * @param {Object} order - Order document
+ * @param {string} lineId - Order item ID
+ * @param {string} action - 'start' or 'done'
+ * @param {Object} user - Kitchen user bumping the line
+ * @returns {Object} The order
+ * @throws {Error} 404 for an unknown line, 409 when the order or line cannot be bumped
+ */
+const bumpLine = (order, lineId, action, user) => {
+  if (!ACTIVE_KITCHEN_STATUSES.includes(order.status)) {
+    throw httpError(`Order is ${order.status} and not on the kitchen display`, 409);
+  }
+
+  const line = order.items.id(lineId);
+  if (!line) {
+    throw httpError('Order line not found', 404);
+  }
+
+  const now = new Date();
+  if (action === 'start') {
+    if (line.kitchenStatus !== 'Queued' && line.kitchenStatus) {
+      throw httpError(`${line.name} is already ${line.kitchenStatus.toLowerCase()}`, 409);
+    }
+    line.kitchenStatus = 'Started';
+    line.kitchenStartedAt = now;
+  } else {
+    if (line.kitchenStatus === 'Done') {
+      throw httpError(`${line.name} is already done`, 409);
+    }
+    line.kitchenStatus = 'Done';
+    line.kitchenStartedAt = line.kitchenStartedAt || now;
+    line.kitchenDoneAt = now;
+  }
+
+  const actor = getActor(user);
+
+  // First bump starts the order, last bump makes it ready
+  if (order.status === 'Accepted') {
+    transitionOrder(order, 'Preparing', { actor, note: 'Kitchen started preparing' });
+  }
+  if (order.items.every(item => item.kitchenStatus === 'Done')) {
+    transitionOrder(order, getReadyStatus(order), { actor, note: 'All items ready' });
+  }
+
+  return order;
+};
+
+module.exports = {
+  KITCHEN_STATIONS,
+  ACTIVE_KITCHEN_STATUSES,
+  getStation,
+  fillMissingCategories,
+  formatTicket,
+  groupTicketsByStation,
+  bumpLine
+};
@@ -0,0 +1,322 @@
+const { roundCurrency } = require('../utils/currency');
+
+/**
+ * Cart-line offer types: buy X get Y (bogo), bundle price and free item.
+ *
+ * These offers price the menu item itself - add-ons and toppings on a
+ * discounted unit are still charged in full.
+ */
+
+const LINE_OFFER_TYPES = ['bogo', 'bundle', 'free_item'];
+
+/**
+ * Check whether an offer type is evaluated against cart lines
+ * @param {string} discountType - Offer discountType
+ * @returns {boolean} True for bogo, bundle and free_item
+ */
+const isLineOffer = (discountType) => LINE_OFFER_TYPES.includes(discountType);
+
+/**
+ * Check whether a cart line matches an offer line rule
+ * @param {Object} line - Priced cart line
+ * @param {string} category - Menu category of the line
+ * @param {Object} rule - Rule with items, categories and sizes
+ * @returns {boolean} True when the line matches
+ */
+const matchesRule = (line, category, rule) => {
+  if (!rule) {
+    return false;
+  }
+
+  const items = (rule.items || []).map(id => id.toString());
+  const categories = (rule.categories || []).map(value => value.toLowerCase());
+  const sizes = (rule.sizes || []).map(value => value.toLowerCase());
+
+  const itemMatch = items.includes(line.menuItemId.toString()) ||
+    (!!category && categories.includes(category.toLowerCase()));
+  const sizeMatch = sizes.length === 0 ||
+    (!!line.size && sizes.includes(line.size.toLowerCase()));
+
+  return itemMatch && sizeMatch;
+};
+
+/**
+ * Expand cart lines into single units so offers can pick individual pizzas
+ * @param {Array<Object>} lines - Priced cart lines
+ * @param {Map<string, string>} categories - Menu item ID to category
+ * @returns {Array<Object>} Units with the line index, category and unit price
+ */
+const expandUnits = (lines, categories) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    const category = categories.get(line.menuItemId.toString());
+    for (let i = 0; i < line.quantity; i += 1) {
+      units.push({ index, line, category, price: line.basePrice });
+    }
+  });
+  return units;
+};
+
+/**
+ * Buy X get Y - the priciest matching units are bought, the cheapest are discounted
+ * @param {Object} offer - Offer document
+ * @param {Array<Object>} units - Units from expandUnits
+ * @returns {Array<Object>} Discounted units with the discount each received
+ */
+const evaluateBogo = (offer, units) => {
+  const { buy, buyQuantity, get, getQuantity, getDiscountPercentage } = offer.bogo;
+  const used = new Set();
+  const discounted = [];
+
+  const buyUnits = units
+    .filter(unit => matchesRule(unit.line, unit.category, buy))
+    .sort((a, b) => b.price - a.price);
+  const getUnits = units
+    .filter(unit => matchesRule(unit.line, unit.category, get))
+    .sort((a, b) => a.price - b.price);
+
+  for (;;) {
+    const bought = buyUnits.filter(unit => !used.has(unit)).slice(0, buyQuantity);
+    if (bought.length < buyQuantity) {
+      break;
+    }
+    bought.forEach(unit => used.add(unit));
+
+    const rewarded = getUnits.filter(unit => !used.has(unit)).slice(0, getQuantity);
+    if (rewarded.length < getQuantity) {
+      break;
+    }
+    rewarded.forEach(unit => {
+      used.add(unit);
+      discounted.push({ ...unit, discount: (unit.price * getDiscountPercentage) / 100 });
+    });
+  }
+
+  return discounted;
+};
+
+/**
+ * Bundle price - the priciest matching units are grouped first
+ * @param {Object} offer - Offer document
+ * @param {Array<Object>} units - Units from expandUnits
+ * @returns {Array<Object>} Discounted units with the discount each received
+ */
+const evaluateBundle = (offer, units) => {
+  const { rule, quantity, price } = offer.bundle;
+  const matching = units
+    .filter(unit => matchesRule(unit.line, unit.category, rule))
+    .sort((a, b) => b.price - a.price);
+  const discounted = [];
+
+  for (let start = 0; start + quantity <= matching.length; start += quantity) {
+    const group = matching.slice(start, start + quantity);
+    const groupTotal = group.reduce((sum, unit) => sum + unit.price, 0);
+    if (groupTotal <= price) {
+      // Later groups are cheaper still, so none of them save anything
+      break;
+    }
+
+    // Spread the saving over the group by price
+    const saving = groupTotal - price;
+    group.forEach(unit => {
+      discounted.push({ ...unit, discount: (saving * unit.price) / groupTotal });
+    });
+  }
+
+  return discounted;
+};
+
+/**
+ * Free item - the cheapest matching units of the free menu item are free
+ * @param {Object} offer - Offer document
+ * @param {Array<Object>} units - Units from expandUnits
+ * @returns {Array<Object>} Discounted units with the discount each received
+ */
+const evaluateFreeItem = (offer, units) => {
+  const { menuItem, size, quantity } = offer.freeItem;
+  const rule = { items: [menuItem], sizes: size ? [size] : [] };
+
+  return units
+    .filter(unit => matchesRule(unit.line, unit.category, rule))
+    .sort((a, b) => a.price - b.price)
+    .slice(0, quantity)
+    .map(unit => ({ ...unit, discount: unit.price }));
+};
+
+/**
+ * Explain why a line offer gave nothing on this cart
+ * @param {Object} offer - Offer document
+ * @returns {string} Message for the customer
+ */
+const getIneligibleReason = (offer) => {
+  switch (offer.discountType) {
+    case 'bogo':
+      return `Add ${offer.bogo.buyQuantity + offer.bogo.getQuantity} qualifying items to your cart to use this offer`;
+    case 'bundle':
+      return `Add ${offer.bundle.quantity} qualifying items to your cart to use this offer`;
+    default:
+      return 'Add the free item to your cart to claim it';
+  }
+};
+
+/**
+ * Evaluate a bogo, bundle or free item offer against cart lines
+ * @param {Object} offer - Offer document
+ * @param {Array<Object>} lines - Priced cart lines
+ * @param {Map<string, string>} categories - Menu item ID to category
+ * @returns {Object} Discount, eligible amount, applied lines and excluded lines, or reason when nothing applies
+ */
+const evaluateLineOffer = (offer, lines, categories) => {
+  const units = expandUnits(lines, categories);
+  const evaluators = {
+    bogo: evaluateBogo,
+    bundle: evaluateBundle,
+    free_item: evaluateFreeItem
+  };
+  const discounted = evaluators[offer.discountType](offer, units);
+
+  // Roll unit discounts back up to the lines they came from
+  const byLine = new Map();
+  discounted.forEach(unit => {
+    const entry = byLine.get(unit.index) || { units: 0, discount: 0, eligibleAmount: 0 };
+    entry.units += 1;
+    entry.discount += unit.discount;
+    entry.eligibleAmount += unit.price;
+    byLine.set(unit.index, entry);
+  });
+
+  let discount = roundCurrency(discounted.reduce((sum, unit) => sum + unit.discount, 0));
+  if (offer.maxDiscountAmount !== null && offer.maxDiscountAmount !== undefined &&
+      discount > offer.maxDiscountAmount) {
+    discount = offer.maxDiscountAmount;
+  }
+
+  const totalBeforeCap = discounted.reduce((sum, unit) => sum + unit.discount, 0);
+  const appliedLines = [];
+  const excludedLines = [];
+  let remaining = discount;
+  const lastApplied = Math.max(...byLine.keys(), -1);
+
+  lines.forEach((line, index) => {
+    const category = categories.get(line.menuItemId.toString());
+    const entry = {
+      index,
+      menuItemId: line.menuItemId,
+      name: line.name,
+      category,
+      quantity: line.quantity,
+      lineTotal: roundCurrency(line.totalItemPrice * line.quantity)
+    };
+    const applied = byLine.get(index);
+
+    if (!applied) {
+      excludedLines.push({ ...entry, reason: 'Item does not qualify for this offer' });
+      return;
+    }
+
+    // Scale shares down if maxDiscountAmount capped the total
+    const share = index === lastApplied
+      ? roundCurrency(remaining)
+      : roundCurrency(totalBeforeCap > 0 ? (discount * applied.discount) / totalBeforeCap : 0);
+    remaining -= share;
+
+    appliedLines.push({
+      ...entry,
+      quantity: applied.units,
+      discount: share,
+      reason: `${applied.units} of ${line.quantity} discounted by the offer`
+    });
+  });
+
+  return {
+    discount,
+    eligibleAmount: roundCurrency(discounted.reduce((sum, unit) => sum + unit.price, 0)),
+    appliedLines,
+    excludedLines,
+    reason: discounted.length === 0 ? getIneligibleReason(offer) : null
+  };
+};
+
+/**
+ * Check an offer's type-specific settings before it is saved
+ * @param {Object} offer - Offer document with the changes applied
+ * @returns {Array<string>} Problems found, empty when the offer is valid
+ */
+const validateOfferConfig = (offer) => {
+  const problems = [];
+  const hasRule = (rule) => !!rule && ((rule.items || []).length > 0 || (rule.categories || []).length > 0);
+
+  switch (offer.discountType) {
+    case 'percentage':
+      if (!(offer.discountValue > 0) || offer.discountValue > 100) {
+        problems.push('Percentage offers need a discountValue between 1 and 100');
+      }
+      break;
+    case 'fixed':
+      if (!(offer.discountValue > 0)) {
+        problems.push('Fixed offers need a discountValue greater than 0');
+      }
+      break;
+    case 'bogo':
+      if (!hasRule(offer.bogo && offer.bogo.buy)) {
+        problems.push('Buy X get Y offers need items or categories to buy');
+      }
+      if (!hasRule(offer.bogo && offer.bogo.get)) {
+        problems.push('Buy X get Y offers need items or categories to get');
+      }
+      break;
+    case 'bundle':
+      if (!hasRule(offer.bundle && offer.bundle.rule)) {
+        problems.push('Bundle offers need items or categories in the bundle');
+      }
+      if (!offer.bundle || !(offer.bundle.quantity >= 2)) {
+        problems.push('Bundle offers need a quantity of at least 2');
+      }
+      if (!offer.bundle || !(offer.bundle.price > 0)) {
+        problems.push('Bundle offers need a bundle price greater than 0');
+      }
+      break;
+    case 'free_item':
+      if (!offer.freeItem || !offer.freeItem.menuItem) {
+        problems.push('Free item offers need the menu item to give away');
+      }
+      if (!(offer.minOrderValue > 0)) {
+        problems.push('Free item offers need a minOrderValue threshold');
+      }
+      break;
+    default:
+      problems.push(`Unknown discount type ${offer.discountType}`);
+  }
+
+  if (offer.validFrom && offer.validUntil && offer.validUntil < offer.validFrom) {
+    problems.push('validUntil must be after validFrom');
+  }
+
+  return problems;
+};
+
+/**
+ * List the menu item IDs an offer's rules refer to
+ * @param {Object} offer - Offer document
+ * @returns {Array<string>} Unique menu item IDs
+ */
+const getReferencedMenuItems = (offer) => {
+  const ids = [...(offer.applicableItems || [])];
+  if (offer.discountType === 'bogo' && offer.bogo) {
+    ids.push(...(offer.bogo.buy ? offer.bogo.buy.items : []), ...(offer.bogo.get ? offer.bogo.get.items : []));
+  }
+  if (offer.discountType === 'bundle' && offer.bundle && offer.bundle.rule) {
+    ids.push(...offer.bundle.rule.items);
+  }
+  if (offer.discountType === 'free_item' && offer.freeItem && offer.freeItem.menuItem) {
+    ids.push(offer.freeItem.menuItem);
+  }
+  return [...new Set(ids.map(id => id.toString()))];
+};
+
+module.exports = {
+  isLineOffer,
+  evaluateLineOffer,
+  validateOfferConfig,
+  getReferencedMenuItems
+};
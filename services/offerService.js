@@ -0,0 +1,418 @@
+const Offer = require('../models/Offer');
+const MenuItem = require('../models/MenuItem');
+const OfferRedemption = require('../models/OfferRedemption');
+const Order = require('../models/Order');
+const { isLineOffer, evaluateLineOffer } = require('./offerRules');
+const { roundCurrency } = require('../utils/currency');
+const httpError = require('../utils/httpError');
+
+/**
+ * Offer evaluation shared by the offers API and the checkout pricing engine
+ */
+
+/**
+ * Calculate the discount an offer gives on an amount
+ * @param {Object} offer - Offer document
+ * @param {number} orderAmount - Amount the discount applies to
+ * @returns {number} Discount amount, never more than orderAmount
+ */
+const calculateDiscount = (offer, orderAmount) => {
+  let discount = 0;
+
+  if (offer.discountType === 'percentage') {
+    discount = (orderAmount * offer.discountValue) / 100;
+
+    // Apply maximum discount if specified
+    if (offer.maxDiscountAmount !== null && offer.maxDiscountAmount !== undefined &&
+        discount > offer.maxDiscountAmount) {
+      discount = offer.maxDiscountAmount;
+    }
+  } else {
+    // Fixed discount
+    discount = offer.discountValue;
+  }
+
+  // Ensure discount isn't more than order amount
+  if (discount > orderAmount) {
+    discount = orderAmount;
+  }
+
+  return Math.round(discount * 100) / 100;
+};
+
+/**
+ * Look up the menu category of each cart line
+ * @param {Array<Object>} lines - Priced cart lines
+ * @returns {Promise<Map<string, string>>} Menu item ID to category
+ */
+const loadLineCategories = async (lines) => {
+  if (lines.length === 0) {
+    return new Map();
+  }
+
+  const menuItems = await MenuItem.find({
+    _id: { $in: lines.map(line => line.menuItemId) }
+  }).select('category');
+  return new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem.category]));
+};
+
+/**
+ * Split cart lines into the ones an offer applies to and the ones it does not.
+ * Offers without applicableItems or applicableCategories apply to every line.
+ * @param {Object} offer - Offer document
+ * @param {Array<Object>} lines - Priced cart lines (menuItemId, name, quantity, totalItemPrice)
+ * @returns {Promise<Object>} scoped flag, eligible amount and the eligible and excluded lines
+ */
+const scopeOfferLines = async (offer, lines) => {
+  const applicableItems = (offer.applicableItems || []).map(id => id.toString());
+  const applicableCategories = (offer.applicableCategories || []).map(category => category.toLowerCase());
+  const scoped = applicableItems.length > 0 || applicableCategories.length > 0;
+
+  // Categories come from the menu, not from the client
+  const categories = scoped ? await loadLineCategories(lines) : new Map();
+
+  const eligibleLines = [];
+  const excludedLines = [];
+
+  lines.forEach((line, index) => {
+    const menuItemId = line.menuItemId.toString();
+    const category = categories.get(menuItemId);
+    const lineTotal = roundCurrency(line.totalItemPrice * line.quantity);
+    const entry = { index, menuItemId: line.menuItemId, name: line.name, category, quantity: line.quantity, lineTotal };
+
+    if (!scoped) {
+      eligibleLines.push({ ...entry, reason: 'Offer applies to the whole order' });
+    } else if (applicableItems.includes(menuItemId)) {
+      eligibleLines.push({ ...entry, reason: 'Item is included in this offer' });
+    } else if (category && applicableCategories.includes(category.toLowerCase())) {
+      eligibleLines.push({ ...entry, reason: `${category} items are included in this offer` });
+    } else {
+      excludedLines.push({
+        ...entry,
+        reason: category
+          ? `${category} items are not included in this offer`
+          : 'Item is not included in this offer'
+      });
+    }
+  });
+
+  return {
+    scoped,
+    eligibleAmount: roundCurrency(eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0)),
+    eligibleLines,
+    excludedLines
+  };
+};
+
+/**
+ * Spread a discount over the eligible lines in proportion to their totals
+ * @param {number} discount - Total discount
+ * @param {Array<Object>} eligibleLines - Lines from scopeOfferLines
+ * @returns {Array<Object>} Lines with the discount share each one received
+ */
+const allocateDiscount = (discount, eligibleLines) => {
+  const eligibleAmount = eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0);
+  let remaining = discount;
+
+  return eligibleLines.map((line, index) => {
+    // The last line takes the rounding remainder so the shares add up exactly
+    const share = index === eligibleLines.length - 1
+      ? roundCurrency(remaining)
+      : roundCurrency(eligibleAmount > 0 ? (discount * line.lineTotal) / eligibleAmount : 0);
+    remaining -= share;
+    return { ...line, discount: share };
+  });
+};
+
+/**
+ * Count the active redemptions of an offer by one customer
+ * @param {string} offerId - Offer ID
+ * @param {string} customerId - Customer user ID
+ * @returns {Promise<number>} Number of redemptions not released
+ */
+const countCustomerRedemptions = (offerId, customerId) => OfferRedemption.countDocuments({
+  offer: offerId,
+  customer: customerId,
+  status: 'redeemed'
+});
+
+/**
+ * Check the offer is live and this customer may still use it
+ * @param {Object} offer - Offer document
+ * @param {Object} user - User placing the order
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode when the offer cannot be used
+ */
+const assertOfferAvailable = async (offer, user) => {
+  // Check if offer is valid
+  const now = new Date();
+  if (now < offer.validFrom || now > offer.validUntil) {
+    throw httpError('Offer has expired or not yet active', 400);
+  }
+
+  // Check usage limit
+  if (offer.usageLimit !== null && offer.usageCount >= offer.usageLimit) {
+    throw httpError('Offer usage limit reached', 400);
+  }
+
+  // Check if offer is restricted to specific users
+  if (offer.restrictedToUsers && offer.restrictedToUsers.length > 0) {
+    const userId = user && user._id ? user._id.toString() : null;
+    if (!userId || !offer.restrictedToUsers.some(id => id.toString() === userId)) {
+      throw httpError('This offer is not available for your account', 403);
+    }
+  }
+
+  const userId = user && user._id ? user._id : null;
+
+  // Check if offer is for new users only
+  if (offer.isNewUserOffer) {
+    if (!userId) {
+      throw httpError('Sign in to use this offer', 403);
+    }
+
+    // Any order that was not cancelled or rejected counts as a previous order
+    const hasOrders = await Order.exists({ customer: userId, status: { $nin: ['Cancelled', 'Rejected'] } });
+    if (hasOrders) {
+      throw httpError('This offer is only for new users', 403);
+    }
+  }
+
+  // Check per-customer limit
+  if (offer.perUserLimit) {
+    if (!userId) {
+      throw httpError('Sign in to use this offer', 403);
+    }
+
+    const uses = await countCustomerRedemptions(offer._id, userId);
+    if (uses >= offer.perUserLimit) {
+      throw httpError('You have already used this offer the maximum number of times', 403);
+    }
+  }
+};
+
+/**
+ * Check an offer can be used for this order and work out its discount
+ * @param {Object} offer - Offer document
+ * @param {Object} context - Order context
+ * @param {number} context.orderAmount - Order subtotal
+ * @param {Object} context.user - User placing the order
+ * @param {Array<Object>} [context.items] - Priced cart lines, needed for item, category and line offers
+ * @param {Object} [options] - Evaluation options
+ * @param {boolean} [options.redeemed] - The offer is already redeemed by the order being changed, so only
+ *   the cart rules (minimum order, scope and line rules) are checked again
+ * @returns {Promise<Object>} The offer, the discount it gives and the lines it applied to
+ * @throws {Error} With statusCode when the offer cannot be applied
+ */
+const evaluateOffer = async (offer, { orderAmount, user, items }, { redeemed = false } = {}) => {
+  if (!redeemed) {
+    await assertOfferAvailable(offer, user);
+  }
+
+  const result = isLineOffer(offer.discountType)
+    ? evaluateLineOffer(offer, items || [], await loadLineCategories(items || []))
+    : null;
+
+  // Check minimum order value - the free item an offer gives away does not count towards it
+  if (offer.discountType === 'free_item' && result && !result.reason) {
+    if (roundCurrency(orderAmount - result.eligibleAmount) < offer.minOrderValue) {
+      throw httpError(`Minimum order amount is ₹${offer.minOrderValue}, not counting the free item`, 400);
+    }
+  } else if (orderAmount < offer.minOrderValue) {
+    throw httpError(`Minimum order amount is ₹${offer.minOrderValue}`, 400);
+  }
+
+  if (result) {
+    if (result.reason) {
+      const error = httpError(result.reason, 400);
+      error.excludedLines = result.excludedLines;
+      throw error;
+    }
+
+    return {
+      offer,
+      discount: result.discount,
+      eligibleAmount: result.eligibleAmount,
+      appliedLines: result.appliedLines,
+      excludedLines: result.excludedLines
+    };
+  }
+
+  const scope = await scopeOfferLines(offer, items || []);
+
+  if (scope.scoped && scope.eligibleLines.length === 0) {
+    const error = httpError(items && items.length > 0
+      ? 'None of the items in your cart are included in this offer'
+      : 'Add items to your cart to use this offer', 400);
+    error.excludedLines = scope.excludedLines;
+    throw error;
+  }
+
+  // Whole-order offers discount the full subtotal
+  const eligibleAmount = scope.scoped ? scope.eligibleAmount : orderAmount;
+  const discount = calculateDiscount(offer, eligibleAmount);
+
+  return {
+    offer,
+    discount,
+    eligibleAmount,
+    appliedLines: allocateDiscount(discount, scope.eligibleLines),
+    excludedLines: scope.excludedLines
+  };
+};
+
+/**
+ * Find an offer by code and check it can be used for this order
+ * @param {string} code - Offer code entered by the customer
+ * @param {Object} context - Order context, see evaluateOffer
+ * @returns {Promise<Object>} The offer, the discount it gives and the lines it applied to
+ * @throws {Error} With statusCode when the offer cannot be applied
+ */
+const evaluateOfferCode = async (code, context) => {
+  const offer = await Offer.findOne({
+    code: code.toUpperCase(),
+    active: true
+  });
+
+  if (!offer) {
+    throw httpError('Offer not found or inactive', 404);
+  }
+
+  return evaluateOffer(offer, context);
+};
+
+/**
+ * Evaluate every currently valid public offer against a cart
+ * @param {Object} context - Order context, see evaluateOffer
+ * @returns {Promise<Object>} eligible offers ranked by savings, and ineligible offers with reasons
+ */
+const rankOffers = async (context) => {
+  // Same offers as the public offers list
+  const now = new Date();
+  const offers = await Offer.find({
+    active: true,
+    validFrom: { $lte: now },
+    validUntil: { $gte: now }
+  }).sort({ createdAt: -1 });
+
+  const eligible = [];
+  const ineligible = [];
+
+  for (const offer of offers) {
+    try {
+      eligible.push(await evaluateOffer(offer, context));
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      ineligible.push({ offer, reason: error.message });
+    }
+  }
+
+  // Biggest saving first; on a tie the offer that needs the smaller order wins
+  eligible.sort((a, b) => (b.discount - a.discount) || (a.offer.minOrderValue - b.offer.minOrderValue));
+
+  return {
+    best: eligible.find(evaluation => evaluation.discount > 0) || null,
+    eligible,
+    ineligible
+  };
+};
+
+/**
+ * Record an offer use for an order and count it against the offer's limits.
+ * The usage count is only incremented while it is below usageLimit, so
+ * concurrent checkouts cannot push an offer past its limit.
+ * @param {Object} order - Saved order with discounts.offer set
+ * @returns {Promise<Object|null>} The redemption, or null if the order used no offer
+ * @throws {Error} 409 when the offer's total or per-customer limit is reached
+ */
+const redeemOffer = async (order) => {
+  const offerId = order.discounts && order.discounts.offer;
+  if (!offerId) {
+    return null;
+  }
+
+  const offer = await Offer.findOneAndUpdate(
+    {
+      _id: offerId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+
+  if (!offer) {
+    throw httpError('Offer usage limit reached', 409);
+  }
+
+  let redemption;
+  try {
+    redemption = await OfferRedemption.create({
+      offer: offer._id,
+      code: offer.code,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: order.customer,
+      customerName: order.customerName,
+      discountAmount: order.discounts.amount
+    });
+  } catch (error) {
+    await Offer.updateOne({ _id: offer._id }, { $inc: { usageCount: -1 } });
+    throw error;
+  }
+
+  // Re-check after inserting so two concurrent orders by the same
+  // customer cannot both get through
+  if (offer.perUserLimit && order.customer) {
+    const uses = await countCustomerRedemptions(offer._id, order.customer);
+    if (uses > offer.perUserLimit) {
+      await OfferRedemption.deleteOne({ _id: redemption._id });
+      await Offer.updateOne({ _id: offer._id }, { $inc: { usageCount: -1 } });
+      throw httpError('You have already used this offer the maximum number of times', 409);
+    }
+  }
+
+  return redemption;
+};
+
+/**
+ * Release the offer use held by an order, e.g. when it is cancelled.
+ * Safe to call more than once - a redemption is only released once.
+ * @param {Object} order - Order document
+ * @param {string} [reason] - Why the use is released
+ * @returns {Promise<Object|null>} The released redemption, or null if there was none
+ */
+const releaseOfferRedemption = async (order, reason = 'Order cancelled') => {
+  const redemption = await OfferRedemption.findOneAndUpdate(
+    { order: order._id, status: 'redeemed' },
+    { status: 'released', releasedAt: new Date(), releaseReason: reason },
+    { new: true }
+  );
+
+  if (!redemption) {
+    return null;
+  }
+
+  await Offer.updateOne(
+    { _id: redemption.offer, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+
+  return redemption;
+};
+
+module.exports = {
+  calculateDiscount,
+  scopeOfferLines,
+  allocateDiscount,
+  assertOfferAvailable,
+  evaluateOffer,
+  evaluateOfferCode,
+  rankOffers,
+  redeemOffer,
+  releaseOfferRedemption
+};
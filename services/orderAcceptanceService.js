@@ -0,0 +1,214 @@
+const Order = require('../models/Order');
+const BusinessSettings = require('../models/Business');
+const unifiedNotificationService = require('./unifiedNotificationService');
+const { getActor, transitionOrder } = require('./orderStatusService');
+const { releaseOfferRedemption } = require('./offerService');
+const { refundUnfulfilledOrder } = require('./refundService');
+const { emitOrderStatusUpdate } = require('../utils/socket');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+/**
+ * Restaurant-side acceptance of new orders: accept with a prep time,
+ * reject with a reason, and reject automatically when nobody answers.
+ */
+
+const DEFAULT_ACCEPTANCE_SETTINGS = {
+  autoRejectAfterMinutes: 10,
+  defaultPrepTimeMinutes: 20,
+  deliveryTimeMinutes: 30
+};
+
+/**
+ * Load the order acceptance settings
+ * @returns {Promise<Object>} autoRejectAfterMinutes, defaultPrepTimeMinutes and deliveryTimeMinutes
+ */
+const loadAcceptanceSettings = async () => {
+  const settings = await BusinessSettings.findOne().select('orderAcceptance');
+  const configured = settings && settings.orderAcceptance ? settings.orderAcceptance.toObject() : {};
+  return { ...DEFAULT_ACCEPTANCE_SETTINGS, ...configured };
+};
+
+/**
+ * Work out when a new order must be accepted by
+ * @param {Object} acceptanceSettings - Settings from loadAcceptanceSettings
+ * @param {Date} [from] - When the order started waiting
+ * @returns {Date|undefined} Deadline, or undefined when auto-reject is off
+ */
+const getAcceptDeadline = (acceptanceSettings, from = new Date()) => {
+  const minutes = acceptanceSettings.autoRejectAfterMinutes;
+  if (!minutes) {
+    return undefined;
+  }
+  return new Date(from.getTime() + minutes * 60000);
+};
+
+/**
+ * Check whether the customer has already paid for an order
+ * @param {Object} order - Order document
+ * @returns {boolean} True for completed non-cash payments
+ */
+const isPrepaid = (order) => order.paymentMethod !== 'Cash on Delivery' && order.paymentStatus === 'Completed';
+
+/**
+ * Accept a pending order and estimate when it will be delivered. Does not save.
+ * @param {Object} order - Order document
+ * @param {Object} options - Acceptance options
+ * @param {Object} options.user - Admin accepting the order
+ * @param {number} [options.prepTimeMinutes] - Kitchen prep time estimate
+ * @param {string} [options.note] - Note for statusUpdates
+ * @param {Object} options.acceptanceSettings - Settings from loadAcceptanceSettings
+ * @returns {Object} The order
+ * @throws {Error} 400 for an invalid prep time, 409 when the order is not pending
+ */
+const acceptOrder = (order, { user, prepTimeMinutes, note, acceptanceSettings }) => {
+  const prepTime = prepTimeMinutes === undefined || prepTimeMinutes === null
+    ? acceptanceSettings.defaultPrepTimeMinutes
+    : Number(prepTimeMinutes);
+
+  if (!Number.isFinite(prepTime) || prepTime <= 0 || prepTime > 240) {
+    throw httpError('Prep time must be between 1 and 240 minutes', 400);
+  }
+
+  const actor = getActor(user);
+  transitionOrder(order, 'Accepted', {
+    actor,
+    note: note || `Accepted by ${actor.name} - ready in about ${prepTime} minutes`
+  });
+
+  const now = new Date();
+  order.acceptance = {
+    acceptedAt: now,
+    acceptedBy: actor.id,
+    prepTimeMinutes: prepTime
+  };
+  order.acceptBy = undefined;
+  order.estimatedDeliveryTime = new Date(
+    now.getTime() + (prepTime + acceptanceSettings.deliveryTimeMinutes) * 60000
+  );
+
+  return order;
+};
+
+/**
+ * Reject a pending order, requesting a refund if it was prepaid. Does not save.
+ * @param {Object} order - Order document
+ * @param {Object} options - Rejection options
+ * @param {Object} [options.user] - Admin rejecting the order, omitted for automatic rejection
+ * @param {string} options.reason - Reason shown to the customer
+ * @returns {Object} The order
+ * @throws {Error} 400 without a reason, 409 when the order is not pending
+ */
+const rejectOrder = (order, { user, reason }) => {
+  if (!reason || !reason.toString().trim()) {
+    throw httpError('A rejection reason is required', 400);
+  }
+
+  const actor = getActor(user);
+  const automatic = actor.role === 'system';
+  transitionOrder(order, 'Rejected', {
+    actor,
+    note: automatic ? `Rejected automatically: ${reason}` : `Rejected by ${actor.name}: ${reason}`
+  });
+
+  order.rejection = {
+    rejectedAt: new Date(),
+    rejectedBy: actor.id,
+    reason: reason.toString().trim(),
+    automatic
+  };
+  order.acceptBy = undefined;
+
+  if (isPrepaid(order)) {
+    order.refund = {
+      status: 'Requested',
+      amount: order.amount,
+      reason: `Order rejected: ${order.rejection.reason}`,
+      requestedAt: new Date()
+    };
+  }
+
+  return order;
+};
+
+/**
+ * Tell everyone watching an order that it was accepted or rejected
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} order - Saved order document
+ * @param {string} triggerType - Socket trigger type
+ */
+const announceDecision = async (io, order, triggerType) => {
+  if (io) {
+    emitOrderStatusUpdate(io, order, triggerType, {
+      rejectionReason: order.rejection && order.rejection.reason,
+      prepTimeMinutes: order.acceptance && order.acceptance.prepTimeMinutes
+    });
+
+    if (order.refund && order.refund.status === 'Requested') {
+      io.to('role:admin').emit('refund_requested', {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        amount: order.refund.amount,
+        reason: order.refund.reason
+      });
+    }
+  }
+
+  const message = order.status === 'Rejected'
+    ? `Sorry, we could not take your order #${order.orderNumber}: ${order.rejection.reason}`
+    : `Your order #${order.orderNumber} has been accepted and will be ready in about ${order.acceptance.prepTimeMinutes} minutes`;
+
+  try {
+    await unifiedNotificationService.sendOrderUpdateNotification(order.customer, {
+      orderId: order.orderNumber,
+      status: order.status,
+      message
+    });
+  } catch (error) {
+    logger.error('Failed to send order decision notification', error);
+  }
+};
+
+/**
+ * Reject every pending order whose acceptance deadline has passed
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<number>} Number of orders rejected
+ */
+const autoRejectExpiredOrders = async (io) => {
+  const orders = await Order.find({
+    status: 'Pending',
+    acceptBy: { $lte: new Date() }
+  });
+
+  let rejected = 0;
+  for (const order of orders) {
+    try {
+      rejectOrder(order, { reason: 'The restaurant could not confirm your order in time' });
+      await order.save();
+      await releaseOfferRedemption(order, 'Order rejected');
+      await refundUnfulfilledOrder(order, {
+        source: 'rejection',
+        reason: `Order rejected: ${order.rejection.reason}`
+      });
+      await announceDecision(io, order, 'rejected');
+      rejected += 1;
+    } catch (error) {
+      logger.error(`Failed to auto-reject order ${order.orderNumber}`, error);
+    }
+  }
+
+  if (rejected > 0) {
+    logger.info(`Auto-rejected ${rejected} orders that were not accepted in time`);
+  }
+  return rejected;
+};
+
+module.exports = {
+  isPrepaid,
+  loadAcceptanceSettings,
+  getAcceptDeadline,
+  acceptOrder,
+  rejectOrder,
+  announceDecision,
+  autoRejectExpiredOrders
+};
@@ -0,0 +1,278 @@
+const Offer = require('../models/Offer');
+const { buildQuote, assertChargeable } = require('./pricingService');
+const { roundCurrency } = require('../utils/currency');
+const { addStatusNote } = require('./orderStatusService');
+const { isPrepaid } = require('./orderAcceptanceService');
+const { toCartLine } = require('./reorderService');
+const httpError = require('../utils/httpError');
+
+/**
+ * Changing an order after it was placed: add, remove or change lines and
+ * update the address or notes, then re-total it and work out what is owed.
+ *
+ * Untouched lines keep the price they were ordered at; added and changed
+ * lines are priced at today's menu.
+ */
+
+// Customers can only change an order the kitchen has not picked up yet
+const CUSTOMER_EDITABLE_STATUSES = ['Scheduled', 'Pending'];
+
+// Admins can change anything that has not left the shop
+const ADMIN_EDITABLE_STATUSES = ['Scheduled', 'Pending', 'Accepted', 'Preparing', 'Ready', 'Ready for pickup'];
+
+const LINE_FIELDS = ['quantity', 'size', 'customizations', 'addOns', 'toppings', 'specialInstructions'];
+
+/**
+ * Check the actor may change the order in its current state
+ * @param {Object} order - Order document
+ * @param {Object} actor - Actor from getActor
+ * @throws {Error} 409 when the order can no longer be changed
+ */
+const assertEditable = (order, actor) => {
+  const editable = actor.role === 'admin' ? ADMIN_EDITABLE_STATUSES : CUSTOMER_EDITABLE_STATUSES;
+
+  if (!editable.includes(order.status)) {
+    throw httpError(
+      actor.role === 'admin'
+        ? `${order.status} orders cannot be changed`
+        : 'This order is already being prepared, please contact the shop to change it',
+      409,
+      { code: 'ORDER_NOT_EDITABLE', status: order.status }
+    );
+  }
+
+  // Money is already on its way back - changing the total now would not add up
+  if (order.refund && order.refund.status === 'Processing') {
+    throw httpError('This order has a refund in progress and cannot be changed', 409, {
+      code: 'REFUND_IN_PROGRESS'
+    });
+  }
+};
+
+/**
+ * Check a replacement delivery address has the required fields
+ * @param {Object} order - Order document
+ * @param {Object} address - Address from the request
+ * @returns {Object} Address to store
+ * @throws {Error} 400 for non-delivery orders or an incomplete address
+ */
+const resolveAddress = (order, address) => {
+  if (order.orderType !== 'delivery') {
+    throw httpError(`A ${order.orderType} order has no delivery address`, 400);
+  }
+
+  const missing = ['street', 'city', 'state', 'zipCode'].filter(field => !address[field]);
+  if (missing.length > 0) {
+    throw httpError(`Address is missing ${missing.join(', ')}`, 400, { code: 'INVALID_ADDRESS' });
+  }
+
+  return {
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    zipCode: address.zipCode,
+    landmark: address.landmark,
+    latitude: address.latitude,
+    longitude: address.longitude
+  };
+};
+
+/**
+ * Work out the balance or refund owed on a prepaid order after its total changed
+ * @param {Object} order - Order document, still holding the old total
+ * @param {number} amount - New order total
+ * @returns {Object} `{ balanceDue, refundDue }`
+ */
+const settleDifference = (order, amount) => {
+  if (!isPrepaid(order)) {
+    return { balanceDue: 0, refundDue: 0 };
+  }
+
+  // What the customer has actually paid, net of earlier changes
+  const pendingRefund = order.refund && order.refund.status === 'Requested' ? order.refund.amount || 0 : 0;
+  const paid = roundCurrency(order.amount - (order.balanceDue || 0) + pendingRefund);
+  const difference = roundCurrency(amount - paid);
+
+  return {
+    balanceDue: Math.max(0, difference),
+    refundDue: Math.max(0, -difference)
+  };
+};
+
+/**
+ * Apply changes to a placed order and re-total it. Does not save.
+ * @param {Object} order - Order document
+ * @param {Object} changes - Requested changes
+ * @param {Array<Object>} [changes.add] - New cart lines
+ * @param {Array<string>} [changes.remove] - IDs of order lines to remove
+ * @param {Array<Object>} [changes.update] - `{ lineId, quantity, size, customizations, addOns, toppings,
+ *   specialInstructions }` - a quantity of 0 removes the line
+ * @param {Object} [changes.address] - New delivery address
+ * @param {string} [changes.notes] - New order notes
+ * @param {Object} options - Modification options
+ * @param {Object} options.actor - Actor from getActor
+ * @param {number} [options.amount] - Total the client showed, checked like at checkout
+ * @param {Object} [options.settings] - BusinessSettings document, loaded when omitted
+ * @returns {Promise<Object>} Summary with the old and new totals, what is owed and whether the offer was lost
+ * @throws {Error} 400 for an invalid change, 404 for an unknown line, 409 when the order cannot be changed,
+ *   422 for lines that cannot be ordered
+ */
+const modifyOrder = async (order, changes, { actor, amount, settings }) => {
+  assertEditable(order, actor);
+
+  const add = Array.isArray(changes.add) ? changes.add : [];
+  const remove = new Set((Array.isArray(changes.remove) ? changes.remove : []).map(String));
+  const updates = new Map((Array.isArray(changes.update) ? changes.update : [])
+    .map(update => [String(update.lineId), update]));
+
+  if (add.length === 0 && remove.size === 0 && updates.size === 0 &&
+      changes.address === undefined && changes.notes === undefined) {
+    throw httpError('No changes to make', 400);
+  }
+
+  const lineIds = new Set(order.items.map(item => item._id.toString()));
+  const unknown = [...remove, ...updates.keys()].filter(lineId => !lineIds.has(lineId));
+  if (unknown.length > 0) {
+    throw httpError('Order line not found', 404, { lineIds: unknown });
+  }
+
+  // Lay out the new item list: untouched lines as they are, the rest re-priced
+  const layout = [];
+  const keptItems = [];
+  const freshLines = [];
+  const freshLineIds = [];
+  const summary = [];
+
+  order.items.forEach(item => {
+    const lineId = item._id.toString();
+    const update = updates.get(lineId);
+
+    if (remove.has(lineId) || (update && Number(update.quantity) === 0)) {
+      summary.push(`removed ${item.quantity}× ${item.name}`);
+      return;
+    }
+
+    if (update) {
+      const line = toCartLine(item);
+      LINE_FIELDS.forEach(field => {
+        if (update[field] !== undefined) {
+          line[field] = update[field];
+        }
+      });
+      layout.push({ fresh: freshLines.length, _id: item._id });
+      freshLines.push(line);
+      freshLineIds.push(lineId);
+      summary.push(`changed ${item.name}`);
+      return;
+    }
+
+    layout.push({ kept: keptItems.length });
+    keptItems.push(item.toObject());
+  });
+
+  add.forEach(line => {
+    layout.push({ fresh: freshLines.length });
+    freshLines.push(line);
+    freshLineIds.push(null);
+  });
+
+  if (layout.length === 0) {
+    throw httpError('An order needs at least one item - cancel it instead', 400, { code: 'NO_ITEMS_LEFT' });
+  }
+
+  const address = changes.address ? resolveAddress(order, changes.address) : order.address;
+
+  const redeemedOffer = order.discounts && order.discounts.offer
+    ? await Offer.findById(order.discounts.offer)
+    : null;
+
+  const quote = await buildQuote({
+    items: freshLines.map(line => ({ quantity: 1, ...line })),
+    keptItems,
+    orderType: order.orderType,
+    address: order.orderType === 'delivery' ? address : undefined,
+    settings,
+    redeemedOffer
+  });
+
+  // Point errors at the order line being changed rather than the re-priced batch
+  quote.errors = quote.errors.map(error => ({ ...error, lineId: freshLineIds[error.index] }));
+
+  // An offer the smaller order no longer qualifies for is dropped, not a reason to refuse the change
+  let lostOffer = null;
+  if (quote.offerError && redeemedOffer) {
+    lostOffer = { code: redeemedOffer.code, reason: quote.offerError.message };
+  } else if (order.discounts && order.discounts.offer && !redeemedOffer) {
+    lostOffer = { code: order.discounts.code, reason: 'the offer no longer exists' };
+  }
+  quote.offerError = null;
+
+  assertChargeable(quote, amount, { ignoreShopHours: true });
+
+  const freshItems = quote.items.slice(keptItems.length);
+  freshItems.forEach((item, index) => {
+    if (!freshLineIds[index]) summary.push(`added ${item.quantity}× ${item.name}`);
+  });
+  if (changes.address) summary.push('address updated');
+  if (changes.notes !== undefined) summary.push('notes updated');
+
+  order.items = layout.map(entry => (entry.kept !== undefined
+    ? keptItems[entry.kept]
+    : { ...freshItems[entry.fresh], _id: entry._id }));
+
+  const previousAmount = order.amount;
+  const { balanceDue, refundDue } = settleDifference(order, quote.amount);
+
+  order.subTotal = quote.subTotal;
+  order.tax = quote.tax;
+  order.taxPercentage = quote.taxPercentage;
+  order.deliveryFee = quote.deliveryFee;
+  order.discounts = quote.discounts.offer
+    ? { ...quote.discounts, autoApplied: !!order.discounts.autoApplied }
+    : { amount: 0 };
+  order.amount = quote.amount;
+  order.totalItemsCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  order.appliedBusinessSettings = quote.appliedBusinessSettings;
+  order.balanceDue = balanceDue;
+  order.modifiedAt = new Date();
+
+  if (changes.address) {
+    order.address = address;
+    order.fullAddress = quote.fullAddress;
+  }
+  if (changes.notes !== undefined) {
+    order.notes = changes.notes;
+  }
+
+  if (refundDue > 0) {
+    order.refund.status = 'Requested';
+    order.refund.amount = refundDue;
+    order.refund.reason = 'Order changed after payment';
+    order.refund.requestedAt = new Date();
+  } else if (order.refund && order.refund.status === 'Requested') {
+    // The change used up an earlier refund that had not been paid out yet
+    order.refund.status = order.refund.refundedAmount > 0 ? 'Refunded' : 'None';
+  }
+
+  if (lostOffer) summary.push(`offer ${lostOffer.code} removed (${lostOffer.reason})`);
+  let note = `Order changed by ${actor.role}: ${summary.join(', ')}. Total ₹${previousAmount} → ₹${order.amount}`;
+  if (balanceDue > 0) note += `, balance due ₹${balanceDue}`;
+  if (refundDue > 0) note += `, refund due ₹${refundDue}`;
+  addStatusNote(order, note, actor);
+
+  return {
+    previousAmount,
+    amount: order.amount,
+    difference: roundCurrency(order.amount - previousAmount),
+    balanceDue,
+    refundDue,
+    lostOffer,
+    summary: note
+  };
+};
+
+module.exports = {
+  CUSTOMER_EDITABLE_STATUSES,
+  ADMIN_EDITABLE_STATUSES,
+  modifyOrder
+};
@@ -0,0 +1,109 @@
+const Order = require('../models/Order');
+const unifiedNotificationService = require('./unifiedNotificationService');
+const { loadCheckoutSettings } = require('./pricingService');
+const { redeemOffer } = require('./offerService');
+const { loadAcceptanceSettings, getAcceptDeadline } = require('./orderAcceptanceService');
+const { reserveSlot, releaseSlot } = require('./schedulingService');
+const { removeOrderedLines } = require('./cartService');
+const { emitOrderStatusUpdate } = require('../utils/socket');
+const logger = require('../utils/logger');
+
+/**
+ * Order placement shared by checkout and table ordering: save a priced
+ * order, hold its slot and offer use, and announce it to the kitchen.
+ */
+
+/**
+ * Create an order from a checked quote
+ *
+ * Scheduled orders take a place in their slot and wait for the release job;
+ * the rest get the kitchen's accept deadline. If the offer ran out since the
+ * quote the order is removed again. Once placed, the ordered lines leave the
+ * customer's saved cart.
+ * @param {Object} quote - Result of buildQuote that passed assertChargeable
+ * @param {Object} details - Order fields the quote does not set: customer or guest, contact
+ *   details, address, payment, notes and table
+ * @param {Object} [options] - Placement options
+ * @param {Object} [options.io] - Socket.IO instance for the new order event
+ * @param {string} [options.notificationName] - Customer name shown to admins, the order's by default
+ * @param {Object} [options.cartOwner] - req.user whose saved cart the order came from
+ * @returns {Promise<Object>} The saved order
+ * @throws {Error} 409 when the slot is full or the offer can no longer be used
+ */
+const createOrder = async (quote, details, { io, notificationName, cartOwner } = {}) => {
+  const order = new Order({
+    ...details,
+    items: quote.items,
+    amount: quote.amount,
+    orderType: quote.orderType,
+    fullAddress: quote.fullAddress || undefined,
+    deliveryAgentName: 'Unassigned',
+    subTotal: quote.subTotal,
+    tax: quote.tax,
+    taxPercentage: quote.taxPercentage,
+    deliveryFee: quote.deliveryFee,
+    discounts: quote.discounts,
+    appliedBusinessSettings: quote.appliedBusinessSettings
+  });
+
+  if (quote.schedule) {
+    // Held until releaseAt, then sent to the kitchen by the release job
+    order.status = 'Scheduled';
+    order.scheduledFor = quote.schedule.scheduledFor;
+    order.scheduledSlot = quote.schedule.slotStart;
+    order.releaseAt = quote.schedule.releaseAt;
+    await reserveSlot(order, await loadCheckoutSettings());
+  } else {
+    // The kitchen has to accept the order before this or it is rejected
+    order.acceptBy = getAcceptDeadline(await loadAcceptanceSettings());
+  }
+
+  let createdOrder;
+  try {
+    createdOrder = await order.save();
+  } catch (error) {
+    await releaseSlot(order);
+    throw error;
+  }
+
+  // Count the offer use - if the offer ran out since the quote, drop the order
+  try {
+    await redeemOffer(createdOrder);
+  } catch (error) {
+    await Order.deleteOne({ _id: createdOrder._id });
+    await releaseSlot(createdOrder);
+    throw error;
+  }
+
+  // A stale cart would keep showing the lines and trigger abandoned cart reminders
+  if (cartOwner) {
+    try {
+      await removeOrderedLines(cartOwner, createdOrder.items);
+    } catch (error) {
+      logger.error(`Failed to update the cart after order ${createdOrder.orderNumber}`, error);
+    }
+  }
+
+  if (io) {
+    emitOrderStatusUpdate(io, createdOrder, 'new_order');
+  }
+
+  try {
+    const notificationResult = await unifiedNotificationService.sendNewOrderNotificationToAdmins({
+      orderId: createdOrder.orderNumber,
+      customerName: notificationName || createdOrder.customerName,
+      totalAmount: createdOrder.amount
+    });
+    if (!notificationResult.success) {
+      logger.warn(`New order notification for ${createdOrder.orderNumber} was not sent`, notificationResult.error);
+    }
+  } catch (error) {
+    logger.error(`Failed to send new order notification for ${createdOrder.orderNumber}`, error);
+  }
+
+  return createdOrder;
+};
+
+module.exports = {
+  createOrder
+};
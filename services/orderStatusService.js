@@ -0,0 +1,172 @@
+/**
+ * Order state machine - the only place order statuses change.
+ *
+ * Every status change and status note goes through here so the allowed
+ * transitions are enforced for each role and order type, and statusUpdates
+ * records who made the change.
+ */
+
+const httpError = require('../utils/httpError');
+
+const ORDER_STATUSES = [
+  'Scheduled', 'Pending', 'Accepted', 'Rejected', 'Preparing', 'Ready', 'Ready for pickup',
+  'Out for delivery', 'Delivered', 'Cancelled'
+];
+
+// Roles that may move an order from one status to another.
+// 'system' is used by background jobs.
+const TRANSITIONS = {
+  Scheduled: {
+    Pending: ['admin', 'system'],
+    Cancelled: ['admin', 'customer']
+  },
+  Pending: {
+    Accepted: ['admin'],
+    Rejected: ['admin', 'system'],
+    Cancelled: ['admin', 'customer', 'system']
+  },
+  Accepted: {
+    Preparing: ['admin', 'kitchen', 'system'],
+    'Ready for pickup': ['admin'],
+    'Out for delivery': ['admin'],
+    Cancelled: ['admin', 'customer']
+  },
+  Preparing: {
+    Ready: ['admin', 'kitchen', 'system'],
+    'Ready for pickup': ['admin', 'kitchen', 'system'],
+    'Out for delivery': ['admin', 'delivery'],
+    Delivered: ['admin'],
+    Cancelled: ['admin', 'customer', 'system']
+  },
+  Ready: {
+    'Ready for pickup': ['admin'],
+    'Out for delivery': ['admin', 'delivery'],
+    Delivered: ['admin'],
+    Cancelled: ['admin']
+  },
+  // Delivered here means collected at the counter
+  'Ready for pickup': {
+    Delivered: ['admin'],
+    Cancelled: ['admin']
+  },
+  'Out for delivery': {
+    Delivered: ['admin', 'delivery'],
+    Cancelled: ['admin']
+  },
+  Delivered: {},
+  Rejected: {},
+  Cancelled: {}
+};
+
+// Statuses that only make sense for some order types
+const ORDER_TYPE_STATUSES = {
+  'Ready for pickup': ['pickup'],
+  'Out for delivery': ['delivery']
+};
+
+/**
+ * Describe the user (or job) changing an order
+ * @param {Object} [user] - Authenticated user, omitted for background jobs
+ * @returns {Object} Actor with id, role and name
+ */
+const getActor = (user) => {
+  if (!user) {
+    return { id: null, role: 'system', name: 'System' };
+  }
+  return { id: user._id, role: user.role, name: user.name };
+};
+
+/**
+ * List the statuses a role may move an order to from its current status
+ * @param {string} status - Current order status
+ * @param {string} role - Actor role
+ * @param {string} [orderType] - delivery, pickup or dine-in
+ * @returns {Array<string>} Allowed next statuses
+ */
+const getAllowedTransitions = (status, role, orderType = 'delivery') => {
+  const targets = TRANSITIONS[status] || {};
+  return Object.keys(targets).filter(target =>
+    targets[target].includes(role) &&
+    (!ORDER_TYPE_STATUSES[target] || ORDER_TYPE_STATUSES[target].includes(orderType)));
+};
+
+/**
+ * Check whether a role may move an order between two statuses
+ * @param {string} from - Current order status
+ * @param {string} to - Requested status
+ * @param {string} role - Actor role
+ * @param {string} [orderType] - delivery, pickup or dine-in
+ * @returns {boolean} True when the transition is allowed
+ */
+const canTransition = (from, to, role, orderType) => getAllowedTransitions(from, role, orderType).includes(to);
+
+/**
+ * Status an order moves to once the kitchen has finished it
+ * @param {Object} order - Order document
+ * @returns {string} 'Ready for pickup' for pickup orders, otherwise 'Ready'
+ */
+const getReadyStatus = (order) => (order.orderType === 'pickup' ? 'Ready for pickup' : 'Ready');
+
+/**
+ * Add a statusUpdates entry for the order's current status
+ * @param {Object} order - Order document
+ * @param {string} note - What happened
+ * @param {Object} actor - Actor from getActor
+ * @returns {Object} The order
+ */
+const addStatusNote = (order, note, actor) => {
+  order.statusUpdates.push({
+    status: order.status,
+    time: Date.now(),
+    note,
+    actor: actor.id,
+    actorRole: actor.role,
+    actorName: actor.name
+  });
+  return order;
+};
+
+/**
+ * Move an order to a new status and record who did it. Does not save.
+ * @param {Object} order - Order document
+ * @param {string} status - Requested status
+ * @param {Object} options - Transition options
+ * @param {Object} options.actor - Actor from getActor
+ * @param {string} [options.note] - Note for statusUpdates
+ * @returns {Object} The order
+ * @throws {Error} 400 for an unknown status, 409 when the transition is not allowed
+ */
+const transitionOrder = (order, status, { actor, note }) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw httpError(`Unknown order status ${status}`, 400);
+  }
+
+  const from = order.status;
+  const orderType = order.orderType || 'delivery';
+  if (!canTransition(from, status, actor.role, orderType)) {
+    throw httpError(
+      from === status
+        ? `Order is already ${status}`
+        : `Order cannot move from ${from} to ${status}`,
+      409,
+      {
+        currentStatus: from,
+        requestedStatus: status,
+        allowedStatuses: getAllowedTransitions(from, actor.role, orderType)
+      }
+    );
+  }
+
+  order.status = status;
+  return addStatusNote(order, note || `Status updated to ${status} by ${actor.role}`, actor);
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  getActor,
+  getAllowedTransitions,
+  canTransition,
+  getReadyStatus,
+  addStatusNote,
+  transitionOrder
+};
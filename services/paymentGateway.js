@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+/**
+ * Payment gateway adapters. Every adapter offers the same calls and
+ * reports back in the same shapes, with amounts in rupees:
+ *
+ * - createOrder({ amount, receipt, notes }) and fetchOrder(id) resolve to
+ *   `{ id, amount, currency, receipt, status: 'created' | 'attempted' | 'paid', raw }`
+ * - verifySignature({ orderId, paymentId, signature }) checks a checkout response
+ * - fetchPayment(id) and capturePayment(id, amount) resolve to
+ *   `{ id, orderId, amount, currency, status: 'created' | 'authorized' | 'captured' | 'refunded' | 'failed',
+ *   method, errorDescription, raw }`
+ * - refund({ paymentId, amount, receipt, notes }) and fetchRefund(paymentId, refundId)
+ *   resolve to `{ id, status: 'processed' | 'pending' | 'failed', amount, raw }`
+ *
+ * PAYMENT_GATEWAY=fake swaps Razorpay for an in-process gateway that keeps
+ * everything in memory, so prepaid orders, refunds and failed payments can
+ * be run end to end with no network.
+ */
+
+/**
+ * Convert rupees to paise
+ * @param {number} amount - Amount in rupees
+ * @returns {number} Amount in paise
+ */
+const toPaise = (amount) => Math.round(amount * 100);
+
+/**
+ * Sign a checkout response the way Razorpay does
+ * @param {string} secret - Key secret
+ * @param {string} orderId - Gateway order ID
+ * @param {string} paymentId - Gateway payment ID
+ * @returns {string} Hex signature
+ */
+const signCheckout = (secret, orderId, paymentId) => crypto
+  .createHmac('sha256', secret)
+  .update(`${orderId}|${paymentId}`)
+  .digest('hex');
+
+/**
+ * Compare a checkout signature without leaking timing
+ * @param {string} secret - Key secret
+ * @param {Object} response - `{ orderId, paymentId, signature }`
+ * @returns {boolean} Whether the signature matches
+ */
+const checkSignature = (secret, { orderId, paymentId, signature }) => {
+  if (!secret || !orderId || !paymentId || !signature) {
+    return false;
+  }
+  const expected = Buffer.from(signCheckout(secret, orderId, paymentId));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Razorpay orders, payments and refunds APIs
+ * @returns {Object} Payment gateway adapter
+ */
+const createRazorpayGateway = () => {
+  const instance = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_KEY_SECRET
+  });
+
+  const toOrder = (order) => ({
+    id: order.id,
+    amount: order.amount / 100,
+    currency: order.currency,
+    receipt: order.receipt,
+    status: order.status,
+    raw: order
+  });
+
+  const toPayment = (payment) => ({
+    id: payment.id,
+    orderId: payment.order_id,
+    amount: payment.amount / 100,
+    currency: payment.currency,
+    status: payment.status,
+    method: payment.method,
+    errorDescription: payment.error_description,
+    raw: payment
+  });
+
+  const toRefund = (refund) => ({
+    id: refund.id,
+    status: refund.status,
+    amount: refund.amount / 100,
+    raw: refund
+  });
+
+  return {
+    name: 'razorpay',
+
+    async createOrder({ amount, receipt, notes }) {
+      return toOrder(await instance.orders.create({ amount: toPaise(amount), currency: 'INR', receipt, notes }));
+    },
+
+    async fetchOrder(orderId) {
+      return toOrder(await instance.orders.fetch(orderId));
+    },
+
+    verifySignature(response) {
+      return checkSignature(process.env.RAZORPAY_KEY_SECRET, response);
+    },
+
+    async fetchPayment(paymentId) {
+      return toPayment(await instance.payments.fetch(paymentId));
+    },
+
+    async capturePayment(paymentId, amount) {
+      return toPayment(await instance.payments.capture(paymentId, toPaise(amount), 'INR'));
+    },
+
+    async refund({ paymentId, amount, receipt, notes }) {
+      return toRefund(await instance.payments.refund(paymentId, {
+        amount: toPaise(amount),
+        speed: 'normal',
+        receipt,
+        notes
+      }));
+    },
+
+    async fetchRefund(paymentId, refundId) {
+      return toRefund(await instance.payments.fetchRefund(paymentId, refundId));
+    }
+  };
+};
+
+/**
+ * In-memory gateway for tests and staging. Payments are made with
+ * simulatePayment, which hands back a signed checkout response just like
+ * Razorpay Checkout. FAKE_GATEWAY_REFUND_STATUS (processed, pending or
+ * failed) sets how refunds come back.
+ * @returns {Object} Payment gateway adapter
+ */
+const createFakeGateway = () => {
+  const secret = process.env.FAKE_GATEWAY_SECRET || 'fake_gateway_secret';
+  const orders = new Map();
+  const payments = new Map();
+  const refunds = new Map();
+  const newId = (prefix) => `${prefix}_fake${crypto.randomBytes(7).toString('hex')}`;
+
+  const notFound = (what, id) => {
+    const error = new Error(`${what} ${id} does not exist`);
+    error.statusCode = 400;
+    error.error = { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' };
+    return error;
+  };
+
+  const getPayment = (paymentId) => {
+    const payment = payments.get(paymentId);
+    if (!payment) throw notFound('Payment', paymentId);
+    return payment;
+  };
+
+  return {
+    name: 'fake',
+
+    async createOrder({ amount, receipt, notes }) {
+      const order = { id: newId('order'), amount, currency: 'INR', receipt, notes, status: 'created' };
+      orders.set(order.id, order);
+      return { ...order, raw: order };
+    },
+
+    async fetchOrder(orderId) {
+      const order = orders.get(orderId);
+      if (!order) throw notFound('Order', orderId);
+      return { ...order, raw: order };
+    },
+
+    verifySignature(response) {
+      return checkSignature(secret, response);
+    },
+
+    async fetchPayment(paymentId) {
+      const payment = getPayment(paymentId);
+      return { ...payment, raw: payment };
+    },
+
+    async capturePayment(paymentId, amount) {
+      const payment = getPayment(paymentId);
+      if (payment.status !== 'authorized' || payment.amount !== amount) {
+        const error = new Error('Only authorized payments can be captured, for their full amount');
+        error.statusCode = 400;
+        throw error;
+      }
+      payment.status = 'captured';
+      orders.get(payment.orderId).status = 'paid';
+      return { ...payment, raw: payment };
+    },
+
+    async refund({ paymentId, amount }) {
+      const payment = getPayment(paymentId);
+      const status = process.env.FAKE_GATEWAY_REFUND_STATUS || 'processed';
+      const refund = { id: newId('rfnd'), paymentId, amount, status };
+      refunds.set(refund.id, refund);
+      if (status !== 'failed') {
+        payment.amountRefunded = (payment.amountRefunded || 0) + amount;
+        if (payment.amountRefunded >= payment.amount) payment.status = 'refunded';
+      }
+      return { ...refund, raw: refund };
+    },
+
+    async fetchRefund(paymentId, refundId) {
+      const refund = refunds.get(refundId);
+      if (!refund) throw notFound('Refund', refundId);
+      // Pending refunds go through the next time anyone looks
+      if (refund.status === 'pending') refund.status = 'processed';
+      return { ...refund, raw: refund };
+    },
+
+    /**
+     * Pay for a fake order as the customer would at checkout
+     * @param {string} orderId - Fake order ID
+     * @param {Object} [options] - Payment options
+     * @param {number} [options.amount] - Amount paid, the order amount by default
+     * @param {string} [options.outcome] - captured (default), authorized or failed
+     * @returns {Object} Checkout response `{ razorpay_order_id, razorpay_payment_id, razorpay_signature }`,
+     *   or `{ error }` for a failed payment
+     */
+    simulatePayment(orderId, { amount, outcome = 'captured' } = {}) {
+      const order = orders.get(orderId);
+      if (!order) throw notFound('Order', orderId);
+
+      const payment = {
+        id: newId('pay'),
+        orderId,
+        amount: amount === undefined ? order.amount : amount,
+        currency: 'INR',
+        status: outcome,
+        method: 'card',
+        errorDescription: outcome === 'failed' ? 'Payment was declined by the fake bank' : undefined
+      };
+      payments.set(payment.id, payment);
+      order.status = outcome === 'captured' ? 'paid' : 'attempted';
+
+      if (outcome === 'failed') {
+        return { error: { description: payment.errorDescription, metadata: { payment_id: payment.id, order_id: orderId } } };
+      }
+      return {
+        razorpay_order_id: orderId,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: signCheckout(secret, orderId, payment.id)
+      };
+    }
+  };
+};
+
+let gateway = null;
+
+/**
+ * Get the payment gateway selected by PAYMENT_GATEWAY (razorpay by default)
+ * @returns {Object} Payment gateway adapter
+ */
+const getPaymentGateway = () => {
+  if (!gateway) {
+    gateway = process.env.PAYMENT_GATEWAY === 'fake' ? createFakeGateway() : createRazorpayGateway();
+  }
+  return gateway;
+};
+
+module.exports = {
+  toPaise,
+  getPaymentGateway
+};
@@ -0,0 +1,134 @@
+const Transaction = require('../models/Transaction');
+const { toPaise, getPaymentGateway } = require('./paymentGateway');
+const httpError = require('../utils/httpError');
+
+/**
+ * Online payments for orders: the gateway order is created from the
+ * order's own total and a payment only completes an order once its
+ * signature checks out and the gateway confirms the captured amount.
+ */
+
+/**
+ * Get a gateway order for the order's current total, reusing the one
+ * already started if the total has not changed. Does not save the order.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Gateway order
+ * @throws {Error} 400 when the order is not paid online, 409 when it is paid,
+ *   waiting for confirmation or closed
+ */
+const createPaymentOrder = async (order) => {
+  if (order.paymentMethod !== 'Online') {
+    throw httpError(`This order is paid by ${order.paymentMethod}, not online`, 400, { code: 'NOT_ONLINE_PAYMENT' });
+  }
+  if (['Completed', 'Refunded'].includes(order.paymentStatus)) {
+    throw httpError('This order has already been paid', 409, { code: 'ORDER_ALREADY_PAID' });
+  }
+  if (['Cancelled', 'Rejected'].includes(order.status)) {
+    throw httpError(`This order was ${order.status.toLowerCase()} and cannot be paid`, 409, { code: 'ORDER_CLOSED' });
+  }
+
+  // A payment the shop is still looking at, e.g. one that did not match the total
+  const captured = await Transaction.exists({ order: order._id, type: { $ne: 'refund' }, status: 'Completed' });
+  if (captured) {
+    throw httpError('A payment for this order is already on record', 409, { code: 'ORDER_ALREADY_PAID' });
+  }
+
+  const gateway = getPaymentGateway();
+  const existingId = order.paymentDetails && order.paymentDetails.orderId;
+
+  if (existingId) {
+    const existing = await gateway.fetchOrder(existingId).catch(() => null);
+    if (existing && existing.status === 'paid') {
+      throw httpError('This order has been paid and is waiting for confirmation', 409, {
+        code: 'PAYMENT_PENDING_CONFIRMATION'
+      });
+    }
+    // Retrying a failed attempt - the same gateway order can be paid again
+    if (existing && toPaise(existing.amount) === toPaise(order.amount) && existing.receipt === order.orderNumber) {
+      return existing;
+    }
+  }
+
+  const paymentOrder = await gateway.createOrder({
+    amount: order.amount,
+    receipt: order.orderNumber,
+    notes: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      purpose: 'Food Order'
+    }
+  });
+
+  order.paymentDetails = { orderId: paymentOrder.id };
+  return paymentOrder;
+};
+
+/**
+ * Check the signature checkout hands back after a payment
+ * @param {Object} details - Checkout response
+ * @param {string} details.razorpay_order_id - Gateway order ID
+ * @param {string} details.razorpay_payment_id - Gateway payment ID
+ * @param {string} details.razorpay_signature - Signature to check
+ * @returns {boolean} Whether the signature matches
+ */
+const verifyPaymentSignature = ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) =>
+  getPaymentGateway().verifySignature({
+    orderId: razorpay_order_id,
+    paymentId: razorpay_payment_id,
+    signature: razorpay_signature
+  });
+
+/**
+ * Check a payment completes an order: the signature verifies, it was made
+ * against the order's gateway order and the captured amount is the order
+ * total. A payment that is only authorized is captured here.
+ * @param {Object} order - Order document
+ * @param {Object} details - Checkout response with razorpay_order_id, razorpay_payment_id and razorpay_signature
+ * @returns {Promise<Object>} Captured gateway payment
+ * @throws {Error} 400 for a bad signature or a payment for another order,
+ *   409 when the payment did not go through or the amount does not match
+ */
+const verifyOrderPayment = async (order, details) => {
+  if (!verifyPaymentSignature(details)) {
+    throw httpError('Payment signature could not be verified', 400, { code: 'INVALID_SIGNATURE' });
+  }
+
+  const paymentOrderId = order.paymentDetails && order.paymentDetails.orderId;
+  if (!paymentOrderId || paymentOrderId !== details.razorpay_order_id) {
+    throw httpError('This payment was not made for this order', 400, { code: 'PAYMENT_ORDER_MISMATCH' });
+  }
+
+  const gateway = getPaymentGateway();
+  let payment = await gateway.fetchPayment(details.razorpay_payment_id);
+  if (payment.orderId !== paymentOrderId) {
+    throw httpError('This payment was not made for this order', 400, { code: 'PAYMENT_ORDER_MISMATCH' });
+  }
+
+  if (payment.currency !== 'INR' || toPaise(payment.amount) !== toPaise(order.amount)) {
+    throw httpError('The amount paid does not match the order total', 409, {
+      code: 'AMOUNT_MISMATCH',
+      paid: payment.amount,
+      expected: order.amount
+    });
+  }
+
+  if (payment.status === 'authorized') {
+    payment = await gateway.capturePayment(payment.id, payment.amount);
+  }
+
+  if (payment.status !== 'captured') {
+    throw httpError('The payment did not go through', 409, {
+      code: 'PAYMENT_NOT_CAPTURED',
+      paymentStatus: payment.status,
+      reason: payment.errorDescription
+    });
+  }
+
+  return payment;
+};
+
+module.exports = {
+  createPaymentOrder,
+  verifyPaymentSignature,
+  verifyOrderPayment
+};
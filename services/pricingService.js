@@ -0,0 +1,561 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Business = require('../models/Business');
+const { evaluateOffer, evaluateOfferCode, rankOffers } = require('./offerService');
+const { validateScheduledTime } = require('./schedulingService');
+const { roundCurrency } = require('../utils/currency');
+const httpError = require('../utils/httpError');
+
+/**
+ * Server-side order pricing engine
+ *
+ * Every price on an order is derived here from the menu and business settings.
+ * Prices sent by the client are only used to detect a stale cart.
+ */
+
+// Largest difference (in ₹) tolerated between the client total and ours
+const PRICE_TOLERANCE = 0.01;
+
+const ORDER_TYPES = ['delivery', 'pickup', 'dine-in'];
+
+/**
+ * Flatten the selections a client sent for one cart line
+ *
+ * Apps send selections as `customizations`, `addOns` or `toppings`, either as
+ * arrays of `{ id, name, option }` or as legacy objects keyed by group name / id.
+ * @param {Object} item - Cart line from the request
+ * @returns {Array<Object>} Selections tagged with the field they came from
+ */
+const collectSelections = (item) => {
+  const selections = [];
+
+  ['customizations', 'addOns', 'toppings'].forEach(field => {
+    const value = item[field];
+    if (!value) return;
+
+    if (Array.isArray(value)) {
+      value.forEach(entry => {
+        if (typeof entry === 'string') {
+          selections.push({ field, name: entry });
+        } else if (entry) {
+          selections.push({
+            field,
+            id: entry.id || entry.addOnId,
+            groupId: entry.groupId,
+            name: entry.name,
+            option: entry.option
+          });
+        }
+      });
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, entry]) => {
+        if (typeof entry === 'string') {
+          // { "Crust": "Thin" } for customizations, { "<addOnId>": "Extra Cheese" } for add-ons
+          selections.push(field === 'customizations'
+            ? { field, name: key, option: entry }
+            : { field, id: key, name: entry });
+        } else if (entry) {
+          selections.push({
+            field,
+            id: entry.id || (field === 'customizations' ? undefined : key),
+            groupId: entry.groupId,
+            name: field === 'customizations' ? key : entry.name,
+            option: entry.name || entry.option
+          });
+        }
+      });
+    }
+  });
+
+  return selections;
+};
+
+const sameText = (a, b) => typeof a === 'string' && typeof b === 'string' &&
+  a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Find the add-on (and its group) a client selection refers to
+ * @param {Object} menuItem - MenuItem document
+ * @param {Object} selection - Selection from collectSelections
+ * @returns {Object|null} `{ group, addOn }` or null when nothing matches
+ */
+const resolveSelection = (menuItem, selection) => {
+  const groups = menuItem.addOnGroups || [];
+  const candidates = [];
+
+  groups.forEach(group => {
+    if (selection.groupId && group.id !== selection.groupId) return;
+    (group.addOns || []).forEach(addOn => candidates.push({ group, addOn }));
+  });
+
+  if (selection.id) {
+    const byId = candidates.find(({ addOn }) => addOn.id === selection.id);
+    if (byId) return byId;
+  }
+
+  // "Crust: Thin" style - group name plus option name
+  if (selection.option) {
+    const byGroup = candidates.find(({ group, addOn }) =>
+      sameText(group.name, selection.name) && sameText(addOn.name, selection.option));
+    if (byGroup) return byGroup;
+
+    const byOption = candidates.find(({ addOn }) => sameText(addOn.name, selection.option));
+    if (byOption) return byOption;
+  }
+
+  return candidates.find(({ addOn }) => sameText(addOn.name, selection.name)) || null;
+};
+
+/**
+ * Price of an add-on for the ordered size
+ * @param {Object} addOn - Add-on sub-document
+ * @param {string} size - Ordered size
+ * @returns {number} Add-on price
+ */
+const getAddOnPrice = (addOn, size) => {
+  if (addOn.hasSizeSpecificPricing && Array.isArray(addOn.sizePricing)) {
+    const sizePrice = addOn.sizePricing.find(entry => entry.size === size);
+    if (sizePrice) return sizePrice.price;
+  }
+  return addOn.price || 0;
+};
+
+/**
+ * Resolve the size and base price of a cart line
+ * @param {Object} menuItem - MenuItem document
+ * @param {string} requestedSize - Size sent by the client
+ * @returns {Object} `{ size, basePrice }` or `{ error }`
+ */
+const resolveSize = (menuItem, requestedSize) => {
+  if (menuItem.sizeType !== 'multiple') {
+    return { size: menuItem.size || 'Not Applicable', basePrice: menuItem.price };
+  }
+
+  const variations = menuItem.sizeVariations || [];
+  const variation = requestedSize
+    ? variations.find(v => v.size === requestedSize)
+    : variations[0];
+
+  if (!variation) {
+    return {
+      error: {
+        code: 'SIZE_NOT_FOUND',
+        field: 'size',
+        message: `${menuItem.name} is not offered in size ${requestedSize}`
+      }
+    };
+  }
+
+  if (variation.available === false) {
+    return {
+      size: variation.size,
+      basePrice: variation.price,
+      error: {
+        code: 'SIZE_UNAVAILABLE',
+        field: 'size',
+        message: `${variation.size} ${menuItem.name} is currently unavailable`
+      }
+    };
+  }
+
+  return { size: variation.size, basePrice: variation.price };
+};
+
+/**
+ * Check the selected add-ons against each add-on group's rules
+ * @param {Object} menuItem - MenuItem document
+ * @param {Array<Object>} matches - Resolved `{ group, addOn }` selections for the line
+ * @returns {Array<Object>} Line errors, empty when every group is satisfied
+ */
+const validateAddOnGroups = (menuItem, matches) => {
+  const errors = [];
+
+  matches.forEach(({ group, addOn }) => {
+    if (addOn.available === false) {
+      errors.push({
+        code: 'ADDON_UNAVAILABLE',
+        field: 'addOns',
+        groupId: group.id,
+        addOnId: addOn.id,
+        message: `${addOn.name} is currently unavailable`
+      });
+    }
+  });
+
+  (menuItem.addOnGroups || []).forEach(group => {
+    const selectedCount = matches.filter(match => match.group.id === group.id).length;
+    const minSelection = Math.max(group.minSelection || 0, group.required ? 1 : 0);
+
+    if (selectedCount < minSelection) {
+      errors.push({
+        code: group.required && selectedCount === 0 ? 'GROUP_REQUIRED' : 'GROUP_MIN_SELECTION',
+        field: 'addOns',
+        groupId: group.id,
+        message: minSelection === 1
+          ? `Please choose a ${group.name} option`
+          : `Please choose at least ${minSelection} ${group.name} options`
+      });
+    }
+
+    // A maxSelection of 0 leaves the group uncapped
+    if (group.maxSelection > 0 && selectedCount > group.maxSelection) {
+      errors.push({
+        code: 'GROUP_MAX_SELECTION',
+        field: 'addOns',
+        groupId: group.id,
+        message: group.maxSelection === 1
+          ? `Only one ${group.name} option can be chosen`
+          : `At most ${group.maxSelection} ${group.name} options can be chosen`
+      });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Re-price every cart line from the menu
+ *
+ * Lines are also validated against the item's availability, sizes and add-on
+ * group rules; problems are reported per line so the app can show them next to
+ * the offending item.
+ * @param {Array<Object>} items - Cart lines from the request
+ * @returns {Promise<Object>} `{ items, errors }` - priced order items and per-line errors
+ */
+const priceItems = async (items) => {
+  const ids = items
+    .map(item => item.menuItemId || item.id)
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const menuItems = await MenuItem.find({ _id: { $in: ids } });
+  const menuById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  const pricedItems = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const menuItemId = item.menuItemId || item.id;
+    const lineErrors = [];
+    const menuItem = menuItemId ? menuById.get(String(menuItemId)) : null;
+    const quantity = Number(item.quantity);
+
+    if (!menuItem) {
+      errors.push({
+        index,
+        menuItemId: menuItemId || null,
+        name: item.name || null,
+        errors: [{ code: 'ITEM_NOT_FOUND', field: 'menuItemId', message: 'Menu item not found' }]
+      });
+      return;
+    }
+
+    if (menuItem.available === false) {
+      lineErrors.push({ code: 'ITEM_UNAVAILABLE', field: 'menuItemId', message: `${menuItem.name} is currently unavailable` });
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      lineErrors.push({ code: 'INVALID_QUANTITY', field: 'quantity', message: 'Quantity must be a whole number of at least 1' });
+    }
+
+    const sizeResult = resolveSize(menuItem, item.size);
+    if (sizeResult.error) {
+      lineErrors.push(sizeResult.error);
+    }
+    const size = sizeResult.size || item.size;
+
+    const priced = { customizations: [], addOns: [], toppings: [] };
+    const matches = [];
+    collectSelections(item).forEach(selection => {
+      const match = resolveSelection(menuItem, selection);
+      if (!match) {
+        lineErrors.push({
+          code: 'ADDON_NOT_FOUND',
+          field: selection.field,
+          message: `${selection.option || selection.name || selection.id} is not an option for ${menuItem.name}`
+        });
+        return;
+      }
+
+      matches.push(match);
+      priced[selection.field].push({
+        name: selection.field === 'customizations' ? match.group.name : match.addOn.name,
+        option: match.addOn.name,
+        price: getAddOnPrice(match.addOn, size)
+      });
+    });
+
+    lineErrors.push(...validateAddOnGroups(menuItem, matches));
+
+    if (lineErrors.length > 0) {
+      errors.push({ index, menuItemId: menuItem._id, name: menuItem.name, errors: lineErrors });
+      return;
+    }
+
+    const basePrice = sizeResult.basePrice;
+    const addOnsTotal = [...priced.customizations, ...priced.addOns, ...priced.toppings]
+      .reduce((sum, selection) => sum + selection.price, 0);
+    const totalItemPrice = roundCurrency(basePrice + addOnsTotal);
+
+    pricedItems.push({
+      menuItemId: menuItem._id,
+      name: menuItem.name,
+      quantity,
+      price: totalItemPrice,
+      size,
+      foodType: menuItem.foodType || 'Not Applicable',
+      image: menuItem.image || '',
+      category: menuItem.category,
+      basePrice,
+      totalItemPrice,
+      customizations: priced.customizations,
+      addOns: priced.addOns,
+      toppings: priced.toppings,
+      specialInstructions: item.specialInstructions || ''
+    });
+  });
+
+  return { items: pricedItems, errors };
+};
+
+/**
+ * Load the business settings checkout is priced against
+ * @returns {Promise<Object>} BusinessSettings document
+ * @throws {Error} 500 when no settings document exists
+ */
+const loadCheckoutSettings = async () => {
+  const settings = await Business.findOne().select(
+    'businessInfo taxSettings deliveryCharges deliveryZones minimumOrderValue offerSettings scheduling'
+  );
+
+  if (!settings) {
+    throw httpError('Business settings not found', 500);
+  }
+
+  return settings;
+};
+
+/**
+ * Price a cart the way checkout will charge it
+ *
+ * Used by both the quote endpoint and placeOrder so the two never disagree.
+ * @param {Object} params - Quote parameters
+ * @param {Array<Object>} params.items - Cart lines from the request
+ * @param {string} [params.orderType] - delivery (default), pickup or dine-in
+ * @param {Object} [params.address] - Delivery address, ignored unless orderType is delivery
+ * @param {string} [params.offerCode] - Offer code to apply; without one the best offer
+ *   is applied when offerSettings.autoApplyBestOffer is on
+ * @param {Object} [params.user] - User the order is for
+ * @param {string|Date} [params.scheduledFor] - Future delivery time for a scheduled order
+ * @param {Object} [params.settings] - BusinessSettings document, loaded when omitted
+ * @param {Array<Object>} [params.keptItems] - Lines already priced on the order being changed; they keep
+ *   their prices and go ahead of the newly priced items. Error indexes refer to items only.
+ * @param {Object|null} [params.redeemedOffer] - Offer the order being changed already redeemed; only its
+ *   cart rules are checked again. Pass null when it had none - a changed order never picks up a new offer.
+ * @returns {Promise<Object>} Priced items, totals, discount, shop status, schedule and any errors
+ * @throws {Error} 400 for an unknown order type
+ */
+const buildQuote = async ({
+  items,
+  orderType = 'delivery',
+  address,
+  offerCode,
+  user,
+  scheduledFor,
+  settings,
+  keptItems = [],
+  redeemedOffer
+}) => {
+  if (!ORDER_TYPES.includes(orderType)) {
+    throw httpError(`Order type must be one of ${ORDER_TYPES.join(', ')}`, 400);
+  }
+
+  const isDelivery = orderType === 'delivery';
+  const businessSettings = settings || await loadCheckoutSettings();
+  const { items: freshItems, errors } = await priceItems(items || []);
+  const pricedItems = [...keptItems, ...freshItems];
+
+  let schedule = null;
+  let scheduleError = null;
+  if (scheduledFor) {
+    try {
+      schedule = validateScheduledTime(businessSettings, scheduledFor);
+    } catch (error) {
+      scheduleError = { message: error.message, statusCode: error.statusCode || 400, ...error.details };
+    }
+  }
+
+  const subTotal = roundCurrency(pricedItems.reduce(
+    (sum, item) => sum + item.totalItemPrice * item.quantity, 0));
+
+  let evaluation = null;
+  let autoApplied = false;
+  let offerError = null;
+  let excludedLines = [];
+  const offerContext = { orderAmount: subTotal, user, items: pricedItems };
+
+  if (redeemedOffer !== undefined) {
+    // Changing a placed order - keep its offer if the cart still qualifies
+    if (redeemedOffer) {
+      try {
+        evaluation = await evaluateOffer(redeemedOffer, offerContext, { redeemed: true });
+      } catch (error) {
+        offerError = { message: error.message, statusCode: error.statusCode || 400 };
+        excludedLines = error.excludedLines || [];
+      }
+    }
+  } else if (offerCode) {
+    try {
+      evaluation = await evaluateOfferCode(offerCode, offerContext);
+    } catch (error) {
+      offerError = { message: error.message, statusCode: error.statusCode || 400 };
+      excludedLines = error.excludedLines || [];
+    }
+  } else if (businessSettings.offerSettings && businessSettings.offerSettings.autoApplyBestOffer &&
+             pricedItems.length > 0) {
+    ({ best: evaluation } = await rankOffers(offerContext));
+    autoApplied = !!evaluation;
+  }
+
+  let discounts = { amount: 0 };
+  if (evaluation) {
+    const { offer } = evaluation;
+    discounts = {
+      offer: offer._id,
+      code: offer.code,
+      discountType: offer.discountType,
+      amount: evaluation.discount,
+      percentage: offer.discountType === 'percentage' ? offer.discountValue : undefined,
+      description: offer.title,
+      eligibleAmount: evaluation.eligibleAmount,
+      autoApplied,
+      lines: evaluation.appliedLines.map(line => ({
+        menuItemId: line.menuItemId,
+        name: line.name,
+        quantity: line.quantity,
+        amount: line.discount
+      }))
+    };
+    excludedLines = evaluation.excludedLines;
+  }
+
+  // Without an address (early quotes) the default charge is shown
+  const { restricted, zone, distanceKm } = isDelivery && address
+    ? businessSettings.findDeliveryZone(address)
+    : { restricted: false, zone: null, distanceKm: null };
+  const deliverable = isDelivery && address ? (!restricted || !!zone) : null;
+
+  const { taxSettings, deliveryCharges } = businessSettings;
+  const tax = roundCurrency(businessSettings.calculateTax(subTotal));
+  const taxPercentage = taxSettings && taxSettings.applyGST ? taxSettings.gstPercentage : 0;
+  const deliveryFee = isDelivery
+    ? roundCurrency(businessSettings.calculateDeliveryCharge(subTotal, zone))
+    : 0;
+  const amount = roundCurrency(Math.max(0, subTotal + tax + deliveryFee - discounts.amount));
+
+  // Rounds on a table tab can be as small as a single drink
+  const minimumOrderValue = orderType === 'dine-in' ? 0 : businessSettings.minimumOrderValue || 0;
+
+  return {
+    orderType,
+    items: pricedItems,
+    errors,
+    subTotal,
+    tax,
+    taxPercentage,
+    deliveryFee,
+    discounts,
+    offerError,
+    excludedLines,
+    amount,
+    minimumOrderValue,
+    minimumOrderShortfall: roundCurrency(Math.max(0, minimumOrderValue - subTotal)),
+    businessStatus: businessSettings.getBusinessStatus(),
+    schedule,
+    scheduleError,
+    fullAddress: isDelivery && address
+      ? `${address.street}, ${address.city}, ${address.state} ${address.zipCode}`
+      : null,
+    deliverable,
+    deliveryZone: zone ? { _id: zone._id, name: zone.name, distanceKm } : null,
+    // Snapshot stored on the order as appliedBusinessSettings
+    appliedBusinessSettings: {
+      taxSettings: taxSettings || { gstPercentage: 0, applyGST: false },
+      deliveryCharges: deliveryCharges || { fixedCharge: 0, freeDeliveryThreshold: 0, applyToAllOrders: false },
+      minimumOrderValue,
+      deliveryZone: zone ? {
+        name: zone.name,
+        fixedCharge: zone.fixedCharge,
+        freeDeliveryThreshold: zone.freeDeliveryThreshold,
+        distanceKm
+      } : undefined
+    }
+  };
+};
+
+/**
+ * Check a quote can be charged and matches what the client displayed
+ * @param {Object} quote - Result of buildQuote
+ * @param {number} [clientAmount] - Total the client showed the customer
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.ignoreShopHours] - Skip the closed-shop check, for orders already placed
+ * @throws {Error} 400 when closed, below the minimum, undeliverable or for an invalid scheduled time,
+ *   422 for invalid lines or offer, 409 when the totals differ
+ */
+const assertChargeable = (quote, clientAmount, { ignoreShopHours = false } = {}) => {
+  if (quote.scheduleError) {
+    throw httpError(quote.scheduleError.message, quote.scheduleError.statusCode, {
+      code: quote.scheduleError.code
+    });
+  }
+
+  // Scheduled orders only need the shop open at the scheduled time
+  if (!ignoreShopHours && !quote.schedule && !quote.businessStatus.isOpen) {
+    throw httpError(
+      `Sorry, we're currently closed. ${quote.businessStatus.reason || 'Please check our operating hours.'}`,
+      400,
+      { businessStatus: quote.businessStatus }
+    );
+  }
+
+  if (quote.items.length === 0 && quote.errors.length === 0) {
+    throw httpError('No order items', 400);
+  }
+
+  if (quote.errors.length > 0) {
+    throw httpError('Some items in your cart cannot be ordered', 422, { errors: quote.errors });
+  }
+
+  if (quote.minimumOrderShortfall > 0) {
+    throw httpError(`Minimum order value is ₹${quote.minimumOrderValue}`, 400, {
+      code: 'BELOW_MINIMUM_ORDER',
+      minimumOrderValue: quote.minimumOrderValue,
+      minimumOrderShortfall: quote.minimumOrderShortfall
+    });
+  }
+
+  if (quote.deliverable === false) {
+    throw httpError('Sorry, we do not deliver to this address yet', 400, { code: 'OUTSIDE_DELIVERY_AREA' });
+  }
+
+  if (quote.offerError) {
+    throw httpError(quote.offerError.message, quote.offerError.statusCode, { offerError: quote.offerError });
+  }
+
+  if (clientAmount !== undefined && clientAmount !== null &&
+      Math.abs(Number(clientAmount) - quote.amount) > PRICE_TOLERANCE) {
+    throw httpError('Order total has changed, please review your cart', 409, {
+      code: 'PRICE_MISMATCH',
+      expectedAmount: quote.amount,
+      receivedAmount: Number(clientAmount)
+    });
+  }
+};
+
+module.exports = {
+  ORDER_TYPES,
+  collectSelections,
+  resolveSelection,
+  priceItems,
+  loadCheckoutSettings,
+  buildQuote,
+  assertChargeable
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const Refund = require('../models/Refund');
+const WebhookEvent = require('../models/WebhookEvent');
+const { addStatusNote } = require('./orderStatusService');
+const { refundUnfulfilledOrder, applyGatewayStatus } = require('./refundService');
+const { toPaise } = require('./paymentGateway');
+const { roundCurrency } = require('../utils/currency');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+/**
+ * Razorpay webhooks: the gateway's own word on payments and refunds, so an
+ * order is reconciled even when the app never got to confirm the payment.
+ *
+ * Deliveries are recorded by event id and each event is acted on once;
+ * Razorpay retries anything that does not get a 2xx back.
+ */
+
+// Who the status notes written by webhooks are from
+const WEBHOOK_ACTOR = { id: null, role: 'system', name: 'Razorpay' };
+
+// A delivery still marked processing after this long is assumed to have died
+const STALE_PROCESSING_MINUTES = 5;
+
+/**
+ * Check the X-Razorpay-Signature header against the raw request body
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @param {string} [secret] - Webhook secret set in the Razorpay dashboard
+ * @returns {boolean} Whether the signature matches
+ * @throws {Error} 503 when no webhook secret is configured
+ */
+const verifyWebhookSignature = (rawBody, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET) => {
+  if (!secret) {
+    throw httpError('Razorpay webhook secret is not configured', 503);
+  }
+  if (!rawBody || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Find the order a Razorpay payment was made for
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<Object|null>} Order document
+ */
+const findOrderForPayment = (payment) => {
+  const matches = [{ 'paymentDetails.paymentId': payment.id }];
+  if (payment.order_id) {
+    matches.push({ 'paymentDetails.orderId': payment.order_id });
+  }
+  if (payment.notes && payment.notes.orderNumber) {
+    matches.push({ orderNumber: payment.notes.orderNumber });
+  }
+  return Order.findOne({ $or: matches });
+};
+
+/**
+ * Explain why a payment does not settle its order, compared in paise like at checkout
+ * @param {Object} payment - Razorpay payment entity, amount in paise
+ * @param {Object} order - Order document
+ * @returns {string|null} Reason for review, or null when the payment is exactly the order total
+ */
+const findAmountMismatch = (payment, order) => {
+  if (payment.currency !== 'INR') {
+    return `Payment was made in ${payment.currency || 'an unknown currency'}`;
+  }
+  if (payment.amount !== toPaise(order.amount)) {
+    return `Payment of ₹${roundCurrency(payment.amount / 100)} does not match the order total of ₹${order.amount}`;
+  }
+  return null;
+};
+
+/**
+ * Record a captured payment against its order, unless the app already did.
+ * Only a payment of exactly the order total in rupees marks the order paid;
+ * anything else is flagged for an admin to look at.
+ * @param {Object} payment - Razorpay payment entity
+ * @param {string} eventName - Webhook event name
+ * @returns {Promise<Object>} Outcome `{ status, result, order }`
+ */
+const reconcilePayment = async (payment, eventName) => {
+  const order = await findOrderForPayment(payment);
+  if (!order) {
+    return { status: 'ignored', result: `No order found for payment ${payment.id}` };
+  }
+
+  const amount = roundCurrency(payment.amount / 100);
+  const mismatch = findAmountMismatch(payment, order);
+  const changes = [];
+
+  let transaction = await Transaction.findOne({ 'razorpayDetails.paymentId': payment.id, type: { $ne: 'refund' } });
+  if (!transaction) {
+    transaction = await Transaction.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      amount,
+      paymentMethod: 'Online',
+      status: 'Completed',
+      source: 'webhook',
+      razorpayDetails: {
+        paymentId: payment.id,
+        orderId: payment.order_id,
+        verificationStatus: 'Verified'
+      },
+      confirmedByName: 'Razorpay webhook',
+      customer: order.customer,
+      customerName: order.customerName,
+      notes: `Payment confirmed by Razorpay (${eventName})`,
+      needsReview: !!mismatch,
+      reviewReason: mismatch || undefined
+    });
+    changes.push('transaction recorded');
+  } else if (transaction.status !== 'Completed' && transaction.status !== 'Refunded') {
+    transaction.status = 'Completed';
+    transaction.razorpayDetails.verificationStatus = 'Verified';
+    if (mismatch) {
+      transaction.needsReview = true;
+      transaction.reviewReason = mismatch;
+    }
+    await transaction.save();
+    changes.push('transaction completed');
+  }
+
+  if (!order.paymentDetails || !order.paymentDetails.paymentId) {
+    order.paymentDetails = { ...(order.paymentDetails || {}), orderId: payment.order_id, paymentId: payment.id };
+  }
+
+  if (order.paymentStatus === 'Pending' || order.paymentStatus === 'Failed') {
+    order.paymentMethod = 'Online';
+    if (!mismatch) {
+      order.paymentStatus = 'Completed';
+      addStatusNote(order, `Payment of ₹${amount} confirmed by Razorpay`, WEBHOOK_ACTOR);
+      changes.push('order marked paid');
+    } else {
+      // Leave it unpaid so the shop looks before preparing it
+      addStatusNote(order, `${mismatch} - flagged for review`, WEBHOOK_ACTOR);
+      changes.push('payment flagged for review');
+    }
+  }
+
+  await order.save();
+
+  // The money arrived after the order was called off - send it straight back
+  if (['Cancelled', 'Rejected'].includes(order.status) && order.paymentStatus === 'Completed') {
+    const refund = await refundUnfulfilledOrder(order, {
+      source: order.status === 'Rejected' ? 'rejection' : 'cancellation',
+      reason: `Payment received after the order was ${order.status.toLowerCase()}`
+    });
+    if (refund) changes.push('refund started');
+  }
+
+  return {
+    status: changes.length > 0 ? 'processed' : 'ignored',
+    result: changes.length > 0 ? changes.join(', ') : 'Payment already reconciled',
+    order
+  };
+};
+
+/**
+ * Mark an order's payment as failed, unless it has since been paid
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<Object>} Outcome `{ status, result, order }`
+ */
+const markPaymentFailed = async (payment) => {
+  const order = await findOrderForPayment(payment);
+  if (!order) {
+    return { status: 'ignored', result: `No order found for payment ${payment.id}` };
+  }
+
+  // A later attempt may already have gone through
+  if (order.paymentStatus !== 'Pending') {
+    return { status: 'ignored', result: `Order payment is already ${order.paymentStatus}`, order };
+  }
+
+  order.paymentStatus = 'Failed';
+  addStatusNote(order, `Payment failed: ${payment.error_description || 'no reason given'}`, WEBHOOK_ACTOR);
+  await order.save();
+
+  return { status: 'processed', result: 'order payment marked failed', order };
+};
+
+/**
+ * Mark a refund as paid out
+ * @param {Object} gatewayRefund - Razorpay refund entity
+ * @returns {Promise<Object>} Outcome `{ status, result, order }`
+ */
+const reconcileRefund = async (gatewayRefund) => {
+  const refund = await Refund.findOne({ gatewayRefundId: gatewayRefund.id });
+  const order = refund && await Order.findById(refund.order);
+  if (!refund || !order) {
+    return { status: 'ignored', result: `No refund found for ${gatewayRefund.id}` };
+  }
+
+  if (refund.status === 'Refunded') {
+    return { status: 'ignored', result: 'Refund already marked refunded', order };
+  }
+
+  await applyGatewayStatus(refund, order, 'processed');
+  return { status: 'processed', result: 'refund marked refunded', order };
+};
+
+// Each handled event names the payload entity it acts on
+const HANDLERS = {
+  'payment.captured': { entity: 'payment', handle: (payment) => reconcilePayment(payment, 'payment.captured') },
+  'order.paid': { entity: 'payment', handle: (payment) => reconcilePayment(payment, 'order.paid') },
+  'payment.failed': { entity: 'payment', handle: (payment) => markPaymentFailed(payment) },
+  'refund.processed': { entity: 'refund', handle: (refund) => reconcileRefund(refund) }
+};
+
+/**
+ * Act on an event, ignoring events that are not handled or whose payload
+ * lacks the entity the handler needs - retrying those would never help
+ * @param {string} eventName - Webhook event name
+ * @param {Object} [payload] - Webhook payload
+ * @returns {Promise<Object>} Outcome `{ status, result, order }`
+ */
+const dispatchEvent = async (eventName, payload) => {
+  const handler = HANDLERS[eventName];
+  if (!handler) {
+    return { status: 'ignored', result: `${eventName} events are not handled` };
+  }
+
+  const wrapper = payload && payload[handler.entity];
+  const entity = wrapper && wrapper.entity;
+  if (!entity || typeof entity !== 'object' || !entity.id) {
+    return { status: 'ignored', result: `${eventName} payload has no ${handler.entity} entity` };
+  }
+
+  return handler.handle(entity);
+};
+
+/**
+ * Record a delivery, or take over one that failed or died earlier
+ * @param {string} eventId - Razorpay event id
+ * @param {Object} body - Webhook body
+ * @returns {Promise<Object>} `{ event, duplicate }`
+ * @throws {Error} 409 while another delivery of the event is being handled
+ */
+const claimEvent = async (eventId, body) => {
+  try {
+    const event = await WebhookEvent.create({ eventId, event: body.event, payload: body.payload });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await WebhookEvent.findOne({ provider: 'razorpay', eventId });
+  if (existing.status === 'processed' || existing.status === 'ignored') {
+    return { event: existing, duplicate: true };
+  }
+
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MINUTES * 60000);
+  const claimed = existing.status === 'failed' || existing.updatedAt < staleBefore
+    ? await WebhookEvent.findOneAndUpdate(
+      { _id: existing._id, status: existing.status, updatedAt: existing.updatedAt },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    )
+    : null;
+
+  if (!claimed) {
+    throw httpError('This event is already being processed', 409, { eventId });
+  }
+  return { event: claimed, duplicate: false };
+};
+
+/**
+ * Act on a verified webhook delivery once per event id
+ * @param {Object} delivery - Webhook delivery
+ * @param {string} [delivery.eventId] - X-Razorpay-Event-Id header
+ * @param {Object} delivery.body - Parsed webhook body
+ * @param {Buffer|string} [delivery.rawBody] - Raw body, hashed for an id when the header is missing
+ * @returns {Promise<Object>} `{ eventId, event, status, result, duplicate, order }`
+ * @throws {Error} 400 for a malformed body, 409 while the event is in progress,
+ *   500 when handling failed and Razorpay should retry
+ */
+const handleWebhookEvent = async ({ eventId, body, rawBody }) => {
+  if (!body || typeof body.event !== 'string') {
+    throw httpError('Malformed webhook payload', 400);
+  }
+
+  const id = eventId || crypto.createHash('sha256').update(rawBody || JSON.stringify(body)).digest('hex');
+  const { event, duplicate } = await claimEvent(id, body);
+
+  if (duplicate) {
+    return { eventId: id, event: event.event, status: event.status, result: event.result, duplicate: true };
+  }
+
+  try {
+    const outcome = await dispatchEvent(body.event, body.payload);
+
+    event.status = outcome.status;
+    event.result = outcome.result;
+    event.order = outcome.order ? outcome.order._id : undefined;
+    event.processedAt = new Date();
+    await event.save();
+
+    return {
+      eventId: id,
+      event: body.event,
+      status: event.status,
+      result: event.result,
+      duplicate: false,
+      order: outcome.order
+    };
+  } catch (error) {
+    logger.error(`Failed to process Razorpay webhook ${id} (${body.event})`, error);
+    event.status = 'failed';
+    event.error = error.message;
+    await event.save();
+    throw httpError('Webhook could not be processed', 500, { eventId: id });
+  }
+};
+
+module.exports = {
+  verifyWebhookSignature,
+  claimEvent,
+  handleWebhookEvent
+};
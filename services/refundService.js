@@ -0,0 +1,501 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const unifiedNotificationService = require('./unifiedNotificationService');
+const { roundCurrency } = require('../utils/currency');
+const { getPaymentGateway } = require('./paymentGateway');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+
+/**
+ * Refunds: full or partial money back on paid orders, through the payment
+ * gateway when the order was paid online and by hand otherwise.
+ *
+ * Every refund that goes out is recorded as a Transaction of type 'refund'
+ * linked to the payment it returns. Disputes and refunds that have to be
+ * paid by hand wait for an admin to approve them.
+ */
+
+// Refunds that count against what can still be refunded
+const OPEN_REFUND_STATUSES = ['Pending Approval', 'Processing', 'Refunded'];
+
+// How long a refund request may hold its order before the hold is treated as abandoned
+const REFUND_LOCK_MS = 30 * 1000;
+
+// Gateway refund states mapped to ours
+const GATEWAY_STATUSES = {
+  processed: 'Refunded',
+  pending: 'Processing',
+  failed: 'Failed'
+};
+
+// Refund states mapped to the status of the refund transaction
+const TRANSACTION_STATUSES = {
+  Processing: 'Pending',
+  Refunded: 'Refunded',
+  Failed: 'Failed'
+};
+
+/**
+ * Find the payments recorded against an order
+ * @param {Object} order - Order document
+ * @returns {Promise<Array<Object>>} Payment transactions, newest first
+ */
+const findPayments = (order) => Transaction.find({
+  order: order._id,
+  type: { $ne: 'refund' },
+  status: { $in: ['Completed', 'Refunded'] }
+}).sort({ createdAt: -1 });
+
+/**
+ * Work out how much of an order has been paid and how much can still go back
+ * @param {Object} order - Order document
+ * @param {Object} [options] - Options
+ * @param {Object} [options.exclude] - Refund to leave out, e.g. the one being approved
+ * @returns {Promise<Object>} `{ paid, refundable, payments }`
+ */
+const getRefundableAmount = async (order, { exclude } = {}) => {
+  const payments = await findPayments(order);
+
+  let paid = roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  // Older prepaid orders may have no payment transaction
+  if (paid === 0 && ['Completed', 'Refunded'].includes(order.paymentStatus) && order.paymentMethod !== 'Cash on Delivery') {
+    paid = order.amount;
+  }
+
+  const refunds = await Refund.find({
+    order: order._id,
+    status: { $in: OPEN_REFUND_STATUSES },
+    ...(exclude ? { _id: { $ne: exclude._id } } : {})
+  });
+  const committed = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+  return {
+    paid,
+    refundable: roundCurrency(Math.max(0, paid - committed)),
+    payments
+  };
+};
+
+/**
+ * Hold an order while a refund is checked and committed, so two requests at
+ * once cannot both count the same money as still refundable
+ * @param {Object} order - Order document
+ * @param {Function} work - Async check-and-commit to run while holding the order
+ * @returns {Promise<*>} Whatever work returns
+ * @throws {Error} 409 when another refund for the order is being set up
+ */
+const withRefundLock = async (order, work) => {
+  const now = new Date();
+  const locked = await Order.findOneAndUpdate(
+    { _id: order._id, $or: [{ refundLockedUntil: null }, { refundLockedUntil: { $lte: now } }] },
+    { $set: { refundLockedUntil: new Date(now.getTime() + REFUND_LOCK_MS) } },
+    { projection: { _id: 1 } }
+  );
+  if (!locked) {
+    throw httpError('Another refund for this order is being set up, please try again', 409, {
+      code: 'REFUND_IN_PROGRESS'
+    });
+  }
+
+  try {
+    return await work();
+  } finally {
+    await Order.updateOne({ _id: order._id }, { $unset: { refundLockedUntil: 1 } });
+  }
+};
+
+/**
+ * Copy the combined state of an order's refunds onto order.refund. Does not save.
+ * @param {Object} order - Order document
+ * @param {Object} refund - The refund that just changed
+ * @param {number} paid - Amount paid for the order
+ * @returns {Promise<Object>} The order
+ */
+const updateOrderRefund = async (order, refund, paid) => {
+  const refunds = await Refund.find({ order: order._id });
+  const refunded = roundCurrency(refunds
+    .filter(entry => entry.status === 'Refunded')
+    .reduce((sum, entry) => sum + entry.amount, 0));
+
+  let status = refunded > 0 ? 'Refunded' : 'None';
+  if (refunds.some(entry => entry.status === 'Pending Approval')) status = 'Requested';
+  if (refunds.some(entry => entry.status === 'Processing')) status = 'Processing';
+  if (refund.status === 'Failed') status = 'Failed';
+
+  order.refund = {
+    status,
+    amount: refund.amount,
+    reason: refund.reason,
+    requestedAt: refund.createdAt,
+    refundedAmount: refunded,
+    refundedAt: refund.status === 'Refunded' ? refund.processedAt : order.refund && order.refund.refundedAt
+  };
+
+  if (paid > 0 && refunded >= paid) {
+    order.paymentStatus = 'Refunded';
+  }
+
+  return order;
+};
+
+/**
+ * Record a refund going out as a transaction linked to the payment
+ * @param {Object} refund - Refund document
+ * @param {Object} order - Order document
+ * @param {Object} [payment] - Payment transaction being refunded
+ * @param {Object} [user] - Admin or customer behind the refund
+ * @returns {Promise<Object>} Refund transaction
+ */
+const recordRefundTransaction = async (refund, order, payment, user) => {
+  const method = payment ? payment.paymentMethod : (order.paymentMethod === 'Online' ? 'Online' : 'Cash');
+
+  return Transaction.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    amount: refund.amount,
+    paymentMethod: method,
+    status: TRANSACTION_STATUSES[refund.status] || 'Pending',
+    type: 'refund',
+    refund: refund._id,
+    relatedTransaction: payment ? payment._id : undefined,
+    razorpayDetails: refund.gateway !== 'manual'
+      ? { paymentId: refund.paymentId, refundId: refund.gatewayRefundId }
+      : undefined,
+    confirmedBy: user && user._id ? user._id : undefined,
+    confirmedByName: user && user._id ? user.name : 'System',
+    customer: order.customer,
+    customerName: order.customerName,
+    notes: `${refund.type === 'full' ? 'Full' : 'Partial'} refund: ${refund.reason}`
+  });
+};
+
+/**
+ * Tell the customer their money is on its way back
+ * @param {Object} order - Order document
+ * @param {Object} refund - Refund document
+ */
+const notifyRefunded = async (order, refund) => {
+  try {
+    await unifiedNotificationService.sendOrderUpdateNotification(order.customer, {
+      orderId: order.orderNumber,
+      status: order.status,
+      message: `A refund of ₹${refund.amount} for order #${order.orderNumber} has been issued`
+    });
+  } catch (error) {
+    logger.error('Failed to send refund notification', error);
+  }
+};
+
+/**
+ * Send a refund out - through the gateway for online payments, or mark a
+ * manual refund as paid back. Saves the refund; the order is updated but not saved.
+ * @param {Object} refund - Refund document
+ * @param {Object} order - Order document
+ * @param {Object} [user] - Admin or customer behind the refund
+ * @returns {Promise<Object>} The refund
+ */
+const sendRefund = async (refund, order, user) => {
+  const { paid, payments } = await getRefundableAmount(order, { exclude: refund });
+  const payment = payments.find(entry => entry._id.equals(refund.paymentTransaction)) || payments[0];
+
+  if (refund.gateway === 'manual') {
+    // Paid back at the counter - approving it confirms the money went out
+    refund.status = 'Refunded';
+    refund.processedAt = new Date();
+  } else {
+    try {
+      const result = await getPaymentGateway().refund({
+        paymentId: refund.paymentId,
+        amount: refund.amount,
+        receipt: refund._id.toString(),
+        notes: { orderNumber: order.orderNumber, reason: refund.reason.slice(0, 250) }
+      });
+      refund.gatewayRefundId = result.id;
+      refund.status = GATEWAY_STATUSES[result.status] || 'Processing';
+      if (refund.status === 'Refunded') refund.processedAt = new Date();
+    } catch (error) {
+      logger.error(`Refund for order ${order.orderNumber} failed at the gateway`, error);
+      refund.status = 'Failed';
+      refund.failureReason = (error.error && error.error.description) || error.message;
+    }
+  }
+
+  const transaction = await recordRefundTransaction(refund, order, payment, user);
+  refund.transaction = transaction._id;
+  await refund.save();
+
+  await updateOrderRefund(order, refund, paid);
+  if (order.paymentStatus === 'Refunded' && payment) {
+    await Transaction.updateMany({ _id: { $in: payments.map(entry => entry._id) } }, { status: 'Refunded' });
+  }
+
+  if (refund.status === 'Refunded') {
+    await notifyRefunded(order, refund);
+  }
+
+  return refund;
+};
+
+/**
+ * Open a refund for a paid order
+ * @param {Object} order - Order document, saved by the caller afterwards
+ * @param {Object} options - Refund options
+ * @param {number} [options.amount] - Amount to refund, everything still refundable when omitted
+ * @param {string} options.reason - Why the money goes back
+ * @param {string} options.source - cancellation, rejection, modification, dispute or admin
+ * @param {Object} [options.user] - Who asked for it - omitted for automatic refunds
+ * @param {boolean} [options.needsApproval] - Hold it for an admin, e.g. for disputes
+ * @returns {Promise<Object>} Refund document
+ * @throws {Error} 400 for an invalid amount, 409 when there is nothing left to refund
+ */
+const requestRefund = async (order, { amount, reason, source, user, needsApproval = false }) => {
+  // Once created the refund counts against the refundable amount, so only the check and create are held
+  const { refund, paid } = await withRefundLock(order, async () => {
+    const { paid, refundable, payments } = await getRefundableAmount(order);
+
+    if (refundable <= 0) {
+      throw httpError('There is nothing left to refund on this order', 409, { code: 'NOTHING_TO_REFUND' });
+    }
+
+    const refundAmount = amount === undefined || amount === null ? refundable : roundCurrency(amount);
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      throw httpError(`Refund amount must be between ₹0.01 and ₹${refundable}`, 400, {
+        code: 'INVALID_REFUND_AMOUNT',
+        refundable
+      });
+    }
+
+    const payment = payments[0];
+    const paymentId = (payment && payment.razorpayDetails && payment.razorpayDetails.paymentId) ||
+      (order.paymentDetails && order.paymentDetails.paymentId);
+    const gateway = paymentId ? getPaymentGateway().name : 'manual';
+
+    // Refunds paid by hand always need an admin to confirm the money went out
+    const holdForAdmin = needsApproval || (gateway === 'manual' && !(user && user.role === 'admin'));
+
+    const created = await Refund.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      customer: order.customer,
+      customerName: order.customerName,
+      amount: refundAmount,
+      type: refundAmount >= paid ? 'full' : 'partial',
+      source,
+      reason,
+      status: holdForAdmin ? 'Pending Approval' : 'Processing',
+      gateway,
+      paymentId,
+      paymentTransaction: payment ? payment._id : undefined,
+      requestedBy: user && user._id ? user._id : undefined,
+      requestedByRole: user ? user.role : 'system'
+    });
+
+    return { refund: created, paid };
+  });
+
+  if (refund.status === 'Pending Approval') {
+    await updateOrderRefund(order, refund, paid);
+    return refund;
+  }
+
+  return sendRefund(refund, order, user);
+};
+
+/**
+ * Refund everything still paid on an order that will not be fulfilled, and
+ * save the order. Never throws - a failed refund is logged and left for an admin.
+ * @param {Object} order - Cancelled or rejected order
+ * @param {Object} options - Refund options
+ * @param {string} options.source - cancellation or rejection
+ * @param {string} options.reason - Why the order was called off
+ * @param {Object} [options.user] - Who called it off
+ * @returns {Promise<Object|null>} Refund, or null when nothing was paid
+ */
+const refundUnfulfilledOrder = async (order, { source, reason, user }) => {
+  try {
+    const { refundable } = await getRefundableAmount(order);
+    if (refundable <= 0) {
+      return null;
+    }
+    const refund = await requestRefund(order, { source, reason, user });
+    await order.save();
+    return refund;
+  } catch (error) {
+    logger.error(`Failed to refund order ${order.orderNumber}`, error);
+    return null;
+  }
+};
+
+/**
+ * Approve a refund waiting for an admin and send it out
+ * @param {Object} refund - Refund document
+ * @param {Object} order - Order document, saved by the caller afterwards
+ * @param {Object} user - Admin approving it
+ * @param {Object} [options] - Approval options
+ * @param {number} [options.amount] - Amount to refund instead of the amount asked for
+ * @param {string} [options.note] - Review note
+ * @returns {Promise<Object>} The refund
+ * @throws {Error} 400 for an invalid amount, 409 when the refund is not waiting for approval
+ */
+const approveRefund = async (refund, order, user, { amount, note } = {}) => {
+  if (refund.status !== 'Pending Approval') {
+    throw httpError(`Refund is already ${refund.status}`, 409);
+  }
+
+  await withRefundLock(order, async () => {
+    const review = {
+      status: 'Processing',
+      reviewedBy: user._id,
+      reviewedAt: new Date(),
+      reviewNote: note
+    };
+
+    if (amount !== undefined && amount !== null) {
+      const { paid, refundable } = await getRefundableAmount(order, { exclude: refund });
+      const approvedAmount = roundCurrency(amount);
+      if (!(approvedAmount > 0) || approvedAmount > refundable) {
+        throw httpError(`Refund amount must be between ₹0.01 and ₹${refundable}`, 400, {
+          code: 'INVALID_REFUND_AMOUNT',
+          refundable
+        });
+      }
+      review.amount = approvedAmount;
+      review.type = approvedAmount >= paid ? 'full' : 'partial';
+    }
+
+    // Only one approval may take the refund out of review and on to the gateway
+    const result = await Refund.updateOne({ _id: refund._id, status: 'Pending Approval' }, { $set: review });
+    if (!result.modifiedCount) {
+      throw httpError('Refund has already been reviewed', 409);
+    }
+
+    refund.set(review);
+  });
+
+  return sendRefund(refund, order, user);
+};
+
+/**
+ * Turn down a refund waiting for an admin
+ * @param {Object} refund - Refund document
+ * @param {Object} order - Order document, saved by the caller afterwards
+ * @param {Object} user - Admin declining it
+ * @param {string} note - Reason shown to the customer
+ * @returns {Promise<Object>} The refund
+ * @throws {Error} 400 without a reason, 409 when the refund is not waiting for approval
+ */
+const declineRefund = async (refund, order, user, note) => {
+  if (refund.status !== 'Pending Approval') {
+    throw httpError(`Refund is already ${refund.status}`, 409);
+  }
+  if (!note || !note.toString().trim()) {
+    throw httpError('A reason is required to decline a refund', 400);
+  }
+
+  refund.status = 'Declined';
+  refund.reviewedBy = user._id;
+  refund.reviewedAt = new Date();
+  refund.reviewNote = note.toString().trim();
+  await refund.save();
+
+  const { paid } = await getRefundableAmount(order);
+  await updateOrderRefund(order, refund, paid);
+  return refund;
+};
+
+/**
+ * Withdraw refunds still waiting for approval, e.g. when a later change to
+ * the order replaces them
+ * @param {Object} order - Order document
+ * @param {string} source - Only withdraw refunds from this source
+ * @param {string} note - Why they were withdrawn
+ * @returns {Promise<number>} Number of refunds withdrawn
+ */
+const withdrawPendingRefunds = async (order, source, note) => {
+  const result = await Refund.updateMany(
+    { order: order._id, source, status: 'Pending Approval' },
+    { status: 'Declined', reviewedAt: new Date(), reviewNote: note }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Apply a refund state reported by the gateway. Saves the refund, its
+ * transaction and the order.
+ * @param {Object} refund - Refund document
+ * @param {Object} order - Order document
+ * @param {string} gatewayStatus - processed, pending or failed
+ * @param {string} [failureReason] - Gateway's reason when it failed
+ * @returns {Promise<Object>} The refund
+ */
+const applyGatewayStatus = async (refund, order, gatewayStatus, failureReason) => {
+  const status = GATEWAY_STATUSES[gatewayStatus];
+  if (!status || status === refund.status) {
+    return refund;
+  }
+
+  refund.status = status;
+  if (status === 'Refunded') refund.processedAt = new Date();
+  if (status === 'Failed') refund.failureReason = failureReason || refund.failureReason;
+  await refund.save();
+
+  if (refund.transaction) {
+    await Transaction.updateOne({ _id: refund.transaction }, { status: TRANSACTION_STATUSES[status] });
+  }
+
+  const { paid, payments } = await getRefundableAmount(order);
+  await updateOrderRefund(order, refund, paid);
+  if (order.paymentStatus === 'Refunded') {
+    await Transaction.updateMany({ _id: { $in: payments.map(entry => entry._id) } }, { status: 'Refunded' });
+  }
+  await order.save();
+
+  if (status === 'Refunded') {
+    await notifyRefunded(order, refund);
+  }
+  return refund;
+};
+
+/**
+ * Ask the gateway for the latest state of a refund still in progress
+ * @param {Object} refund - Refund document
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} The refund
+ */
+const refreshRefund = async (refund, order) => {
+  if (refund.status !== 'Processing' || !refund.gatewayRefundId) {
+    return refund;
+  }
+
+  const result = await getPaymentGateway().fetchRefund(refund.paymentId, refund.gatewayRefundId);
+  return applyGatewayStatus(refund, order, result.status);
+};
+
+/**
+ * Shape a refund for the customer's order view
+ * @param {Object} refund - Refund document
+ * @returns {Object} Refund summary
+ */
+const formatRefund = (refund) => ({
+  _id: refund._id,
+  amount: refund.amount,
+  type: refund.type,
+  reason: refund.reason,
+  status: refund.status,
+  requestedAt: refund.createdAt,
+  processedAt: refund.processedAt,
+  reviewNote: refund.reviewNote
+});
+
+module.exports = {
+  getRefundableAmount,
+  requestRefund,
+  refundUnfulfilledOrder,
+  approveRefund,
+  declineRefund,
+  withdrawPendingRefunds,
+  applyGatewayStatus,
+  refreshRefund,
+  formatRefund
+};
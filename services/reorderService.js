@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const { collectSelections, resolveSelection, priceItems } = require('./pricingService');
+const { roundCurrency } = require('../utils/currency');
+
+/**
+ * Reorder: turn a past order back into a cart priced against today's menu,
+ * and describe what changed so the customer can confirm before paying.
+ */
+
+/**
+ * Rebuild the cart line a past order item was placed from
+ * @param {Object} item - Order item sub-document
+ * @returns {Object} Cart line in the shape placeOrder accepts
+ */
+const toCartLine = (item) => {
+  const toSelections = (entries) => (entries || []).map(entry => ({
+    name: entry.name,
+    option: entry.option
+  }));
+
+  return {
+    menuItemId: item.menuItemId ? item.menuItemId.toString() : null,
+    name: item.name,
+    quantity: item.quantity,
+    size: item.size && item.size !== 'Not Applicable' ? item.size : undefined,
+    customizations: toSelections(item.customizations),
+    addOns: toSelections(item.addOns),
+    toppings: toSelections(item.toppings),
+    specialInstructions: item.specialInstructions || ''
+  };
+};
+
+/**
+ * Remove the selections on a cart line that are no longer on the menu or
+ * are switched off, so the rest of the line can still be reordered
+ * @param {Object} line - Cart line from toCartLine
+ * @param {Object} [menuItem] - The line's MenuItem document
+ * @returns {Object} `{ line, dropped }` - the line without them and what was removed
+ */
+const dropUnavailableSelections = (line, menuItem) => {
+  if (!menuItem) {
+    return { line, dropped: [] };
+  }
+
+  const kept = { customizations: [], addOns: [], toppings: [] };
+  const dropped = [];
+
+  collectSelections(line).forEach(selection => {
+    const match = resolveSelection(menuItem, selection);
+    const entry = { name: selection.name, option: selection.option };
+
+    if (!match) {
+      dropped.push({ field: selection.field, ...entry, code: 'ADDON_NOT_FOUND' });
+    } else if (match.addOn.available === false) {
+      dropped.push({ field: selection.field, ...entry, code: 'ADDON_UNAVAILABLE' });
+    } else {
+      kept[selection.field].push(entry);
+    }
+  });
+
+  return { line: { ...line, ...kept }, dropped };
+};
+
+/**
+ * Re-price a past order against the current menu
+ *
+ * Lines whose item or size is gone are left out of the cart. Add-ons that
+ * are gone are dropped from their line and listed; if that leaves a
+ * required group empty the line is left out too.
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Cart lines to order, a per-line diff and subtotals
+ */
+const buildReorder = async (order) => {
+  const cartLines = order.items.map(toCartLine);
+
+  const ids = cartLines
+    .map(line => line.menuItemId)
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const menuItems = await MenuItem.find({ _id: { $in: ids } });
+  const menuById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  const reconciled = cartLines.map(line => dropUnavailableSelections(line, menuById.get(line.menuItemId)));
+  const { items: pricedItems, errors } = await priceItems(reconciled.map(({ line }) => line));
+  const errorsByIndex = new Map(errors.map(error => [error.index, error.errors]));
+
+  const items = [];
+  const lines = [];
+  let pricedIndex = 0;
+
+  order.items.forEach((orderItem, index) => {
+    const previousUnitPrice = orderItem.totalItemPrice || orderItem.price;
+    const diff = {
+      index,
+      menuItemId: orderItem.menuItemId,
+      name: orderItem.name,
+      size: orderItem.size,
+      quantity: orderItem.quantity,
+      previousUnitPrice,
+      previousTotal: roundCurrency(previousUnitPrice * orderItem.quantity),
+      droppedSelections: reconciled[index].dropped
+    };
+
+    if (errorsByIndex.has(index)) {
+      lines.push({
+        ...diff,
+        status: 'unavailable',
+        unitPrice: null,
+        total: 0,
+        errors: errorsByIndex.get(index)
+      });
+      return;
+    }
+
+    // priceItems keeps the order of the lines it could price
+    const priced = pricedItems[pricedIndex];
+    pricedIndex += 1;
+
+    let status = 'unchanged';
+    if (diff.droppedSelections.length > 0) {
+      status = 'modified';
+    } else if (priced.totalItemPrice !== previousUnitPrice) {
+      status = 'price_changed';
+    }
+
+    items.push(reconciled[index].line);
+    lines.push({
+      ...diff,
+      status,
+      unitPrice: priced.totalItemPrice,
+      total: roundCurrency(priced.totalItemPrice * priced.quantity),
+      priceDifference: roundCurrency(priced.totalItemPrice - previousUnitPrice)
+    });
+  });
+
+  const sum = (entries, field) => roundCurrency(entries.reduce((total, entry) => total + entry[field], 0));
+  const previousSubTotal = sum(lines, 'previousTotal');
+  const subTotal = sum(lines, 'total');
+
+  return {
+    items,
+    lines,
+    previousSubTotal,
+    subTotal,
+    difference: roundCurrency(subTotal - previousSubTotal),
+    unavailableCount: lines.filter(line => line.status === 'unavailable').length,
+    changedCount: lines.filter(line => line.status === 'price_changed' || line.status === 'modified').length
+  };
+};
+
+module.exports = {
+  toCartLine,
+  buildReorder
+};
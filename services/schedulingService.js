@@ -0,0 +1,235 @@
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const Business = require('../models/Business');
+const unifiedNotificationService = require('./unifiedNotificationService');
+const { getActor, transitionOrder } = require('./orderStatusService');
+const { loadAcceptanceSettings, getAcceptDeadline } = require('./orderAcceptanceService');
+const { emitOrderStatusUpdate } = require('../utils/socket');
+const logger = require('../utils/logger');
+const httpError = require('../utils/httpError');
+const { DEFAULT_TIMEZONE, fromLocalTime, formatLocalTime } = require('../utils/localTime');
+
+/**
+ * Scheduled orders: validate the requested time, cap orders per 15 minute
+ * slot, and release held orders to the kitchen ahead of their slot.
+ */
+
+const SLOT_MINUTES = 15;
+const SLOT_MS = SLOT_MINUTES * 60000;
+
+const DEFAULT_SCHEDULING = {
+  enabled: true,
+  maxOrdersPerSlot: 5,
+  minLeadMinutes: 60,
+  maxDaysAhead: 3,
+  releaseLeadMinutes: 45
+};
+
+/**
+ * Read the scheduling settings with defaults filled in
+ * @param {Object} settings - BusinessSettings document
+ * @returns {Object} Scheduling settings
+ */
+const resolveScheduling = (settings) => {
+  const configured = settings && settings.scheduling && settings.scheduling.toObject
+    ? settings.scheduling.toObject()
+    : (settings && settings.scheduling) || {};
+  return { ...DEFAULT_SCHEDULING, ...configured };
+};
+
+/**
+ * Find the start of the 15 minute slot a time falls in
+ * @param {Date} date - Any time
+ * @returns {Date} Slot start
+ */
+const getSlotStart = (date) => new Date(Math.floor(date.getTime() / SLOT_MS) * SLOT_MS);
+
+/**
+ * Counter key for a slot's order count
+ * @param {Date} slotStart - Slot start
+ * @returns {string} Counter ID
+ */
+const getSlotKey = (slotStart) => `slot:${slotStart.toISOString()}`;
+
+/**
+ * Check a requested delivery time can be scheduled
+ * @param {Object} settings - BusinessSettings document
+ * @param {string|Date} scheduledFor - Requested delivery time
+ * @param {Date} [now] - Current time
+ * @returns {Object} scheduledFor, slotStart and releaseAt
+ * @throws {Error} 400 with a code when the time cannot be scheduled
+ */
+const validateScheduledTime = (settings, scheduledFor, now = new Date()) => {
+  const scheduling = resolveScheduling(settings);
+  const requested = new Date(scheduledFor);
+
+  if (!scheduling.enabled) {
+    throw httpError('Scheduled orders are not available right now', 400, { code: 'SCHEDULING_DISABLED' });
+  }
+
+  if (Number.isNaN(requested.getTime())) {
+    throw httpError('Scheduled time is not a valid date', 400, { code: 'INVALID_SCHEDULED_TIME' });
+  }
+
+  if (requested.getTime() < now.getTime() + scheduling.minLeadMinutes * 60000) {
+    throw httpError(
+      `Scheduled orders must be at least ${scheduling.minLeadMinutes} minutes from now`, 400,
+      { code: 'SCHEDULED_TOO_SOON' }
+    );
+  }
+
+  if (requested.getTime() > now.getTime() + scheduling.maxDaysAhead * 24 * 60 * 60000) {
+    throw httpError(
+      `Orders can be scheduled up to ${scheduling.maxDaysAhead} days ahead`, 400,
+      { code: 'SCHEDULED_TOO_FAR' }
+    );
+  }
+
+  if (!settings.isOpenAt(requested)) {
+    throw httpError('We are closed at the requested time', 400, { code: 'OUTSIDE_BUSINESS_HOURS' });
+  }
+
+  return {
+    scheduledFor: requested,
+    slotStart: getSlotStart(requested),
+    releaseAt: new Date(requested.getTime() - scheduling.releaseLeadMinutes * 60000)
+  };
+};
+
+/**
+ * Take a place in the order's slot
+ * @param {Object} order - Order with scheduledSlot set
+ * @param {Object} settings - BusinessSettings document
+ * @returns {Promise<void>}
+ * @throws {Error} 409 when the slot is full
+ */
+const reserveSlot = async (order, settings) => {
+  const { maxOrdersPerSlot } = resolveScheduling(settings);
+  const key = getSlotKey(order.scheduledSlot);
+
+  const reserved = maxOrdersPerSlot > 0
+    ? await Counter.incrementIfBelow(key, maxOrdersPerSlot)
+    : !!(await Counter.nextSequence(key));
+
+  if (!reserved) {
+    throw httpError('This delivery slot is full, please pick another time', 409, { code: 'SLOT_FULL' });
+  }
+};
+
+/**
+ * Give back the slot of a scheduled order that will not be fulfilled
+ * @param {Object} order - Order document
+ * @returns {Promise<void>}
+ */
+const releaseSlot = async (order) => {
+  if (order.scheduledSlot) {
+    await Counter.decrement(getSlotKey(order.scheduledSlot));
+  }
+};
+
+/**
+ * List the slots that can be booked on a day
+ * @param {Object} settings - BusinessSettings document
+ * @param {string} day - Day as YYYY-MM-DD, in the shop timezone
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Slots with start, end and remaining capacity
+ */
+const listAvailableSlots = async (settings, day, now = new Date()) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const timeZone = settings.getTimezone();
+  const dayStart = fromLocalTime({ year, month, day: date }, timeZone);
+  const dayEnd = fromLocalTime({ year, month, day: date + 1 }, timeZone);
+  const { maxOrdersPerSlot } = resolveScheduling(settings);
+
+  const slots = [];
+  for (let time = dayStart.getTime(); time < dayEnd.getTime(); time += SLOT_MS) {
+    try {
+      validateScheduledTime(settings, new Date(time), now);
+      slots.push(new Date(time));
+    } catch (error) {
+      // Not bookable - closed, too soon or too far ahead
+    }
+  }
+
+  const counters = await Counter.find({ _id: { $in: slots.map(getSlotKey) } });
+  const used = new Map(counters.map(counter => [counter._id, counter.seq]));
+
+  return slots.map(start => {
+    const booked = used.get(getSlotKey(start)) || 0;
+    const remaining = maxOrdersPerSlot > 0 ? Math.max(0, maxOrdersPerSlot - booked) : null;
+    return {
+      start,
+      end: new Date(start.getTime() + SLOT_MS),
+      remaining,
+      available: remaining === null || remaining > 0
+    };
+  });
+};
+
+/**
+ * Send held orders whose release time has come to the kitchen
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<number>} Number of orders released
+ */
+const releaseDueScheduledOrders = async (io) => {
+  const now = new Date();
+  const orders = await Order.find({
+    status: 'Scheduled',
+    releaseAt: { $lte: now }
+  });
+
+  if (orders.length === 0) {
+    return 0;
+  }
+
+  const acceptanceSettings = await loadAcceptanceSettings();
+  const businessSettings = await Business.findOne().select('businessInfo.timezone');
+  const timeZone = businessSettings ? businessSettings.getTimezone() : DEFAULT_TIMEZONE;
+  let released = 0;
+
+  for (const order of orders) {
+    try {
+      transitionOrder(order, 'Pending', {
+        actor: getActor(),
+        note: 'Scheduled order released to the kitchen'
+      });
+      order.releasedAt = now;
+      order.acceptBy = getAcceptDeadline(acceptanceSettings, now);
+      await order.save();
+      released += 1;
+
+      if (io) {
+        emitOrderStatusUpdate(io, order, 'scheduled_release');
+      }
+
+      const deliveryTime = formatLocalTime(order.scheduledFor, timeZone);
+      await unifiedNotificationService.sendNewOrderNotificationToAdmins({
+        orderId: order.orderNumber,
+        customerName: order.customerName,
+        totalAmount: order.amount
+      });
+      await unifiedNotificationService.sendOrderUpdateNotification(order.customer, {
+        orderId: order.orderNumber,
+        status: order.status,
+        message: `Your order #${order.orderNumber} for ${deliveryTime} has been sent to the kitchen`
+      });
+    } catch (error) {
+      logger.error(`Failed to release scheduled order ${order.orderNumber}`, error);
+    }
+  }
+
+  if (released > 0) {
+    logger.info(`Released ${released} scheduled orders to the kitchen`);
+  }
+  return released;
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  getSlotStart,
+  validateScheduledTime,
+  reserveSlot,
+  releaseSlot,
+  listAvailableSlots,
+  releaseDueScheduledOrders
+};
@@ -0,0 +1,203 @@
+const jwt = require('jsonwebtoken');
+const Table = require('../models/Table');
+const TableTab = require('../models/TableTab');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const { roundCurrency } = require('../utils/currency');
+const httpError = require('../utils/httpError');
+
+/**
+ * Dine-in tables: signed QR tokens, open tabs and settling the bill.
+ *
+ * Each round ordered at a table is a normal dine-in order linked to the
+ * table's open tab. The tab is paid once, which marks every round paid.
+ */
+
+const TABLE_TOKEN_TYPE = 'table';
+
+// Rounds that no longer count towards the bill
+const VOID_STATUSES = ['Cancelled', 'Rejected'];
+
+// Rounds the kitchen or floor staff are still working on
+const OPEN_ROUND_STATUSES = ['Pending', 'Accepted', 'Preparing', 'Ready'];
+
+/**
+ * Sign the token printed in a table's QR code. It does not expire -
+ * bump the table's qrVersion to invalidate it.
+ * @param {Object} table - Table document
+ * @returns {string} Signed token
+ */
+const signTableToken = (table) => jwt.sign(
+  { type: TABLE_TOKEN_TYPE, table: table._id.toString(), number: table.number, v: table.qrVersion },
+  process.env.JWT_SECRET
+);
+
+/**
+ * Look up the table a QR token was issued for
+ * @param {string} token - Token from the QR code
+ * @returns {Promise<Object>} Table document
+ * @throws {Error} 401 for an invalid or replaced token, 404 when the table is gone, 409 when it is out of service
+ */
+const verifyTableToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw httpError('Invalid table QR code', 401);
+  }
+
+  if (payload.type !== TABLE_TOKEN_TYPE) {
+    throw httpError('Invalid table QR code', 401);
+  }
+
+  const table = await Table.findById(payload.table);
+  if (!table) {
+    throw httpError('Table not found', 404);
+  }
+  if (payload.v !== table.qrVersion) {
+    throw httpError('This QR code has been replaced, please scan the code on your table', 401);
+  }
+  if (!table.isActive) {
+    throw httpError(`Table ${table.number} is not taking orders right now`, 409);
+  }
+
+  return table;
+};
+
+/**
+ * Find the table's open tab, opening one if needed
+ * @param {Object} table - Table document
+ * @returns {Promise<Object>} Open TableTab document
+ */
+const openTab = async (table) => {
+  try {
+    return await TableTab.findOneAndUpdate(
+      { table: table._id, status: 'open' },
+      { $setOnInsert: { tableNumber: table.number, openedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two first rounds raced to open the tab - use the one that won
+    if (error.code === 11000) {
+      return TableTab.findOne({ table: table._id, status: 'open' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add up a tab's rounds into a single bill
+ * @param {Object} tab - TableTab document
+ * @returns {Promise<Object>} Tab details, rounds and totals
+ */
+const buildBill = async (tab) => {
+  const orders = await Order.find({ tab: tab._id }).sort({ createdAt: 1 });
+  const rounds = orders.map(order => ({
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    placedAt: order.createdAt,
+    customerName: order.customerName,
+    items: order.items.map(item => ({
+      name: item.name,
+      size: item.size,
+      quantity: item.quantity,
+      unitPrice: item.totalItemPrice || item.price,
+      totalPrice: roundCurrency((item.totalItemPrice || item.price) * item.quantity)
+    })),
+    subTotal: order.subTotal || 0,
+    tax: order.tax || 0,
+    discount: (order.discounts && order.discounts.amount) || 0,
+    amount: order.amount,
+    void: VOID_STATUSES.includes(order.status)
+  }));
+
+  const billable = rounds.filter(round => !round.void);
+  const sum = (field) => roundCurrency(billable.reduce((total, round) => total + round[field], 0));
+
+  return {
+    _id: tab._id,
+    table: tab.table,
+    tableNumber: tab.tableNumber,
+    status: tab.status,
+    openedAt: tab.openedAt,
+    settledAt: tab.settledAt,
+    paymentMethod: tab.paymentMethod,
+    rounds,
+    subTotal: sum('subTotal'),
+    tax: sum('tax'),
+    discount: sum('discount'),
+    amount: sum('amount')
+  };
+};
+
+/**
+ * Settle a tab with one payment and mark every round paid
+ * @param {Object} tab - Open TableTab document
+ * @param {Object} options - Settlement options
+ * @param {Object} options.user - Admin taking the payment
+ * @param {string} options.paymentMethod - Cash, Card, UPI or Online
+ * @param {string} [options.reference] - Card slip or UPI reference
+ * @returns {Promise<Object>} The settled bill
+ * @throws {Error} 400 for an unknown payment method, 409 when the tab is closed or rounds are still open
+ */
+const settleTab = async (tab, { user, paymentMethod, reference }) => {
+  if (tab.status !== 'open') {
+    throw httpError(`Tab is already ${tab.status}`, 409);
+  }
+
+  if (!TableTab.schema.path('paymentMethod').enumValues.includes(paymentMethod)) {
+    throw httpError('Payment method must be Cash, Card, UPI or Online', 400);
+  }
+
+  const orders = await Order.find({ tab: tab._id });
+  const unfinished = orders.filter(order => OPEN_ROUND_STATUSES.includes(order.status));
+  if (unfinished.length > 0) {
+    throw httpError('Some rounds have not been served yet', 409, {
+      openRounds: unfinished.map(order => ({ orderNumber: order.orderNumber, status: order.status }))
+    });
+  }
+
+  const bill = await buildBill(tab);
+  const now = new Date();
+
+  for (const order of orders.filter(order => !VOID_STATUSES.includes(order.status))) {
+    order.paymentStatus = 'Completed';
+    await order.save();
+
+    await Transaction.create({
+      order: order._id,
+      orderNumber: order.orderNumber,
+      amount: order.amount,
+      paymentMethod,
+      status: 'Completed',
+      upiDetails: paymentMethod === 'UPI' ? { referenceNumber: reference || null } : undefined,
+      confirmedBy: user._id,
+      confirmedByName: user.name,
+      customer: order.customer,
+      customerName: order.customerName,
+      notes: `Table ${tab.tableNumber} tab settled${reference ? ` (ref ${reference})` : ''}`
+    });
+  }
+
+  // A tab with nothing billable is closed without a payment
+  tab.status = bill.rounds.every(round => round.void) ? 'cancelled' : 'settled';
+  tab.subTotal = bill.subTotal;
+  tab.tax = bill.tax;
+  tab.discount = bill.discount;
+  tab.amount = bill.amount;
+  tab.paymentMethod = paymentMethod;
+  tab.settledAt = now;
+  tab.settledBy = user._id;
+  await tab.save();
+
+  return { ...bill, status: tab.status, settledAt: now, paymentMethod };
+};
+
+module.exports = {
+  signTableToken,
+  verifyTableToken,
+  openTab,
+  buildBill,
+  settleTab
+};
@@ -89,6 +89,11 @@ class UnifiedNotificationService {
    * Send order update notification
    */
   async sendOrderUpdateNotification(userId, orderData) {
+    // Guest orders have no account to notify
+    if (!userId) {
+      return { success: false, error: 'No customer account for this order' };
+    }
+
     try {
       logger.notification('order_update', `Order ${orderData.orderId} update to user ${userId}`);
       const result = await this.firebaseService.sendOrderUpdateNotification(userId, orderData);
@@ -130,6 +135,21 @@ class UnifiedNotificationService {
     }
   }
 
+  /**
+   * Send abandoned cart reminder
+   */
+  async sendAbandonedCartNotification(userId, cartData) {
+    try {
+      logger.notification('abandoned_cart', `Cart reminder for cart ${cartData.cartId} to user ${userId}`);
+      const result = await this.firebaseService.sendAbandonedCartNotification(userId, cartData);
+      logger.notification('abandoned_cart', `Result: ${result.success ? 'success' : 'failed'}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending abandoned cart notification', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send broadcast notification to all users
    */
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const unifiedNotificationService = require('../services/unifiedNotificationService');
+const { mergeGuestCart, removeOrderedLines, sendAbandonedCartReminders } = require('../services/cartService');
+
+const pizzaId = new mongoose.Types.ObjectId();
+const colaId = new mongoose.Types.ObjectId();
+
+const pizza = (overrides = {}) => ({
+  menuItemId: pizzaId,
+  name: 'Margherita',
+  size: 'Large',
+  quantity: 1,
+  addOns: [{ name: 'Extra Cheese', option: 'Extra Cheese' }],
+  unitPrice: 450,
+  ...overrides
+});
+const cola = (overrides = {}) => ({ menuItemId: colaId, name: 'Cola', size: 'Not Applicable', quantity: 1, unitPrice: 60, ...overrides });
+
+const makeCart = (owner, items) => new Cart({ ...owner, items, expiresAt: new Date(Date.now() + 60000) });
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+
+describe('cartService', () => {
+  let saved;
+  let deleted;
+
+  beforeEach(() => {
+    saved = [];
+    deleted = [];
+    mock.method(Cart.prototype, 'save', async function () {
+      saved.push(this);
+      return this;
+    });
+    mock.method(Cart.prototype, 'deleteOne', async function () {
+      deleted.push(this);
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('mergeGuestCart', () => {
+    it('adds the guest lines to the account cart and drops the guest cart', async () => {
+      const guestCart = makeCart({ guestId: 'guest-1' }, [pizza({ quantity: 2 }), cola()]);
+      const userCart = makeCart({ user: user._id }, [pizza()]);
+      mock.method(Cart, 'findOne', async () => guestCart);
+      mock.method(Cart, 'findOneAndUpdate', async () => userCart);
+
+      assert.equal(await mergeGuestCart('guest-1', user), 2);
+
+      // The same pizza made the same way becomes one line
+      assert.deepEqual(userCart.items.map(item => [item.name, item.quantity]), [['Margherita', 3], ['Cola', 1]]);
+      assert.deepEqual(saved, [userCart]);
+      assert.deepEqual(deleted, [guestCart]);
+    });
+
+    it('keeps differently made lines apart', async () => {
+      const guestCart = makeCart({ guestId: 'guest-1' }, [pizza({ addOns: [] })]);
+      const userCart = makeCart({ user: user._id }, [pizza()]);
+      mock.method(Cart, 'findOne', async () => guestCart);
+      mock.method(Cart, 'findOneAndUpdate', async () => userCart);
+
+      await mergeGuestCart('guest-1', user);
+
+      assert.deepEqual(userCart.items.map(item => item.quantity), [1, 1]);
+    });
+
+    it('does nothing without a guest cart', async () => {
+      mock.method(Cart, 'findOne', async () => null);
+
+      assert.equal(await mergeGuestCart('guest-1', user), 0);
+      assert.equal(saved.length, 0);
+    });
+  });
+
+  describe('removeOrderedLines', () => {
+    it('takes the ordered quantities out and keeps the rest of the cart', async () => {
+      const cart = makeCart({ user: user._id }, [pizza({ quantity: 3 }), cola()]);
+      mock.method(Cart, 'findOne', async () => cart);
+
+      const changed = await removeOrderedLines(user, [
+        { ...pizza({ quantity: 2 }), addOns: [{ name: 'Extra Cheese', option: 'Extra Cheese', price: 50 }] }
+      ]);
+
+      assert.equal(changed, 1);
+      assert.deepEqual(cart.items.map(item => [item.name, item.quantity]), [['Margherita', 1], ['Cola', 1]]);
+      assert.deepEqual(saved, [cart]);
+    });
+
+    it('removes the cart once everything in it was ordered', async () => {
+      const cart = makeCart({ user: user._id }, [pizza(), cola({ quantity: 2 })]);
+      mock.method(Cart, 'findOne', async () => cart);
+
+      assert.equal(await removeOrderedLines(user, [pizza(), cola({ quantity: 2 })]), 2);
+      assert.deepEqual(deleted, [cart]);
+      assert.equal(saved.length, 0);
+    });
+
+    it('leaves the cart alone when the order was not from it', async () => {
+      const cart = makeCart({ user: user._id }, [cola()]);
+      mock.method(Cart, 'findOne', async () => cart);
+
+      assert.equal(await removeOrderedLines(user, [pizza()]), 0);
+      assert.equal(saved.length + deleted.length, 0);
+    });
+  });
+
+  describe('sendAbandonedCartReminders', () => {
+    it('counts the units in the cart, not the lines', async () => {
+      const cart = makeCart({ user: user._id }, [pizza({ quantity: 2 }), cola({ quantity: 3 })]);
+      mock.method(Cart, 'find', () => ({ limit: async () => [cart] }));
+      mock.method(Cart, 'updateOne', async () => ({}));
+      const notify = mock.method(unifiedNotificationService, 'sendAbandonedCartNotification', async () => ({}));
+
+      assert.equal(await sendAbandonedCartReminders(), 1);
+      assert.equal(notify.mock.calls[0].arguments[1].itemCount, 5);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const CashSettlement = require('../models/CashSettlement');
+const { countCash, settleCash } = require('../services/cashLedgerService');
+
+const agent = { _id: new mongoose.Types.ObjectId(), name: 'Kiran' };
+const admin = { _id: new mongoose.Types.ObjectId(), name: 'Asha' };
+
+const captureError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected an error');
+};
+
+describe('countCash', () => {
+  it('adds up a denomination count, largest notes first', () => {
+    const cash = countCash([{ value: 100, count: 3 }, { value: 500, count: '2' }, { value: 10, count: 0 }]);
+
+    assert.deepEqual(cash, {
+      amount: 1300,
+      denominations: [{ value: 500, count: 2 }, { value: 100, count: 3 }]
+    });
+  });
+
+  it('takes a plain amount when nothing was counted', () => {
+    assert.deepEqual(countCash([], '1249.50'), { amount: 1249.5, denominations: [] });
+  });
+
+  it('rejects notes that do not exist and partial counts', () => {
+    const error = captureError(() => countCash([{ value: 300, count: 1 }, { value: 100, count: 1.5 }]));
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.details.code, 'INVALID_DENOMINATIONS');
+    assert.equal(error.details.invalid.length, 2);
+  });
+
+  it('rejects a count that does not match the amount given', () => {
+    const error = captureError(() => countCash([{ value: 500, count: 2 }], 1100));
+
+    assert.equal(error.statusCode, 400);
+    assert.deepEqual(error.details, { code: 'DENOMINATION_MISMATCH', counted: 1000 });
+  });
+
+  it('needs an amount or a count', () => {
+    assert.equal(captureError(() => countCash()).statusCode, 400);
+    assert.equal(captureError(() => countCash([], -5)).statusCode, 400);
+  });
+});
+
+describe('settleCash', () => {
+  let created;
+  const previousAt = new Date('2026-10-18T20:00:00Z');
+
+  beforeEach(() => {
+    // ₹1800 collected, ₹300 handed over earlier: ₹1500 in hand
+    mock.method(Transaction, 'aggregate', async () => [{ _id: agent._id, total: 1800, count: 4 }]);
+    mock.method(CashSettlement, 'aggregate', async () => [{ _id: agent._id, total: 300, count: 1 }]);
+    mock.method(CashSettlement, 'findOne', () => ({ sort: async () => ({ createdAt: previousAt }) }));
+    created = mock.method(CashSettlement, 'create', async (fields) => fields);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records the handover against the cash in hand', async () => {
+    const settlement = await settleCash(agent, admin, { denominations: [{ value: 500, count: 3 }] });
+
+    assert.equal(settlement.amount, 1500);
+    assert.equal(settlement.expectedAmount, 1500);
+    assert.equal(settlement.declaredAmount, 1500);
+    assert.equal(settlement.discrepancy, 0);
+    assert.equal(settlement.balanceAfter, 0);
+    assert.equal(settlement.periodStart, previousAt);
+    assert.equal(settlement.receivedByName, 'Asha');
+  });
+
+  it('records a shortage against what the agent declared', async () => {
+    const settlement = await settleCash(agent, admin, { amount: 1400, declaredAmount: 1450, note: 'Short by a note' });
+
+    assert.equal(settlement.discrepancy, -50);
+    assert.equal(settlement.balanceAfter, 100);
+  });
+
+  it('rejects a negative declared amount before recording anything', async () => {
+    await assert.rejects(settleCash(agent, admin, { amount: 100, declaredAmount: -1 }), { statusCode: 400 });
+    assert.equal(created.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AgentEarning = require('../models/AgentEarning');
+const Business = require('../models/Business');
+const {
+  findSurgeWindow,
+  calculateDeliveryPay,
+  buildPayoutStatement,
+  statementToCsv
+} = require('../services/deliveryEarningsService');
+
+// Windows are in shop time; the shop is in India (UTC+5:30) and the server may not be
+const dinner = { name: 'Dinner rush', start: '19:00', end: '22:00', multiplier: 1.5, bonus: 0 };
+const lateNight = { name: 'Late night', start: '23:00', end: '02:00', days: ['friday'], multiplier: 1, bonus: 20 };
+const weekendDinner = { name: 'Weekend dinner', start: '19:00', end: '22:00', days: ['saturday'], multiplier: 2 };
+
+const paySettings = {
+  basePerDelivery: 30,
+  perKm: 5,
+  surgeWindows: [dinner],
+  dailyIncentives: [],
+  weekStartsOn: 1,
+  timeZone: 'Asia/Kolkata'
+};
+
+describe('findSurgeWindow', () => {
+  it('reads the delivery time in the shop timezone', () => {
+    // 14:00 UTC is 19:30 in India
+    assert.equal(findSurgeWindow([dinner], new Date('2026-10-20T14:00:00Z'), 'Asia/Kolkata'), dinner);
+    assert.equal(findSurgeWindow([dinner], new Date('2026-10-20T14:00:00Z'), 'Europe/London'), null);
+  });
+
+  it('gives a window past midnight to the day it started on', () => {
+    // Friday 23:30 and Saturday 01:30 in India are both Friday's late night
+    assert.equal(findSurgeWindow([lateNight], new Date('2026-10-23T18:00:00Z'), 'Asia/Kolkata'), lateNight);
+    assert.equal(findSurgeWindow([lateNight], new Date('2026-10-23T20:00:00Z'), 'Asia/Kolkata'), lateNight);
+    // Saturday 23:30 is not
+    assert.equal(findSurgeWindow([lateNight], new Date('2026-10-24T18:00:00Z'), 'Asia/Kolkata'), null);
+  });
+
+  it('picks the window paying the most and skips inactive ones', () => {
+    const saturdayEvening = new Date('2026-10-24T14:00:00Z');
+
+    assert.equal(findSurgeWindow([dinner, weekendDinner], saturdayEvening, 'Asia/Kolkata'), weekendDinner);
+    assert.equal(
+      findSurgeWindow([dinner, { ...weekendDinner, isActive: false }], saturdayEvening, 'Asia/Kolkata'),
+      dinner
+    );
+  });
+});
+
+describe('calculateDeliveryPay', () => {
+  it('pays the base and distance outside surge windows', () => {
+    assert.deepEqual(calculateDeliveryPay(3.4, new Date('2026-10-20T06:30:00Z'), paySettings), {
+      distanceKm: 3.4,
+      basePay: 30,
+      distancePay: 17,
+      surgePay: 0,
+      surgeWindow: undefined,
+      amount: 47
+    });
+  });
+
+  it('adds surge pay on top of base and distance', () => {
+    const pay = calculateDeliveryPay(4, new Date('2026-10-20T14:00:00Z'), paySettings);
+
+    assert.equal(pay.surgePay, 25);
+    assert.equal(pay.surgeWindow, 'Dinner rush');
+    assert.equal(pay.amount, 75);
+  });
+
+  it('pays only the base when the distance is not known', () => {
+    const pay = calculateDeliveryPay(null, new Date('2026-10-20T06:30:00Z'), paySettings);
+
+    assert.equal(pay.distancePay, 0);
+    assert.equal(pay.amount, 30);
+  });
+});
+
+describe('buildPayoutStatement', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lays out the payout week in shop days', async () => {
+    mock.method(Business, 'findOne', () => ({
+      select: async () => new Business({ businessInfo: { timezone: 'Asia/Kolkata' }, deliveryPay: { weekStartsOn: 1 } })
+    }));
+    const agent = { _id: new mongoose.Types.ObjectId(), name: 'Kiran' };
+    // Monday 00:30 in India is still Sunday in UTC
+    const earnedAt = new Date('2026-10-18T19:00:00Z');
+    const entry = new AgentEarning({
+      agent: agent._id,
+      agentName: 'Kiran',
+      type: 'delivery',
+      key: 'delivery:1',
+      orderNumber: 'ORD-1',
+      earnedAt,
+      day: '2026-10-19',
+      basePay: 30,
+      amount: 30
+    });
+    const find = mock.method(AgentEarning, 'find', () => ({ sort: async () => [entry] }));
+
+    const statement = await buildPayoutStatement(agent, '2026-10-21');
+
+    assert.equal(statement.weekStart.toISOString(), '2026-10-18T18:30:00.000Z');
+    assert.equal(statement.weekEnd.toISOString(), '2026-10-25T18:30:00.000Z');
+    assert.deepEqual(find.mock.calls[0].arguments[0].earnedAt, { $gte: statement.weekStart, $lt: statement.weekEnd });
+    assert.deepEqual(statement.days.map(day => day.day), [
+      '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25'
+    ]);
+    assert.equal(statement.days[0].deliveries, 1);
+
+    const csv = statementToCsv(statement).split('\n');
+    assert.equal(csv[0], 'Payout statement,Kiran,2026-10-19 to 2026-10-25');
+    assert.match(csv[2], /^2026-10-19,00:30,delivery,ORD-1,/);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Guest = require('../models/Guest');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const OfferRedemption = require('../models/OfferRedemption');
+const Transaction = require('../models/Transaction');
+const firebaseAdmin = require('../utils/firebaseAdmin');
+const { verifyContacts, claimGuestOrders } = require('../services/guestService');
+
+const makeUser = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role: 'customer',
+  phone: '+91 98765 43210',
+  email: 'Ravi@Example.com',
+  phoneVerified: false,
+  emailVerified: false,
+  ...overrides
+});
+
+const stubIdToken = (claims) => mock.method(firebaseAdmin, 'getAuth', () => ({
+  verifyIdToken: async () => {
+    if (!claims) throw new Error('Firebase ID token has expired');
+    return claims;
+  }
+}));
+
+describe('verifyContacts', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('marks the phone verified when the OTP number matches the account', async () => {
+    stubIdToken({ phone_number: '+919876543210' });
+    const user = makeUser();
+
+    assert.deepEqual(await verifyContacts(user, 'id-token'), { phoneVerified: true, emailVerified: false });
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { phoneVerified: true } });
+  });
+
+  it('only trusts an email Firebase has verified', async () => {
+    stubIdToken({ email: 'ravi@example.com', email_verified: false });
+
+    await assert.rejects(verifyContacts(makeUser(), 'id-token'), { statusCode: 400 });
+
+    mock.restoreAll();
+    updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    stubIdToken({ email: 'ravi@example.com', email_verified: true });
+
+    assert.deepEqual(await verifyContacts(makeUser(), 'id-token'), { phoneVerified: false, emailVerified: true });
+  });
+
+  it('rejects a token for someone else\'s number', async () => {
+    stubIdToken({ phone_number: '+919999999999' });
+
+    await assert.rejects(verifyContacts(makeUser(), 'id-token'), { statusCode: 400 });
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('rejects an invalid token with 401', async () => {
+    stubIdToken(null);
+
+    await assert.rejects(verifyContacts(makeUser(), 'id-token'), { statusCode: 401 });
+  });
+});
+
+describe('claimGuestOrders', () => {
+  let find;
+  let claims;
+
+  const guestIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+  beforeEach(() => {
+    find = mock.method(Guest, 'find', () => ({ select: async () => guestIds.map(_id => ({ _id })) }));
+    claims = mock.method(Guest, 'findOneAndUpdate', async (filter) => ({ _id: filter._id }));
+    mock.method(Order, 'find', () => ({ select: async () => [{ _id: new mongoose.Types.ObjectId() }] }));
+    mock.method(Order, 'updateMany', async () => ({}));
+    mock.method(OfferRedemption, 'updateMany', async () => ({}));
+    mock.method(Transaction, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('claims nothing without a guest token or a verified contact', async () => {
+    assert.deepEqual(await claimGuestOrders(makeUser(), null), { guests: 0, orders: 0 });
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('never matches an unverified phone or email', async () => {
+    await claimGuestOrders(makeUser(), 'guest-1');
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { claimedBy: null, $or: [{ guestId: 'guest-1' }] });
+  });
+
+  it('matches verified contacts alongside the guest token', async () => {
+    const user = makeUser({ phoneVerified: true, emailVerified: true });
+
+    const result = await claimGuestOrders(user, 'guest-1');
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      claimedBy: null,
+      $or: [{ guestId: 'guest-1' }, { phone: '9876543210' }, { email: 'ravi@example.com' }]
+    });
+    assert.deepEqual(result, { guests: 2, orders: 2 });
+    assert.deepEqual(claims.mock.calls[0].arguments[0], { _id: guestIds[0], claimedBy: null });
+  });
+
+  it('skips a guest another account claimed first', async () => {
+    claims.mock.mockImplementation(async (filter) => (filter._id.equals(guestIds[0]) ? null : { _id: filter._id }));
+
+    const result = await claimGuestOrders(makeUser({ phoneVerified: true }), null);
+
+    assert.deepEqual(result, { guests: 1, orders: 1 });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { formatTicket, groupTicketsByStation, bumpLine } = require('../services/kitchenService');
+
+const cook = { _id: new mongoose.Types.ObjectId(), role: 'kitchen', name: 'Meena' };
+const acceptedAt = new Date('2026-10-20T12:00:00Z');
+
+const makeOrder = (overrides = {}) => new Order({
+  orderNumber: 'ORD-1',
+  customerName: 'Ravi',
+  orderType: 'pickup',
+  status: 'Accepted',
+  acceptance: { acceptedAt, prepTimeMinutes: 20 },
+  items: [
+    { name: 'Margherita', quantity: 1, price: 250, category: 'Pizza' },
+    { name: 'Cold Coffee', quantity: 2, price: 120, category: 'Milkshake' }
+  ],
+  amount: 490,
+  ...overrides
+});
+
+const captureError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected an error');
+};
+
+describe('formatTicket', () => {
+  it('times the ticket from acceptance and flags it once past the prep time', () => {
+    const ticket = formatTicket(makeOrder(), new Date('2026-10-20T12:25:30Z'));
+
+    assert.equal(ticket.ageMinutes, 25);
+    assert.equal(ticket.dueAt.toISOString(), '2026-10-20T12:20:00.000Z');
+    assert.equal(ticket.overdue, true);
+    assert.deepEqual(ticket.lines.map(line => [line.station, line.kitchenStatus]), [
+      ['Pizza Oven', 'Queued'],
+      ['Beverages', 'Queued']
+    ]);
+  });
+});
+
+describe('groupTicketsByStation', () => {
+  it('shows each station only its own lines, oldest ticket first', () => {
+    const now = new Date('2026-10-20T12:30:00Z');
+    const older = makeOrder({ orderNumber: 'ORD-1' });
+    const newer = makeOrder({
+      orderNumber: 'ORD-2',
+      acceptance: { acceptedAt: new Date('2026-10-20T12:20:00Z'), prepTimeMinutes: 20 },
+      items: [{ name: 'Farmhouse', quantity: 1, price: 300, category: 'Pizza' }]
+    });
+
+    const stations = groupTicketsByStation([formatTicket(newer, now), formatTicket(older, now)]);
+
+    assert.deepEqual(stations.map(station => [station.station, station.pendingLines]), [
+      ['Pizza Oven', 2],
+      ['Beverages', 1]
+    ]);
+    assert.deepEqual(stations[0].tickets.map(ticket => ticket.orderNumber), ['ORD-1', 'ORD-2']);
+    assert.deepEqual(stations[1].tickets[0].lines.map(line => line.name), ['Cold Coffee']);
+  });
+});
+
+describe('bumpLine', () => {
+  it('starts the order on the first bump and makes it ready on the last', () => {
+    const order = makeOrder();
+    const [pizza, coffee] = order.items;
+
+    bumpLine(order, pizza._id, 'start', cook);
+    assert.equal(order.status, 'Preparing');
+    assert.equal(pizza.kitchenStatus, 'Started');
+
+    bumpLine(order, pizza._id, 'done', cook);
+    assert.equal(order.status, 'Preparing');
+
+    bumpLine(order, coffee._id, 'done', cook);
+    assert.equal(coffee.kitchenStartedAt, coffee.kitchenDoneAt);
+    assert.equal(order.status, 'Ready for pickup');
+  });
+
+  it('refuses to bump a line twice or an order off the display', () => {
+    const order = makeOrder();
+    const lineId = order.items[0]._id;
+
+    bumpLine(order, lineId, 'done', cook);
+    assert.equal(captureError(() => bumpLine(order, lineId, 'done', cook)).statusCode, 409);
+    assert.equal(captureError(() => bumpLine(order, new mongoose.Types.ObjectId(), 'start', cook)).statusCode, 404);
+    assert.equal(captureError(() => bumpLine(makeOrder({ status: 'Pending' }), lineId, 'start', cook)).statusCode, 409);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { evaluateLineOffer, validateOfferConfig, getReferencedMenuItems } = require('../services/offerRules');
+
+const pizzaId = new mongoose.Types.ObjectId();
+const drinkId = new mongoose.Types.ObjectId();
+const categories = new Map([[pizzaId.toString(), 'Pizza'], [drinkId.toString(), 'Cold Drink']]);
+
+// One large pizza, two medium ones with extra cheese (charged in full) and a cola
+const lines = [
+  { menuItemId: pizzaId, name: 'Margherita', size: 'Large', quantity: 1, basePrice: 400, totalItemPrice: 400 },
+  { menuItemId: pizzaId, name: 'Margherita', size: 'Medium', quantity: 2, basePrice: 250, totalItemPrice: 300 },
+  { menuItemId: drinkId, name: 'Cola', quantity: 1, basePrice: 60, totalItemPrice: 60 }
+];
+
+const pizzas = { items: [], categories: ['pizza'], sizes: [] };
+
+const bogo = (overrides = {}) => ({
+  discountType: 'bogo',
+  bogo: { buy: pizzas, buyQuantity: 1, get: pizzas, getQuantity: 1, getDiscountPercentage: 100 },
+  ...overrides
+});
+
+const bundle = (price) => ({
+  discountType: 'bundle',
+  bundle: { rule: pizzas, quantity: 2, price }
+});
+
+describe('evaluateLineOffer', () => {
+  it('buys the priciest pizzas and gives away the cheapest', () => {
+    const result = evaluateLineOffer(bogo(), lines, categories);
+
+    // The large pays for one medium; the other medium has nothing left to pair with
+    assert.equal(result.discount, 250);
+    assert.deepEqual(result.appliedLines.map(line => [line.index, line.quantity, line.discount]), [[1, 1, 250]]);
+    assert.deepEqual(result.excludedLines.map(line => line.index), [0, 2]);
+    assert.equal(result.reason, null);
+  });
+
+  it('only matches units of the sizes a rule names', () => {
+    // Buy a medium, get a large at half price
+    const result = evaluateLineOffer(bogo({
+      bogo: {
+        buy: { ...pizzas, sizes: ['medium'] },
+        buyQuantity: 1,
+        get: { ...pizzas, sizes: ['large'] },
+        getQuantity: 1,
+        getDiscountPercentage: 50
+      }
+    }), lines, categories);
+
+    assert.equal(result.discount, 200);
+    assert.deepEqual(result.appliedLines.map(line => [line.index, line.quantity]), [[0, 1]]);
+  });
+
+  it('caps the discount at maxDiscountAmount', () => {
+    const result = evaluateLineOffer(bogo({ maxDiscountAmount: 100 }), lines, categories);
+
+    assert.equal(result.discount, 100);
+    assert.equal(result.appliedLines[0].discount, 100);
+  });
+
+  it('prices a bundle from the priciest units and spreads the saving by price', () => {
+    const result = evaluateLineOffer(bundle(500), lines, categories);
+
+    assert.equal(result.discount, 150);
+    assert.equal(result.eligibleAmount, 650);
+    assert.deepEqual(result.appliedLines.map(line => [line.index, line.discount]), [[0, 92.31], [1, 57.69]]);
+  });
+
+  it('gives nothing when the bundle costs more than the items', () => {
+    const result = evaluateLineOffer(bundle(700), lines, categories);
+
+    assert.equal(result.discount, 0);
+    assert.deepEqual(result.appliedLines, []);
+    assert.equal(result.reason, 'Add 2 qualifying items to your cart to use this offer');
+  });
+
+  it('explains what a bogo needs when the cart has too few items', () => {
+    const result = evaluateLineOffer(bogo(), [lines[0]], categories);
+
+    assert.equal(result.discount, 0);
+    assert.equal(result.reason, 'Add 2 qualifying items to your cart to use this offer');
+  });
+});
+
+describe('validateOfferConfig', () => {
+  it('accepts a complete bogo offer', () => {
+    assert.deepEqual(validateOfferConfig(bogo()), []);
+  });
+
+  it('lists everything missing from a bundle', () => {
+    assert.deepEqual(validateOfferConfig({ discountType: 'bundle', bundle: { rule: { items: [] }, quantity: 1 } }), [
+      'Bundle offers need items or categories in the bundle',
+      'Bundle offers need a quantity of at least 2',
+      'Bundle offers need a bundle price greater than 0'
+    ]);
+  });
+
+  it('needs a threshold for a free item', () => {
+    assert.deepEqual(validateOfferConfig({ discountType: 'free_item', freeItem: { menuItem: drinkId } }), [
+      'Free item offers need a minOrderValue threshold'
+    ]);
+  });
+});
+
+describe('getReferencedMenuItems', () => {
+  it('lists each menu item the rules name once', () => {
+    const offer = bogo({
+      applicableItems: [pizzaId],
+      bogo: { buy: { items: [pizzaId] }, get: { items: [pizzaId, drinkId] } }
+    });
+
+    assert.deepEqual(getReferencedMenuItems(offer), [pizzaId.toString(), drinkId.toString()]);
+  });
+});
@@ -0,0 +1,287 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const OfferRedemption = require('../models/OfferRedemption');
+const {
+  allocateDiscount,
+  evaluateOffer,
+  rankOffers,
+  redeemOffer,
+  releaseOfferRedemption
+} = require('../services/offerService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeOffer = (overrides = {}) => new Offer({
+  title: '20% off',
+  code: 'SAVE20',
+  description: '20% off your order',
+  discountType: 'percentage',
+  discountValue: 20,
+  validFrom: new Date(Date.now() - DAY),
+  validUntil: new Date(Date.now() + DAY),
+  ...overrides
+});
+
+const pizzaId = new mongoose.Types.ObjectId();
+const drinkId = new mongoose.Types.ObjectId();
+const items = [
+  { menuItemId: pizzaId, name: 'Margherita', quantity: 2, basePrice: 300, totalItemPrice: 300 },
+  { menuItemId: drinkId, name: 'Cola', quantity: 1, basePrice: 60, totalItemPrice: 60 }
+];
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// Line categories are looked up with MenuItem.find().select('category')
+const stubCategories = () => mock.method(MenuItem, 'find', () => ({
+  select: async () => [
+    { _id: pizzaId, category: 'Pizza' },
+    { _id: drinkId, category: 'Cold Drink' }
+  ]
+}));
+
+describe('allocateDiscount', () => {
+  it('splits the discount in proportion to the line totals', () => {
+    const lines = allocateDiscount(30, [{ lineTotal: 200 }, { lineTotal: 100 }]);
+
+    assert.deepEqual(lines.map(line => line.discount), [20, 10]);
+  });
+
+  it('gives the rounding remainder to the last line', () => {
+    const lines = allocateDiscount(10, [{ lineTotal: 100 }, { lineTotal: 100 }, { lineTotal: 100 }]);
+
+    assert.deepEqual(lines.map(line => line.discount), [3.33, 3.33, 3.34]);
+  });
+
+  it('returns no lines when nothing is eligible', () => {
+    assert.deepEqual(allocateDiscount(10, []), []);
+  });
+});
+
+describe('evaluateOffer', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('discounts the whole order and caps it at maxDiscountAmount', async () => {
+    const result = await evaluateOffer(makeOffer({ maxDiscountAmount: 100 }), { orderAmount: 660, user, items });
+
+    assert.equal(result.discount, 100);
+    assert.equal(result.eligibleAmount, 660);
+    assert.deepEqual(result.appliedLines.map(line => line.discount), [90.91, 9.09]);
+    assert.deepEqual(result.excludedLines, []);
+  });
+
+  it('only discounts lines in the offer categories', async () => {
+    stubCategories();
+
+    const result = await evaluateOffer(makeOffer({ applicableCategories: ['pizza'] }), { orderAmount: 660, user, items });
+
+    assert.equal(result.eligibleAmount, 600);
+    assert.equal(result.discount, 120);
+    assert.deepEqual(result.appliedLines.map(line => [line.name, line.discount]), [['Margherita', 120]]);
+    assert.deepEqual(result.excludedLines.map(line => line.name), ['Cola']);
+  });
+
+  it('rejects a scoped offer when no line is eligible', async () => {
+    stubCategories();
+
+    await assert.rejects(
+      evaluateOffer(makeOffer({ applicableCategories: ['Burger'] }), { orderAmount: 660, user, items }),
+      error => error.statusCode === 400 && error.excludedLines.length === 2
+    );
+  });
+
+  it('rejects an order below the minimum order value', async () => {
+    await assert.rejects(
+      evaluateOffer(makeOffer({ minOrderValue: 1000 }), { orderAmount: 660, user, items }),
+      { statusCode: 400, message: 'Minimum order amount is ₹1000' }
+    );
+  });
+
+  describe('free item threshold', () => {
+    // A cola free on orders of ₹600 or more; the cart's ₹660 includes the cola itself
+    const freeCola = (minOrderValue) => makeOffer({
+      code: 'FREECOLA',
+      discountType: 'free_item',
+      discountValue: 0,
+      freeItem: { menuItem: drinkId, quantity: 1 },
+      minOrderValue
+    });
+
+    it('does not count the free item towards the minimum order value', async () => {
+      stubCategories();
+
+      await assert.rejects(
+        evaluateOffer(freeCola(650), { orderAmount: 660, user, items }),
+        { statusCode: 400, message: 'Minimum order amount is ₹650, not counting the free item' }
+      );
+    });
+
+    it('gives the item when the rest of the order reaches the minimum', async () => {
+      stubCategories();
+
+      const result = await evaluateOffer(freeCola(600), { orderAmount: 660, user, items });
+
+      assert.equal(result.discount, 60);
+      assert.deepEqual(result.appliedLines.map(line => line.name), ['Cola']);
+    });
+  });
+
+  it('rejects an expired offer', async () => {
+    const offer = makeOffer({ validFrom: new Date(Date.now() - 2 * DAY), validUntil: new Date(Date.now() - DAY) });
+
+    await assert.rejects(evaluateOffer(offer, { orderAmount: 660, user, items }), { statusCode: 400 });
+  });
+
+  it('rejects a new-user offer for a customer with a live order', async () => {
+    const exists = mock.method(Order, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+    await assert.rejects(
+      evaluateOffer(makeOffer({ isNewUserOffer: true }), { orderAmount: 660, user, items }),
+      { statusCode: 403, message: 'This offer is only for new users' }
+    );
+    assert.deepEqual(exists.mock.calls[0].arguments[0], {
+      customer: user._id,
+      status: { $nin: ['Cancelled', 'Rejected'] }
+    });
+  });
+
+  it('rejects a customer who reached the per-customer limit', async () => {
+    mock.method(OfferRedemption, 'countDocuments', async () => 1);
+
+    await assert.rejects(
+      evaluateOffer(makeOffer({ perUserLimit: 1 }), { orderAmount: 660, user, items }),
+      { statusCode: 403 }
+    );
+  });
+
+  it('only checks the cart rules for an offer the order already redeemed', async () => {
+    const countDocuments = mock.method(OfferRedemption, 'countDocuments', async () => 1);
+
+    const result = await evaluateOffer(
+      makeOffer({ perUserLimit: 1 }),
+      { orderAmount: 660, user, items },
+      { redeemed: true }
+    );
+
+    assert.equal(result.discount, 132);
+    assert.equal(countDocuments.mock.callCount(), 0);
+  });
+});
+
+describe('rankOffers', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('ranks eligible offers by savings and explains the rest', async () => {
+    const percent = makeOffer();
+    const flat = makeOffer({ code: 'FLAT150', discountType: 'fixed', discountValue: 150, minOrderValue: 500 });
+    const easyFlat = makeOffer({ code: 'EASY150', discountType: 'fixed', discountValue: 150, minOrderValue: 200 });
+    const bigSpender = makeOffer({ code: 'BIG', minOrderValue: 1000 });
+    mock.method(Offer, 'find', () => ({ sort: async () => [percent, flat, bigSpender, easyFlat] }));
+
+    const { best, eligible, ineligible } = await rankOffers({ orderAmount: 660, user, items });
+
+    // On equal savings the offer with the lower minimum comes first
+    assert.deepEqual(eligible.map(evaluation => [evaluation.offer.code, evaluation.discount]), [
+      ['EASY150', 150],
+      ['FLAT150', 150],
+      ['SAVE20', 132]
+    ]);
+    assert.equal(best, eligible[0]);
+    assert.deepEqual(ineligible.map(entry => [entry.offer.code, entry.reason]), [['BIG', 'Minimum order amount is ₹1000']]);
+  });
+
+  it('has no best offer when nothing saves money', async () => {
+    mock.method(Offer, 'find', () => ({ sort: async () => [makeOffer({ minOrderValue: 1000 })] }));
+
+    const { best, eligible } = await rankOffers({ orderAmount: 660, user, items });
+
+    assert.equal(best, null);
+    assert.deepEqual(eligible, []);
+  });
+});
+
+describe('offer redemption', () => {
+  let offer;
+  let counted;
+  let redemptions;
+
+  const makeOrder = () => new Order({
+    orderNumber: 'ORD-1',
+    customer: user._id,
+    customerName: 'Ravi',
+    discounts: { offer: offer._id, amount: 132 },
+    amount: 528
+  });
+
+  beforeEach(() => {
+    offer = makeOffer({ usageLimit: 2, usageCount: 1 });
+    redemptions = [];
+    // Behaves like the conditional increment: only while below usageLimit
+    counted = mock.method(Offer, 'findOneAndUpdate', async (filter, update) => {
+      if (offer.usageLimit !== null && offer.usageCount >= offer.usageLimit) return null;
+      offer.usageCount += update.$inc.usageCount;
+      return offer;
+    });
+    mock.method(Offer, 'updateOne', async (filter, update) => {
+      offer.usageCount += update.$inc.usageCount;
+      return {};
+    });
+    mock.method(OfferRedemption, 'create', async (fields) => {
+      const redemption = new OfferRedemption(fields);
+      redemptions.push(redemption);
+      return redemption;
+    });
+    mock.method(OfferRedemption, 'deleteOne', async ({ _id }) => {
+      redemptions = redemptions.filter(redemption => redemption._id !== _id);
+      return { deletedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('does nothing for an order without an offer', async () => {
+    assert.equal(await redeemOffer(new Order({ orderNumber: 'ORD-1' })), null);
+    assert.equal(counted.mock.callCount(), 0);
+  });
+
+  it('records the use and counts it against the usage limit', async () => {
+    const redemption = await redeemOffer(makeOrder());
+
+    assert.equal(offer.usageCount, 2);
+    assert.equal(redemption.code, 'SAVE20');
+    assert.equal(redemption.discountAmount, 132);
+
+    await assert.rejects(redeemOffer(makeOrder()), { statusCode: 409, message: 'Offer usage limit reached' });
+    assert.equal(redemptions.length, 1);
+  });
+
+  it('takes the use back when the customer went over their limit at the same time', async () => {
+    offer.perUserLimit = 1;
+    mock.method(OfferRedemption, 'countDocuments', async () => 2);
+
+    await assert.rejects(redeemOffer(makeOrder()), { statusCode: 409 });
+    assert.equal(offer.usageCount, 1);
+    assert.deepEqual(redemptions, []);
+  });
+
+  it('releases a use only once', async () => {
+    const held = new OfferRedemption({ offer: offer._id, code: 'SAVE20', order: new mongoose.Types.ObjectId() });
+    const release = mock.method(OfferRedemption, 'findOneAndUpdate', async () => held);
+
+    assert.equal(await releaseOfferRedemption(makeOrder(), 'Order rejected'), held);
+    assert.equal(offer.usageCount, 0);
+    assert.equal(release.mock.calls[0].arguments[1].releaseReason, 'Order rejected');
+
+    release.mock.mockImplementation(async () => null);
+    assert.equal(await releaseOfferRedemption(makeOrder()), null);
+    assert.equal(offer.usageCount, 0);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const OfferRedemption = require('../models/OfferRedemption');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const unifiedNotificationService = require('../services/unifiedNotificationService');
+const {
+  getAcceptDeadline,
+  acceptOrder,
+  rejectOrder,
+  autoRejectExpiredOrders
+} = require('../services/orderAcceptanceService');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin', name: 'Asha' };
+const acceptanceSettings = { autoRejectAfterMinutes: 10, defaultPrepTimeMinutes: 20, deliveryTimeMinutes: 30 };
+
+const makeOrder = (overrides = {}) => ({
+  orderNumber: 'ORD-1',
+  status: 'Pending',
+  orderType: 'delivery',
+  paymentMethod: 'Cash on Delivery',
+  paymentStatus: 'Pending',
+  amount: 420,
+  acceptBy: new Date(),
+  statusUpdates: [],
+  ...overrides
+});
+
+const captureError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected an error');
+};
+
+describe('getAcceptDeadline', () => {
+  it('gives the kitchen the configured minutes from when the order started waiting', () => {
+    const from = new Date('2026-10-20T12:00:00Z');
+
+    assert.equal(getAcceptDeadline(acceptanceSettings, from).toISOString(), '2026-10-20T12:10:00.000Z');
+  });
+
+  it('sets no deadline when auto-reject is off', () => {
+    assert.equal(getAcceptDeadline({ ...acceptanceSettings, autoRejectAfterMinutes: 0 }), undefined);
+  });
+});
+
+describe('acceptOrder', () => {
+  it('accepts with the default prep time and estimates delivery', () => {
+    const before = Date.now();
+    const order = acceptOrder(makeOrder(), { user: admin, acceptanceSettings });
+
+    assert.equal(order.status, 'Accepted');
+    assert.equal(order.acceptance.prepTimeMinutes, 20);
+    assert.equal(order.acceptance.acceptedBy, admin._id);
+    assert.equal(order.acceptBy, undefined);
+    assert.ok(order.estimatedDeliveryTime.getTime() >= before + 50 * 60000);
+    assert.equal(order.statusUpdates[0].note, 'Accepted by Asha - ready in about 20 minutes');
+  });
+
+  it('rejects a prep time outside 1 to 240 minutes', () => {
+    for (const prepTimeMinutes of [0, 241, 'soon']) {
+      const error = captureError(() => acceptOrder(makeOrder(), { user: admin, prepTimeMinutes, acceptanceSettings }));
+      assert.equal(error.statusCode, 400);
+    }
+  });
+
+  it('only accepts pending orders', () => {
+    const error = captureError(() => acceptOrder(makeOrder({ status: 'Cancelled' }), { user: admin, acceptanceSettings }));
+
+    assert.equal(error.statusCode, 409);
+  });
+});
+
+describe('rejectOrder', () => {
+  it('needs a reason', () => {
+    assert.equal(captureError(() => rejectOrder(makeOrder(), { user: admin, reason: '  ' })).statusCode, 400);
+  });
+
+  it('records who rejected it and leaves cash orders without a refund', () => {
+    const order = rejectOrder(makeOrder(), { user: admin, reason: 'Out of mozzarella' });
+
+    assert.equal(order.status, 'Rejected');
+    assert.deepEqual({ ...order.rejection, rejectedAt: undefined }, {
+      rejectedAt: undefined,
+      rejectedBy: admin._id,
+      reason: 'Out of mozzarella',
+      automatic: false
+    });
+    assert.equal(order.refund, undefined);
+  });
+
+  it('requests a refund for a prepaid order', () => {
+    const order = rejectOrder(makeOrder({ paymentMethod: 'Online', paymentStatus: 'Completed' }), {
+      reason: 'Kitchen closed early'
+    });
+
+    assert.equal(order.rejection.automatic, true);
+    assert.equal(order.statusUpdates[0].note, 'Rejected automatically: Kitchen closed early');
+    assert.equal(order.refund.status, 'Requested');
+    assert.equal(order.refund.amount, 420);
+  });
+});
+
+describe('autoRejectExpiredOrders', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects overdue pending orders and carries on past one that fails', async () => {
+    const overdue = makeOrder({ save: async () => overdue });
+    const broken = makeOrder({
+      orderNumber: 'ORD-2',
+      save: async () => {
+        throw new Error('write conflict');
+      }
+    });
+    const find = mock.method(Order, 'find', async () => [broken, overdue]);
+    mock.method(OfferRedemption, 'findOneAndUpdate', async () => null);
+    mock.method(Transaction, 'find', () => ({ sort: async () => [] }));
+    mock.method(Refund, 'find', async () => []);
+    mock.method(unifiedNotificationService, 'sendOrderUpdateNotification', async () => ({ success: true }));
+
+    assert.equal(await autoRejectExpiredOrders(null), 1);
+    assert.equal(find.mock.calls[0].arguments[0].status, 'Pending');
+    assert.equal(overdue.status, 'Rejected');
+    assert.equal(overdue.rejection.reason, 'The restaurant could not confirm your order in time');
+  });
+});
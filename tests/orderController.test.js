@@ -0,0 +1,58 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { placeOrder, reorderOrder } = require('../controllers/orderController');
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'customer', name: 'Ravi' };
+
+// Minimal Express response that records what the handler sent
+const makeResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run an asyncHandler-wrapped controller and return the response and any error passed to next
+const run = async (handler, req) => {
+  const res = makeResponse();
+  let error;
+  await handler(req, res, (err) => {
+    error = err;
+  });
+  return { res, error };
+};
+
+describe('placeOrder', () => {
+  it('rejects dine-in orders, which need a table', async () => {
+    const { res, error } = await run(placeOrder, {
+      user,
+      body: { items: [{ menuItemId: new mongoose.Types.ObjectId().toString(), quantity: 1 }], orderType: 'dine-in' }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /scanning the QR code on your table/);
+  });
+});
+
+describe('reorderOrder', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('rejects reordering for dine-in', async () => {
+    mock.method(Order, 'findById', async () => ({ customer: user._id, orderType: 'dine-in', items: [] }));
+
+    const { res, error } = await run(reorderOrder, { user, params: { id: 'order-1' }, body: {} });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(error.message, /choose delivery or pickup to reorder/);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Business = require('../models/Business');
+const Order = require('../models/Order');
+const { getActor } = require('../services/orderStatusService');
+const { modifyOrder } = require('../services/orderModificationService');
+
+const pizza = new MenuItem({
+  name: 'Margherita',
+  description: 'Tomato and mozzarella',
+  price: 250,
+  category: 'Pizza',
+  image: 'margherita.jpg',
+  sizeType: 'multiple',
+  sizeVariations: [
+    { size: 'Medium', price: 250 },
+    { size: 'Large', price: 400 }
+  ]
+});
+
+const settings = new Business({
+  businessInfo: { name: 'Test Pizza' },
+  taxSettings: { gstPercentage: 5, applyGST: true },
+  deliveryCharges: { fixedCharge: 40, freeDeliveryThreshold: 500, applyToAllOrders: false },
+  minimumOrderValue: 200
+});
+
+const admin = getActor({ _id: new mongoose.Types.ObjectId(), role: 'admin', name: 'Asha' });
+const customer = getActor({ _id: new mongoose.Types.ObjectId(), role: 'customer', name: 'Ravi' });
+
+// Two medium pizzas ordered when they were ₹200 each, so untouched lines show the old price
+const makeOrder = (overrides = {}) => new Order({
+  customer: customer.id,
+  customerName: 'Ravi',
+  orderType: 'pickup',
+  status: 'Pending',
+  paymentMethod: 'Online',
+  paymentStatus: 'Completed',
+  items: [{ menuItemId: pizza._id, name: 'Margherita', size: 'Medium', quantity: 2, price: 200, totalItemPrice: 200 }],
+  subTotal: 400,
+  tax: 20,
+  taxPercentage: 5,
+  deliveryFee: 0,
+  amount: 420,
+  ...overrides
+});
+
+const lineId = (order) => order.items[0]._id.toString();
+
+describe('modifyOrder', () => {
+  beforeEach(() => {
+    mock.method(MenuItem, 'find', async () => [pizza]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps untouched lines at their old price and asks for the balance on a prepaid order', async () => {
+    const order = makeOrder();
+
+    const result = await modifyOrder(order, {
+      add: [{ menuItemId: pizza._id.toString(), quantity: 1, size: 'Large' }]
+    }, { actor: customer, settings });
+
+    assert.deepEqual(order.items.map(item => [item.size, item.quantity, item.price]), [['Medium', 2, 200], ['Large', 1, 400]]);
+    assert.equal(order.subTotal, 800);
+    assert.equal(order.amount, 840);
+    assert.equal(order.totalItemsCount, 3);
+    assert.equal(result.balanceDue, 420);
+    assert.equal(result.refundDue, 0);
+    assert.equal(order.balanceDue, 420);
+    assert.match(order.statusUpdates[0].note, /added 1× Margherita\. Total ₹420 → ₹840, balance due ₹420/);
+  });
+
+  it('re-prices a changed line and requests a refund for the difference', async () => {
+    const order = makeOrder();
+    const originalLineId = lineId(order);
+
+    const result = await modifyOrder(order, {
+      update: [{ lineId: originalLineId, quantity: 1 }]
+    }, { actor: customer, settings });
+
+    assert.equal(order.items[0]._id.toString(), originalLineId);
+    assert.equal(order.items[0].price, 250);
+    assert.equal(order.amount, 262.5);
+    assert.equal(result.refundDue, 157.5);
+    assert.equal(order.refund.status, 'Requested');
+    assert.equal(order.refund.amount, 157.5);
+  });
+
+  it('settles a cash order at the door rather than with a balance or refund', async () => {
+    const order = makeOrder({ paymentMethod: 'Cash on Delivery', paymentStatus: 'Pending' });
+
+    const result = await modifyOrder(order, {
+      add: [{ menuItemId: pizza._id.toString(), quantity: 1, size: 'Medium' }]
+    }, { actor: customer, settings });
+
+    assert.equal(result.difference, 262.5);
+    assert.equal(result.balanceDue, 0);
+    assert.equal(result.refundDue, 0);
+  });
+
+  it('lets only admins change an order the kitchen has accepted', async () => {
+    const changes = { notes: 'Ring the bell' };
+
+    await assert.rejects(
+      modifyOrder(makeOrder({ status: 'Accepted' }), changes, { actor: customer, settings }),
+      { statusCode: 409, details: { code: 'ORDER_NOT_EDITABLE', status: 'Accepted' } }
+    );
+
+    const order = makeOrder({ status: 'Accepted' });
+    await modifyOrder(order, changes, { actor: admin, settings });
+    assert.equal(order.notes, 'Ring the bell');
+  });
+
+  it('refuses to change an order while its refund is being paid out', async () => {
+    await assert.rejects(
+      modifyOrder(makeOrder({ refund: { status: 'Processing', amount: 100 } }), { notes: 'x' }, { actor: admin, settings }),
+      { statusCode: 409, details: { code: 'REFUND_IN_PROGRESS' } }
+    );
+  });
+
+  it('rejects unknown lines and removing every line', async () => {
+    const order = makeOrder();
+
+    await assert.rejects(
+      modifyOrder(order, { remove: [new mongoose.Types.ObjectId().toString()] }, { actor: customer, settings }),
+      { statusCode: 404 }
+    );
+    await assert.rejects(
+      modifyOrder(order, { remove: [lineId(order)] }, { actor: customer, settings }),
+      { statusCode: 400, details: { code: 'NO_ITEMS_LEFT' } }
+    );
+    await assert.rejects(modifyOrder(order, {}, { actor: customer, settings }), { statusCode: 400 });
+  });
+
+  it('only takes a delivery address on delivery orders', async () => {
+    await assert.rejects(
+      modifyOrder(makeOrder(), { address: { street: '1 MG Road' } }, { actor: customer, settings }),
+      { statusCode: 400, message: 'A pickup order has no delivery address' }
+    );
+  });
+});
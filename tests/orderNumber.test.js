@@ -0,0 +1,47 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../models/Counter');
+const { getLocalDateKey, resolveSettings, generateOrderNumber } = require('../utils/orderNumber');
+
+describe('getLocalDateKey', () => {
+  it('dates the order by the shop\'s calendar day', () => {
+    // 20:00 UTC on the 19th is already the 20th in India
+    const lateEvening = new Date('2026-10-19T20:00:00Z');
+
+    assert.equal(getLocalDateKey(lateEvening, 'Asia/Kolkata'), '20261020');
+    assert.equal(getLocalDateKey(lateEvening, 'America/New_York'), '20261019');
+  });
+});
+
+describe('resolveSettings', () => {
+  it('fills in whatever the business left unset', () => {
+    assert.deepEqual(resolveSettings({ prefix: 'NP' }), { prefix: 'NP', sequenceWidth: 3, timezone: 'Asia/Kolkata' });
+    assert.deepEqual(resolveSettings(), { prefix: 'PZ', sequenceWidth: 3, timezone: 'Asia/Kolkata' });
+  });
+});
+
+describe('generateOrderNumber', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('numbers orders from the day\'s counter', async () => {
+    const nextSequence = mock.method(Counter, 'nextSequence', async () => 7);
+
+    const orderNumber = await generateOrderNumber(undefined, new Date('2026-10-19T20:00:00Z'));
+
+    assert.equal(orderNumber, 'PZ20261020007');
+    assert.equal(nextSequence.mock.calls[0].arguments[0], 'orderNumber:20261020');
+  });
+
+  it('uses the configured prefix and width and grows past it on busy days', async () => {
+    const settings = { prefix: 'NP', sequenceWidth: 4, timezone: 'UTC' };
+    const date = new Date('2026-10-19T20:00:00Z');
+
+    const nextSequence = mock.method(Counter, 'nextSequence', async () => 42);
+    assert.equal(await generateOrderNumber(settings, date), 'NP202610190042');
+
+    nextSequence.mock.mockImplementation(async () => 12345);
+    assert.equal(await generateOrderNumber(settings, date), 'NP2026101912345');
+  });
+});
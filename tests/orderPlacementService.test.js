@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Offer = require('../models/Offer');
+const Counter = require('../models/Counter');
+const Business = require('../models/Business');
+const Cart = require('../models/Cart');
+const unifiedNotificationService = require('../services/unifiedNotificationService');
+const { createOrder } = require('../services/orderPlacementService');
+
+const makeQuote = (overrides = {}) => ({
+  orderType: 'pickup',
+  items: [{ menuItemId: new mongoose.Types.ObjectId(), name: 'Margherita', quantity: 1, price: 250, totalItemPrice: 250 }],
+  amount: 262.5,
+  subTotal: 250,
+  tax: 12.5,
+  taxPercentage: 5,
+  deliveryFee: 0,
+  discounts: { amount: 0 },
+  fullAddress: null,
+  schedule: null,
+  appliedBusinessSettings: {},
+  ...overrides
+});
+
+const details = { customer: new mongoose.Types.ObjectId(), customerName: 'Ravi', paymentMethod: 'Cash on Delivery' };
+
+describe('createOrder', () => {
+  let saved;
+  let notify;
+
+  beforeEach(() => {
+    saved = [];
+    mock.method(Order.prototype, 'save', async function () {
+      saved.push(this);
+      return this;
+    });
+    mock.method(Business, 'findOne', () => ({
+      select: async () => new Business({ orderAcceptance: { autoRejectAfterMinutes: 10 } })
+    }));
+    notify = mock.method(unifiedNotificationService, 'sendNewOrderNotificationToAdmins', async () => ({ success: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('saves the quoted order with an accept deadline and tells the admins', async () => {
+    const before = Date.now();
+    const order = await createOrder(makeQuote(), details, { notificationName: 'Ravi (Table 4)' });
+
+    assert.equal(saved.length, 1);
+    assert.equal(order.orderType, 'pickup');
+    assert.equal(order.amount, 262.5);
+    assert.equal(order.customerName, 'Ravi');
+    assert.equal(order.deliveryAgentName, 'Unassigned');
+    assert.ok(order.acceptBy.getTime() >= before + 10 * 60000);
+    assert.equal(notify.mock.calls[0].arguments[0].customerName, 'Ravi (Table 4)');
+  });
+
+  it('takes the ordered lines out of the customer\'s saved cart', async () => {
+    const findCart = mock.method(Cart, 'findOne', async () => null);
+    const cartOwner = { _id: details.customer, role: 'customer' };
+
+    await createOrder(makeQuote(), details, { cartOwner });
+
+    assert.deepEqual(findCart.mock.calls[0].arguments[0], { user: cartOwner._id });
+  });
+
+  it('holds a scheduled order in its slot', async () => {
+    const slotStart = new Date('2026-10-20T14:00:00Z');
+    const incrementIfBelow = mock.method(Counter, 'incrementIfBelow', async () => true);
+
+    const order = await createOrder(makeQuote({
+      schedule: { scheduledFor: slotStart, slotStart, releaseAt: new Date('2026-10-20T13:15:00Z') }
+    }), details);
+
+    assert.equal(order.status, 'Scheduled');
+    assert.equal(order.acceptBy, undefined);
+    assert.equal(incrementIfBelow.mock.calls[0].arguments[0], `slot:${slotStart.toISOString()}`);
+  });
+
+  it('rejects a scheduled order when its slot is full', async () => {
+    const slotStart = new Date('2026-10-20T14:00:00Z');
+    mock.method(Counter, 'incrementIfBelow', async () => false);
+
+    await assert.rejects(
+      createOrder(makeQuote({ schedule: { scheduledFor: slotStart, slotStart, releaseAt: slotStart } }), details),
+      { statusCode: 409, details: { code: 'SLOT_FULL' } }
+    );
+    assert.equal(saved.length, 0);
+  });
+
+  it('removes the order again when its offer ran out', async () => {
+    mock.method(Offer, 'findOneAndUpdate', async () => null);
+    const deleteOne = mock.method(Order, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    await assert.rejects(
+      createOrder(makeQuote({ discounts: { offer: new mongoose.Types.ObjectId(), amount: 50 } }), details),
+      { statusCode: 409, message: 'Offer usage limit reached' }
+    );
+    assert.equal(deleteOne.mock.callCount(), 1);
+    assert.equal(notify.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { getActor, transitionOrder } = require('../services/orderStatusService');
+
+const makeOrder = (status, orderType = 'delivery') => ({ status, orderType, statusUpdates: [] });
+
+const admin = getActor({ _id: new mongoose.Types.ObjectId(), role: 'admin', name: 'Asha' });
+const customer = getActor({ _id: new mongoose.Types.ObjectId(), role: 'customer', name: 'Ravi' });
+const system = getActor();
+
+const captureError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected an error');
+};
+
+describe('transitionOrder', () => {
+  it('moves the order and records who moved it', () => {
+    const order = transitionOrder(makeOrder('Pending'), 'Accepted', { actor: admin });
+
+    assert.equal(order.status, 'Accepted');
+    assert.equal(order.statusUpdates.length, 1);
+    assert.equal(order.statusUpdates[0].status, 'Accepted');
+    assert.equal(order.statusUpdates[0].note, 'Status updated to Accepted by admin');
+    assert.equal(order.statusUpdates[0].actor, admin.id);
+    assert.equal(order.statusUpdates[0].actorRole, 'admin');
+    assert.equal(order.statusUpdates[0].actorName, 'Asha');
+  });
+
+  it('keeps a note given by the caller', () => {
+    const order = transitionOrder(makeOrder('Pending'), 'Rejected', { actor: system, note: 'Not accepted in time' });
+
+    assert.equal(order.statusUpdates[0].note, 'Not accepted in time');
+    assert.equal(order.statusUpdates[0].actorRole, 'system');
+  });
+
+  it('rejects a transition the role may not make with the allowed statuses', () => {
+    const order = makeOrder('Pending');
+    const error = captureError(() => transitionOrder(order, 'Accepted', { actor: customer }));
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.message, 'Order cannot move from Pending to Accepted');
+    assert.deepEqual(error.details, {
+      currentStatus: 'Pending',
+      requestedStatus: 'Accepted',
+      allowedStatuses: ['Cancelled']
+    });
+    assert.equal(order.status, 'Pending');
+    assert.equal(order.statusUpdates.length, 0);
+  });
+
+  it('rejects moving an order to the status it already has', () => {
+    const error = captureError(() => transitionOrder(makeOrder('Delivered'), 'Delivered', { actor: admin }));
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.message, 'Order is already Delivered');
+    assert.deepEqual(error.details.allowedStatuses, []);
+  });
+
+  it('only offers statuses that fit the order type', () => {
+    const error = captureError(() => transitionOrder(makeOrder('Accepted', 'pickup'), 'Out for delivery', { actor: admin }));
+
+    assert.equal(error.statusCode, 409);
+    assert.deepEqual(error.details.allowedStatuses, ['Preparing', 'Ready for pickup', 'Cancelled']);
+  });
+
+  it('rejects an unknown status with 400', () => {
+    const error = captureError(() => transitionOrder(makeOrder('Pending'), 'Lost', { actor: admin }));
+
+    assert.equal(error.statusCode, 400);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_GATEWAY = 'fake';
+
+const { toPaise, getPaymentGateway } = require('../services/paymentGateway');
+
+const gateway = getPaymentGateway();
+
+const checkout = (response) => ({
+  orderId: response.razorpay_order_id,
+  paymentId: response.razorpay_payment_id,
+  signature: response.razorpay_signature
+});
+
+describe('toPaise', () => {
+  it('rounds rupees to whole paise', () => {
+    assert.equal(toPaise(262.5), 26250);
+    assert.equal(toPaise(0.1 + 0.2), 30);
+  });
+});
+
+describe('fake gateway', () => {
+  afterEach(() => {
+    delete process.env.FAKE_GATEWAY_REFUND_STATUS;
+  });
+
+  it('is picked by PAYMENT_GATEWAY and kept for the process', () => {
+    assert.equal(gateway.name, 'fake');
+    assert.equal(getPaymentGateway(), gateway);
+  });
+
+  it('takes a payment at checkout with a signature only it could have made', async () => {
+    const order = await gateway.createOrder({ amount: 262.5, receipt: 'ORD-1' });
+    const response = gateway.simulatePayment(order.id);
+
+    assert.equal(gateway.verifySignature(checkout(response)), true);
+    assert.equal(gateway.verifySignature({ ...checkout(response), signature: 'forged' }), false);
+
+    const payment = await gateway.fetchPayment(response.razorpay_payment_id);
+    assert.equal(payment.status, 'captured');
+    assert.equal(payment.amount, 262.5);
+    assert.equal((await gateway.fetchOrder(order.id)).status, 'paid');
+  });
+
+  it('captures an authorized payment only for its full amount', async () => {
+    const order = await gateway.createOrder({ amount: 500, receipt: 'ORD-2' });
+    const { razorpay_payment_id: paymentId } = gateway.simulatePayment(order.id, { outcome: 'authorized' });
+
+    await assert.rejects(gateway.capturePayment(paymentId, 400), { statusCode: 400 });
+    assert.equal((await gateway.capturePayment(paymentId, 500)).status, 'captured');
+    await assert.rejects(gateway.capturePayment(paymentId, 500), { statusCode: 400 });
+  });
+
+  it('reports a declined payment the way checkout does', async () => {
+    const order = await gateway.createOrder({ amount: 500, receipt: 'ORD-3' });
+    const { error } = gateway.simulatePayment(order.id, { outcome: 'failed' });
+
+    const payment = await gateway.fetchPayment(error.metadata.payment_id);
+    assert.equal(payment.status, 'failed');
+    assert.equal(payment.errorDescription, error.description);
+    assert.equal((await gateway.fetchOrder(order.id)).status, 'attempted');
+  });
+
+  it('refunds in parts until the payment is fully refunded', async () => {
+    const order = await gateway.createOrder({ amount: 500, receipt: 'ORD-4' });
+    const { razorpay_payment_id: paymentId } = gateway.simulatePayment(order.id);
+
+    assert.equal((await gateway.refund({ paymentId, amount: 200 })).status, 'processed');
+    assert.equal((await gateway.fetchPayment(paymentId)).status, 'captured');
+    await gateway.refund({ paymentId, amount: 300 });
+    assert.equal((await gateway.fetchPayment(paymentId)).status, 'refunded');
+  });
+
+  it('can hold refunds as pending or fail them', async () => {
+    const order = await gateway.createOrder({ amount: 500, receipt: 'ORD-5' });
+    const { razorpay_payment_id: paymentId } = gateway.simulatePayment(order.id);
+
+    process.env.FAKE_GATEWAY_REFUND_STATUS = 'pending';
+    const pending = await gateway.refund({ paymentId, amount: 100 });
+    assert.equal(pending.status, 'pending');
+    assert.equal((await gateway.fetchRefund(paymentId, pending.id)).status, 'processed');
+
+    process.env.FAKE_GATEWAY_REFUND_STATUS = 'failed';
+    await gateway.refund({ paymentId, amount: 400 });
+    assert.equal((await gateway.fetchPayment(paymentId)).status, 'captured');
+  });
+
+  it('answers unknown ids with a gateway-style error', async () => {
+    await assert.rejects(gateway.fetchPayment('pay_missing'), {
+      statusCode: 400,
+      error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' }
+    });
+    await assert.rejects(gateway.fetchOrder('order_missing'), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The in-process gateway, so no payment order leaves the machine
+process.env.PAYMENT_GATEWAY = 'fake';
+
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const { getPaymentGateway } = require('../services/paymentGateway');
+const { createPaymentOrder } = require('../services/paymentService');
+
+const makeOrder = (overrides = {}) => new Order({
+  orderNumber: 'ORD-1',
+  customerName: 'Ravi',
+  orderType: 'pickup',
+  paymentMethod: 'Online',
+  paymentStatus: 'Pending',
+  items: [{ name: 'Margherita', quantity: 1, price: 250 }],
+  amount: 262.5,
+  ...overrides
+});
+
+describe('createPaymentOrder', () => {
+  let createOrder;
+
+  beforeEach(() => {
+    createOrder = mock.method(getPaymentGateway(), 'createOrder');
+    mock.method(Transaction, 'exists', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('starts a gateway order for the order total', async () => {
+    const order = makeOrder();
+
+    const paymentOrder = await createPaymentOrder(order);
+
+    assert.equal(paymentOrder.amount, 262.5);
+    assert.equal(paymentOrder.receipt, 'ORD-1');
+    assert.equal(order.paymentDetails.orderId, paymentOrder.id);
+  });
+
+  it('refuses orders that are not paid online', async () => {
+    for (const paymentMethod of ['Cash on Delivery', 'Pay at table']) {
+      await assert.rejects(createPaymentOrder(makeOrder({ paymentMethod })), {
+        statusCode: 400,
+        details: { code: 'NOT_ONLINE_PAYMENT' }
+      });
+    }
+    assert.equal(createOrder.mock.callCount(), 0);
+  });
+
+  it('refuses orders that are already paid', async () => {
+    await assert.rejects(createPaymentOrder(makeOrder({ paymentStatus: 'Completed' })), {
+      statusCode: 409,
+      details: { code: 'ORDER_ALREADY_PAID' }
+    });
+  });
+
+  it('refuses orders with a payment on record that is still being reviewed', async () => {
+    Transaction.exists.mock.mockImplementation(async () => ({ _id: 'txn_1' }));
+
+    await assert.rejects(createPaymentOrder(makeOrder()), {
+      statusCode: 409,
+      details: { code: 'ORDER_ALREADY_PAID' }
+    });
+    assert.equal(createOrder.mock.callCount(), 0);
+  });
+});
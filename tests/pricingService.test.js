@@ -0,0 +1,354 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const Business = require('../models/Business');
+const { buildQuote, assertChargeable } = require('../services/pricingService');
+
+const pizza = new MenuItem({
+  name: 'Margherita',
+  description: 'Tomato and mozzarella',
+  price: 250,
+  category: 'Pizza',
+  image: 'margherita.jpg',
+  sizeType: 'multiple',
+  sizeVariations: [
+    { size: 'Medium', price: 250 },
+    { size: 'Large', price: 400 }
+  ],
+  addOnGroups: [{
+    id: 'cheese',
+    name: 'Cheese',
+    addOns: [{ id: 'extra-cheese', name: 'Extra Cheese', price: 50 }]
+  }]
+});
+
+// Settings are passed in so buildQuote never loads them; the manual override
+// keeps the shop status independent of the clock
+const makeSettings = ({ open = true } = {}) => new Business({
+  businessInfo: {
+    name: 'Test Pizza',
+    manualOverride: { isActive: true, status: open, reason: open ? '' : 'Closed for a private event' }
+  },
+  taxSettings: { gstPercentage: 5, applyGST: true },
+  deliveryCharges: { fixedCharge: 40, freeDeliveryThreshold: 500, applyToAllOrders: false },
+  minimumOrderValue: 200
+});
+
+const line = (overrides = {}) => ({ menuItemId: pizza._id.toString(), quantity: 1, size: 'Medium', ...overrides });
+
+const captureError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected an error');
+};
+
+describe('buildQuote', () => {
+  beforeEach(() => {
+    mock.method(MenuItem, 'find', async () => [pizza]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prices lines from the menu and ignores client prices', async () => {
+    const quote = await buildQuote({
+      items: [line({ quantity: 2, size: 'Large', price: 1, addOns: [{ id: 'extra-cheese' }] })],
+      settings: makeSettings()
+    });
+
+    assert.deepEqual(quote.errors, []);
+    assert.equal(quote.items[0].totalItemPrice, 450);
+    assert.deepEqual(quote.items[0].addOns, [{ name: 'Extra Cheese', option: 'Extra Cheese', price: 50 }]);
+    assert.equal(quote.subTotal, 900);
+    assert.equal(quote.tax, 45);
+    assert.equal(quote.deliveryFee, 0);
+    assert.equal(quote.amount, 945);
+  });
+
+  it('charges delivery below the free delivery threshold and not for pickup', async () => {
+    const delivery = await buildQuote({ items: [line()], settings: makeSettings() });
+    const pickup = await buildQuote({ items: [line()], orderType: 'pickup', settings: makeSettings() });
+
+    assert.equal(delivery.deliveryFee, 40);
+    assert.equal(delivery.amount, 302.5);
+    assert.equal(pickup.deliveryFee, 0);
+    assert.equal(pickup.amount, 262.5);
+  });
+
+  it('reports lines that cannot be ordered', async () => {
+    const quote = await buildQuote({
+      items: [line(), line({ menuItemId: new mongoose.Types.ObjectId().toString() }), line({ size: 'Small' })],
+      settings: makeSettings()
+    });
+
+    assert.equal(quote.items.length, 1);
+    assert.deepEqual(quote.errors.map(error => [error.index, error.errors[0].code]), [
+      [1, 'ITEM_NOT_FOUND'],
+      [2, 'SIZE_NOT_FOUND']
+    ]);
+  });
+
+  it('reports the minimum order shortfall, except for dine-in', async () => {
+    mock.method(MenuItem, 'find', async () => [new MenuItem({ ...pizza.toObject(), _id: pizza._id, sizeType: 'single', price: 120 })]);
+
+    const delivery = await buildQuote({ items: [line()], settings: makeSettings() });
+    const dineIn = await buildQuote({ items: [line()], orderType: 'dine-in', settings: makeSettings() });
+
+    assert.equal(delivery.minimumOrderShortfall, 80);
+    assert.equal(dineIn.minimumOrderShortfall, 0);
+  });
+
+  it('rejects an unknown order type', async () => {
+    await assert.rejects(
+      buildQuote({ items: [line()], orderType: 'drone', settings: makeSettings() }),
+      { statusCode: 400 }
+    );
+  });
+});
+
+describe('add-on group rules', () => {
+  const buildYourOwn = new MenuItem({
+    name: 'Build Your Own',
+    description: 'Pick a crust and toppings',
+    price: 300,
+    category: 'Pizza',
+    image: 'byo.jpg',
+    sizeType: 'multiple',
+    sizeVariations: [
+      { size: 'Medium', price: 300 },
+      { size: 'Large', price: 450 }
+    ],
+    addOnGroups: [
+      {
+        id: 'crust',
+        name: 'Crust',
+        required: true,
+        addOns: [
+          { id: 'thin', name: 'Thin' },
+          {
+            id: 'pan',
+            name: 'Pan',
+            price: 40,
+            hasSizeSpecificPricing: true,
+            sizePricing: [{ size: 'Large', price: 60 }]
+          }
+        ]
+      },
+      {
+        id: 'toppings',
+        name: 'Toppings',
+        maxSelection: 2,
+        addOns: [
+          { id: 'olives', name: 'Olives', price: 30 },
+          { id: 'onion', name: 'Onion', price: 20 },
+          { id: 'jalapeno', name: 'Jalapeno', price: 30, available: false }
+        ]
+      },
+      {
+        id: 'dips',
+        name: 'Dip',
+        minSelection: 2,
+        maxSelection: 0,
+        addOns: [
+          { id: 'garlic', name: 'Garlic', price: 15 },
+          { id: 'cheesy', name: 'Cheesy', price: 25 }
+        ]
+      }
+    ]
+  });
+
+  const byoLine = (overrides = {}) => ({
+    menuItemId: buildYourOwn._id.toString(),
+    quantity: 1,
+    size: 'Large',
+    customizations: { Crust: 'Pan' },
+    addOns: [{ id: 'garlic' }, { id: 'cheesy' }],
+    ...overrides
+  });
+
+  const lineErrors = async (item) => {
+    const quote = await buildQuote({ items: [item], settings: makeSettings() });
+    return quote.errors.length ? quote.errors[0].errors.map(error => [error.code, error.message]) : [];
+  };
+
+  beforeEach(() => {
+    mock.method(MenuItem, 'find', async () => [buildYourOwn]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('prices a line that meets every group rule, with size pricing', async () => {
+    const quote = await buildQuote({
+      items: [byoLine({ toppings: [{ id: 'olives' }, { id: 'onion' }] })],
+      settings: makeSettings()
+    });
+
+    assert.deepEqual(quote.errors, []);
+    assert.deepEqual(quote.items[0].customizations, [{ name: 'Crust', option: 'Pan', price: 60 }]);
+    // 450 + pan 60 + olives 30 + onion 20 + dips 40
+    assert.equal(quote.items[0].totalItemPrice, 600);
+  });
+
+  it('needs an option from a required group', async () => {
+    assert.deepEqual(await lineErrors(byoLine({ customizations: [] })), [
+      ['GROUP_REQUIRED', 'Please choose a Crust option']
+    ]);
+  });
+
+  it('enforces minimum and maximum selections', async () => {
+    assert.deepEqual(await lineErrors(byoLine({
+      customizations: [{ id: 'thin' }, { id: 'pan' }],
+      toppings: [{ id: 'olives' }, { id: 'onion' }, { name: 'Olives' }],
+      addOns: [{ id: 'garlic' }]
+    })), [
+      ['GROUP_MAX_SELECTION', 'Only one Crust option can be chosen'],
+      ['GROUP_MAX_SELECTION', 'At most 2 Toppings options can be chosen'],
+      ['GROUP_MIN_SELECTION', 'Please choose at least 2 Dip options']
+    ]);
+  });
+
+  it('rejects add-ons that are switched off or not on the item', async () => {
+    assert.deepEqual(await lineErrors(byoLine({ toppings: [{ id: 'jalapeno' }, 'Pineapple'] })), [
+      ['ADDON_NOT_FOUND', 'Pineapple is not an option for Build Your Own'],
+      ['ADDON_UNAVAILABLE', 'Jalapeno is currently unavailable']
+    ]);
+  });
+});
+
+describe('assertChargeable', () => {
+  beforeEach(() => {
+    mock.method(MenuItem, 'find', async () => [pizza]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts a quote whose total matches the client', async () => {
+    const quote = await buildQuote({ items: [line()], settings: makeSettings() });
+
+    assert.doesNotThrow(() => assertChargeable(quote, 302.5));
+    assert.doesNotThrow(() => assertChargeable(quote));
+  });
+
+  it('rejects a stale client total with 409', async () => {
+    const quote = await buildQuote({ items: [line()], settings: makeSettings() });
+    const error = captureError(() => assertChargeable(quote, 290));
+
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.details.code, 'PRICE_MISMATCH');
+    assert.equal(error.details.expectedAmount, 302.5);
+  });
+
+  it('rejects invalid lines with 422', async () => {
+    const quote = await buildQuote({ items: [line({ size: 'Small' })], settings: makeSettings() });
+    const error = captureError(() => assertChargeable(quote));
+
+    assert.equal(error.statusCode, 422);
+    assert.equal(error.details.errors.length, 1);
+  });
+
+  it('rejects an order below the minimum', async () => {
+    const quote = await buildQuote({ items: [line()], settings: makeSettings() });
+    const error = captureError(() => assertChargeable({ ...quote, minimumOrderShortfall: 50 }));
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.details.code, 'BELOW_MINIMUM_ORDER');
+  });
+
+  it('rejects orders while the shop is closed unless shop hours are ignored', async () => {
+    const quote = await buildQuote({ items: [line()], settings: makeSettings({ open: false }) });
+    const error = captureError(() => assertChargeable(quote));
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.details.businessStatus.isOpen, false);
+    assert.doesNotThrow(() => assertChargeable(quote, undefined, { ignoreShopHours: true }));
+  });
+});
+
+describe('delivery zones', () => {
+  // Shop on MG Road, Bengaluru
+  const makeZonedSettings = () => {
+    const settings = makeSettings();
+    settings.businessInfo.location = { latitude: 12.9756, longitude: 77.605 };
+    settings.deliveryZones = [
+      { name: 'Central', zipCodes: ['560001'], fixedCharge: 20, freeDeliveryThreshold: 300 },
+      { name: 'City', radiusKm: 8, fixedCharge: 60 },
+      { name: 'Nearby', radiusKm: 3, fixedCharge: 30 },
+      { name: 'Airport', radiusKm: 40, fixedCharge: 150, isActive: false }
+    ];
+    return settings;
+  };
+
+  // About 5 km north of the shop
+  const address = (overrides = {}) => ({
+    street: '1 Hebbal Road',
+    city: 'Bengaluru',
+    state: 'KA',
+    zipCode: '560024',
+    latitude: 13.0206,
+    longitude: 77.605,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    mock.method(MenuItem, 'find', async () => [pizza]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('charges the tightest radius zone around the address', async () => {
+    const quote = await buildQuote({ items: [line()], address: address(), settings: makeZonedSettings() });
+
+    assert.equal(quote.deliverable, true);
+    assert.equal(quote.deliveryZone.name, 'City');
+    assert.equal(quote.deliveryZone.distanceKm, 5);
+    assert.equal(quote.deliveryFee, 60);
+    assert.equal(quote.appliedBusinessSettings.deliveryZone.fixedCharge, 60);
+  });
+
+  it('lets a zip code zone win over distance, with its own free delivery threshold', async () => {
+    const settings = makeZonedSettings();
+
+    const below = await buildQuote({ items: [line()], address: address({ zipCode: '560001' }), settings });
+    const above = await buildQuote({
+      items: [line({ quantity: 2 })],
+      address: address({ zipCode: '560001' }),
+      settings
+    });
+
+    assert.equal(below.deliveryZone.name, 'Central');
+    assert.equal(below.deliveryFee, 20);
+    assert.equal(above.deliveryFee, 0);
+  });
+
+  it('refuses to charge for an address outside every active zone', async () => {
+    const quote = await buildQuote({
+      items: [line()],
+      address: address({ latitude: 13.1986, longitude: 77.7066 }),
+      settings: makeZonedSettings()
+    });
+
+    assert.equal(quote.deliverable, false);
+    assert.equal(quote.deliveryZone, null);
+    const error = captureError(() => assertChargeable(quote));
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.details.code, 'OUTSIDE_DELIVERY_AREA');
+  });
+
+  it('shows the default charge until there is an address', async () => {
+    const quote = await buildQuote({ items: [line()], settings: makeZonedSettings() });
+
+    assert.equal(quote.deliverable, null);
+    assert.equal(quote.deliveryFee, 40);
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const { claimEvent, handleWebhookEvent } = require('../services/razorpayWebhookService');
+
+const body = { event: 'payment.captured', payload: { payment: { entity: { id: 'pay_123' } } } };
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Simulate a second delivery of an event already on record
+const stubExisting = (existing) => {
+  mock.method(WebhookEvent, 'create', async () => {
+    throw duplicateKeyError();
+  });
+  mock.method(WebhookEvent, 'findOne', async () => existing);
+};
+
+const makeExisting = (status, updatedAt = new Date()) => ({
+  _id: new mongoose.Types.ObjectId(),
+  eventId: 'evt_1',
+  event: body.event,
+  status,
+  updatedAt
+});
+
+describe('claimEvent', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('records a new event', async () => {
+    const created = { eventId: 'evt_1', status: 'processing' };
+    const create = mock.method(WebhookEvent, 'create', async () => created);
+
+    const result = await claimEvent('evt_1', body);
+
+    assert.deepEqual(result, { event: created, duplicate: false });
+    assert.deepEqual(create.mock.calls[0].arguments[0], {
+      eventId: 'evt_1',
+      event: body.event,
+      payload: body.payload
+    });
+  });
+
+  it('reports processed and ignored events as duplicates', async () => {
+    for (const status of ['processed', 'ignored']) {
+      const existing = makeExisting(status);
+      stubExisting(existing);
+
+      assert.deepEqual(await claimEvent('evt_1', body), { event: existing, duplicate: true });
+      mock.restoreAll();
+    }
+  });
+
+  it('reclaims a failed event for another attempt', async () => {
+    const existing = makeExisting('failed');
+    const claimed = { ...existing, status: 'processing' };
+    stubExisting(existing);
+    const findOneAndUpdate = mock.method(WebhookEvent, 'findOneAndUpdate', async () => claimed);
+
+    assert.deepEqual(await claimEvent('evt_1', body), { event: claimed, duplicate: false });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: existing._id, status: 'failed', updatedAt: existing.updatedAt });
+    assert.deepEqual(update, { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } });
+  });
+
+  it('reclaims an event left processing by a delivery that died', async () => {
+    const existing = makeExisting('processing', new Date(Date.now() - 10 * 60000));
+    const claimed = { ...existing, updatedAt: new Date() };
+    stubExisting(existing);
+    mock.method(WebhookEvent, 'findOneAndUpdate', async () => claimed);
+
+    assert.deepEqual(await claimEvent('evt_1', body), { event: claimed, duplicate: false });
+  });
+
+  it('answers 409 while another delivery is processing the event', async () => {
+    stubExisting(makeExisting('processing'));
+    const findOneAndUpdate = mock.method(WebhookEvent, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(claimEvent('evt_1', body), { statusCode: 409, details: { eventId: 'evt_1' } });
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('answers 409 when another delivery reclaimed the event first', async () => {
+    stubExisting(makeExisting('failed'));
+    mock.method(WebhookEvent, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(claimEvent('evt_1', body), { statusCode: 409 });
+  });
+
+  it('passes on errors other than a duplicate key', async () => {
+    mock.method(WebhookEvent, 'create', async () => {
+      throw new Error('connection lost');
+    });
+
+    await assert.rejects(claimEvent('evt_1', body), { message: 'connection lost' });
+  });
+});
+
+describe('handleWebhookEvent payment.captured', () => {
+  let order;
+  let recorded;
+
+  // A captured payment for a ₹262.50 order that the app never confirmed
+  const deliver = (payment) => handleWebhookEvent({
+    eventId: 'evt_1',
+    body: {
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_123', order_id: 'order_abc', currency: 'INR', ...payment } } }
+    }
+  });
+
+  beforeEach(() => {
+    order = new Order({
+      orderNumber: 'ORD-1',
+      customerName: 'Ravi',
+      orderType: 'pickup',
+      paymentMethod: 'Online',
+      paymentStatus: 'Pending',
+      paymentDetails: { orderId: 'order_abc' },
+      items: [{ name: 'Margherita', quantity: 1, price: 250 }],
+      amount: 262.5
+    });
+    mock.method(WebhookEvent, 'create', async () => new WebhookEvent({ eventId: 'evt_1', event: 'payment.captured' }));
+    mock.method(WebhookEvent.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(Order, 'findOne', async () => order);
+    mock.method(Order.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(Transaction, 'findOne', async () => null);
+    recorded = mock.method(Transaction, 'create', async (fields) => fields);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('marks the order paid for exactly the order total', async () => {
+    const result = await deliver({ amount: 26250 });
+
+    assert.equal(result.status, 'processed');
+    assert.equal(order.paymentStatus, 'Completed');
+    assert.equal(recorded.mock.calls[0].arguments[0].amount, 262.5);
+    assert.equal(recorded.mock.calls[0].arguments[0].needsReview, false);
+  });
+
+  it('flags a payment above the order total instead of accepting it', async () => {
+    const result = await deliver({ amount: 26300 });
+
+    assert.equal(result.result, 'transaction recorded, payment flagged for review');
+    assert.equal(order.paymentStatus, 'Pending');
+    assert.equal(recorded.mock.calls[0].arguments[0].needsReview, true);
+    assert.equal(
+      recorded.mock.calls[0].arguments[0].reviewReason,
+      'Payment of ₹263 does not match the order total of ₹262.5'
+    );
+    assert.match(order.statusUpdates[0].note, /flagged for review$/);
+  });
+
+  it('flags a payment a paisa short', async () => {
+    await deliver({ amount: 26249 });
+
+    assert.equal(order.paymentStatus, 'Pending');
+    assert.equal(recorded.mock.calls[0].arguments[0].needsReview, true);
+  });
+
+  it('flags a payment in another currency', async () => {
+    await deliver({ amount: 26250, currency: 'USD' });
+
+    assert.equal(order.paymentStatus, 'Pending');
+    assert.equal(recorded.mock.calls[0].arguments[0].reviewReason, 'Payment was made in USD');
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const unifiedNotificationService = require('../services/unifiedNotificationService');
+const { requestRefund, approveRefund } = require('../services/refundService');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin', name: 'Asha' };
+const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer', name: 'Ravi' };
+
+// A ₹500 prepaid order with no gateway payment on record, so refunds are manual and nothing calls a gateway
+const makeOrder = () => new Order({
+  orderNumber: 'ORD-1',
+  customer: customer._id,
+  customerName: 'Ravi',
+  orderType: 'pickup',
+  paymentMethod: 'Online',
+  paymentStatus: 'Completed',
+  items: [{ name: 'Margherita', quantity: 2, price: 250 }],
+  amount: 500
+});
+
+describe('requestRefund', () => {
+  let refunds;
+  let lockedUntil;
+  let created;
+
+  beforeEach(() => {
+    refunds = [];
+    lockedUntil = null;
+    const payment = { _id: new mongoose.Types.ObjectId(), amount: 500, paymentMethod: 'Cash' };
+
+    // Behaves like the conditional update on the order: only one holder at a time
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      if (lockedUntil && lockedUntil > new Date()) return null;
+      lockedUntil = update.$set.refundLockedUntil;
+      return { _id: filter._id };
+    });
+    mock.method(Order, 'updateOne', async () => {
+      lockedUntil = null;
+      return {};
+    });
+    mock.method(Transaction, 'find', () => ({ sort: async () => [payment] }));
+    mock.method(Transaction, 'create', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(Transaction, 'updateMany', async () => ({}));
+    mock.method(Refund, 'find', async () => refunds.filter(refund => refund.status !== 'Declined'));
+    created = mock.method(Refund, 'create', async (fields) => {
+      const refund = new Refund(fields);
+      refunds.push(refund);
+      return refund;
+    });
+    mock.method(Refund.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(unifiedNotificationService, 'sendOrderUpdateNotification', async () => ({ success: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refunds what is left after earlier refunds when no amount is given', async () => {
+    refunds.push(new Refund({ order: new mongoose.Types.ObjectId(), amount: 200, status: 'Refunded' }));
+
+    const refund = await requestRefund(makeOrder(), { reason: 'Cold pizza', source: 'admin', user: admin });
+
+    assert.equal(refund.amount, 300);
+    assert.equal(refund.type, 'partial');
+    assert.equal(refund.status, 'Refunded');
+    assert.equal(lockedUntil, null);
+  });
+
+  it('rejects amounts above what is still refundable', async () => {
+    refunds.push(new Refund({ order: new mongoose.Types.ObjectId(), amount: 200, status: 'Processing' }));
+
+    await assert.rejects(
+      requestRefund(makeOrder(), { amount: 300.01, reason: 'Cold pizza', source: 'admin', user: admin }),
+      { statusCode: 400, details: { code: 'INVALID_REFUND_AMOUNT', refundable: 300 } }
+    );
+    await assert.rejects(
+      requestRefund(makeOrder(), { amount: 0, reason: 'Cold pizza', source: 'admin', user: admin }),
+      { statusCode: 400, details: { code: 'INVALID_REFUND_AMOUNT', refundable: 300 } }
+    );
+    assert.equal(created.mock.callCount(), 0);
+    assert.equal(lockedUntil, null, 'the order is released after a failed check');
+  });
+
+  it('refuses once everything has been refunded', async () => {
+    refunds.push(new Refund({ order: new mongoose.Types.ObjectId(), amount: 500, status: 'Pending Approval' }));
+
+    await assert.rejects(
+      requestRefund(makeOrder(), { reason: 'Cold pizza', source: 'admin', user: admin }),
+      { statusCode: 409, details: { code: 'NOTHING_TO_REFUND' } }
+    );
+  });
+
+  it('holds a manual refund asked for by a customer for an admin', async () => {
+    const order = makeOrder();
+
+    const refund = await requestRefund(order, { amount: 100, reason: 'Missing dip', source: 'dispute', user: customer });
+
+    assert.equal(refund.status, 'Pending Approval');
+    assert.equal(order.refund.status, 'Requested');
+    assert.equal(Transaction.create.mock.callCount(), 0);
+  });
+
+  it('lets only one of two requests at once through', async () => {
+    const order = makeOrder();
+    const options = { reason: 'Cold pizza', source: 'admin', user: admin };
+
+    const results = await Promise.allSettled([requestRefund(order, options), requestRefund(order, options)]);
+
+    assert.equal(results[0].status, 'fulfilled');
+    assert.equal(results[0].value.amount, 500);
+    assert.equal(results[1].status, 'rejected');
+    assert.equal(results[1].reason.statusCode, 409);
+    assert.equal(results[1].reason.details.code, 'REFUND_IN_PROGRESS');
+    assert.equal(created.mock.callCount(), 1);
+
+    await assert.rejects(requestRefund(order, options), { details: { code: 'NOTHING_TO_REFUND' } });
+  });
+
+  it('approves a waiting refund only once', async () => {
+    const order = makeOrder();
+    const refund = await requestRefund(order, { amount: 100, reason: 'Missing dip', source: 'dispute', user: customer });
+    const reviews = mock.method(Refund, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await approveRefund(refund, order, admin, { amount: 120 });
+
+    assert.equal(refund.status, 'Refunded');
+    assert.equal(refund.amount, 120);
+    assert.deepEqual(reviews.mock.calls[0].arguments[0], { _id: refund._id, status: 'Pending Approval' });
+
+    // Another admin approving the same copy a moment later
+    const stale = new Refund({ ...refund.toObject(), status: 'Pending Approval' });
+    reviews.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    await assert.rejects(approveRefund(stale, order, admin), { statusCode: 409 });
+    assert.equal(Transaction.create.mock.callCount(), 1);
+  });
+});
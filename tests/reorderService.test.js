@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+const { toCartLine, buildReorder } = require('../services/reorderService');
+
+const pizza = new MenuItem({
+  name: 'Margherita',
+  description: 'Tomato and mozzarella',
+  price: 250,
+  category: 'Pizza',
+  image: 'margherita.jpg',
+  sizeType: 'multiple',
+  sizeVariations: [
+    { size: 'Medium', price: 250 },
+    { size: 'Large', price: 400 }
+  ],
+  addOnGroups: [{
+    id: 'cheese',
+    name: 'Cheese',
+    addOns: [
+      { id: 'extra-cheese', name: 'Extra Cheese', price: 50 },
+      { id: 'smoked-cheese', name: 'Smoked Cheese', price: 60, available: false }
+    ]
+  }]
+});
+
+const orderLine = (overrides = {}) => ({
+  menuItemId: pizza._id,
+  name: 'Margherita',
+  size: 'Medium',
+  quantity: 1,
+  price: 250,
+  totalItemPrice: 250,
+  ...overrides
+});
+
+describe('toCartLine', () => {
+  it('turns an order line back into what the cart sends', () => {
+    assert.deepEqual(toCartLine(orderLine({
+      size: 'Not Applicable',
+      quantity: 2,
+      addOns: [{ name: 'Cheese', option: 'Extra Cheese', price: 50 }]
+    })), {
+      menuItemId: pizza._id.toString(),
+      name: 'Margherita',
+      quantity: 2,
+      size: undefined,
+      customizations: [],
+      addOns: [{ name: 'Cheese', option: 'Extra Cheese' }],
+      toppings: [],
+      specialInstructions: ''
+    });
+  });
+});
+
+describe('buildReorder', () => {
+  beforeEach(() => {
+    mock.method(MenuItem, 'find', async () => [pizza]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('re-prices every line at today\'s menu and totals the difference', async () => {
+    const reorder = await buildReorder({
+      items: [
+        orderLine({ quantity: 2 }),
+        orderLine({ size: 'Large', price: 350, totalItemPrice: 350 })
+      ]
+    });
+
+    assert.deepEqual(reorder.lines.map(line => [line.status, line.unitPrice, line.priceDifference]), [
+      ['unchanged', 250, 0],
+      ['price_changed', 400, 50]
+    ]);
+    assert.equal(reorder.items.length, 2);
+    assert.equal(reorder.previousSubTotal, 850);
+    assert.equal(reorder.subTotal, 900);
+    assert.equal(reorder.difference, 50);
+    assert.equal(reorder.changedCount, 1);
+  });
+
+  it('drops add-ons that are gone or switched off and keeps the rest of the line', async () => {
+    const reorder = await buildReorder({
+      items: [orderLine({
+        price: 360,
+        totalItemPrice: 360,
+        addOns: [
+          { name: 'Cheese', option: 'Extra Cheese', price: 50 },
+          { name: 'Cheese', option: 'Smoked Cheese', price: 60 },
+          { name: 'Pineapple', price: 30 }
+        ]
+      })]
+    });
+
+    const [line] = reorder.lines;
+    assert.equal(line.status, 'modified');
+    assert.equal(line.unitPrice, 300);
+    assert.deepEqual(line.droppedSelections.map(entry => entry.code), ['ADDON_UNAVAILABLE', 'ADDON_NOT_FOUND']);
+    assert.deepEqual(reorder.items[0].addOns, [{ name: 'Cheese', option: 'Extra Cheese' }]);
+  });
+
+  it('leaves out lines whose item or size is no longer on the menu', async () => {
+    const reorder = await buildReorder({
+      items: [
+        orderLine(),
+        orderLine({ size: 'Small', price: 180, totalItemPrice: 180 }),
+        orderLine({ menuItemId: new mongoose.Types.ObjectId(), name: 'Farmhouse' })
+      ]
+    });
+
+    assert.deepEqual(reorder.lines.map(line => line.status), ['unchanged', 'unavailable', 'unavailable']);
+    assert.equal(reorder.items.length, 1);
+    assert.equal(reorder.unavailableCount, 2);
+    assert.equal(reorder.subTotal, 250);
+    assert.equal(reorder.previousSubTotal, 680);
+  });
+});
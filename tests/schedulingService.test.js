@@ -0,0 +1,122 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Business = require('../models/Business');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const unifiedNotificationService = require('../services/unifiedNotificationService');
+const { loadCheckoutSettings } = require('../services/pricingService');
+const {
+  validateScheduledTime,
+  listAvailableSlots,
+  releaseDueScheduledOrders
+} = require('../services/schedulingService');
+
+const everyDay = (open, close) => Object.fromEntries(
+  ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+    .map(day => [day, { open, close, isOpen: true }])
+);
+
+// Open 11:00-23:00 shop time; the tests pass whatever the host timezone is
+const makeSettings = (timezone = 'Asia/Kolkata') => new Business({
+  businessInfo: { name: 'Test Pizza', timezone, hours: everyDay('11:00', '23:00') },
+  scheduling: { enabled: true, maxOrdersPerSlot: 5, minLeadMinutes: 60, maxDaysAhead: 3, releaseLeadMinutes: 45 }
+});
+
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+// Hydrate a stored settings document the way findOne().select(fields) returns it
+const stubSettingsQuery = (stored) => mock.method(Business, 'findOne', () => ({
+  select: async (fields) => Business.hydrate(stored, Object.fromEntries(fields.split(' ').map(field => [field, 1])))
+}));
+
+describe('isOpenAt', () => {
+  it('reads the opening hours in the shop timezone', () => {
+    const settings = makeSettings();
+
+    // 20:00 and 10:00 in India
+    assert.equal(settings.isOpenAt(new Date('2026-10-19T14:30:00Z')), true);
+    assert.equal(settings.isOpenAt(new Date('2026-10-19T04:30:00Z')), false);
+  });
+
+  it('follows a change of shop timezone', () => {
+    const settings = makeSettings('Europe/London');
+
+    assert.equal(settings.isOpenAt(new Date('2026-10-19T14:30:00Z')), true);
+    assert.equal(settings.isOpenAt(new Date('2026-10-19T22:30:00Z')), false);
+  });
+});
+
+describe('loadCheckoutSettings', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('loads the shop timezone with the checkout settings', async () => {
+    stubSettingsQuery({
+      businessInfo: { name: 'Test Pizza', timezone: 'Asia/Dubai', hours: everyDay('11:00', '23:00') },
+      orderNumberSettings: { timezone: 'Asia/Kolkata' }
+    });
+
+    const settings = await loadCheckoutSettings();
+
+    assert.equal(settings.getTimezone(), 'Asia/Dubai');
+  });
+});
+
+describe('validateScheduledTime', () => {
+  it('rejects a time outside the opening hours in the shop timezone', () => {
+    // 23:30 and 15:30 in India - read as UTC they would be the other way round
+    assert.throws(
+      () => validateScheduledTime(makeSettings(), new Date('2026-10-20T18:00:00Z'), NOW),
+      { statusCode: 400, details: { code: 'OUTSIDE_BUSINESS_HOURS' } }
+    );
+    assert.doesNotThrow(() => validateScheduledTime(makeSettings(), new Date('2026-10-20T10:00:00Z'), NOW));
+  });
+});
+
+describe('listAvailableSlots', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lists the slots of the shop-local day with their remaining capacity', async () => {
+    mock.method(Counter, 'find', async () => [{ _id: 'slot:2026-10-20T05:30:00.000Z', seq: 5 }]);
+
+    const slots = await listAvailableSlots(makeSettings(), '2026-10-20', NOW);
+
+    // 11:00 to 22:45 India time
+    assert.equal(slots.length, 48);
+    assert.equal(slots[0].start.toISOString(), '2026-10-20T05:30:00.000Z');
+    assert.equal(slots[slots.length - 1].start.toISOString(), '2026-10-20T17:15:00.000Z');
+    assert.equal(slots[0].available, false);
+    assert.equal(slots[1].remaining, 5);
+  });
+});
+
+describe('releaseDueScheduledOrders', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('tells the customer the scheduled time in the shop timezone', async () => {
+    const order = {
+      orderNumber: 'PZ20261020001',
+      customer: 'customer-1',
+      customerName: 'Ravi',
+      amount: 500,
+      status: 'Scheduled',
+      orderType: 'delivery',
+      statusUpdates: [],
+      scheduledFor: new Date('2026-10-20T14:00:00Z'),
+      save: async () => order
+    };
+    mock.method(Order, 'find', async () => [order]);
+    stubSettingsQuery({ businessInfo: { timezone: 'Asia/Kolkata' } });
+    mock.method(unifiedNotificationService, 'sendNewOrderNotificationToAdmins', async () => ({}));
+    const notify = mock.method(unifiedNotificationService, 'sendOrderUpdateNotification', async () => ({}));
+
+    assert.equal(await releaseDueScheduledOrders(), 1);
+    assert.equal(order.status, 'Pending');
+    assert.match(notify.mock.calls[0].arguments[1].message, /for 07:30 pm has been sent/);
+  });
+});
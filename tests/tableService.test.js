@@ -0,0 +1,136 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'table-test-secret';
+
+const Table = require('../models/Table');
+const TableTab = require('../models/TableTab');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const { signTableToken, verifyTableToken, buildBill, settleTab } = require('../services/tableService');
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin', name: 'Asha' };
+
+const makeRound = (status, amount) => new Order({
+  orderNumber: `ORD-${amount}`,
+  customerName: 'Table 4',
+  orderType: 'dine-in',
+  status,
+  paymentMethod: 'Cash on Delivery',
+  items: [{ name: 'Margherita', quantity: 1, price: amount, totalItemPrice: amount }],
+  subTotal: amount,
+  tax: amount * 0.05,
+  amount: amount * 1.05
+});
+
+// settleTab awaits Order.find directly and buildBill sorts it first
+const stubRounds = (rounds) => mock.method(Order, 'find', () => {
+  const found = Promise.resolve(rounds);
+  found.sort = async () => rounds;
+  return found;
+});
+
+describe('verifyTableToken', () => {
+  const table = new Table({ number: '4', qrVersion: 2 });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('finds the table a QR code was printed for', async () => {
+    const findById = mock.method(Table, 'findById', async () => table);
+
+    assert.equal(await verifyTableToken(signTableToken(table)), table);
+    assert.equal(findById.mock.calls[0].arguments[0], table._id.toString());
+  });
+
+  it('rejects forged, foreign and replaced codes', async () => {
+    mock.method(Table, 'findById', async () => table);
+    const replaced = signTableToken(new Table({ _id: table._id, number: '4', qrVersion: 1 }));
+    const userToken = jwt.sign({ id: admin._id.toString() }, process.env.JWT_SECRET);
+
+    await assert.rejects(verifyTableToken('not-a-token'), { statusCode: 401, message: 'Invalid table QR code' });
+    await assert.rejects(verifyTableToken(userToken), { statusCode: 401, message: 'Invalid table QR code' });
+    await assert.rejects(verifyTableToken(replaced), { statusCode: 401 });
+  });
+
+  it('turns away orders at a table that is out of service', async () => {
+    mock.method(Table, 'findById', async () => new Table({ _id: table._id, number: '4', qrVersion: 2, isActive: false }));
+
+    await assert.rejects(verifyTableToken(signTableToken(table)), { statusCode: 409 });
+  });
+});
+
+describe('table tabs', () => {
+  let tab;
+  let transactions;
+
+  beforeEach(() => {
+    tab = new TableTab({ table: new mongoose.Types.ObjectId(), tableNumber: '4' });
+    mock.method(TableTab.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(Order.prototype, 'save', async function () {
+      return this;
+    });
+    transactions = mock.method(Transaction, 'create', async (fields) => fields);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('bills every round except the void ones', async () => {
+    stubRounds([makeRound('Delivered', 400), makeRound('Rejected', 200)]);
+
+    const bill = await buildBill(tab);
+
+    assert.deepEqual(bill.rounds.map(round => round.void), [false, true]);
+    assert.equal(bill.subTotal, 400);
+    assert.equal(bill.amount, 420);
+  });
+
+  it('takes one payment for the tab and marks each round paid', async () => {
+    const served = makeRound('Delivered', 400);
+    const rejected = makeRound('Rejected', 200);
+    stubRounds([served, rejected]);
+
+    const bill = await settleTab(tab, { user: admin, paymentMethod: 'UPI', reference: 'UTR123' });
+
+    assert.equal(bill.status, 'settled');
+    assert.equal(tab.amount, 420);
+    assert.equal(served.paymentStatus, 'Completed');
+    assert.equal(rejected.paymentStatus, 'Pending');
+    assert.equal(transactions.mock.callCount(), 1);
+    assert.deepEqual(transactions.mock.calls[0].arguments[0].upiDetails, { referenceNumber: 'UTR123' });
+    assert.equal(transactions.mock.calls[0].arguments[0].notes, 'Table 4 tab settled (ref UTR123)');
+  });
+
+  it('closes a tab with nothing to pay without a payment', async () => {
+    stubRounds([makeRound('Cancelled', 400)]);
+
+    const bill = await settleTab(tab, { user: admin, paymentMethod: 'Cash' });
+
+    assert.equal(bill.status, 'cancelled');
+    assert.equal(transactions.mock.callCount(), 0);
+  });
+
+  it('waits until every round has been served', async () => {
+    stubRounds([makeRound('Delivered', 400), makeRound('Preparing', 200)]);
+
+    await assert.rejects(settleTab(tab, { user: admin, paymentMethod: 'Cash' }), {
+      statusCode: 409,
+      details: { openRounds: [{ orderNumber: 'ORD-200', status: 'Preparing' }] }
+    });
+    assert.equal(tab.status, 'open');
+  });
+
+  it('rejects an unknown payment method and a tab that is already closed', async () => {
+    await assert.rejects(settleTab(tab, { user: admin, paymentMethod: 'Cheque' }), { statusCode: 400 });
+
+    tab.status = 'settled';
+    await assert.rejects(settleTab(tab, { user: admin, paymentMethod: 'Cash' }), { statusCode: 409 });
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Round an amount to paise
+ * @param {number} value - Amount in rupees
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+module.exports = { roundCurrency };
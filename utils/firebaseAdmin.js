@@ -102,6 +102,12 @@ class FirebaseAdmin {
     return adminApp.messaging();
   }
 
+  // Get auth instance, used to verify ID tokens from phone OTP and email sign-in
+  getAuth() {
+    const adminApp = this.getAdmin();
+    return adminApp.auth();
+  }
+
   // Get configuration status
   getStatus() {
     if (!this.initialized) {
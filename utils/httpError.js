@@ -0,0 +1,20 @@
+/**
+ * Errors thrown by services for controllers to send back as
+ * `res.status(error.statusCode || 500).json({ message: error.message, ...error.details })`
+ */
+
+/**
+ * Build an error carrying an HTTP status code and details
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} [details] - Extra fields for the response body
+ * @returns {Error} Error with statusCode and details set
+ */
+const httpError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+module.exports = httpError;
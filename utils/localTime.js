@@ -0,0 +1,114 @@
+/**
+ * Shop local time
+ *
+ * Opening hours, scheduled slots, payout weeks and surge windows are all kept
+ * in the shop's local time, which need not be the server's timezone.
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Check a string is an IANA timezone Intl understands
+ * @param {string} value - Timezone, e.g. 'Asia/Kolkata'
+ * @returns {boolean} True when valid
+ */
+const isValidTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Break a moment down into its calendar date and clock time in a timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} year, month (1-12), day, weekday (0 = Sunday), hour, minute and
+ *   minutes past midnight
+ */
+const getLocalParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  const hour = Number(part('hour'));
+  const minute = Number(part('minute'));
+  return {
+    year: Number(part('year')),
+    month: Number(part('month')),
+    day: Number(part('day')),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+    hour,
+    minute,
+    minutes: hour * 60 + minute
+  };
+};
+
+/**
+ * Get the calendar date of a moment in a timezone as YYYY-MM-DD
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Day key
+ */
+const getLocalDayKey = (date, timeZone) => {
+  const { year, month, day } = getLocalParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Find the moment a local date and time in a timezone refers to.
+ * Out of range values roll over the way Date.UTC does, so day + 1 is the next day.
+ * @param {Object} local - Local date and time
+ * @param {number} local.year - Year
+ * @param {number} local.month - Month, 1-12
+ * @param {number} local.day - Day of the month
+ * @param {number} [local.hour] - Hour, 0-23
+ * @param {number} [local.minute] - Minute
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} The moment
+ */
+const fromLocalTime = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (time) => {
+    const local = getLocalParts(new Date(time), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - time;
+  };
+
+  // The offset is checked again at the result in case a DST change lies in between
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+};
+
+/**
+ * Format a moment as a shop local clock time, e.g. 07:30 pm
+ * @param {Date} date - Moment to format
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Local time
+ */
+const formatLocalTime = (date, timeZone) => date.toLocaleTimeString('en-IN', {
+  timeZone,
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  WEEKDAYS,
+  isValidTimezone,
+  getLocalParts,
+  getLocalDayKey,
+  fromLocalTime,
+  formatLocalTime
+};
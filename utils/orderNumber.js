@@ -0,0 +1,74 @@
+/**
+ * Order number generation
+ *
+ * Order numbers look like PZ20240704001: a prefix, the shop's local date and a
+ * per-day sequence taken from the Counter collection, so concurrent checkouts
+ * never receive the same number.
+ */
+
+const Counter = require('../models/Counter');
+
+const DEFAULT_SETTINGS = {
+  prefix: 'PZ',
+  sequenceWidth: 3,
+  timezone: 'Asia/Kolkata'
+};
+
+/**
+ * Get the calendar date in a timezone as YYYYMMDD
+ * @param {Date} date - Moment to convert
+ * @param {string} timeZone - IANA timezone, e.g. 'Asia/Kolkata'
+ * @returns {string} Date key
+ */
+const getLocalDateKey = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}${part('month')}${part('day')}`;
+};
+
+/**
+ * Counter key for a day's order sequence
+ * @param {string} dateKey - YYYYMMDD date key
+ * @returns {string} Counter _id
+ */
+const getCounterKey = (dateKey) => `orderNumber:${dateKey}`;
+
+/**
+ * Resolve order number settings, falling back to defaults
+ * @param {Object} [settings] - orderNumberSettings from BusinessSettings
+ * @returns {Object} Complete settings
+ */
+const resolveSettings = (settings = {}) => ({
+  prefix: settings.prefix || DEFAULT_SETTINGS.prefix,
+  sequenceWidth: settings.sequenceWidth || DEFAULT_SETTINGS.sequenceWidth,
+  timezone: settings.timezone || DEFAULT_SETTINGS.timezone
+});
+
+/**
+ * Generate the next order number
+ * @param {Object} [settings] - orderNumberSettings from BusinessSettings
+ * @param {Date} [date] - Order time, defaults to now
+ * @returns {Promise<string>} New order number
+ */
+const generateOrderNumber = async (settings, date = new Date()) => {
+  const { prefix, sequenceWidth, timezone } = resolveSettings(settings);
+  const dateKey = getLocalDateKey(date, timezone);
+  const sequence = await Counter.nextSequence(getCounterKey(dateKey));
+
+  // The width is a minimum - busy days simply grow an extra digit
+  return `${prefix}${dateKey}${String(sequence).padStart(sequenceWidth, '0')}`;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getLocalDateKey,
+  getCounterKey,
+  resolveSettings,
+  generateOrderNumber
+};
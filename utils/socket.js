@@ -3,6 +3,7 @@
  */
 
 const logger = require('./logger');
+const { ACTIVE_KITCHEN_STATUSES, formatTicket } = require('../services/kitchenService');
 
 /**
  * Emit delivery agent status update
@@ -77,6 +78,8 @@ const emitOrderStatusUpdate = (io, order, triggerType, metadata = {}) => {
       orderNumber: order.orderNumber,
       id: order.orderNumber || order._id.toString().slice(-6),
       status: order.status,
+      orderType: order.orderType || 'delivery',
+      tableNumber: order.tableNumber,
       updatedAt: new Date(),
       date: new Date(order.createdAt || Date.now()).toLocaleDateString(),
       time: new Date(order.createdAt || Date.now()).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
@@ -176,6 +179,9 @@ const emitOrderStatusUpdate = (io, order, triggerType, metadata = {}) => {
       logger.socket('new_order_placed', `Emitted new_order_placed to admin and delivery roles`);
     }
 
+    // Keep the kitchen display in step with status changes
+    emitKitchenTicketUpdate(io, order, triggerType);
+
     logger.socket('order_update', `Emitted order update for order ${order.orderNumber || order._id}, type: ${triggerType}`);
   } catch (error) {
     logger.error('Socket order emission error', error);
@@ -255,6 +261,30 @@ const emitDeliveryAgentAssignment = (io, order, metadata = {}) => {
   }
 };
 
+/**
+ * Emit kitchen display ticket update. Only orders the kitchen has seen
+ * (accepted at some point) are sent; active is false once the ticket
+ * should leave the display.
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} order - Order document from MongoDB
+ * @param {string} triggerType - Type of update that triggered the emission
+ */
+const emitKitchenTicketUpdate = (io, order, triggerType) => {
+  if (!io || !order || !order.acceptance || !order.acceptance.acceptedAt) return;
+
+  try {
+    io.to('role:kitchen').emit('kitchen_ticket_update', {
+      triggerType,
+      active: ACTIVE_KITCHEN_STATUSES.includes(order.status),
+      ticket: formatTicket(order)
+    });
+
+    logger.socket('kitchen_ticket_update', `Emitted kitchen ticket for order ${order.orderNumber || order._id}, type: ${triggerType}`);
+  } catch (error) {
+    logger.error('Socket kitchen emission error', error);
+  }
+};
+
 /**
  * Emit payment status update
  * @param {Object} io - Socket.IO instance
@@ -299,5 +329,6 @@ module.exports = {
   emitAllDeliveryAgentsStatus,
   emitOrderStatusUpdate,
   emitDeliveryAgentAssignment,
+  emitKitchenTicketUpdate,
   emitPaymentUpdate
 };
\ No newline at end of file